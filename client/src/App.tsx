@@ -1,7 +1,13 @@
 import MultiplayerGame from './MultiplayerGame'
+import AdminPage from './components/AdminPage'
+import ReplayPage from './components/ReplayPage'
 import './App.css'
 
 function App() {
+  // /?admin opens the admin console and /?replay the replay viewer instead of the game
+  const params = new URLSearchParams(window.location.search)
+  if (params.has('admin')) return <AdminPage />
+  if (params.has('replay')) return <ReplayPage />
   return <MultiplayerGame />
 }
 
@@ -1,10 +1,25 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { Canvas } from '@react-three/fiber';
 import Scene from './components/Scene';
 import UIOverlay from './components/UIOverlay';
 import DebugControls from './components/DebugControls';
+import RoomPanel from './components/RoomPanel';
+import JoinForm from './components/JoinForm';
+import ChatPanel from './components/ChatPanel';
+import SpectatorPanel from './components/SpectatorPanel';
+import TouchControls from './components/TouchControls';
+import SettingsPanel from './components/SettingsPanel';
+import AnnouncementBanner from './components/AnnouncementBanner';
 import { useSocket } from './hooks/useSocket';
 import { useInput } from './hooks/useInput';
+import { usePrediction } from './hooks/usePrediction';
+import { useSpectatorCamera } from './hooks/useSpectatorCamera';
+import { useSettings } from './hooks/useSettings';
+import { loadSession, saveSession, type StoredSession } from './network/session';
+import type { CameraMode, PlayerProfile } from './types/game';
+
+// How far behind server time remote players are rendered (ms)
+const INTERPOLATION_DELAY = Number(import.meta.env.VITE_INTERPOLATION_DELAY) || 100;
 
 /**
  * Main Multiplayer Game Component
@@ -12,24 +27,85 @@ import { useInput } from './hooks/useInput';
  * Uses server-side authoritative physics with client-side rendering
  */
 const MultiplayerGame: React.FC = () => {
-  // Initialize socket connection and game state
+  // Initialize socket connection and game state (optionally joining ?room=<id>)
+  const [initialRoomId] = useState(() => new URLSearchParams(window.location.search).get('room') || undefined);
+
+  // Stored profile and session token; until the player has picked a name we show the join form
+  const [session, setSession] = useState<StoredSession | null>(loadSession);
+  const [joinAsSpectator, setJoinAsSpectator] = useState(() => new URLSearchParams(window.location.search).has('spectate'));
+  const handleJoin = (profile: PlayerProfile, spectate: boolean) => {
+    saveSession(profile);
+    setJoinAsSpectator(spectate);
+    setSession(profile);
+  };
+
+  // Key bindings, camera and graphics options, persisted in localStorage
+  const { settings, updateSettings, resetSettings, importSettings } = useSettings();
+  const [settingsVisible, setSettingsVisible] = useState(false);
+
   const {
     gameState,
     localPlayerId,
     connectionStatus,
+    roomId,
+    roomError,
+    disconnectReason,
+    chatMessages,
+    spectating,
+    announcement,
+    impacts,
+    snapshotBuffer,
+    clock,
     sendInput,
+    sendChatMessage,
+    setPhysicsDebug,
+    setSpectating,
+    setMovementConfig,
+    listRooms,
+    createRoom,
+    joinRoom,
+    leaveRoom,
     getConnectionStats
-  } = useSocket();
+  } = useSocket({ roomId: initialRoomId, interpolationDelay: INTERPOLATION_DELAY, session, spectate: joinAsSpectator });
+
+  // Server time estimate for round timers
+  const serverNow = useCallback(() => clock.serverNow(), [clock]);
 
-  // Physics debug state
+  // Followed player or free-fly camera while spectating
+  const players = gameState?.players ?? [];
+  const spectatorCamera = useSpectatorCamera({ spectating, players, bindings: settings.bindings });
+
+  // Physics debug state; the server only streams debug data while it's visible
   const [physicsDebugVisible, setPhysicsDebugVisible] = useState(false);
+  useEffect(() => {
+    setPhysicsDebug(physicsDebugVisible);
+  }, [physicsDebugVisible, setPhysicsDebug]);
+
+  // Orbit or third-person camera; the scene reports its yaw so movement follows the camera
+  const [cameraMode, setCameraMode] = useState<CameraMode>('orbit');
+  const cameraYawRef = useRef(0);
+
+  // Predict the local player and send sequenced inputs to the server
+  const { setInput, renderPositionRef, renderFacingRef } = usePrediction({
+    gameState,
+    localPlayerId,
+    sendInput,
+    cameraYawRef,
+    faceCamera: cameraMode === 'follow' && !spectating,
+    paused: Boolean(gameState?.paused)
+  });
 
-  // Handle keyboard input and send to server
-  useInput({
-    onInputChange: sendInput,
-    onTogglePhysicsDebug: () => setPhysicsDebugVisible(prev => !prev)
+  // Handle keyboard, gamepad and touch input and feed it to the prediction loop
+  const { setTouchInput } = useInput({
+    onInputChange: setInput,
+    onTogglePhysicsDebug: () => setPhysicsDebugVisible(prev => !prev),
+    onToggleCamera: () => setCameraMode(prev => prev === 'orbit' ? 'follow' : 'orbit'),
+    bindings: settings.bindings
   });
 
+  // On-screen joystick and jump button are only shown on touch screens
+  const [isTouchDevice] = useState(() => 'ontouchstart' in window || navigator.maxTouchPoints > 0);
+
   return (
     <div style={{ 
       width: '100vw', 
@@ -38,18 +114,88 @@ const MultiplayerGame: React.FC = () => {
       overflow: 'hidden'
     }}>
       {/* Game Information Overlay */}
-      <UIOverlay connectionStats={getConnectionStats()} />
+      <UIOverlay
+        connectionStats={getConnectionStats()}
+        bindings={settings.bindings}
+        onOpenSettings={() => setSettingsVisible(true)}
+        round={gameState?.round}
+        players={players}
+        serverNow={serverNow}
+      />
+
+      {/* Server announcements and the paused notice */}
+      <AnnouncementBanner announcement={announcement} paused={Boolean(gameState?.paused)} />
+
+      {/* Settings */}
+      {settingsVisible && (
+        <SettingsPanel
+          settings={settings}
+          onUpdate={updateSettings}
+          onReset={resetSettings}
+          onImport={importSettings}
+          onClose={() => setSettingsVisible(false)}
+        />
+      )}
+
+      {/* Room Browser */}
+      {connectionStatus === 'connected' && (
+        <RoomPanel
+          currentRoomId={roomId}
+          spectating={spectating}
+          roomError={roomError}
+          listRooms={listRooms}
+          joinRoom={joinRoom}
+          createRoom={createRoom}
+          leaveRoom={leaveRoom}
+        />
+      )}
+
+      {/* Play / Spectate Toggle */}
+      {connectionStatus === 'connected' && roomId && (
+        <SpectatorPanel
+          spectating={spectating}
+          mode={spectatorCamera.mode}
+          target={players.find(p => p.id === spectatorCamera.targetId)}
+          playerCount={players.length}
+          onCycleTarget={spectatorCamera.cycleTarget}
+          onToggleMode={spectatorCamera.toggleMode}
+          onSetSpectating={setSpectating}
+        />
+      )}
+
+      {/* Chat */}
+      {connectionStatus === 'connected' && roomId && (
+        <ChatPanel
+          messages={chatMessages}
+          localPlayerId={localPlayerId}
+          sendMessage={sendChatMessage}
+          openKeys={settings.bindings.chat}
+        />
+      )}
+
+      {/* Touch Controls */}
+      {isTouchDevice && connectionStatus === 'connected' && roomId && !spectating && (
+        <TouchControls onChange={setTouchInput} />
+      )}
 
       {/* Debug Controls */}
       <DebugControls
         physicsDebugVisible={physicsDebugVisible}
         onTogglePhysicsDebug={setPhysicsDebugVisible}
         physicsEnabled={gameState?.physics?.enabled || false}
-        bodyCount={gameState?.physics?.debugData?.length || 0}
+        physicsEngine={gameState?.physics?.engine}
+        bodyCount={gameState?.physics?.debugData?.length ?? gameState?.physics?.bodyCount ?? 0}
+        tuning={gameState?.tuning}
+        onSetMovementConfig={setMovementConfig}
       />
 
       {/* 3D Game World */}
+      {/* Antialiasing can only be chosen when the renderer is created, so changing it remounts the canvas */}
       <Canvas
+        key={settings.graphics.antialias ? 'antialias' : 'no-antialias'}
+        gl={{ antialias: settings.graphics.antialias }}
+        dpr={[Math.min(1, settings.graphics.maxPixelRatio), settings.graphics.maxPixelRatio]}
+        shadows={settings.graphics.shadows}
         camera={{
           position: [10, 10, 10],
           fov: 75,
@@ -74,7 +220,17 @@ const MultiplayerGame: React.FC = () => {
         <Scene 
           gameState={gameState} 
           localPlayerId={localPlayerId} 
+          localPlayerPositionRef={renderPositionRef}
+          localPlayerFacingRef={renderFacingRef}
+          snapshotBuffer={snapshotBuffer}
           physicsDebugVisible={physicsDebugVisible}
+          spectatorCamera={spectating ? spectatorCamera : undefined}
+          cameraMode={cameraMode}
+          cameraYawRef={cameraYawRef}
+          bindings={settings.bindings}
+          cameraSettings={settings.camera}
+          graphics={settings.graphics}
+          impacts={impacts}
         />
       </Canvas>
 
@@ -95,26 +251,42 @@ const MultiplayerGame: React.FC = () => {
           zIndex: 1000
         }}>
           <h2 style={{ margin: '0 0 10px 0', fontSize: '24px' }}>
-            🔌 Connection Lost
+            {disconnectReason ? '🚫 Disconnected by Server' : '🔌 Connection Lost'}
           </h2>
-          <p style={{ margin: '0 0 15px 0', fontSize: '16px' }}>
-            Lost connection to the game server
-          </p>
-          <p style={{ margin: 0, fontSize: '14px', opacity: 0.9 }}>
-            Please check if the server is running on port 3001
-          </p>
-          <div style={{ 
-            marginTop: '20px', 
-            fontSize: '12px', 
-            color: '#fecaca' 
-          }}>
-            Attempting to reconnect...
-          </div>
+          {disconnectReason ? (
+            <>
+              <p style={{ margin: '0 0 15px 0', fontSize: '16px' }}>
+                {disconnectReason}
+              </p>
+              <p style={{ margin: 0, fontSize: '14px', opacity: 0.9 }}>
+                Reload the page to try again
+              </p>
+            </>
+          ) : (
+            <>
+              <p style={{ margin: '0 0 15px 0', fontSize: '16px' }}>
+                Lost connection to the game server
+              </p>
+              <p style={{ margin: 0, fontSize: '14px', opacity: 0.9 }}>
+                Please check if the server is running on port 3001
+              </p>
+              <div style={{ 
+                marginTop: '20px', 
+                fontSize: '12px', 
+                color: '#fecaca' 
+              }}>
+                Attempting to reconnect...
+              </div>
+            </>
+          )}
         </div>
       )}
 
+      {/* Join Form */}
+      {!session && <JoinForm onJoin={handleJoin} />}
+
       {/* Loading Overlay */}
-      {connectionStatus === 'connecting' && !gameState && (
+      {session && connectionStatus === 'connecting' && !gameState && (
         <div style={{
           position: 'absolute',
           top: '50%',
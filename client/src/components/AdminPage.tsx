@@ -0,0 +1,262 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { adminRequest, loadAdminToken, saveAdminToken } from '../network/adminApi';
+import type { AdminBan, AdminPlayer, RoomInfo } from '../types/game';
+
+// How often the player, room and ban lists are refreshed (ms)
+const REFRESH_INTERVAL = 2000;
+
+const formatPosition = (position: AdminPlayer['position']) =>
+  position ? `${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}` : '—';
+
+/**
+ * Admin Page Component
+ * Served at /?admin. Lists players (with server-measured ping and position), rooms and bans
+ * through the admin API, and kicks, bans, teleports and respawns players, pauses rooms and
+ * broadcasts announcements. Every request carries the ADMIN_TOKEN entered here.
+ */
+const AdminPage: React.FC = () => {
+  const [token, setToken] = useState(loadAdminToken);
+  const [players, setPlayers] = useState<AdminPlayer[]>([]);
+  const [rooms, setRooms] = useState<RoomInfo[]>([]);
+  const [bans, setBans] = useState<AdminBan[]>([]);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [status, setStatus] = useState<{ error?: string; message?: string } | null>(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [announcementRoom, setAnnouncementRoom] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    const [playerList, roomList, banList] = await Promise.all([
+      adminRequest<{ players: AdminPlayer[] }>(token, 'GET', '/players'),
+      adminRequest<{ rooms: RoomInfo[] }>(token, 'GET', '/rooms'),
+      adminRequest<{ bans: AdminBan[] }>(token, 'GET', '/bans')
+    ]);
+    const error = playerList.error || roomList.error || banList.error;
+    setLoadError(error || null);
+    if (error) return;
+    setPlayers(playerList.players);
+    setRooms(roomList.rooms);
+    setBans(banList.bans);
+  }, [token]);
+
+  useEffect(() => {
+    saveAdminToken(token);
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [token, refresh]);
+
+  /**
+   * Run an admin action, report the outcome and refresh the lists
+   */
+  const run = async (method: 'POST' | 'DELETE', path: string, message: string, body?: object) => {
+    const { error } = await adminRequest(token, method, path, body);
+    setStatus(error ? { error } : { message });
+    refresh();
+  };
+
+  const handleKick = (player: AdminPlayer) => {
+    const reason = window.prompt(`Kick ${player.name}? Reason:`, 'Kicked by an admin');
+    if (reason === null) return;
+    run('POST', `/players/${player.id}/kick`, `Kicked ${player.name}`, { reason });
+  };
+
+  const handleBan = (player: AdminPlayer) => {
+    const reason = window.prompt(`Ban ${player.name} (${player.address})? Reason:`, 'Banned by an admin');
+    if (reason === null) return;
+    const minutes = Number(window.prompt('Ban length in minutes:', '10'));
+    if (!(minutes > 0)) return;
+    run('POST', `/players/${player.id}/ban`, `Banned ${player.address}`, { reason, duration: minutes * 60000 });
+  };
+
+  const handleTeleport = (player: AdminPlayer) => {
+    const text = window.prompt(`Teleport ${player.name} to x, y, z:`, player.position ? formatPosition(player.position) : '0, 2, 0');
+    if (text === null) return;
+    const [x, y, z] = text.split(',').map(part => Number(part.trim()));
+    run('POST', `/players/${player.id}/teleport`, `Teleported ${player.name}`, { position: { x, y, z } });
+  };
+
+  const handleAnnounce = (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!announcement.trim()) return;
+    run('POST', '/announce', 'Announcement sent', { message: announcement, roomId: announcementRoom || undefined });
+    setAnnouncement('');
+  };
+
+  const inputStyle: React.CSSProperties = {
+    background: '#1f2937',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '4px 8px',
+    fontSize: '13px'
+  };
+
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    marginRight: '4px'
+  };
+
+  const sectionStyle: React.CSSProperties = {
+    marginTop: '20px',
+    background: 'rgba(0,0,0,0.6)',
+    border: '1px solid #333',
+    borderRadius: '8px',
+    padding: '12px 16px'
+  };
+
+  const cellStyle: React.CSSProperties = { padding: '4px 8px', textAlign: 'left', borderBottom: '1px solid #1f2937' };
+
+  return (
+    <div style={{
+      width: '100vw',
+      height: '100vh',
+      overflowY: 'auto',
+      background: '#0a0a0a',
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '13px',
+      padding: '20px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+        <strong style={{ fontSize: '20px' }}>🛡️ Admin Console</strong>
+        <input
+          type="password"
+          placeholder="Admin token"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          style={inputStyle}
+        />
+        <a href="/" style={{ color: '#93c5fd' }}>Back to the game</a>
+      </div>
+      {!token && <div style={{ marginTop: '10px', color: '#9ca3af' }}>Enter the server's ADMIN_TOKEN to connect</div>}
+      {token && loadError && <div style={{ marginTop: '10px', color: '#f87171' }}>❌ {loadError}</div>}
+      {status && (
+        <div style={{ marginTop: '10px', color: status.error ? '#f87171' : '#4ade80' }}>
+          {status.error ? `❌ ${status.error}` : `✅ ${status.message}`}
+        </div>
+      )}
+
+      {/* Announcements */}
+      <form onSubmit={handleAnnounce} style={{ ...sectionStyle, display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <strong>📢 Announce</strong>
+        <input
+          value={announcement}
+          onChange={(e) => setAnnouncement(e.target.value)}
+          maxLength={200}
+          placeholder="Message shown to players"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <select value={announcementRoom} onChange={(e) => setAnnouncementRoom(e.target.value)} style={inputStyle}>
+          <option value="">All rooms</option>
+          {rooms.map(room => <option key={room.id} value={room.id}>{room.name}</option>)}
+        </select>
+        <button type="submit" style={buttonStyle} disabled={!token}>Send</button>
+      </form>
+
+      {/* Rooms */}
+      <div style={sectionStyle}>
+        <strong>🏠 Rooms ({rooms.length})</strong>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px' }}>
+          <thead>
+            <tr style={{ color: '#9ca3af' }}>
+              <th style={cellStyle}>Room</th>
+              <th style={cellStyle}>Players</th>
+              <th style={cellStyle}>Spectators</th>
+              <th style={cellStyle}>Level</th>
+              <th style={cellStyle}>State</th>
+              <th style={cellStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {rooms.map(room => (
+              <tr key={room.id}>
+                <td style={cellStyle}>{room.name} <span style={{ color: '#6b7280' }}>({room.id})</span></td>
+                <td style={cellStyle}>{room.playerCount}/{room.maxPlayers}</td>
+                <td style={cellStyle}>{room.spectatorCount}</td>
+                <td style={cellStyle}>{room.level}</td>
+                <td style={cellStyle}>{room.paused ? '⏸️ Paused' : '▶️ Running'}</td>
+                <td style={cellStyle}>
+                  <button
+                    style={buttonStyle}
+                    onClick={() => run('POST', `/rooms/${room.id}/${room.paused ? 'resume' : 'pause'}`, `${room.paused ? 'Resumed' : 'Paused'} ${room.name}`)}
+                  >
+                    {room.paused ? 'Resume' : 'Pause'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Players */}
+      <div style={sectionStyle}>
+        <strong>👥 Players ({players.length})</strong>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px' }}>
+          <thead>
+            <tr style={{ color: '#9ca3af' }}>
+              <th style={cellStyle}>Player</th>
+              <th style={cellStyle}>Room</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>Ping</th>
+              <th style={cellStyle}>Position</th>
+              <th style={cellStyle}>Address</th>
+              <th style={cellStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {players.map(player => (
+              <tr key={player.id}>
+                <td style={cellStyle}>{player.name} <span style={{ color: '#6b7280' }}>({player.id})</span></td>
+                <td style={cellStyle}>{player.roomId ?? '—'}</td>
+                <td style={cellStyle}>
+                  {!player.connected ? '⏳ Reconnecting' : player.spectating ? '👁️ Spectating' : '🎮 Playing'}
+                </td>
+                <td style={cellStyle}>{player.ping !== null ? `${player.ping}ms` : '—'}</td>
+                <td style={cellStyle}>{formatPosition(player.position)}</td>
+                <td style={cellStyle}>{player.address ?? '—'}</td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                  {player.position && (
+                    <>
+                      <button style={buttonStyle} onClick={() => run('POST', `/players/${player.id}/respawn`, `Respawned ${player.name}`)}>Respawn</button>
+                      <button style={buttonStyle} onClick={() => handleTeleport(player)}>Teleport</button>
+                    </>
+                  )}
+                  {player.connected && (
+                    <>
+                      <button style={buttonStyle} onClick={() => handleKick(player)}>Kick</button>
+                      <button style={{ ...buttonStyle, background: '#7f1d1d' }} onClick={() => handleBan(player)}>Ban</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Bans */}
+      <div style={sectionStyle}>
+        <strong>🚫 Bans ({bans.length})</strong>
+        {bans.length === 0 && <div style={{ color: '#6b7280', marginTop: '8px' }}>No active bans</div>}
+        {bans.map(ban => (
+          <div key={ban.ip} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+            <span style={{ flex: 1 }}>
+              {ban.ip} — {ban.reason} <span style={{ color: '#6b7280' }}>(until {new Date(ban.expiresAt).toLocaleTimeString()})</span>
+            </span>
+            <button style={buttonStyle} onClick={() => run('DELETE', `/bans/${encodeURIComponent(ban.ip)}`, `Unbanned ${ban.ip}`)}>Unban</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
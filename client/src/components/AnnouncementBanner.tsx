@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import type { Announcement } from '../types/game';
+
+interface AnnouncementBannerProps {
+  announcement: Announcement | null;
+  /** The room is paused by an admin */
+  paused: boolean;
+}
+
+// How long an announcement stays on screen (ms)
+const ANNOUNCEMENT_DURATION = 8000;
+
+/**
+ * Announcement Banner Component
+ * Shows the latest server announcement for a few seconds, and a notice while the room is paused.
+ */
+const AnnouncementBanner: React.FC<AnnouncementBannerProps> = ({ announcement, paused }) => {
+  const [visible, setVisible] = useState<Announcement | null>(null);
+
+  useEffect(() => {
+    if (!announcement) return;
+    setVisible(announcement);
+    const timeout = setTimeout(() => setVisible(null), ANNOUNCEMENT_DURATION);
+    return () => clearTimeout(timeout);
+  }, [announcement]);
+
+  if (!visible && !paused) return null;
+
+  const bannerStyle: React.CSSProperties = {
+    background: 'rgba(0,0,0,0.85)',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    textAlign: 'center',
+    maxWidth: '500px'
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 70, // below the spectator bar
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 200,
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      pointerEvents: 'none'
+    }}>
+      {visible && (
+        <div style={{ ...bannerStyle, border: '1px solid #f59e0b' }}>
+          <div style={{ color: '#fbbf24', fontSize: '12px', marginBottom: '4px' }}>📢 Server announcement</div>
+          <div style={{ fontSize: '16px' }}>{visible.message}</div>
+        </div>
+      )}
+      {paused && (
+        <div style={{ ...bannerStyle, border: '1px solid #3b82f6', fontSize: '14px' }}>
+          ⏸️ Game paused by an admin
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnouncementBanner;
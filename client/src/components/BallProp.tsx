@@ -0,0 +1,25 @@
+import React from 'react';
+import type { EntityComponentProps } from './NetworkedEntity';
+
+/**
+ * Ball Prop Component
+ * Sphere sized from its prop type, with a white band so its spin is visible
+ */
+const BallProp: React.FC<EntityComponentProps> = ({ propType, castShadow }) => {
+  const radius = propType?.shape.type === 'sphere' ? propType.shape.radius : 0.6;
+
+  return (
+    <group>
+      <mesh castShadow={castShadow} receiveShadow>
+        <sphereGeometry args={[radius, 32, 16]} />
+        <meshStandardMaterial color={propType?.color ?? '#e53e3e'} metalness={0.1} roughness={0.4} />
+      </mesh>
+      <mesh rotation={[Math.PI / 2, 0, 0]}>
+        <torusGeometry args={[radius * 1.005, radius * 0.08, 8, 48]} />
+        <meshStandardMaterial color="#f7fafc" metalness={0.1} roughness={0.4} />
+      </mesh>
+    </group>
+  );
+};
+
+export default BallProp;
@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { isTextEntryTarget } from '../hooks/useInput';
+import { formatKey } from '../settings/settings';
+import type { ChatMessage } from '../types/game';
+
+interface ChatResponse {
+  message?: ChatMessage;
+  error?: string;
+}
+
+interface ChatPanelProps {
+  messages: ChatMessage[];
+  localPlayerId: string | null;
+  sendMessage: (text: string) => Promise<ChatResponse>;
+  /** Key codes that open the chat box */
+  openKeys?: string[];
+}
+
+const MAX_MESSAGE_LENGTH = 200; // matches the server's ChatHandler
+const DEFAULT_OPEN_KEYS = ['Enter'];
+
+/**
+ * Chat Panel Component
+ * Shows the room's chat and a message box. The chat key (Enter by default) focuses the box,
+ * Enter sends and Escape returns to the game; useInput ignores keys typed into the box.
+ */
+const ChatPanel: React.FC<ChatPanelProps> = ({ messages, localPlayerId, sendMessage, openKeys = DEFAULT_OPEN_KEYS }) => {
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const listRef = useRef<HTMLDivElement>(null);
+  const openKeyName = openKeys.length > 0 ? formatKey(openKeys[0]) : 'the chat key';
+
+  // The chat key (Enter by default) anywhere in the game opens the chat box
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (openKeys.includes(event.code) && !isTextEntryTarget(document.activeElement)) {
+        event.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [openKeys]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    listRef.current?.scrollTo(0, listRef.current.scrollHeight);
+  }, [messages]);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text) {
+      inputRef.current?.blur();
+      return;
+    }
+    const response = await sendMessage(text);
+    setError(response.error || null);
+    if (!response.error) {
+      setDraft('');
+      inputRef.current?.blur();
+    }
+  };
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    if (event.key === 'Escape') {
+      inputRef.current?.blur();
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 10,
+      right: 10,
+      zIndex: 100,
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '13px',
+      background: 'rgba(0,0,0,0.6)',
+      padding: '10px',
+      borderRadius: '8px',
+      border: '1px solid #333',
+      width: '320px'
+    }}>
+      {/* Message History */}
+      <div ref={listRef} style={{ maxHeight: '180px', overflowY: 'auto', marginBottom: '8px' }}>
+        {messages.length === 0 && (
+          <div style={{ color: '#6b7280' }}>No messages yet. Press {openKeyName} to chat.</div>
+        )}
+        {messages.map((message) => (
+          <div key={message.id} style={{ marginBottom: '2px', wordBreak: 'break-word' }}>
+            <span style={{ color: '#6b7280', fontSize: '11px' }}>
+              {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>{' '}
+            <strong style={{ color: message.color }}>
+              {message.name}{message.playerId === localPlayerId ? ' (you)' : ''}:
+            </strong>{' '}
+            <span>{message.text}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Message Box */}
+      <form onSubmit={handleSubmit}>
+        <input
+          ref={inputRef}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={`Press ${openKeyName} to chat`}
+          maxLength={MAX_MESSAGE_LENGTH}
+          style={{
+            width: '100%',
+            boxSizing: 'border-box',
+            background: '#1f2937',
+            color: 'white',
+            border: '1px solid #4b5563',
+            borderRadius: '4px',
+            padding: '4px 6px'
+          }}
+        />
+      </form>
+
+      {error && (
+        <div style={{ marginTop: '6px', fontSize: '11px', color: '#ef4444' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,38 @@
+import React from 'react';
+import type { EntityComponentProps } from './NetworkedEntity';
+
+// Crate edges stick out a little past the collision box
+const FRAME_INSET = 0.92;
+
+/**
+ * Crate Prop Component
+ * Wooden box sized from its prop type, with darker planks around the edges
+ */
+const CrateProp: React.FC<EntityComponentProps> = ({ propType, castShadow }) => {
+  const half = propType?.shape.type === 'box' ? propType.shape.halfExtents : { x: 0.5, y: 0.5, z: 0.5 };
+  const color = propType?.color ?? '#b7791f';
+
+  return (
+    <group>
+      <mesh castShadow={castShadow} receiveShadow>
+        <boxGeometry args={[half.x * 2, half.y * 2, half.z * 2]} />
+        <meshStandardMaterial color="#4a2c0f" metalness={0} roughness={0.9} />
+      </mesh>
+      {/* Panels sit just inside each face so the dark edges show as a frame */}
+      <mesh scale={[1.002, FRAME_INSET, FRAME_INSET]}>
+        <boxGeometry args={[half.x * 2, half.y * 2, half.z * 2]} />
+        <meshStandardMaterial color={color} metalness={0} roughness={0.85} />
+      </mesh>
+      <mesh scale={[FRAME_INSET, 1.002, FRAME_INSET]}>
+        <boxGeometry args={[half.x * 2, half.y * 2, half.z * 2]} />
+        <meshStandardMaterial color={color} metalness={0} roughness={0.85} />
+      </mesh>
+      <mesh scale={[FRAME_INSET, FRAME_INSET, 1.002]}>
+        <boxGeometry args={[half.x * 2, half.y * 2, half.z * 2]} />
+        <meshStandardMaterial color={color} metalness={0} roughness={0.85} />
+      </mesh>
+    </group>
+  );
+};
+
+export default CrateProp;
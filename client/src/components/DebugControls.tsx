@@ -1,22 +1,32 @@
-import React from 'react';
+import React, { useState } from 'react';
+import TuningPanel from './TuningPanel';
+import type { TuningRequest, TuningState } from '../types/game';
 
 interface DebugControlsProps {
   physicsDebugVisible: boolean;
   onTogglePhysicsDebug: (visible: boolean) => void;
   physicsEnabled: boolean;
+  physicsEngine?: string;
   bodyCount: number;
+  tuning?: TuningState;
+  onSetMovementConfig: (request: TuningRequest) => Promise<{ error?: string }>;
 }
 
 /**
  * Debug Controls Component
- * Provides UI controls for toggling physics visualization
+ * Provides UI controls for toggling physics visualization and tuning movement
  */
 const DebugControls: React.FC<DebugControlsProps> = ({
   physicsDebugVisible,
   onTogglePhysicsDebug,
   physicsEnabled,
-  bodyCount
+  physicsEngine,
+  bodyCount,
+  tuning,
+  onSetMovementConfig
 }) => {
+  const [tuningVisible, setTuningVisible] = useState(false);
+
   return (
     <div style={{
       position: 'absolute',
@@ -30,7 +40,9 @@ const DebugControls: React.FC<DebugControlsProps> = ({
       padding: '15px',
       borderRadius: '8px',
       border: '1px solid #333',
-      minWidth: '200px'
+      minWidth: '200px',
+      maxHeight: 'calc(100vh - 20px)',
+      overflowY: 'auto'
     }}>
       <div style={{ marginBottom: '15px' }}>
         <strong>🔧 Debug Controls</strong>
@@ -74,6 +86,7 @@ const DebugControls: React.FC<DebugControlsProps> = ({
         }}>
           ● {physicsEnabled ? 'Enabled' : 'Disabled'}
         </div>
+        {physicsEngine && <div style={{ marginBottom: '3px' }}>⚙️ Engine: {physicsEngine}</div>}
         <div>📦 Bodies: {bodyCount}</div>
         
         {physicsDebugVisible && (
@@ -90,6 +103,23 @@ const DebugControls: React.FC<DebugControlsProps> = ({
         )}
       </div>
 
+      {/* Movement Tuning */}
+      {tuning && (
+        <div style={{
+          marginTop: '10px',
+          borderTop: '1px solid #374151',
+          paddingTop: '10px'
+        }}>
+          <div
+            onClick={() => setTuningVisible(prev => !prev)}
+            style={{ fontSize: '12px', cursor: 'pointer', marginBottom: tuningVisible ? '8px' : 0 }}
+          >
+            <strong>🎛️ Movement Tuning</strong> {tuningVisible ? '▾' : '▸'}
+          </div>
+          {tuningVisible && <TuningPanel tuning={tuning} onSetMovementConfig={onSetMovementConfig} />}
+        </div>
+      )}
+
       {/* Keyboard Shortcut */}
       <div style={{
         marginTop: '10px',
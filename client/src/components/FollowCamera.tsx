@@ -0,0 +1,99 @@
+import React, { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { DEFAULT_SETTINGS, type CameraSettings } from '../settings/settings';
+import type { Vector3 } from '../types/game';
+
+interface FollowCameraProps {
+  /** Position to follow, e.g. the local player's predicted render position */
+  targetRef?: React.RefObject<Vector3 | null>;
+  /** Used when targetRef has no position yet */
+  fallbackTarget?: Vector3;
+  cameraSettings?: CameraSettings;
+}
+
+const LOOK_SENSITIVITY = 0.004; // radians per pixel dragged
+const MIN_PITCH = -0.2;
+const MAX_PITCH = 1.2;
+const MIN_DISTANCE = 3;
+const MAX_DISTANCE = 20;
+const FOLLOW_RATE = 12; // how quickly the camera catches up with the target, per second
+const LOOK_HEIGHT = 1; // aim above the player's center so the avatar sits low in the frame
+
+/**
+ * Third-person follow camera for players
+ * Stays behind and above the target instead of orbiting freely: dragging the mouse turns the
+ * camera (and with it the direction W moves in), scrolling changes the distance.
+ */
+const FollowCamera: React.FC<FollowCameraProps> = ({ targetRef, fallbackTarget, cameraSettings = DEFAULT_SETTINGS.camera }) => {
+  const { camera, gl } = useThree();
+  const viewRef = useRef({ yaw: 0, pitch: 0.35, distance: 8 });
+  const focusRef = useRef<THREE.Vector3 | null>(null);
+  const settingsRef = useRef(cameraSettings);
+  useEffect(() => {
+    settingsRef.current = cameraSettings;
+  }, [cameraSettings]);
+
+  useEffect(() => {
+    // Start behind the player from wherever the camera was already looking
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+    viewRef.current.yaw = euler.y;
+
+    const element = gl.domElement;
+    let dragging = false;
+
+    const handlePointerDown = () => { dragging = true; };
+    const handlePointerUp = () => { dragging = false; };
+    const handlePointerMove = (event: PointerEvent) => {
+      if (!dragging) return;
+      const { sensitivity, invertY } = settingsRef.current;
+      const view = viewRef.current;
+      view.yaw -= event.movementX * LOOK_SENSITIVITY * sensitivity;
+      const deltaPitch = event.movementY * LOOK_SENSITIVITY * sensitivity * (invertY ? -1 : 1);
+      view.pitch = THREE.MathUtils.clamp(view.pitch + deltaPitch, MIN_PITCH, MAX_PITCH);
+    };
+    const handleWheel = (event: WheelEvent) => {
+      const view = viewRef.current;
+      view.distance = THREE.MathUtils.clamp(view.distance * Math.pow(1.001, event.deltaY), MIN_DISTANCE, MAX_DISTANCE);
+    };
+
+    element.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('wheel', handleWheel, { passive: true });
+
+    return () => {
+      element.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('wheel', handleWheel);
+    };
+  }, [camera, gl]);
+
+  useFrame((_, delta) => {
+    const target = targetRef?.current || fallbackTarget;
+    if (!target) return;
+
+    // Ease the focus point toward the target so prediction corrections don't jolt the view
+    const goal = new THREE.Vector3(target.x, target.y + LOOK_HEIGHT, target.z);
+    if (!focusRef.current) {
+      focusRef.current = goal.clone();
+    } else {
+      focusRef.current.lerp(goal, 1 - Math.exp(-FOLLOW_RATE * delta));
+    }
+
+    // yaw 0 looks down -Z, so the camera sits on the +Z side of the target
+    const { yaw, pitch, distance } = viewRef.current;
+    const focus = focusRef.current;
+    camera.position.set(
+      focus.x + Math.sin(yaw) * Math.cos(pitch) * distance,
+      focus.y + Math.sin(pitch) * distance,
+      focus.z + Math.cos(yaw) * Math.cos(pitch) * distance
+    );
+    camera.lookAt(focus);
+  });
+
+  return null;
+};
+
+export default FollowCamera;
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { isTextEntryTarget } from '../hooks/useInput';
+import { DEFAULT_SETTINGS, type CameraSettings, type InputAction, type KeyBindings } from '../settings/settings';
+
+interface FreeFlyCameraProps {
+  bindings?: KeyBindings;
+  cameraSettings?: CameraSettings;
+}
+
+const MOVE_SPEED = 15; // m/s
+const FAST_MULTIPLIER = 3;
+const LOOK_SENSITIVITY = 0.003; // radians per pixel dragged
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+/**
+ * Free-fly camera for spectators
+ * The movement keys move, E/Q rise and sink, Shift speeds up and dragging the mouse looks
+ * around (keys follow the user's bindings). Keys typed into text fields are ignored, like the
+ * player input.
+ */
+const FreeFlyCamera: React.FC<FreeFlyCameraProps> = ({
+  bindings = DEFAULT_SETTINGS.bindings,
+  cameraSettings = DEFAULT_SETTINGS.camera
+}) => {
+  const { camera, gl } = useThree();
+  const keysRef = useRef(new Set<string>());
+  const lookRef = useRef({ yaw: 0, pitch: 0 });
+  const settingsRef = useRef({ bindings, cameraSettings });
+  useEffect(() => {
+    settingsRef.current = { bindings, cameraSettings };
+  }, [bindings, cameraSettings]);
+
+  useEffect(() => {
+    // Start looking wherever the camera was already facing
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+    lookRef.current = { yaw: euler.y, pitch: euler.x };
+
+    const keys = keysRef.current;
+    const element = gl.domElement;
+    let dragging = false;
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (isTextEntryTarget(event.target)) return;
+      keys.add(event.code);
+    };
+    const handleKeyUp = (event: KeyboardEvent) => keys.delete(event.code);
+    const handleBlur = () => keys.clear();
+    const handlePointerDown = () => { dragging = true; };
+    const handlePointerUp = () => { dragging = false; };
+    const handlePointerMove = (event: PointerEvent) => {
+      if (!dragging) return;
+      const { sensitivity, invertY } = settingsRef.current.cameraSettings;
+      const look = lookRef.current;
+      look.yaw -= event.movementX * LOOK_SENSITIVITY * sensitivity;
+      const deltaPitch = event.movementY * LOOK_SENSITIVITY * sensitivity * (invertY ? -1 : 1);
+      look.pitch = THREE.MathUtils.clamp(look.pitch - deltaPitch, -MAX_PITCH, MAX_PITCH);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focusin', handleBlur);
+    element.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointermove', handlePointerMove);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focusin', handleBlur);
+      element.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointermove', handlePointerMove);
+      keys.clear();
+    };
+  }, [camera, gl]);
+
+  useFrame((_, delta) => {
+    const keys = keysRef.current;
+    const { yaw, pitch } = lookRef.current;
+    camera.quaternion.setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+
+    const { bindings } = settingsRef.current;
+    const held = (action: InputAction) => bindings[action].some(code => keys.has(code));
+    const axis = (positive: InputAction, negative: InputAction) =>
+      (held(positive) ? 1 : 0) - (held(negative) ? 1 : 0);
+
+    // Local-space direction: forward is -Z, rising is world up regardless of pitch
+    const move = new THREE.Vector3(axis('right', 'left'), 0, axis('backward', 'forward'));
+    move.applyQuaternion(camera.quaternion);
+    move.y += axis('flyUp', 'flyDown');
+    if (move.lengthSq() === 0) return;
+
+    const speed = MOVE_SPEED * (keys.has('ShiftLeft') || keys.has('ShiftRight') ? FAST_MULTIPLIER : 1);
+    camera.position.addScaledVector(move.normalize(), speed * delta);
+  });
+
+  return null;
+};
+
+export default FreeFlyCamera;
@@ -0,0 +1,35 @@
+import React from 'react';
+import * as THREE from 'three';
+import type { Hill } from '../types/game';
+
+interface HillZoneProps {
+  hill: Hill;
+  /** Color of the player holding the hill alone */
+  holderColor?: string;
+  contested?: boolean;
+}
+
+/**
+ * Hill Zone Component
+ * King of the Hill scoring zone: a translucent cylinder in the holder's color, red while contested
+ */
+const HillZone: React.FC<HillZoneProps> = ({ hill, holderColor, contested = false }) => {
+  const color = contested ? '#ef4444' : holderColor ?? '#fbbf24';
+  const { position, radius, height } = hill;
+
+  return (
+    <group position={[position.x, position.y, position.z]}>
+      <mesh position={[0, height / 2, 0]}>
+        <cylinderGeometry args={[radius, radius, height, 48, 1, true]} />
+        <meshBasicMaterial color={color} transparent opacity={0.15} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      {/* Ring on the floor of the zone */}
+      <mesh position={[0, 0.02, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[radius - 0.15, radius, 48]} />
+        <meshBasicMaterial color={color} side={THREE.DoubleSide} />
+      </mesh>
+    </group>
+  );
+};
+
+export default HillZone;
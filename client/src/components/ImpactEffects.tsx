@@ -0,0 +1,64 @@
+import React, { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import type { Impact } from '../types/game';
+
+interface ImpactEffectsProps {
+  impacts: Impact[];
+}
+
+// Seconds each effect plays for
+const DURATION = 0.5;
+
+const COLORS: Record<Impact['kind'], string> = {
+  shove: '#93c5fd',
+  hit: '#f97316',
+  collision: '#fde68a'
+};
+
+/**
+ * One ring expanding from the impact point and fading out; stronger impacts grow larger
+ */
+const ImpactRing: React.FC<{ impact: Impact }> = ({ impact }) => {
+  const meshRef = useRef<THREE.Mesh>(null);
+  const materialRef = useRef<THREE.MeshBasicMaterial>(null);
+
+  useFrame(() => {
+    const mesh = meshRef.current;
+    const material = materialRef.current;
+    if (!mesh || !material) return;
+
+    const progress = (performance.now() - impact.time) / 1000 / DURATION;
+    mesh.visible = progress < 1;
+    if (!mesh.visible) return;
+    mesh.scale.setScalar(0.3 + progress * (1 + impact.strength * 1.5));
+    material.opacity = (1 - progress) * (0.4 + 0.6 * impact.strength);
+  });
+
+  const { position } = impact;
+  return (
+    <mesh ref={meshRef} position={[position.x, position.y, position.z]} rotation={[-Math.PI / 2, 0, 0]} scale={0.3}>
+      <ringGeometry args={[0.8, 1, 32]} />
+      <meshBasicMaterial
+        ref={materialRef}
+        color={COLORS[impact.kind]}
+        transparent
+        opacity={0}
+        side={THREE.DoubleSide}
+        depthWrite={false}
+      />
+    </mesh>
+  );
+};
+
+/**
+ * Impact Effects Component
+ * Plays a short effect for every shove, knockback and collision the server reports
+ */
+const ImpactEffects: React.FC<ImpactEffectsProps> = ({ impacts }) => (
+  <>
+    {impacts.map(impact => <ImpactRing key={impact.id} impact={impact} />)}
+  </>
+);
+
+export default ImpactEffects;
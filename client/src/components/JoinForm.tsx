@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import type { PlayerProfile } from '../types/game';
+
+const COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899'];
+const MAX_NAME_LENGTH = 16; // matches the server's SessionManager
+
+interface JoinFormProps {
+  initialProfile?: PlayerProfile | null;
+  /** Called with the chosen profile and whether to join as a spectator */
+  onJoin: (profile: PlayerProfile, spectate: boolean) => void;
+}
+
+/**
+ * Join Form Component
+ * Asks for a display name and color before connecting, then joins as a player or spectator
+ */
+const JoinForm: React.FC<JoinFormProps> = ({ initialProfile, onJoin }) => {
+  const [name, setName] = useState(initialProfile?.name || '');
+  const [color, setColor] = useState(initialProfile?.color || COLORS[Math.floor(Math.random() * COLORS.length)]);
+
+  const join = (spectate: boolean) => {
+    if (!name.trim()) return;
+    onJoin({ name: name.trim(), color }, spectate);
+  };
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    join(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      background: 'rgba(0,0,0,0.85)',
+      padding: '30px',
+      borderRadius: '12px',
+      border: '1px solid #333',
+      boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
+      zIndex: 1000,
+      minWidth: '280px'
+    }}>
+      <h2 style={{ margin: '0 0 20px 0', fontSize: '24px', textAlign: 'center' }}>
+        🎮 Join Game
+      </h2>
+
+      <label style={{ display: 'block', fontSize: '13px', marginBottom: '6px' }}>Name</label>
+      <input
+        autoFocus
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Your name"
+        maxLength={MAX_NAME_LENGTH}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          background: '#1f2937',
+          color: 'white',
+          border: '1px solid #4b5563',
+          borderRadius: '4px',
+          padding: '6px 8px',
+          fontSize: '14px'
+        }}
+      />
+
+      <label style={{ display: 'block', fontSize: '13px', margin: '15px 0 6px 0' }}>Color</label>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        {COLORS.map((swatch) => (
+          <button
+            key={swatch}
+            type="button"
+            aria-label={swatch}
+            onClick={() => setColor(swatch)}
+            style={{
+              width: '26px',
+              height: '26px',
+              background: swatch,
+              borderRadius: '50%',
+              border: swatch === color ? '3px solid white' : '3px solid transparent',
+              cursor: 'pointer'
+            }}
+          />
+        ))}
+      </div>
+
+      <button
+        type="submit"
+        disabled={!name.trim()}
+        style={{
+          width: '100%',
+          marginTop: '20px',
+          background: name.trim() ? '#3b82f6' : '#374151',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          padding: '10px',
+          fontSize: '16px',
+          cursor: name.trim() ? 'pointer' : 'default'
+        }}
+      >
+        Play
+      </button>
+      <button
+        type="button"
+        disabled={!name.trim()}
+        onClick={() => join(true)}
+        style={{
+          width: '100%',
+          marginTop: '8px',
+          background: 'transparent',
+          color: name.trim() ? '#93c5fd' : '#6b7280',
+          border: '1px solid #374151',
+          borderRadius: '6px',
+          padding: '6px',
+          fontSize: '13px',
+          cursor: name.trim() ? 'pointer' : 'default'
+        }}
+      >
+        👁️ Watch as spectator
+      </button>
+    </form>
+  );
+};
+
+export default JoinForm;
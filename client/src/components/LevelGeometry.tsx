@@ -0,0 +1,69 @@
+import React from 'react';
+import { Plane } from '@react-three/drei';
+import type { LevelData } from '../types/game';
+
+interface LevelGeometryProps {
+  level: LevelData;
+}
+
+/**
+ * Level Geometry Component
+ * Renders the ground and static objects of the level the server loaded into physics
+ */
+const LevelGeometry: React.FC<LevelGeometryProps> = ({ level }) => {
+  const { ground } = level;
+
+  return (
+    <group>
+      {/* Ground plane - collision is an infinite plane on the server */}
+      <Plane
+        args={[ground.size, ground.size]}
+        rotation={[-Math.PI / 2, 0, 0]}
+        position={[0, ground.height, 0]}
+        receiveShadow
+      >
+        <meshStandardMaterial
+          color={ground.color}
+          metalness={0.1}
+          roughness={0.9}
+        />
+      </Plane>
+
+      {/* Grid helper for spatial reference */}
+      <gridHelper
+        args={[ground.size, ground.size / 2, '#4a5568', '#2d3748']}
+        position={[0, ground.height + 0.01, 0]}
+      />
+
+      {/* Static objects */}
+      {level.objects.map((object) => (
+        <mesh
+          key={object.id}
+          position={[object.position.x, object.position.y, object.position.z]}
+          quaternion={[object.quaternion.x, object.quaternion.y, object.quaternion.z, object.quaternion.w]}
+          castShadow={object.opacity === 1}
+          receiveShadow
+        >
+          {object.shape === 'sphere' ? (
+            <sphereGeometry args={[object.radius, 32, 16]} />
+          ) : (
+            <boxGeometry args={[
+              (object.halfExtents?.x ?? 0.5) * 2,
+              (object.halfExtents?.y ?? 0.5) * 2,
+              (object.halfExtents?.z ?? 0.5) * 2
+            ]} />
+          )}
+          <meshStandardMaterial
+            color={object.color}
+            transparent={object.opacity < 1}
+            opacity={object.opacity}
+            metalness={0.1}
+            roughness={0.8}
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+};
+
+export default LevelGeometry;
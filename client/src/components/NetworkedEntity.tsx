@@ -0,0 +1,71 @@
+import React, { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import CrateProp from './CrateProp';
+import BallProp from './BallProp';
+import type { SnapshotBuffer } from '../network/SnapshotBuffer';
+import type { EntityState, PropType } from '../types/game';
+
+/** Props every entity component gets; the transform is already applied by NetworkedEntity */
+export interface EntityComponentProps {
+  entity: EntityState;
+  /** How the entity's type looks, absent for types the server didn't describe */
+  propType?: PropType;
+  castShadow: boolean;
+}
+
+interface NetworkedEntityProps {
+  entity: EntityState;
+  propType?: PropType;
+  snapshotBuffer?: SnapshotBuffer;
+  castShadow?: boolean;
+}
+
+/**
+ * Plain shape in the type's color, for entity types without their own component
+ */
+const FallbackEntity: React.FC<EntityComponentProps> = ({ propType, castShadow }) => {
+  const shape = propType?.shape;
+  return (
+    <mesh castShadow={castShadow} receiveShadow>
+      {shape?.type === 'sphere' ? (
+        <sphereGeometry args={[shape.radius, 24, 12]} />
+      ) : (
+        <boxGeometry args={shape ? [shape.halfExtents.x * 2, shape.halfExtents.y * 2, shape.halfExtents.z * 2] : [1, 1, 1]} />
+      )}
+      <meshStandardMaterial color={propType?.color ?? '#a0aec0'} metalness={0.1} roughness={0.8} />
+    </mesh>
+  );
+};
+
+// Component that draws each entity type
+const ENTITY_COMPONENTS: Record<string, React.FC<EntityComponentProps>> = {
+  crate: CrateProp,
+  ball: BallProp
+};
+
+/**
+ * Networked Entity Component - purely visual, no local physics
+ * Places a server entity (e.g. a prop) at its position and rotation sampled from the snapshot
+ * buffer, falling back to the latest server state, and renders it with the component for its type.
+ */
+const NetworkedEntity: React.FC<NetworkedEntityProps> = ({ entity, propType, snapshotBuffer, castShadow = false }) => {
+  const groupRef = useRef<THREE.Group>(null);
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const position = snapshotBuffer?.sample(entity.id) || entity.position;
+    const quaternion = snapshotBuffer?.sampleQuaternion(entity.id) || entity.quaternion;
+    groupRef.current.position.set(position.x, position.y, position.z);
+    groupRef.current.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+  });
+
+  const Component = ENTITY_COMPONENTS[entity.type] ?? FallbackEntity;
+  return (
+    <group ref={groupRef}>
+      <Component entity={entity} propType={propType} castShadow={castShadow} />
+    </group>
+  );
+};
+
+export default NetworkedEntity;
@@ -1,47 +1,13 @@
 import React, { useRef, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
-
-interface PhysicsBodyDebugData {
-  id: string | number;
-  position: { x: number; y: number; z: number };
-  quaternion: { x: number; y: number; z: number; w: number };
-  shapes: Array<{
-    id: number;
-    type: number;
-    halfExtents?: { x: number; y: number; z: number };
-    normal?: { x: number; y: number; z: number };
-    radius?: number;
-    material: {
-      friction: number;
-      restitution: number;
-    };
-  }>;
-}
-
-interface PhysicsDebugData {
-  enabled: boolean;
-  debugData: PhysicsBodyDebugData[];
-}
+import type { PhysicsDebugData } from '../types/game';
 
 interface PhysicsDebugRendererProps {
   physicsData: PhysicsDebugData | null;
   visible: boolean;
 }
 
-// Shape type constants (matching Cannon.js)
-const SHAPE_TYPES = {
-  SPHERE: 1,
-  PLANE: 2,
-  BOX: 4,
-  COMPOUND: 8,
-  CONVEXPOLYHEDRON: 16,
-  HEIGHTFIELD: 32,
-  PARTICLE: 64,
-  CYLINDER: 128,
-  TRIMESH: 256
-};
-
 /**
  * Physics Debug Renderer Component
  * Visualizes physics bodies and collision shapes
@@ -96,15 +62,15 @@ const PhysicsDebugRenderer: React.FC<PhysicsDebugRendererProps> = ({
         let material = materials.dynamic;
 
         // Determine material based on body type
-        if (body.position.y < -0.4) {
+        if (shape.type === 'plane' || (body.type === 'static' && body.position.y < -0.4)) {
           material = materials.ground; // Ground body
-        } else if (shape.material.friction > 0.8) {
+        } else if (body.type === 'static') {
           material = materials.static; // Static body
         }
 
         // Create geometry based on shape type
         switch (shape.type) {
-          case SHAPE_TYPES.BOX:
+          case 'box':
             if (shape.halfExtents) {
               geometry = new THREE.BoxGeometry(
                 shape.halfExtents.x * 2,
@@ -114,13 +80,13 @@ const PhysicsDebugRenderer: React.FC<PhysicsDebugRendererProps> = ({
             }
             break;
 
-          case SHAPE_TYPES.SPHERE:
+          case 'sphere':
             if (shape.radius) {
               geometry = new THREE.SphereGeometry(shape.radius, 8, 6);
             }
             break;
 
-          case SHAPE_TYPES.PLANE:
+          case 'plane':
             geometry = new THREE.PlaneGeometry(100, 100, 10, 10);
             break;
 
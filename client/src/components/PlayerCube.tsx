@@ -1,80 +1,115 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Text, Box } from '@react-three/drei';
 import * as THREE from 'three';
-
-interface Player {
-  id: string;
-  position: { x: number; y: number; z: number };
-  velocity: { x: number; y: number; z: number };
-  color: string;
-  onGround?: boolean;
-}
+import type { SnapshotBuffer } from '../network/SnapshotBuffer';
+import type { Player, Vector3 } from '../types/game';
 
 interface PlayerCubeProps {
   player: Player;
   isLocalPlayer: boolean;
+  predictedPositionRef?: React.RefObject<Vector3 | null>;
+  predictedFacingRef?: React.RefObject<number | null>;
+  snapshotBuffer?: SnapshotBuffer;
+  castShadow?: boolean;
+  /** Round role: "it" in tag, or holding the hill in King of the Hill */
+  marker?: 'it' | 'holder';
 }
 
+// How quickly the avatar turns toward its facing, per second
+const TURN_RATE = 15;
+// Staggered players rock from side to side: angle in radians and speed in radians per second
+const STAGGER_WOBBLE = 0.3;
+const STAGGER_WOBBLE_RATE = 25;
+
 /**
  * Individual player cube component - purely visual, no local physics
- * Renders a player with smooth interpolation and name tag
+ * The local player follows client-side prediction; remote players are sampled from the
+ * snapshot buffer at a fixed delay behind server time. Falls back to the latest server position.
+ * The body turns smoothly toward the player's facing and wobbles while staggered; the name tag
+ * stays upright.
  */
-const PlayerCube: React.FC<PlayerCubeProps> = ({ player, isLocalPlayer }) => {
-  const meshRef = useRef<THREE.Mesh>(null);
-  const [currentPosition, setCurrentPosition] = useState(player.position);
-  const [targetPosition, setTargetPosition] = useState(player.position);
+const PlayerCube: React.FC<PlayerCubeProps> = ({ player, isLocalPlayer, predictedPositionRef, predictedFacingRef, snapshotBuffer, castShadow = false, marker }) => {
+  const groupRef = useRef<THREE.Group>(null);
+  const bodyRef = useRef<THREE.Group>(null);
+
+  useFrame(({ clock }, delta) => {
+    if (!groupRef.current) return;
 
-  // Update target position when server sends new data
-  useEffect(() => {
-    setTargetPosition(player.position);
-  }, [player.position]);
+    const position = (isLocalPlayer ? predictedPositionRef?.current : snapshotBuffer?.sample(player.id))
+      || player.position;
+    groupRef.current.position.set(position.x, position.y, position.z);
 
-  // Smooth interpolation animation
-  useFrame(() => {
-    if (meshRef.current) {
-      // Server is authoritative, so we always interpolate to server position
-      const lerpFactor = isLocalPlayer ? 0.25 : 0.12; // Smoother interpolation
-      
-      // Smooth interpolation using lerp
-      currentPosition.x = THREE.MathUtils.lerp(currentPosition.x, targetPosition.x, lerpFactor);
-      currentPosition.y = THREE.MathUtils.lerp(currentPosition.y, targetPosition.y, lerpFactor);
-      currentPosition.z = THREE.MathUtils.lerp(currentPosition.z, targetPosition.z, lerpFactor);
-      
-      // Apply position to mesh
-      meshRef.current.position.set(currentPosition.x, currentPosition.y, currentPosition.z);
-      setCurrentPosition({ ...currentPosition });
+    if (bodyRef.current) {
+      const facing = (isLocalPlayer ? predictedFacingRef?.current : null) ?? player.facing ?? 0;
+      // Turn the short way round
+      const current = bodyRef.current.rotation.y;
+      const difference = Math.atan2(Math.sin(facing - current), Math.cos(facing - current));
+      bodyRef.current.rotation.y = current + difference * (1 - Math.exp(-TURN_RATE * delta));
+
+      // Fades out over the last 0.3 s of the stagger
+      const stagger = player.stagger ?? 0;
+      bodyRef.current.rotation.z = stagger > 0
+        ? Math.sin(clock.elapsedTime * STAGGER_WOBBLE_RATE) * STAGGER_WOBBLE * Math.min(1, stagger / 0.3)
+        : 0;
     }
   });
 
+  const name = player.name || `Player ${player.id.slice(0, 6)}`;
+  const label = isLocalPlayer ? `${name} (you)` : player.connected === false ? `${name} (away)` : name;
+
   return (
-    <group>
-      {/* Player cube */}
-      <Box
-        ref={meshRef}
-        args={[0.8, 1.8, 0.8]} // Match server physics box size
-      >
-        <meshStandardMaterial 
-          color={player.color} 
-          metalness={0.1}
-          roughness={0.8}
-        />
-      </Box>
-      
+    <group ref={groupRef}>
+      <group ref={bodyRef}>
+        {/* Player cube */}
+        <Box
+          args={[0.8, 1.8, 0.8]} // Match server physics box size
+          castShadow={castShadow}
+        >
+          <meshStandardMaterial
+            color={player.color}
+            metalness={0.1}
+            roughness={0.8}
+            // Fade players whose client dropped and may still reconnect
+            transparent={player.connected === false}
+            opacity={player.connected === false ? 0.35 : 1}
+          />
+        </Box>
+
+        {/* Visor on the front (-Z) face shows which way the player is facing */}
+        <Box args={[0.6, 0.2, 0.1]} position={[0, 0.5, -0.42]}>
+          <meshStandardMaterial color="#111827" metalness={0.5} roughness={0.3} />
+        </Box>
+      </group>
+
       {/* Player name tag */}
       <Text
-        position={[currentPosition.x, currentPosition.y + 1.5, currentPosition.z]}
+        position={[0, 1.5, 0]}
         fontSize={0.3}
         color="white"
         anchorX="center"
         anchorY="middle"
       >
-        {isLocalPlayer ? 'You' : `Player ${player.id.slice(0, 6)}`}
+        {label}
       </Text>
-      
+
+      {/* Round role: a red ring around whoever is "it", a gold gem over the hill holder */}
+      {marker === 'it' && (
+        <mesh rotation={[Math.PI / 2, 0, 0]}>
+          <torusGeometry args={[0.75, 0.06, 8, 32]} />
+          <meshBasicMaterial color="#ef4444" />
+        </mesh>
+      )}
+      {marker === 'holder' && (
+        <mesh position={[0, 2.6, 0]}>
+          <octahedronGeometry args={[0.2]} />
+          <meshBasicMaterial color="#fbbf24" />
+        </mesh>
+      )}
+
       {/* Visual indicator for local player */}
       {isLocalPlayer && (
-        <mesh position={[currentPosition.x, currentPosition.y + 2.2, currentPosition.z]}>
+        <mesh position={[0, 2.2, 0]}>
           <coneGeometry args={[0.1, 0.3, 4]} />
           <meshBasicMaterial color="#00ff00" />
         </mesh>
@@ -83,4 +118,4 @@ const PlayerCube: React.FC<PlayerCubeProps> = ({ player, isLocalPlayer }) => {
   );
 };
 
-export default PlayerCube;
\ No newline at end of file
+export default PlayerCube;
@@ -0,0 +1,132 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import ReplayViewer from './ReplayViewer';
+import { fetchReplay, fetchReplays } from '../network/replayApi';
+import type { ReplayReader } from '../network/ReplayReader';
+import type { ReplayInfo } from '../types/game';
+
+const formatDuration = (replay: ReplayInfo) => {
+  const seconds = Math.round((replay.endTick - replay.startTick) / replay.tickRate);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Replay Page Component
+ * Served at /?replay. Lists the server's recorded matches and plays the chosen one in the
+ * ReplayViewer; /?replay=<id> opens a replay directly.
+ */
+const ReplayPage: React.FC = () => {
+  const [replays, setReplays] = useState<ReplayInfo[]>([]);
+  const [recording, setRecording] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [loadingId, setLoadingId] = useState<string | null>(null);
+  const [open, setOpen] = useState<{ id: string; reader: ReplayReader } | null>(null);
+
+  const refresh = useCallback(async () => {
+    const result = await fetchReplays();
+    setError(result.error || null);
+    setReplays(result.replays);
+    setRecording(result.recording);
+  }, []);
+
+  const watch = useCallback(async (id: string) => {
+    setLoadingId(id);
+    const { reader, error: loadError } = await fetchReplay(id);
+    setLoadingId(null);
+    if (!reader) {
+      setError(loadError || 'Replay could not be loaded');
+      return;
+    }
+    setError(null);
+    setOpen({ id, reader });
+    window.history.replaceState(null, '', `?replay=${encodeURIComponent(id)}`);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const requested = new URLSearchParams(window.location.search).get('replay');
+    if (requested) {
+      watch(requested);
+    }
+  }, [refresh, watch]);
+
+  const close = () => {
+    setOpen(null);
+    window.history.replaceState(null, '', '?replay');
+    refresh();
+  };
+
+  if (open) {
+    return <ReplayViewer replay={open.reader} title={open.id} onClose={close} />;
+  }
+
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  const cellStyle: React.CSSProperties = { padding: '4px 8px', textAlign: 'left', borderBottom: '1px solid #1f2937' };
+
+  return (
+    <div style={{
+      width: '100vw',
+      height: '100vh',
+      overflowY: 'auto',
+      background: '#0a0a0a',
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '13px',
+      padding: '20px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+        <strong style={{ fontSize: '20px' }}>🎞️ Replays</strong>
+        <button style={buttonStyle} onClick={refresh}>Refresh</button>
+        <a href="/" style={{ color: '#93c5fd' }}>Back to the game</a>
+      </div>
+      <div style={{ marginTop: '10px', color: '#9ca3af' }}>
+        {recording ? '🎥 The server is recording matches' : 'Recording is off (start the server with RECORD_REPLAYS=true)'}
+      </div>
+      {error && <div style={{ marginTop: '10px', color: '#f87171' }}>❌ {error}</div>}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '16px' }}>
+        <thead>
+          <tr style={{ color: '#9ca3af' }}>
+            <th style={cellStyle}>Started</th>
+            <th style={cellStyle}>Room</th>
+            <th style={cellStyle}>Level</th>
+            <th style={cellStyle}>Mode</th>
+            <th style={cellStyle}>Engine</th>
+            <th style={cellStyle}>Length</th>
+            <th style={cellStyle}>Size</th>
+            <th style={cellStyle} />
+          </tr>
+        </thead>
+        <tbody>
+          {replays.map(replay => (
+            <tr key={replay.id}>
+              <td style={cellStyle}>{new Date(replay.startedAt).toLocaleString()}</td>
+              <td style={cellStyle}>{replay.roomId}</td>
+              <td style={cellStyle}>{replay.level}</td>
+              <td style={cellStyle}>{replay.mode}</td>
+              <td style={cellStyle}>{replay.engine}</td>
+              <td style={cellStyle}>{formatDuration(replay)}{replay.recording ? ' 🔴 recording' : ''}</td>
+              <td style={cellStyle}>{(replay.bytes / 1024).toFixed(0)} KB</td>
+              <td style={cellStyle}>
+                <button style={buttonStyle} disabled={loadingId !== null} onClick={() => watch(replay.id)}>
+                  {loadingId === replay.id ? 'Loading…' : 'Watch'}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {replays.length === 0 && !error && <div style={{ color: '#6b7280', marginTop: '8px' }}>No replays recorded yet</div>}
+    </div>
+  );
+};
+
+export default ReplayPage;
@@ -0,0 +1,293 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import Scene from './Scene';
+import { SnapshotBuffer } from '../network/SnapshotBuffer';
+import { useSettings } from '../hooks/useSettings';
+import { useSpectatorCamera } from '../hooks/useSpectatorCamera';
+import type { ReplayReader } from '../network/ReplayReader';
+import type { EntityState, GameState, InputState, Player } from '../types/game';
+
+interface ReplayViewerProps {
+  replay: ReplayReader;
+  title: string;
+  onClose: () => void;
+}
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// How often the scene's entity list and the controls follow the playhead while playing (ms);
+// the snapshot buffer moves everything smoothly in between
+const STATE_INTERVAL = 50;
+
+const INPUT_KEYS: (keyof InputState)[] = ['forward', 'backward', 'left', 'right', 'jump', 'shove'];
+
+const formatTime = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const describeInput = (input: InputState) => {
+  const held: string[] = INPUT_KEYS.filter(key => input[key]);
+  if (input.moveX !== undefined || input.moveZ !== undefined) {
+    held.unshift(`move (${(input.moveX ?? 0).toFixed(2)}, ${(input.moveZ ?? 0).toFixed(2)})`);
+  }
+  return held.length > 0 ? held.join(' ') : 'nothing held';
+};
+
+/**
+ * Replay Viewer Component
+ * Plays back a recorded match with the game's own scene: entities are fed through a snapshot
+ * buffer driven by the playhead instead of the server clock. Play/pause, scrubbing, playback
+ * speed, following a player or flying freely (Q/E/F as when spectating), the recorded physics
+ * debug view, the timeline of joins, leaves and round phases, and the inputs of the followed player.
+ */
+const ReplayViewer: React.FC<ReplayViewerProps> = ({ replay, title, onClose }) => {
+  const { settings } = useSettings();
+  const { tickRate } = replay.header;
+  const tickInterval = 1000 / tickRate;
+
+  // Playhead in (fractional) ticks; advanced every animation frame while playing
+  const playheadRef = useRef(replay.firstTick);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [physicsVisible, setPhysicsVisible] = useState(false);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const controlsRef = useRef({ playing, speed });
+  useEffect(() => {
+    controlsRef.current = { playing, speed };
+  }, [playing, speed]);
+
+  const snapshotBuffer = useMemo(() => new SnapshotBuffer({
+    clock: { serverNow: () => playheadRef.current * tickInterval },
+    interpolationDelay: 0,
+    maxExtrapolation: 0
+  }), [tickInterval]);
+
+  // Advance the playhead, keep the two snapshots around it buffered and publish the frame
+  useEffect(() => {
+    let animationFrame = 0;
+    let last = performance.now();
+    let lastStateUpdate = 0;
+    let bufferedIndex = -1;
+    let shownIndex = -1;
+
+    const step = (now: number) => {
+      const { playing: isPlaying, speed: playbackSpeed } = controlsRef.current;
+      if (isPlaying) {
+        playheadRef.current = Math.min(replay.lastTick, playheadRef.current + ((now - last) / tickInterval) * playbackSpeed);
+        if (playheadRef.current >= replay.lastTick) {
+          setPlaying(false);
+        }
+      }
+      last = now;
+
+      const index = replay.indexAt(Math.floor(playheadRef.current));
+      if (index !== bufferedIndex) {
+        snapshotBuffer.clear();
+        for (const snapshot of [replay.snapshotAt(index), replay.snapshotAt(index + 1)]) {
+          if (!snapshot) continue;
+          const players = snapshot.entities.player as unknown as Player[];
+          const props = (snapshot.entities.prop ?? []) as unknown as EntityState[];
+          snapshotBuffer.push(snapshot.tick * tickInterval, [...players, ...props]);
+        }
+        bufferedIndex = index;
+      }
+      if (index !== shownIndex && now - lastStateUpdate >= STATE_INTERVAL) {
+        setFrameIndex(index);
+        shownIndex = index;
+        lastStateUpdate = now;
+      }
+      animationFrame = requestAnimationFrame(step);
+    };
+
+    animationFrame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(animationFrame);
+  }, [replay, snapshotBuffer, tickInterval]);
+
+  const snapshot = replay.snapshotAt(frameIndex);
+  const tick = replay.tickOf(frameIndex);
+  const players = useMemo(() => (snapshot?.entities.player ?? []) as unknown as Player[], [snapshot]);
+  const spectatorCamera = useSpectatorCamera({ spectating: true, players, bindings: settings.bindings });
+  const target = players.find(p => p.id === spectatorCamera.targetId);
+  const targetInput = target ? replay.inputAt(target.id, tick) : null;
+
+  const gameState = useMemo<GameState>(() => ({
+    roomId: replay.header.roomId,
+    players,
+    entities: (snapshot?.entities.prop ?? []) as unknown as EntityState[],
+    propTypes: replay.header.propTypes,
+    timestamp: tick * tickInterval,
+    tick,
+    tickRate,
+    spectating: true,
+    level: replay.header.level,
+    round: replay.roundAt(tick),
+    physics: {
+      enabled: replay.header.physicsEnabled,
+      engine: replay.header.engine,
+      debugData: physicsVisible ? replay.physicsAt(tick) ?? undefined : undefined
+    }
+  }), [replay, snapshot, players, tick, tickRate, tickInterval, physicsVisible]);
+
+  // Joins, leaves and round phase changes; round events that only update mode state are left out
+  const timeline = useMemo(() => {
+    const entries: { tick: number; label: string }[] = [];
+    let phase = replay.header.round.phase;
+    for (const event of replay.events) {
+      if (event.type === 'join') entries.push({ tick: event.tick, label: `👤 ${event.name} joined` });
+      if (event.type === 'leave') entries.push({ tick: event.tick, label: `👋 ${event.name} left` });
+      if (event.type === 'round' && event.state.phase !== phase) {
+        phase = event.state.phase;
+        entries.push({ tick: event.tick, label: `🏁 Round ${event.state.round}: ${phase}` });
+      }
+    }
+    return entries;
+  }, [replay]);
+
+  const seek = (targetTick: number) => {
+    playheadRef.current = Math.max(replay.firstTick, Math.min(replay.lastTick, targetTick));
+  };
+
+  const togglePlaying = () => {
+    if (!playing && playheadRef.current >= replay.lastTick) {
+      seek(replay.firstTick);
+    }
+    setPlaying(!playing);
+  };
+
+  const panelStyle: React.CSSProperties = {
+    position: 'absolute',
+    zIndex: 100,
+    color: 'white',
+    fontFamily: 'Arial, sans-serif',
+    fontSize: '13px',
+    background: 'rgba(0,0,0,0.8)',
+    padding: '8px 12px',
+    borderRadius: '8px',
+    border: '1px solid #333'
+  };
+
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
+      <Canvas
+        gl={{ antialias: settings.graphics.antialias }}
+        dpr={[Math.min(1, settings.graphics.maxPixelRatio), settings.graphics.maxPixelRatio]}
+        shadows={settings.graphics.shadows}
+        camera={{ position: [10, 10, 10], fov: 75, near: 0.1, far: 1000 }}
+        style={{ background: 'linear-gradient(135deg, #0f172a 0%, #1e293b 100%)' }}
+      >
+        <Scene
+          gameState={gameState}
+          localPlayerId={null}
+          snapshotBuffer={snapshotBuffer}
+          physicsDebugVisible={physicsVisible}
+          spectatorCamera={{ mode: spectatorCamera.mode, targetId: spectatorCamera.targetId }}
+          bindings={settings.bindings}
+          cameraSettings={settings.camera}
+          graphics={settings.graphics}
+        />
+      </Canvas>
+
+      {/* Replay details and the followed player */}
+      <div style={{ ...panelStyle, top: 10, left: 10, maxWidth: '320px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <button style={buttonStyle} onClick={onClose}>← Replays</button>
+          <strong>🎞️ {title}</strong>
+        </div>
+        <div style={{ color: '#9ca3af', marginTop: '4px' }}>
+          {replay.header.level.name} · {replay.header.engine} · tick {tick}
+        </div>
+        <div style={{ marginTop: '8px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+          {spectatorCamera.mode === 'follow' ? (
+            <>
+              <button style={buttonStyle} onClick={() => spectatorCamera.cycleTarget(-1)}>◀</button>
+              <span>🎥 {target ? target.name : 'Nobody to follow'}</span>
+              <button style={buttonStyle} onClick={() => spectatorCamera.cycleTarget(1)}>▶</button>
+            </>
+          ) : (
+            <span>🕊️ Free camera</span>
+          )}
+          <button style={buttonStyle} onClick={spectatorCamera.toggleMode}>
+            {spectatorCamera.mode === 'follow' ? 'Free camera' : 'Follow'}
+          </button>
+        </div>
+        {spectatorCamera.mode === 'follow' && target && (
+          <div style={{ marginTop: '6px', color: '#d1d5db' }}>
+            <div>⌨️ {targetInput ? `${describeInput(targetInput.input)} (input #${targetInput.seq})` : 'No input yet'}</div>
+            <div>
+              📍 {target.position.x.toFixed(2)}, {target.position.y.toFixed(2)}, {target.position.z.toFixed(2)}
+              {target.connected ? '' : ' · ⏳ disconnected'}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Timeline of joins, leaves and round phases; click to jump there */}
+      <div style={{ ...panelStyle, top: 10, right: 10, width: '240px', maxHeight: '50vh', overflowY: 'auto' }}>
+        <strong>📜 Events</strong>
+        {timeline.length === 0 && <div style={{ color: '#6b7280', marginTop: '6px' }}>Nothing happened</div>}
+        {timeline.map((entry, i) => (
+          <div
+            key={i}
+            onClick={() => seek(entry.tick)}
+            style={{ marginTop: '4px', cursor: 'pointer', color: entry.tick <= tick ? 'white' : '#6b7280' }}
+          >
+            <span style={{ color: '#9ca3af' }}>{formatTime((entry.tick - replay.firstTick) / tickRate)}</span> {entry.label}
+          </div>
+        ))}
+      </div>
+
+      {/* Playback controls */}
+      <div style={{
+        ...panelStyle,
+        bottom: 10,
+        left: '50%',
+        transform: 'translateX(-50%)',
+        width: 'min(720px, 90vw)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+      }}>
+        <button style={buttonStyle} onClick={togglePlaying}>{playing ? '⏸️' : '▶️'}</button>
+        <input
+          type="range"
+          min={replay.firstTick}
+          max={replay.lastTick}
+          step={1}
+          value={tick}
+          onChange={(e) => seek(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <span style={{ fontVariantNumeric: 'tabular-nums' }}>
+          {formatTime((tick - replay.firstTick) / tickRate)} / {formatTime((replay.lastTick - replay.firstTick) / tickRate)}
+        </span>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          style={{ ...buttonStyle, padding: '2px 4px' }}
+        >
+          {SPEEDS.map(value => <option key={value} value={value}>{value}×</option>)}
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', color: replay.hasPhysics ? 'white' : '#6b7280' }}>
+          <input
+            type="checkbox"
+            checked={physicsVisible}
+            disabled={!replay.hasPhysics}
+            onChange={(e) => setPhysicsVisible(e.target.checked)}
+          />
+          Physics
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
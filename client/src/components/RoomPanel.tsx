@@ -0,0 +1,169 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import type { GameModeInfo, RoomInfo } from '../types/game';
+
+interface RoomResponse {
+  room?: RoomInfo;
+  error?: string;
+}
+
+interface RoomPanelProps {
+  currentRoomId: string | null;
+  spectating: boolean;
+  roomError: string | null;
+  listRooms: () => Promise<{ rooms: RoomInfo[]; modes: GameModeInfo[] }>;
+  joinRoom: (roomId: string) => Promise<RoomResponse>;
+  createRoom: (name: string, mode?: string) => Promise<RoomResponse>;
+  leaveRoom: () => Promise<RoomResponse>;
+}
+
+/**
+ * Room Panel Component
+ * Lists server rooms and lets the player create (picking a game mode), join or leave them
+ */
+const RoomPanel: React.FC<RoomPanelProps> = ({
+  currentRoomId,
+  spectating,
+  roomError,
+  listRooms,
+  joinRoom,
+  createRoom,
+  leaveRoom
+}) => {
+  const [rooms, setRooms] = useState<RoomInfo[]>([]);
+  const [modes, setModes] = useState<GameModeInfo[]>([]);
+  const [newRoomName, setNewRoomName] = useState('');
+  const [newRoomMode, setNewRoomMode] = useState('');
+
+  const refreshRooms = useCallback(() => {
+    listRooms()
+      .then(listing => {
+        setRooms(listing.rooms);
+        setModes(listing.modes);
+      })
+      .catch(() => setRooms([]));
+  }, [listRooms]);
+
+  // Refresh the listing whenever we move between rooms
+  useEffect(() => {
+    refreshRooms();
+  }, [refreshRooms, currentRoomId]);
+
+  const handleCreate = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!newRoomName.trim()) return;
+    const { error } = await createRoom(newRoomName.trim(), newRoomMode || undefined);
+    if (!error) {
+      setNewRoomName('');
+    }
+    refreshRooms();
+  };
+
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 10,
+      left: 10,
+      zIndex: 100,
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '13px',
+      background: 'rgba(0,0,0,0.8)',
+      padding: '15px',
+      borderRadius: '8px',
+      border: '1px solid #333',
+      minWidth: '220px'
+    }}>
+      <div style={{ marginBottom: '10px', display: 'flex', justifyContent: 'space-between' }}>
+        <strong>🏠 Rooms</strong>
+        <button style={buttonStyle} onClick={refreshRooms}>Refresh</button>
+      </div>
+
+      {/* Room Listing */}
+      {rooms.map((room) => (
+        <div key={room.id} style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '4px',
+          color: room.id === currentRoomId ? '#4ade80' : '#cbd5e1'
+        }}>
+          <span>
+            {room.name} ({room.playerCount}/{room.maxPlayers})
+            {room.spectatorCount > 0 && ` 👁️ ${room.spectatorCount}`}
+            {room.mode && (
+              <span style={{ color: '#6b7280' }}> · {modes.find(mode => mode.id === room.mode)?.name ?? room.mode}</span>
+            )}
+          </span>
+          {room.id === currentRoomId ? (
+            <button style={buttonStyle} onClick={() => leaveRoom().then(refreshRooms)}>Leave</button>
+          ) : (
+            <button
+              style={buttonStyle}
+              disabled={!spectating && room.playerCount >= room.maxPlayers}
+              onClick={() => joinRoom(room.id).then(refreshRooms)}
+            >
+              Join
+            </button>
+          )}
+        </div>
+      ))}
+
+      {/* Create Room */}
+      <form onSubmit={handleCreate} style={{
+        display: 'flex',
+        gap: '6px',
+        marginTop: '10px',
+        borderTop: '1px solid #374151',
+        paddingTop: '10px'
+      }}>
+        <input
+          value={newRoomName}
+          onChange={(e) => setNewRoomName(e.target.value)}
+          placeholder="New room name"
+          maxLength={32}
+          style={{
+            flex: 1,
+            background: '#1f2937',
+            color: 'white',
+            border: '1px solid #4b5563',
+            borderRadius: '4px',
+            padding: '2px 6px'
+          }}
+        />
+        <select
+          value={newRoomMode}
+          onChange={(e) => setNewRoomMode(e.target.value)}
+          style={{
+            background: '#1f2937',
+            color: 'white',
+            border: '1px solid #4b5563',
+            borderRadius: '4px',
+            fontSize: '12px'
+          }}
+        >
+          <option value="">Default mode</option>
+          {modes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+        </select>
+        <button type="submit" style={buttonStyle}>Create</button>
+      </form>
+
+      {roomError && (
+        <div style={{ marginTop: '8px', fontSize: '11px', color: '#ef4444' }}>
+          {roomError}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomPanel;
@@ -1,41 +1,76 @@
-import React from 'react';
-import { OrbitControls, Plane } from '@react-three/drei';
+import React, { useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import * as THREE from 'three';
 import PlayerCube from './PlayerCube';
+import NetworkedEntity from './NetworkedEntity';
+import LevelGeometry from './LevelGeometry';
 import PhysicsDebugRenderer from './PhysicsDebugRenderer';
-
-interface Player {
-  id: string;
-  position: { x: number; y: number; z: number };
-  velocity: { x: number; y: number; z: number };
-  color: string;
-  onGround?: boolean;
-}
-
-interface PhysicsDebugData {
-  enabled: boolean;
-  debugData: any[];
-}
-
-interface GameState {
-  players: Player[];
-  timestamp: number;
-  playerId?: string;
-  physics?: PhysicsDebugData;
-}
+import FreeFlyCamera from './FreeFlyCamera';
+import FollowCamera from './FollowCamera';
+import HillZone from './HillZone';
+import ImpactEffects from './ImpactEffects';
+import type { SnapshotBuffer } from '../network/SnapshotBuffer';
+import type { SpectatorCameraMode } from '../hooks/useSpectatorCamera';
+import type { CameraSettings, GraphicsSettings, KeyBindings } from '../settings/settings';
+import type { CameraMode, GameState, Impact, Vector3 } from '../types/game';
 
 interface SceneProps {
   gameState: GameState | null;
   localPlayerId: string | null;
+  localPlayerPositionRef?: React.RefObject<Vector3 | null>;
+  localPlayerFacingRef?: React.RefObject<number | null>;
+  snapshotBuffer?: SnapshotBuffer;
   physicsDebugVisible: boolean;
+  /** Camera for spectators; overrides cameraMode */
+  spectatorCamera?: { mode: SpectatorCameraMode; targetId: string | null };
+  /** Player camera: orbit around the local player or follow behind it */
+  cameraMode?: CameraMode;
+  /** Receives the camera's yaw every frame, for camera-relative movement */
+  cameraYawRef?: React.RefObject<number>;
+  bindings?: KeyBindings;
+  cameraSettings?: CameraSettings;
+  graphics?: GraphicsSettings;
+  /** Shoves, knockbacks and collisions to play effects for */
+  impacts?: Impact[];
 }
 
 /**
  * 3D Scene component - purely visual, no physics
- * Renders the game world, lighting, ground, and all players
+ * Renders the game world, lighting, level geometry, props and other networked entities, and all players
  */
-const Scene: React.FC<SceneProps> = ({ gameState, localPlayerId, physicsDebugVisible }) => {
-  // Find local player for camera targeting
-  const localPlayer = gameState?.players.find(p => p.id === localPlayerId);
+const Scene: React.FC<SceneProps> = ({
+  gameState,
+  localPlayerId,
+  localPlayerPositionRef,
+  localPlayerFacingRef,
+  snapshotBuffer,
+  physicsDebugVisible,
+  spectatorCamera,
+  cameraMode = 'orbit',
+  cameraYawRef,
+  bindings,
+  cameraSettings,
+  graphics,
+  impacts = []
+}) => {
+  const shadows = graphics?.shadows ?? true;
+  // Find the local player, or the player a spectator follows, for camera targeting
+  const cameraTargetId = spectatorCamera ? spectatorCamera.targetId : localPlayerId;
+  const cameraTarget = gameState?.players.find(p => p.id === cameraTargetId);
+
+  // Round roles shown on the players, and the hill zone in King of the Hill
+  const roundState = gameState?.round?.phase === 'active' ? gameState.round.state : undefined;
+  const hill = gameState?.round?.state.hill;
+  const holder = gameState?.players.find(p => p.id === roundState?.holder);
+
+  // Publish the camera's heading; yaw 0 looks down -Z like the server's facing
+  const cameraDirection = useMemo(() => new THREE.Vector3(), []);
+  useFrame(({ camera }) => {
+    if (!cameraYawRef) return;
+    camera.getWorldDirection(cameraDirection);
+    cameraYawRef.current = Math.atan2(-cameraDirection.x, -cameraDirection.z);
+  });
 
   return (
     <>
@@ -45,30 +80,15 @@ const Scene: React.FC<SceneProps> = ({ gameState, localPlayerId, physicsDebugVis
       <directionalLight 
         position={[5, 10, 5]} 
         intensity={0.8}
-        castShadow
+        castShadow={shadows}
         shadow-mapSize-width={2048}
         shadow-mapSize-height={2048}
       />
 
-      {/* Ground plane - visual only, physics handled on server */}
-      <Plane
-        args={[100, 100]}
-        rotation={[-Math.PI / 2, 0, 0]}
-        position={[0, -0.5, 0]}
-        receiveShadow
-      >
-        <meshStandardMaterial 
-          color="#2d3748" 
-          metalness={0.1}
-          roughness={0.9}
-        />
-      </Plane>
+      {/* Level geometry - same static bodies the server simulates */}
+      {gameState?.level && <LevelGeometry level={gameState.level} />}
 
-      {/* Grid helper for spatial reference */}
-      <gridHelper 
-        args={[100, 50, '#4a5568', '#2d3748']} 
-        position={[0, -0.49, 0]} 
-      />
+      {hill && <HillZone hill={hill} holderColor={holder?.color} contested={roundState?.contested} />}
 
       {/* Physics Debug Renderer */}
       <PhysicsDebugRenderer 
@@ -76,47 +96,55 @@ const Scene: React.FC<SceneProps> = ({ gameState, localPlayerId, physicsDebugVis
         visible={physicsDebugVisible}
       />
 
-      {/* Render all players based on server physics */}
+      {/* Props and other networked entities, each drawn by the component for its type */}
+      {gameState?.entities?.map((entity) => (
+        <NetworkedEntity
+          key={entity.id}
+          entity={entity}
+          propType={gameState.propTypes?.[entity.type]}
+          snapshotBuffer={snapshotBuffer}
+          castShadow={shadows}
+        />
+      ))}
+
+      {/* Players near ours (the server leaves out distant ones), based on server physics */}
       {gameState?.players.map((player) => (
         <PlayerCube
           key={player.id}
           player={player}
           isLocalPlayer={player.id === localPlayerId}
+          predictedPositionRef={player.id === localPlayerId ? localPlayerPositionRef : undefined}
+          predictedFacingRef={player.id === localPlayerId ? localPlayerFacingRef : undefined}
+          snapshotBuffer={snapshotBuffer}
+          castShadow={shadows}
+          marker={player.id === roundState?.it ? 'it' : player.id === roundState?.holder ? 'holder' : undefined}
         />
       ))}
 
-      {/* Camera controls */}
-      <OrbitControls
-        enablePan={true}
-        enableZoom={true}
-        enableRotate={true}
-        minDistance={5}
-        maxDistance={50}
-        target={localPlayer ? [
-          localPlayer.position.x,
-          localPlayer.position.y,
-          localPlayer.position.z
-        ] : [0, 0, 0]}
-        enableDamping={true}
-        dampingFactor={0.05}
-      />
+      <ImpactEffects impacts={impacts} />
 
-      {/* World boundaries visualization */}
-      <group>
-        {/* Boundary walls */}
-        {[-48, 48].map((x) => (
-          <mesh key={`wall-x-${x}`} position={[x, 5, 0]}>
-            <boxGeometry args={[1, 10, 100]} />
-            <meshStandardMaterial color="#1a202c" transparent opacity={0.3} />
-          </mesh>
-        ))}
-        {[-48, 48].map((z) => (
-          <mesh key={`wall-z-${z}`} position={[0, 5, z]}>
-            <boxGeometry args={[100, 10, 1]} />
-            <meshStandardMaterial color="#1a202c" transparent opacity={0.3} />
-          </mesh>
-        ))}
-      </group>
+      {/* Camera controls */}
+      {spectatorCamera?.mode === 'free' ? (
+        <FreeFlyCamera bindings={bindings} cameraSettings={cameraSettings} />
+      ) : !spectatorCamera && cameraMode === 'follow' ? (
+        <FollowCamera targetRef={localPlayerPositionRef} fallbackTarget={cameraTarget?.position} cameraSettings={cameraSettings} />
+      ) : (
+        <OrbitControls
+          enablePan={true}
+          enableZoom={true}
+          enableRotate={true}
+          minDistance={5}
+          maxDistance={50}
+          target={cameraTarget ? [
+            cameraTarget.position.x,
+            cameraTarget.position.y,
+            cameraTarget.position.z
+          ] : [0, 0, 0]}
+          enableDamping={true}
+          dampingFactor={0.05}
+          rotateSpeed={cameraSettings?.sensitivity ?? 1}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,237 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  INPUT_ACTIONS,
+  MAX_KEYS_PER_ACTION,
+  PIXEL_RATIO_RANGE,
+  SENSITIVITY_RANGE,
+  exportSettings,
+  formatKey,
+  getActionsForKey,
+  type InputAction,
+  type Settings
+} from '../settings/settings';
+
+interface SettingsPanelProps {
+  settings: Settings;
+  onUpdate: <K extends keyof Settings>(section: K, value: Settings[K]) => void;
+  onReset: () => void;
+  onImport: (json: string) => string | null;
+  onClose: () => void;
+}
+
+/**
+ * Settings Panel Component
+ * Rebinds keys and edits camera and graphics options. Click a key slot and press the new key
+ * (Escape cancels, Backspace clears). Changes apply and save immediately; settings can be
+ * exported to and imported from a JSON file.
+ */
+const SettingsPanel: React.FC<SettingsPanelProps> = ({ settings, onUpdate, onReset, onImport, onClose }) => {
+  const [listening, setListening] = useState<{ action: InputAction; slot: number } | null>(null);
+  const [importError, setImportError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const { bindings, camera, graphics } = settings;
+
+  // Capture the next key press for rebinding before the game's own key handlers see it
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (!listening) {
+        if (event.code === 'Escape') onClose();
+        return;
+      }
+      event.preventDefault();
+      event.stopImmediatePropagation();
+
+      const codes = [...bindings[listening.action]];
+      if (event.code === 'Backspace' || event.code === 'Delete') {
+        codes.splice(listening.slot, 1);
+      } else if (event.code !== 'Escape') {
+        codes[listening.slot] = event.code;
+      }
+      onUpdate('bindings', {
+        ...bindings,
+        [listening.action]: codes.filter((code, index) => code && codes.indexOf(code) === index)
+      });
+      setListening(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [listening, bindings, onUpdate, onClose]);
+
+  const handleExport = () => {
+    const blob = new Blob([exportSettings(settings)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'multiplayer-settings.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setImportError(onImport(await file.text()));
+  };
+
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '4px 10px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  const sectionStyle: React.CSSProperties = {
+    marginTop: '15px',
+    borderTop: '1px solid #374151',
+    paddingTop: '10px'
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      zIndex: 500,
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '13px',
+      background: 'rgba(0,0,0,0.9)',
+      padding: '20px',
+      borderRadius: '12px',
+      border: '1px solid #333',
+      width: '420px',
+      maxHeight: 'calc(100vh - 40px)',
+      overflowY: 'auto'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong style={{ fontSize: '16px' }}>⚙️ Settings</strong>
+        <button style={buttonStyle} onClick={onClose}>✕</button>
+      </div>
+
+      {/* Key Bindings */}
+      <div style={sectionStyle}>
+        <div style={{ marginBottom: '8px' }}><strong>⌨️ Key Bindings</strong></div>
+        {INPUT_ACTIONS.map(({ action, label }) => {
+          // Keys shared with other actions; some overlaps are intended (E is next player and fly up)
+          const conflicts = bindings[action]
+            .flatMap(code => getActionsForKey(bindings, code))
+            .filter(other => other !== action)
+            .map(other => INPUT_ACTIONS.find(entry => entry.action === other)?.label);
+
+          return (
+            <div key={action} style={{ marginBottom: '4px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <span style={{ flex: 1 }}>{label}</span>
+                {Array.from({ length: MAX_KEYS_PER_ACTION }, (_, slot) => {
+                  const active = listening?.action === action && listening.slot === slot;
+                  const code = bindings[action][slot];
+                  return (
+                    <button
+                      key={slot}
+                      style={{
+                        ...buttonStyle,
+                        width: '90px',
+                        background: active ? '#2563eb' : buttonStyle.background,
+                        color: code || active ? 'white' : '#6b7280'
+                      }}
+                      // A second slot can only be filled once the first one is
+                      disabled={slot > bindings[action].length}
+                      onClick={() => setListening(active ? null : { action, slot })}
+                    >
+                      {active ? 'Press a key…' : code ? formatKey(code) : '—'}
+                    </button>
+                  );
+                })}
+              </div>
+              {conflicts.length > 0 && (
+                <div style={{ color: '#fbbf24', fontSize: '11px' }}>
+                  Also used for: {[...new Set(conflicts)].join(', ')}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <div style={{ color: '#9ca3af', fontSize: '11px', marginTop: '6px' }}>
+          Escape cancels, Backspace clears a key
+        </div>
+      </div>
+
+      {/* Camera */}
+      <div style={sectionStyle}>
+        <div style={{ marginBottom: '8px' }}><strong>🎥 Camera</strong></div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+          <span style={{ flex: 1 }}>Mouse sensitivity</span>
+          <input
+            type="range"
+            min={SENSITIVITY_RANGE.min}
+            max={SENSITIVITY_RANGE.max}
+            step={0.1}
+            value={camera.sensitivity}
+            onChange={(e) => onUpdate('camera', { ...camera, sensitivity: Number(e.target.value) })}
+          />
+          <span style={{ width: '32px' }}>{camera.sensitivity.toFixed(1)}×</span>
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={camera.invertY}
+            onChange={(e) => onUpdate('camera', { ...camera, invertY: e.target.checked })}
+          />
+          Invert vertical look (follow and free-fly cameras)
+        </label>
+      </div>
+
+      {/* Graphics */}
+      <div style={sectionStyle}>
+        <div style={{ marginBottom: '8px' }}><strong>🖥️ Graphics</strong></div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', marginBottom: '6px' }}>
+          <input
+            type="checkbox"
+            checked={graphics.shadows}
+            onChange={(e) => onUpdate('graphics', { ...graphics, shadows: e.target.checked })}
+          />
+          Shadows
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', marginBottom: '6px' }}>
+          <input
+            type="checkbox"
+            checked={graphics.antialias}
+            onChange={(e) => onUpdate('graphics', { ...graphics, antialias: e.target.checked })}
+          />
+          Antialiasing (recreates the renderer)
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={{ flex: 1 }}>Max pixel ratio</span>
+          <input
+            type="range"
+            min={PIXEL_RATIO_RANGE.min}
+            max={PIXEL_RATIO_RANGE.max}
+            step={0.25}
+            value={graphics.maxPixelRatio}
+            onChange={(e) => onUpdate('graphics', { ...graphics, maxPixelRatio: Number(e.target.value) })}
+          />
+          <span style={{ width: '32px' }}>{graphics.maxPixelRatio}</span>
+        </label>
+      </div>
+
+      {/* Import / Export */}
+      <div style={{ ...sectionStyle, display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <button style={buttonStyle} onClick={handleExport}>📤 Export JSON</button>
+        <button style={buttonStyle} onClick={() => fileInputRef.current?.click()}>📥 Import JSON</button>
+        <button style={buttonStyle} onClick={() => { onReset(); setImportError(null); }}>↺ Reset to defaults</button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+      {importError && (
+        <div style={{ color: '#f87171', fontSize: '12px', marginTop: '6px' }}>❌ {importError}</div>
+      )}
+    </div>
+  );
+};
+
+export default SettingsPanel;
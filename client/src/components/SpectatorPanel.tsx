@@ -0,0 +1,85 @@
+import React from 'react';
+import type { SpectatorCameraMode } from '../hooks/useSpectatorCamera';
+import type { Player } from '../types/game';
+
+interface SpectatorPanelProps {
+  spectating: boolean;
+  mode: SpectatorCameraMode;
+  target: Player | undefined;
+  playerCount: number;
+  onCycleTarget: (direction: 1 | -1) => void;
+  onToggleMode: () => void;
+  onSetSpectating: (enabled: boolean) => void;
+}
+
+/**
+ * Spectator Panel Component
+ * Switches between playing and spectating; while spectating, picks the followed player
+ * or the free-fly camera
+ */
+const SpectatorPanel: React.FC<SpectatorPanelProps> = ({
+  spectating,
+  mode,
+  target,
+  playerCount,
+  onCycleTarget,
+  onToggleMode,
+  onSetSpectating
+}) => {
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 10,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 100,
+      color: 'white',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '13px',
+      background: 'rgba(0,0,0,0.8)',
+      padding: '8px 12px',
+      borderRadius: '8px',
+      border: '1px solid #333',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px'
+    }}>
+      {spectating ? (
+        <>
+          <strong>👁️ Spectating</strong>
+          {mode === 'follow' ? (
+            <>
+              <button style={buttonStyle} disabled={playerCount < 2} onClick={() => onCycleTarget(-1)}>◀ Q</button>
+              <span style={{ minWidth: '90px', textAlign: 'center', color: target?.color }}>
+                {target ? target.name || target.id.slice(0, 6) : 'No players'}
+              </span>
+              <button style={buttonStyle} disabled={playerCount < 2} onClick={() => onCycleTarget(1)}>E ▶</button>
+            </>
+          ) : (
+            <span style={{ color: '#9ca3af' }}>Free camera (WASD, E/Q, drag to look)</span>
+          )}
+          <button style={buttonStyle} onClick={onToggleMode}>
+            {mode === 'follow' ? 'Free camera (F)' : 'Follow (F)'}
+          </button>
+          <button style={{ ...buttonStyle, background: '#2563eb' }} onClick={() => onSetSpectating(false)}>
+            Play
+          </button>
+        </>
+      ) : (
+        <button style={buttonStyle} onClick={() => onSetSpectating(true)}>👁️ Spectate</button>
+      )}
+    </div>
+  );
+};
+
+export default SpectatorPanel;
@@ -0,0 +1,162 @@
+import React, { useRef, useState } from 'react';
+import type { TouchInput } from '../hooks/useInput';
+
+interface TouchControlsProps {
+  onChange: (input: Partial<TouchInput>) => void;
+}
+
+const JOYSTICK_RADIUS = 60; // px, the knob can travel this far from the center
+const KNOB_SIZE = 56;
+
+/**
+ * Touch Controls Component
+ * On-screen virtual joystick (bottom left) and jump and shove buttons (bottom right) for touch devices.
+ * The joystick reports an analog move vector: pushing up moves forward (-Z).
+ */
+const TouchControls: React.FC<TouchControlsProps> = ({ onChange }) => {
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+  const [jumping, setJumping] = useState(false);
+  const [shoving, setShoving] = useState(false);
+  const baseRef = useRef<HTMLDivElement>(null);
+  const pointerIdRef = useRef<number | null>(null);
+
+  const moveKnob = (event: React.PointerEvent) => {
+    const base = baseRef.current;
+    if (!base) return;
+    const rect = base.getBoundingClientRect();
+    let x = event.clientX - (rect.left + rect.width / 2);
+    let y = event.clientY - (rect.top + rect.height / 2);
+    const distance = Math.hypot(x, y);
+    if (distance > JOYSTICK_RADIUS) {
+      x = (x / distance) * JOYSTICK_RADIUS;
+      y = (y / distance) * JOYSTICK_RADIUS;
+    }
+    setKnob({ x, y });
+    onChange({ moveX: x / JOYSTICK_RADIUS, moveZ: y / JOYSTICK_RADIUS });
+  };
+
+  const handleStickDown = (event: React.PointerEvent<HTMLDivElement>) => {
+    if (pointerIdRef.current !== null) return;
+    pointerIdRef.current = event.pointerId;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    moveKnob(event);
+  };
+
+  const handleStickMove = (event: React.PointerEvent<HTMLDivElement>) => {
+    if (event.pointerId === pointerIdRef.current) {
+      moveKnob(event);
+    }
+  };
+
+  const handleStickUp = (event: React.PointerEvent<HTMLDivElement>) => {
+    if (event.pointerId !== pointerIdRef.current) return;
+    pointerIdRef.current = null;
+    setKnob({ x: 0, y: 0 });
+    onChange({ moveX: 0, moveZ: 0 });
+  };
+
+  const setJump = (pressed: boolean) => {
+    setJumping(pressed);
+    onChange({ jump: pressed });
+  };
+
+  const setShove = (pressed: boolean) => {
+    setShoving(pressed);
+    onChange({ shove: pressed });
+  };
+
+  return (
+    <>
+      {/* Virtual Joystick */}
+      <div
+        ref={baseRef}
+        onPointerDown={handleStickDown}
+        onPointerMove={handleStickMove}
+        onPointerUp={handleStickUp}
+        onPointerCancel={handleStickUp}
+        style={{
+          position: 'absolute',
+          left: 30,
+          bottom: '30%',
+          width: JOYSTICK_RADIUS * 2,
+          height: JOYSTICK_RADIUS * 2,
+          borderRadius: '50%',
+          background: 'rgba(255,255,255,0.1)',
+          border: '2px solid rgba(255,255,255,0.3)',
+          touchAction: 'none',
+          userSelect: 'none',
+          zIndex: 100
+        }}
+      >
+        <div style={{
+          position: 'absolute',
+          left: JOYSTICK_RADIUS - KNOB_SIZE / 2 + knob.x,
+          top: JOYSTICK_RADIUS - KNOB_SIZE / 2 + knob.y,
+          width: KNOB_SIZE,
+          height: KNOB_SIZE,
+          borderRadius: '50%',
+          background: 'rgba(255,255,255,0.4)',
+          pointerEvents: 'none'
+        }} />
+      </div>
+
+      {/* Jump Button */}
+      <div
+        onPointerDown={() => setJump(true)}
+        onPointerUp={() => setJump(false)}
+        onPointerCancel={() => setJump(false)}
+        onPointerLeave={() => setJump(false)}
+        style={{
+          position: 'absolute',
+          right: 30,
+          bottom: '30%',
+          width: 80,
+          height: 80,
+          borderRadius: '50%',
+          background: jumping ? 'rgba(59,130,246,0.7)' : 'rgba(255,255,255,0.15)',
+          border: '2px solid rgba(255,255,255,0.3)',
+          color: 'white',
+          fontSize: '32px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          touchAction: 'none',
+          userSelect: 'none',
+          zIndex: 100
+        }}
+      >
+        ⤒
+      </div>
+
+      {/* Shove Button, above the jump button */}
+      <div
+        onPointerDown={() => setShove(true)}
+        onPointerUp={() => setShove(false)}
+        onPointerCancel={() => setShove(false)}
+        onPointerLeave={() => setShove(false)}
+        style={{
+          position: 'absolute',
+          right: 40,
+          bottom: 'calc(30% + 100px)',
+          width: 60,
+          height: 60,
+          borderRadius: '50%',
+          background: shoving ? 'rgba(239,68,68,0.7)' : 'rgba(255,255,255,0.15)',
+          border: '2px solid rgba(255,255,255,0.3)',
+          color: 'white',
+          fontSize: '26px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          touchAction: 'none',
+          userSelect: 'none',
+          zIndex: 100
+        }}
+      >
+        ✋
+      </div>
+    </>
+  );
+};
+
+export default TouchControls;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import type { TuningRequest, TuningSection, TuningState, TuningValues } from '../types/game';
+
+interface TuningPanelProps {
+  tuning: TuningState;
+  onSetMovementConfig: (request: TuningRequest) => Promise<{ error?: string }>;
+}
+
+const SECTIONS: TuningSection[] = ['movement', 'physics'];
+
+/**
+ * Tuning Panel Component
+ * Shows the server's movement and physics values and lets an admin switch presets or edit
+ * values live. Changes are pushed to every client by the server, including this one.
+ */
+const TuningPanel: React.FC<TuningPanelProps> = ({ tuning, onSetMovementConfig }) => {
+  const [adminToken, setAdminToken] = useState('');
+  // Edited but not yet applied values, keyed by "section.key"
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [status, setStatus] = useState<{ error?: string; message?: string } | null>(null);
+
+  const send = async (request: Omit<TuningRequest, 'adminToken'>, message: string) => {
+    const { error } = await onSetMovementConfig({ ...request, adminToken });
+    setStatus(error ? { error } : { message });
+    if (!error) {
+      setDrafts({});
+    }
+  };
+
+  const handleApply = (event: React.FormEvent) => {
+    event.preventDefault();
+    const values: Partial<TuningValues> = {};
+    for (const [path, text] of Object.entries(drafts)) {
+      const [section, key] = path.split('.') as [TuningSection, string];
+      values[section] = { ...values[section], [key]: Number(text) };
+    }
+    if (Object.keys(values).length === 0) return;
+    send({ values }, 'Applied');
+  };
+
+  const inputStyle: React.CSSProperties = {
+    background: '#1f2937',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '1px 4px',
+    fontSize: '11px'
+  };
+
+  const buttonStyle: React.CSSProperties = {
+    background: '#374151',
+    color: 'white',
+    border: '1px solid #4b5563',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    cursor: 'pointer',
+    fontSize: '11px'
+  };
+
+  return (
+    <form onSubmit={handleApply} style={{ fontSize: '11px', color: '#cbd5e1' }}>
+      {/* Preset */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px' }}>
+        <span>Preset:</span>
+        <select
+          value={tuning.preset ?? ''}
+          onChange={(e) => send({ preset: e.target.value }, `Loaded ${e.target.value}`)}
+          style={inputStyle}
+        >
+          {tuning.presets.map((preset) => (
+            <option key={preset} value={preset}>{preset}</option>
+          ))}
+        </select>
+        {tuning.overridden && <span style={{ color: '#fbbf24' }}>(modified)</span>}
+      </div>
+
+      {/* Values */}
+      {SECTIONS.map((section) => (
+        <div key={section} style={{ marginBottom: '6px' }}>
+          <div style={{ color: '#9ca3af', textTransform: 'capitalize', marginBottom: '2px' }}>{section}</div>
+          {Object.entries(tuning.schema[section]).map(([key, field]) => {
+            const path = `${section}.${key}`;
+            const edited = path in drafts;
+            return (
+              <label
+                key={path}
+                title={field.description}
+                style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2px' }}
+              >
+                <span style={{ color: edited ? '#fbbf24' : undefined }}>{key}</span>
+                <input
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={edited ? drafts[path] : tuning.values[section][key]}
+                  onChange={(e) => setDrafts(prev => ({ ...prev, [path]: e.target.value }))}
+                  style={{ ...inputStyle, width: '64px' }}
+                />
+              </label>
+            );
+          })}
+        </div>
+      ))}
+
+      {/* Admin */}
+      <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+        <input
+          type="password"
+          value={adminToken}
+          onChange={(e) => setAdminToken(e.target.value)}
+          placeholder="Admin token"
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+        />
+        <button type="submit" style={buttonStyle} disabled={Object.keys(drafts).length === 0}>Apply</button>
+        <button type="button" style={buttonStyle} onClick={() => setDrafts({})}>Reset</button>
+      </div>
+
+      {status && (
+        <div style={{ marginTop: '6px', color: status.error ? '#ef4444' : '#4ade80' }}>
+          {status.error || status.message}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default TuningPanel;
@@ -1,24 +1,95 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { getInputControls } from '../hooks/useInput';
+import type { KeyBindings } from '../settings/settings';
+import type { Player, RoundState } from '../types/game';
 
 interface ConnectionStatus {
   status: 'connecting' | 'connected' | 'disconnected';
   ping: number;
   playerId: string | null;
   playerCount: number;
+  roomId: string | null;
 }
 
 interface UIOverlayProps {
   connectionStats: ConnectionStatus;
+  bindings?: KeyBindings;
+  onOpenSettings?: () => void;
+  round?: RoundState;
+  players?: Player[];
+  /** Estimated server time, for the round timer */
+  serverNow?: () => number;
 }
 
+const REASONS: Record<string, string> = {
+  time: 'Time is up',
+  objective: 'Score limit reached',
+  players: 'Not enough players left'
+};
+
+const formatTime = (ms: number) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
 /**
  * UI Overlay component for displaying game information
- * Shows connection status, player count, ping, controls, and game info
+ * Shows connection status, player count, ping, shove readiness, the round (mode, timer, scoreboard and results),
+ * controls (with the current key bindings), and game info
  */
-const UIOverlay: React.FC<UIOverlayProps> = ({ connectionStats }) => {
-  const { status, ping, playerId, playerCount } = connectionStats;
-  const inputControls = getInputControls();
+const UIOverlay: React.FC<UIOverlayProps> = ({ connectionStats, bindings, onOpenSettings, round, players = [], serverNow = Date.now }) => {
+  const { status, ping, playerId, playerCount, roomId } = connectionStats;
+  const inputControls = getInputControls(bindings);
+
+  // Re-render a few times a second while a phase timer is running
+  const [, setTimerTick] = useState(0);
+  const endsAt = round?.endsAt;
+  useEffect(() => {
+    if (!endsAt) return;
+    const interval = setInterval(() => setTimerTick(tick => tick + 1), 250);
+    return () => clearInterval(interval);
+  }, [endsAt]);
+  const remaining = endsAt ? endsAt - serverNow() : 0;
+
+  const localPlayer = players.find(player => player.id === playerId);
+  const staggered = (localPlayer?.stagger ?? 0) > 0;
+  const shoveCooldown = localPlayer?.shoveCooldown ?? 0;
+
+  const nameOf = (id: string | null | undefined) => {
+    if (id === playerId) return 'You';
+    return players.find(player => player.id === id)?.name ?? 'Someone';
+  };
+
+  const getPhaseText = () => {
+    if (!round) return null;
+    switch (round.phase) {
+      case 'waiting': {
+        const connected = players.filter(player => player.connected !== false).length;
+        return `⏳ Waiting for players (${connected}/${round.minPlayers})`;
+      }
+      case 'countdown': return `🚦 Starting in ${Math.max(1, Math.ceil(remaining / 1000))}...`;
+      case 'active': return `⏱️ ${formatTime(remaining)}`;
+      case 'results': return `🔁 Next round in ${Math.max(1, Math.ceil(remaining / 1000))}s`;
+    }
+  };
+
+  const getObjectiveText = () => {
+    if (!round || round.phase !== 'active') return null;
+    const { it, hill, holder, contested, scoreToWin } = round.state;
+    if (it !== undefined) {
+      return it === playerId ? '🔴 You are it! Tag someone' : `🔴 ${nameOf(it)} is it`;
+    }
+    if (hill) {
+      const hillText = contested ? '⚔️ Hill contested' : holder ? `👑 ${nameOf(holder)} ${holder === playerId ? 'hold' : 'holds'} the hill` : '⛰️ Hill is free';
+      return `${hillText} · first to ${scoreToWin}`;
+    }
+    return null;
+  };
+
+  // Live scores while playing; final scores once the round is over
+  const scoreboard = round?.phase === 'results' && round.results
+    ? round.results.scores
+    : [...players].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)).map(player => ({ ...player, score: player.score ?? 0 }));
 
   const getStatusColor = () => {
     switch (status) {
@@ -67,13 +138,58 @@ const UIOverlay: React.FC<UIOverlayProps> = ({ connectionStats }) => {
 
       {/* Game Stats */}
       <div style={{ marginBottom: '8px' }}>
+        <div>🏠 <strong>Room:</strong> {roomId || 'None'}</div>
         <div>👥 <strong>Players:</strong> {playerCount}</div>
         <div>🆔 <strong>Your ID:</strong> {playerId?.slice(0, 8) || 'N/A'}</div>
         {status === 'connected' && (
           <div>📡 <strong>Ping:</strong> {ping}ms</div>
         )}
+        {localPlayer && (
+          <div style={{ color: staggered ? '#f97316' : undefined }}>
+            ✋ <strong>Shove:</strong> {staggered ? 'staggered!' : shoveCooldown > 0 ? `${shoveCooldown.toFixed(1)}s` : 'ready'}
+          </div>
+        )}
       </div>
 
+      {/* Round: mode, timer, objective, scoreboard and results */}
+      {round && (
+        <div style={{
+          marginBottom: '8px',
+          borderTop: '1px solid #374151',
+          paddingTop: '8px'
+        }}>
+          <div><strong>🏁 {round.modeName}</strong>{round.round > 0 && ` · Round ${round.round}`}</div>
+          <div style={{ fontSize: '16px', margin: '4px 0' }}>{getPhaseText()}</div>
+          {getObjectiveText() && <div style={{ fontSize: '12px', color: '#fbbf24' }}>{getObjectiveText()}</div>}
+
+          {round.phase === 'results' && round.results && (
+            <div style={{ margin: '6px 0', fontSize: '13px' }}>
+              <div style={{ color: '#4ade80' }}>
+                🏆 {round.results.winners.length > 0
+                  ? `Winner: ${round.results.winners.map(nameOf).join(', ')}`
+                  : 'No winner'}
+              </div>
+              <div style={{ fontSize: '11px', color: '#9ca3af' }}>{REASONS[round.results.reason]}</div>
+            </div>
+          )}
+
+          <div style={{ fontSize: '12px', marginTop: '4px' }}>
+            {scoreboard.slice(0, 8).map((entry, index) => (
+              <div key={entry.id} style={{
+                display: 'flex',
+                gap: '6px',
+                fontWeight: entry.id === playerId ? 'bold' : 'normal'
+              }}>
+                <span style={{ color: '#6b7280', width: '14px' }}>{index + 1}.</span>
+                <span style={{ color: entry.color }}>■</span>
+                <span style={{ flex: 1 }}>{entry.name}</span>
+                <span>{entry.score}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Controls */}
       <div style={{ 
         marginTop: '15px', 
@@ -90,6 +206,23 @@ const UIOverlay: React.FC<UIOverlayProps> = ({ connectionStats }) => {
             <span style={{ color: '#9ca3af' }}>{control.key}</span> - {control.action}
           </div>
         ))}
+        {onOpenSettings && (
+          <button
+            onClick={onOpenSettings}
+            style={{
+              marginTop: '8px',
+              background: '#374151',
+              color: 'white',
+              border: '1px solid #4b5563',
+              borderRadius: '4px',
+              padding: '4px 10px',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            ⚙️ Settings
+          </button>
+        )}
       </div>
 
       {/* Technical Info */}
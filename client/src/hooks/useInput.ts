@@ -1,151 +1,300 @@
-import { useEffect, useRef } from 'react';
-
-interface InputState {
-  left: boolean;
-  right: boolean;
-  forward: boolean;
-  backward: boolean;
-  jump: boolean;
-}
+import { useCallback, useEffect, useRef } from 'react';
+import { DEFAULT_SETTINGS, formatBinding, formatKey, getActionsForKey, type InputAction, type KeyBindings } from '../settings/settings';
+import type { InputState } from '../types/game';
 
 interface UseInputProps {
   onInputChange: (input: InputState) => void;
   onTogglePhysicsDebug?: () => void;
+  onToggleCamera?: () => void;
+  /** Key bindings, defaults to DEFAULT_SETTINGS.bindings */
+  bindings?: KeyBindings;
+}
+
+/**
+ * Input from the on-screen joystick and jump button
+ */
+export interface TouchInput {
+  moveX: number;
+  moveZ: number;
+  jump: boolean;
+  shove: boolean;
 }
 
+type HeldAction = 'left' | 'right' | 'forward' | 'backward' | 'jump' | 'shove';
+type KeyboardInput = Record<HeldAction, boolean>;
+
+// Actions that stay active while their key is held, as opposed to one-shot toggles
+const isHeldAction = (action: InputAction): action is HeldAction =>
+  action === 'left' || action === 'right' || action === 'forward' || action === 'backward' || action === 'jump' ||
+  action === 'shove';
+
+// Stick deflection below this is treated as zero (worn sticks rarely rest at exactly 0)
+const GAMEPAD_DEADZONE = 0.15;
+
+// Standard-mapping button indices for each action
+const GAMEPAD_BUTTONS = {
+  jump: [0], // A / Cross
+  shove: [2], // X / Square
+  forward: [12], // D-pad
+  backward: [13],
+  left: [14],
+  right: [15],
+  togglePhysicsDebug: [8], // Back / Select
+  toggleCamera: [3] // Y / Triangle
+};
+
+// Analog values are rounded so stick noise doesn't turn into a stream of input changes
+const ANALOG_PRECISION = 100;
+
+const IDLE_KEYS: KeyboardInput = { left: false, right: false, forward: false, backward: false, jump: false, shove: false };
+const IDLE_TOUCH: TouchInput = { moveX: 0, moveZ: 0, jump: false, shove: false };
+const IDLE_GAMEPAD = { ...IDLE_KEYS, moveX: 0, moveZ: 0 };
+
 /**
- * Custom hook for handling keyboard input
- * Manages WASD movement and space bar jumping
+ * Check whether a keyboard event originated from a text field
  */
-export const useInput = ({ onInputChange, onTogglePhysicsDebug }: UseInputProps) => {
-  const inputRef = useRef<InputState>({
-    left: false,
-    right: false,
-    forward: false,
-    backward: false,
-    jump: false
-  });
+export const isTextEntryTarget = (target: EventTarget | null) => {
+  return target instanceof HTMLInputElement ||
+    target instanceof HTMLTextAreaElement ||
+    (target instanceof HTMLElement && target.isContentEditable);
+};
+
+/**
+ * Apply a radial deadzone to a stick and rescale the rest to the full 0..1 range
+ */
+const applyDeadzone = (x: number, y: number) => {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude < GAMEPAD_DEADZONE) {
+    return { x: 0, y: 0 };
+  }
+  const scale = Math.min(1, (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE)) / magnitude;
+  return { x: x * scale, y: y * scale };
+};
+
+const isPressed = (gamepad: Gamepad, buttons: number[]) =>
+  buttons.some(index => gamepad.buttons[index]?.pressed);
+
+const quantize = (value: number) => Math.round(value * ANALOG_PRECISION) / ANALOG_PRECISION;
+
+const sameInput = (a: InputState, b: InputState) =>
+  a.left === b.left && a.right === b.right && a.forward === b.forward &&
+  a.backward === b.backward && a.jump === b.jump && a.shove === b.shove && a.moveX === b.moveX && a.moveZ === b.moveZ;
 
+/**
+ * Custom hook for handling player input
+ * Merges the keyboard (rebindable, WASD and space by default), the first connected gamepad and the on-screen touch
+ * controls into one InputState. Analog sources add a moveX/moveZ vector; keyboard-only
+ * input keeps sending the four direction booleans.
+ */
+export const useInput = ({ onInputChange, onTogglePhysicsDebug, onToggleCamera, bindings = DEFAULT_SETTINGS.bindings }: UseInputProps) => {
+  const keysRef = useRef<KeyboardInput>({ ...IDLE_KEYS });
+  const gamepadRef = useRef({ ...IDLE_GAMEPAD });
+  const touchRef = useRef<TouchInput>({ ...IDLE_TOUCH });
+  const lastInputRef = useRef<InputState>({ ...IDLE_KEYS });
+
+  // Latest callbacks, so the listeners and the gamepad loop don't restart when they change
+  const onInputChangeRef = useRef(onInputChange);
+  const onTogglePhysicsDebugRef = useRef(onTogglePhysicsDebug);
+  const onToggleCameraRef = useRef(onToggleCamera);
+  const bindingsRef = useRef(bindings);
+  useEffect(() => {
+    onInputChangeRef.current = onInputChange;
+    onTogglePhysicsDebugRef.current = onTogglePhysicsDebug;
+    onToggleCameraRef.current = onToggleCamera;
+    bindingsRef.current = bindings;
+  }, [onInputChange, onTogglePhysicsDebug, onToggleCamera, bindings]);
+
+  // Combine all sources and report the result if it changed
+  const emitInput = useCallback(() => {
+    const keys = keysRef.current;
+    const pad = gamepadRef.current;
+    const touch = touchRef.current;
+
+    const input: InputState = {
+      left: keys.left || pad.left,
+      right: keys.right || pad.right,
+      forward: keys.forward || pad.forward,
+      backward: keys.backward || pad.backward,
+      jump: keys.jump || pad.jump || touch.jump,
+      shove: keys.shove || pad.shove || touch.shove
+    };
+
+    const analogX = pad.moveX + touch.moveX;
+    const analogZ = pad.moveZ + touch.moveZ;
+    if (analogX !== 0 || analogZ !== 0) {
+      // Digital directions still count while a stick is held, e.g. keyboard plus touch
+      const digitalX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+      const digitalZ = (input.backward ? 1 : 0) - (input.forward ? 1 : 0);
+      let moveX = analogX + digitalX;
+      let moveZ = analogZ + digitalZ;
+      const length = Math.hypot(moveX, moveZ);
+      if (length > 1) {
+        moveX /= length;
+        moveZ /= length;
+      }
+      input.moveX = quantize(moveX);
+      input.moveZ = quantize(moveZ);
+    }
+
+    if (!sameInput(input, lastInputRef.current)) {
+      lastInputRef.current = input;
+      onInputChangeRef.current({ ...input });
+    }
+  }, []);
+
+  // Keyboard: keys are looked up in the user's bindings (see settings/settings.ts)
   useEffect(() => {
     const handleKeyDown = (event: KeyboardEvent) => {
-      let inputChanged = false;
+      // Don't steer the player while typing into a form field
+      if (isTextEntryTarget(event.target)) return;
 
-      switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-          if (!inputRef.current.forward) {
-            inputRef.current.forward = true;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyS':
-        case 'ArrowDown':
-          if (!inputRef.current.backward) {
-            inputRef.current.backward = true;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyA':
-        case 'ArrowLeft':
-          if (!inputRef.current.left) {
-            inputRef.current.left = true;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyD':
-        case 'ArrowRight':
-          if (!inputRef.current.right) {
-            inputRef.current.right = true;
-            inputChanged = true;
-          }
-          break;
-        case 'Space':
-          event.preventDefault(); // Prevent page scroll
-          if (!inputRef.current.jump) {
-            inputRef.current.jump = true;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyP':
-          // Toggle physics debug
-          if (onTogglePhysicsDebug) {
-            onTogglePhysicsDebug();
-          }
-          break;
+      const actions = getActionsForKey(bindingsRef.current, event.code);
+      let inputChanged = false;
+      for (const action of actions) {
+        if (isHeldAction(action)) {
+          keysRef.current[action] = true;
+          inputChanged = true;
+        } else if (action === 'togglePhysicsDebug' && !event.repeat) {
+          onTogglePhysicsDebugRef.current?.();
+        } else if (action === 'toggleCamera' && !event.repeat) {
+          onToggleCameraRef.current?.();
+        }
       }
 
+      if (actions.includes('jump')) {
+        event.preventDefault(); // Prevent page scroll when jump is on Space
+      }
       if (inputChanged) {
-        onInputChange({ ...inputRef.current });
+        emitInput();
       }
     };
 
     const handleKeyUp = (event: KeyboardEvent) => {
       let inputChanged = false;
-
-      switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-          if (inputRef.current.forward) {
-            inputRef.current.forward = false;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyS':
-        case 'ArrowDown':
-          if (inputRef.current.backward) {
-            inputRef.current.backward = false;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyA':
-        case 'ArrowLeft':
-          if (inputRef.current.left) {
-            inputRef.current.left = false;
-            inputChanged = true;
-          }
-          break;
-        case 'KeyD':
-        case 'ArrowRight':
-          if (inputRef.current.right) {
-            inputRef.current.right = false;
-            inputChanged = true;
-          }
-          break;
-        case 'Space':
-          if (inputRef.current.jump) {
-            inputRef.current.jump = false;
-            inputChanged = true;
-          }
-          break;
+      for (const action of getActionsForKey(bindingsRef.current, event.code)) {
+        if (isHeldAction(action)) {
+          keysRef.current[action] = false;
+          inputChanged = true;
+        }
       }
 
       if (inputChanged) {
-        onInputChange({ ...inputRef.current });
+        emitInput();
       }
     };
 
+    // Focusing a text field (e.g. chat) swallows the key-ups of held keys, so release them now
+    const handleFocusIn = (event: FocusEvent) => {
+      if (!isTextEntryTarget(event.target)) return;
+      keysRef.current = { ...IDLE_KEYS };
+      emitInput();
+    };
+
     // Add event listeners
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('focusin', handleFocusIn);
 
     // Cleanup
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('focusin', handleFocusIn);
     };
-  }, [onInputChange]);
+  }, [emitInput]);
+
+  // Gamepad: the Gamepad API has no input events, so poll the first connected pad every frame
+  useEffect(() => {
+    if (typeof navigator.getGamepads !== 'function') return;
 
-  return inputRef.current;
+    let frameId = 0;
+    let debugTogglePressed = false;
+    let cameraTogglePressed = false;
+
+    const poll = () => {
+      frameId = requestAnimationFrame(poll);
+
+      const gamepad = navigator.getGamepads().find(pad => pad?.connected);
+      if (!gamepad || isTextEntryTarget(document.activeElement)) {
+        if (Object.values(gamepadRef.current).some(Boolean)) {
+          gamepadRef.current = { ...IDLE_GAMEPAD };
+          emitInput();
+        }
+        return;
+      }
+
+      // Left stick: axis 0 is left/right, axis 1 is up/down (down is positive, like +Z)
+      const stick = applyDeadzone(gamepad.axes[0] ?? 0, gamepad.axes[1] ?? 0);
+      gamepadRef.current = {
+        moveX: stick.x,
+        moveZ: stick.y,
+        jump: isPressed(gamepad, GAMEPAD_BUTTONS.jump),
+        shove: isPressed(gamepad, GAMEPAD_BUTTONS.shove),
+        forward: isPressed(gamepad, GAMEPAD_BUTTONS.forward),
+        backward: isPressed(gamepad, GAMEPAD_BUTTONS.backward),
+        left: isPressed(gamepad, GAMEPAD_BUTTONS.left),
+        right: isPressed(gamepad, GAMEPAD_BUTTONS.right)
+      };
+
+      // Toggle on press, not while held
+      const togglePressed = isPressed(gamepad, GAMEPAD_BUTTONS.togglePhysicsDebug);
+      if (togglePressed && !debugTogglePressed) {
+        onTogglePhysicsDebugRef.current?.();
+      }
+      debugTogglePressed = togglePressed;
+      const cameraPressed = isPressed(gamepad, GAMEPAD_BUTTONS.toggleCamera);
+      if (cameraPressed && !cameraTogglePressed) {
+        onToggleCameraRef.current?.();
+      }
+      cameraTogglePressed = cameraPressed;
+
+      emitInput();
+    };
+
+    frameId = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frameId);
+  }, [emitInput]);
+
+  // Touch: fed by the on-screen controls, which only report the parts that changed
+  const setTouchInput = useCallback((touch: Partial<TouchInput>) => {
+    touchRef.current = { ...touchRef.current, ...touch };
+    emitInput();
+  }, [emitInput]);
+
+  return { setTouchInput };
 };
 
 /**
  * Get input control descriptions for UI display
+ * @param bindings - Current key bindings, so the list shows the keys actually in use
  */
-export const getInputControls = () => {
+export const getInputControls = (bindings: KeyBindings = DEFAULT_SETTINGS.bindings) => {
   return [
-    { key: 'WASD / Arrow Keys', action: 'Move' },
-    { key: 'SPACE', action: 'Jump' },
-    { key: 'Mouse', action: 'Rotate camera' },
+    { key: formatMoveKeys(bindings), action: 'Move' },
+    { key: formatBinding(bindings, 'jump'), action: 'Jump' },
+    { key: formatBinding(bindings, 'shove'), action: 'Shove players in front' },
+    { key: formatBinding(bindings, 'chat'), action: 'Chat' },
+    { key: formatBinding(bindings, 'toggleCamera'), action: 'Toggle orbit / follow camera' },
+    { key: formatBinding(bindings, 'togglePhysicsDebug'), action: 'Toggle physics debug' },
+    { key: 'Gamepad', action: 'Left stick / D-pad move, A jump, X shove, Y camera' },
+    { key: 'Touch', action: 'Joystick moves, ⤒ jumps, ✋ shoves' },
+    { key: 'Mouse', action: 'Rotate camera (forward moves away from it)' },
     { key: 'Scroll', action: 'Zoom' }
   ];
-};
\ No newline at end of file
+};
+
+/**
+ * Describe the four movement bindings compactly, e.g. 'WASD / ↑←↓→'
+ */
+const formatMoveKeys = (bindings: KeyBindings) => {
+  const order: HeldAction[] = ['forward', 'left', 'backward', 'right'];
+  const sets: string[] = [];
+  for (let slot = 0; slot < 2; slot++) {
+    const keys = order.map(action => bindings[action][slot]);
+    if (keys.every(Boolean)) {
+      const names = keys.map(formatKey);
+      sets.push(names.join(names.every(name => name.length === 1) ? '' : ' '));
+    }
+  }
+  return sets.length > 0 ? sets.join(' / ') : order.map(action => formatBinding(bindings, action)).join(', ');
+};
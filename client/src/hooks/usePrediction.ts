@@ -0,0 +1,204 @@
+import { useCallback, useEffect, useRef, type RefObject } from 'react';
+import { stepPlayer } from '../physics/movementModel';
+import type { PredictedState } from '../physics/movementModel';
+import type { GameState, InputState, LevelData, MovementParams, SequencedInput, Vector3 } from '../types/game';
+
+interface PendingInput {
+  seq: number;
+  input: InputState;
+}
+
+interface UsePredictionProps {
+  gameState: GameState | null;
+  localPlayerId: string | null;
+  sendInput: (input: SequencedInput) => void;
+  /** Current camera yaw, written by the scene every frame */
+  cameraYawRef?: RefObject<number>;
+  /** Turn the player toward the camera while standing still (third-person camera) */
+  faceCamera?: boolean;
+  /** The room is paused: neither predict nor send input */
+  paused?: boolean;
+}
+
+// Must match GameManager.TICK_RATE on the server
+const TICK_DURATION = 1 / 60;
+// Cap on simulated ticks per animation frame so a backgrounded tab doesn't spiral
+const MAX_TICKS_PER_FRAME = 5;
+// Corrections larger than this (respawns, teleports) snap instead of blending
+const SNAP_DISTANCE = 5;
+// How quickly visual correction error decays, per second
+const CORRECTION_RATE = 10;
+// Camera yaw is rounded so camera damping doesn't turn into a stream of facing changes
+const YAW_PRECISION = 100;
+
+const IDLE_INPUT: InputState = { left: false, right: false, forward: false, backward: false, jump: false, shove: false };
+
+const isIdle = (input: InputState) =>
+  !input.left && !input.right && !input.forward && !input.backward && !input.jump && !input.shove &&
+  !input.moveX && !input.moveZ;
+
+const cloneState = (state: { position: Vector3; velocity: Vector3; onGround?: boolean; facing?: number; stagger?: number }): PredictedState => ({
+  position: { ...state.position },
+  velocity: { ...state.velocity },
+  onGround: Boolean(state.onGround),
+  facing: state.facing ?? 0,
+  stagger: state.stagger ?? 0
+});
+
+/**
+ * Custom hook for client-side prediction of the local player
+ * Simulates the local player at the server tick rate using the shared movement model,
+ * tags every simulated input with a sequence number, and on each authoritative snapshot
+ * rewinds to the server state and replays the inputs the server hasn't processed yet.
+ */
+export const usePrediction = ({ gameState, localPlayerId, sendInput, cameraYawRef, faceCamera = false, paused = false }: UsePredictionProps) => {
+  const inputRef = useRef<InputState>({ ...IDLE_INPUT });
+  const stateRef = useRef<PredictedState | null>(null);
+  const paramsRef = useRef<MovementParams | null>(null);
+  const levelRef = useRef<LevelData | null>(null);
+  const pendingRef = useRef<PendingInput[]>([]);
+  const seqRef = useRef(0);
+  const lastSentIdleRef = useRef(true);
+  const lastSentFacingRef = useRef<number | undefined>(undefined);
+
+  // Smoothed position to render: predicted state plus decaying correction error
+  const renderPositionRef = useRef<Vector3 | null>(null);
+  const renderFacingRef = useRef<number | null>(null);
+  const correctionRef = useRef<Vector3>({ x: 0, y: 0, z: 0 });
+
+  const sendInputRef = useRef(sendInput);
+  const faceCameraRef = useRef(faceCamera);
+  const pausedRef = useRef(paused);
+  useEffect(() => {
+    sendInputRef.current = sendInput;
+    faceCameraRef.current = faceCamera;
+    pausedRef.current = paused;
+  }, [sendInput, faceCamera, paused]);
+
+  // Pick up movement parameters from the initial game state
+  useEffect(() => {
+    if (gameState?.movement) {
+      paramsRef.current = gameState.movement;
+      stateRef.current = null;
+      pendingRef.current = [];
+    }
+  }, [gameState?.movement]);
+
+  // Predict against the level the server simulates
+  useEffect(() => {
+    levelRef.current = gameState?.level ?? null;
+  }, [gameState?.level]);
+
+  // Reconcile with every authoritative snapshot
+  useEffect(() => {
+    const serverPlayer = gameState?.players.find(p => p.id === localPlayerId);
+    const params = paramsRef.current;
+    if (!serverPlayer || !params) {
+      stateRef.current = null;
+      return;
+    }
+
+    const acknowledged = serverPlayer.lastProcessedInput ?? 0;
+    pendingRef.current = pendingRef.current.filter(p => p.seq > acknowledged);
+
+    // Rewind to the server state and replay unacknowledged inputs
+    const reconciled = cloneState(serverPlayer);
+    for (const pending of pendingRef.current) {
+      stepPlayer(reconciled, pending.input, params, TICK_DURATION, levelRef.current);
+    }
+
+    const previous = stateRef.current;
+    if (previous) {
+      const correction = correctionRef.current;
+      correction.x += previous.position.x - reconciled.position.x;
+      correction.y += previous.position.y - reconciled.position.y;
+      correction.z += previous.position.z - reconciled.position.z;
+      if (Math.hypot(correction.x, correction.y, correction.z) > SNAP_DISTANCE) {
+        correctionRef.current = { x: 0, y: 0, z: 0 };
+      }
+    }
+    stateRef.current = reconciled;
+  }, [gameState, localPlayerId]);
+
+  // Fixed-rate prediction loop
+  useEffect(() => {
+    let frameId = 0;
+    let lastFrame = performance.now();
+    let accumulator = 0;
+
+    const tick = () => {
+      const state = stateRef.current;
+      const params = paramsRef.current;
+      if (!state || !params || pausedRef.current) return;
+
+      // Movement is relative to the camera; with the follow camera the player also looks where it looks
+      const input: InputState = { ...inputRef.current };
+      if (cameraYawRef) {
+        input.yaw = Math.round(cameraYawRef.current * YAW_PRECISION) / YAW_PRECISION;
+        if (faceCameraRef.current) {
+          input.facing = input.yaw;
+        }
+      }
+      const atRest = state.onGround && Math.hypot(state.velocity.x, state.velocity.y, state.velocity.z) < 0.01;
+
+      // Nothing to predict or send while standing still with no keys held
+      if (isIdle(input) && lastSentIdleRef.current && atRest && input.facing === lastSentFacingRef.current) return;
+
+      const seq = ++seqRef.current;
+      pendingRef.current.push({ seq, input });
+      sendInputRef.current({ ...input, seq });
+      lastSentIdleRef.current = isIdle(input);
+      lastSentFacingRef.current = input.facing;
+
+      stepPlayer(state, input, params, TICK_DURATION, levelRef.current);
+    };
+
+    const frame = (now: number) => {
+      const frameDelta = Math.min((now - lastFrame) / 1000, MAX_TICKS_PER_FRAME * TICK_DURATION);
+      lastFrame = now;
+
+      accumulator += frameDelta;
+      while (accumulator >= TICK_DURATION) {
+        tick();
+        accumulator -= TICK_DURATION;
+      }
+
+      // Blend out correction error and publish the render position
+      const state = stateRef.current;
+      if (state) {
+        const decay = Math.exp(-CORRECTION_RATE * frameDelta);
+        const correction = correctionRef.current;
+        correction.x *= decay;
+        correction.y *= decay;
+        correction.z *= decay;
+        renderPositionRef.current = {
+          x: state.position.x + correction.x,
+          y: state.position.y + correction.y,
+          z: state.position.z + correction.z
+        };
+        renderFacingRef.current = state.facing;
+      } else {
+        renderPositionRef.current = null;
+        renderFacingRef.current = null;
+      }
+
+      frameId = requestAnimationFrame(frame);
+    };
+
+    frameId = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(frameId);
+  }, [cameraYawRef]);
+
+  /**
+   * Update the input used for the next predicted tick
+   */
+  const setInput = useCallback((input: InputState) => {
+    inputRef.current = { ...input };
+  }, []);
+
+  return {
+    setInput,
+    renderPositionRef,
+    renderFacingRef
+  };
+};
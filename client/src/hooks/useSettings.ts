@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  DEFAULT_SETTINGS,
+  importSettings,
+  loadSettings,
+  normalizeSettings,
+  saveSettings,
+  type Settings
+} from '../settings/settings';
+
+/**
+ * Custom hook for the per-user settings (key bindings, camera, graphics)
+ * Loads them from localStorage once and saves every change back.
+ */
+export const useSettings = () => {
+  const [settings, setSettings] = useState<Settings>(loadSettings);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  /**
+   * Replace one settings section, e.g. updateSettings('camera', { ...camera, invertY: true })
+   */
+  const updateSettings = useCallback(<K extends keyof Settings>(section: K, value: Settings[K]) => {
+    setSettings(prev => normalizeSettings({ ...prev, [section]: value }));
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    setSettings(normalizeSettings(DEFAULT_SETTINGS));
+  }, []);
+
+  /**
+   * Replace all settings with exported JSON
+   * @returns An error message, or null on success
+   */
+  const importSettingsJson = useCallback((json: string) => {
+    const result = importSettings(json);
+    if (!result.settings) {
+      return result.error || 'Invalid settings';
+    }
+    setSettings(result.settings);
+    return null;
+  }, []);
+
+  return { settings, updateSettings, resetSettings, importSettings: importSettingsJson };
+};
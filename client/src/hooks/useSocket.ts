@@ -1,68 +1,144 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { io, Socket } from 'socket.io-client';
+import { ClockSync } from '../network/ClockSync';
+import { SnapshotBuffer } from '../network/SnapshotBuffer';
+import { SnapshotDecoder } from '../network/SnapshotDecoder';
+import { saveSession, type StoredSession } from '../network/session';
+import type {
+  Announcement,
+  ChatMessage,
+  CollisionEvent,
+  ConnectionStatus,
+  EntityDespawnedEvent,
+  EntitySpawnedEvent,
+  EntityState,
+  GameState,
+  MovementParams,
+  PhysicsDebugData,
+  GameModeInfo,
+  HitEvent,
+  Impact,
+  Player,
+  RelevanceChangedEvent,
+  RoomInfo,
+  RoundState,
+  SequencedInput,
+  SessionInfo,
+  ShoveEvent,
+  TuningRequest,
+  TuningState,
+  TuningValues
+} from '../types/game';
 
-interface Player {
-  id: string;
-  position: { x: number; y: number; z: number };
-  velocity: { x: number; y: number; z: number };
-  color: string;
-  onGround?: boolean;
+interface UseSocketProps {
+  serverUrl?: string;
+  roomId?: string;
+  interpolationDelay?: number;
+  /** Profile and session token sent in the join handshake; no connection is made until it is set */
+  session?: StoredSession | null;
+  /** Join as a spectator instead of a player */
+  spectate?: boolean;
 }
 
-interface GameState {
-  players: Player[];
-  timestamp: number;
-  playerId?: string;
-  physics?: {
-    enabled: boolean;
-    debugData: any[];
-  };
+interface RoomResponse {
+  room?: RoomInfo;
+  error?: string;
 }
 
-interface InputState {
-  left: boolean;
-  right: boolean;
-  forward: boolean;
-  backward: boolean;
-  jump: boolean;
+interface SpectateResponse {
+  room?: RoomInfo;
+  spectating?: boolean;
+  error?: string;
 }
 
-type ConnectionStatus = 'connecting' | 'connected' | 'disconnected';
+interface TuningResponse {
+  values?: TuningValues;
+  error?: string;
+}
 
-interface UseSocketProps {
-  serverUrl?: string;
+interface ChatResponse {
+  message?: ChatMessage;
+  error?: string;
 }
 
+// Chat messages kept on the client
+const MAX_CHAT_MESSAGES = 50;
+
+// Impacts older than this have finished playing and are dropped, in ms
+const IMPACT_LIFETIME = 1000;
+// Collision speed that plays at full strength, in m/s
+const FULL_IMPACT_SPEED = 10;
+
 /**
  * Custom hook for managing Socket.io connection and game state
  * Handles connection, disconnection, game state updates, and input sending
  */
-export const useSocket = ({ serverUrl }: UseSocketProps = {}) => {
+export const useSocket = ({ serverUrl, roomId: initialRoomId, interpolationDelay, session, spectate = false }: UseSocketProps = {}) => {
   const [socket, setSocket] = useState<Socket | null>(null);
   const [gameState, setGameState] = useState<GameState | null>(null);
   const [localPlayerId, setLocalPlayerId] = useState<string | null>(null);
   const [connectionStatus, setConnectionStatus] = useState<ConnectionStatus>('connecting');
   const [playerCount, setPlayerCount] = useState(0);
   const [ping, setPing] = useState<number>(0);
+  const [roomId, setRoomId] = useState<string | null>(null);
+  const [roomError, setRoomError] = useState<string | null>(null);
+  // Why the server kicked us or refused the connection; the client doesn't retry after these
+  const [disconnectReason, setDisconnectReason] = useState<string | null>(null);
+  const [chatMessages, setChatMessages] = useState<ChatMessage[]>([]);
+  const [spectating, setIsSpectating] = useState(spectate);
+  const [announcement, setAnnouncement] = useState<Announcement | null>(null);
+  const [impacts, setImpacts] = useState<Impact[]>([]);
+  const impactIdRef = useRef(0);
 
-  // Input throttling to reduce network traffic
-  const lastInputSent = useRef<string>('');
   const pingIntervalRef = useRef<number | null>(null);
 
+  // Server clock estimate and remote entity snapshot history
+  const [clock] = useState(() => new ClockSync());
+  const [snapshotBuffer] = useState(() => new SnapshotBuffer({ clock, interpolationDelay }));
+  const decoderRef = useRef<SnapshotDecoder | null>(null);
+
+  // Whether this client wants physics debug data; re-sent whenever we (re)join a room
+  const physicsDebugRef = useRef(false);
+
+  // Room to (re)join on connect; updated whenever we switch rooms
+  const roomIdRef = useRef<string | undefined>(initialRoomId);
+
+  // Whether to (re)join as a spectator; follows the mode the server last confirmed
+  const spectateRef = useRef(spectate);
+
+  // Profile and token for the handshake; the token is replaced by whatever the server issues
+  const sessionRef = useRef<StoredSession | null>(session ?? null);
+  useEffect(() => {
+    sessionRef.current = session ? { ...sessionRef.current, ...session } : null;
+  }, [session]);
+  const hasSession = Boolean(session);
+
   // Connect to server
   useEffect(() => {
+    if (!hasSession) return;
+
     const url = serverUrl || import.meta.env.VITE_SERVER_URL || window.location.origin;
     const newSocket = io(url, {
       transports: ['websocket'],
-      upgrade: true
+      upgrade: true,
+      auth: (cb) => cb({
+        room: roomIdRef.current,
+        spectate: spectateRef.current,
+        token: sessionRef.current?.token,
+        name: sessionRef.current?.name,
+        color: sessionRef.current?.color
+      })
     });
 
     // Connection events
     newSocket.on('connect', () => {
       console.log('✅ Connected to server');
       setConnectionStatus('connected');
+      setDisconnectReason(null);
       
-      // Start ping measurement
+      // Start ping measurement (first ping immediately to sync the clock)
+      clock.reset();
+      newSocket.emit('ping', Date.now());
       pingIntervalRef.current = setInterval(() => {
         const start = Date.now();
         newSocket.emit('ping', start);
@@ -80,31 +156,156 @@ export const useSocket = ({ serverUrl }: UseSocketProps = {}) => {
       }
     });
 
-    // Ping response
-    newSocket.on('pong', (timestamp: number) => {
-      setPing(Date.now() - timestamp);
+    newSocket.on('kicked', ({ reason }: { reason: string }) => {
+      console.warn('👢 Kicked by server:', reason);
+      setDisconnectReason(reason);
+    });
+
+    // Refused by the server's connection middleware (ban, too many connections from this address)
+    newSocket.on('connect_error', (error: Error) => {
+      if (!newSocket.active) {
+        console.warn('🚫 Connection refused:', error.message);
+        setDisconnectReason(error.message);
+        setConnectionStatus('disconnected');
+      }
+    });
+
+    // Session issued or resumed by the server; keep the token so a reconnect reclaims our player
+    newSocket.on('session', (info: SessionInfo) => {
+      console.log(`🪪 Session for ${info.name} (${info.playerId})`);
+      sessionRef.current = info;
+      saveSession(info);
+      setLocalPlayerId(info.playerId);
+    });
+
+    // Ping response; acknowledging it lets the server measure our round trip too
+    newSocket.on('pong', (timestamp: number, serverTime: number, ack?: () => void) => {
+      setPing(clock.addSample(timestamp, serverTime, Date.now()));
+      ack?.();
     });
 
     // Game state events
     newSocket.on('gameState', (state: GameState) => {
       console.log('🎮 Initial game state received:', state);
+      snapshotBuffer.clear();
+      snapshotBuffer.push(state.timestamp, [...state.players, ...(state.entities || [])]);
+      decoderRef.current = state.snapshotSchema ? new SnapshotDecoder(state.snapshotSchema) : null;
+      if (physicsDebugRef.current) {
+        newSocket.emit('setPhysicsDebug', true);
+      }
       setGameState(state);
+      setChatMessages(state.chat || []);
+      spectateRef.current = Boolean(state.spectating);
+      setIsSpectating(Boolean(state.spectating));
       if (state.playerId) {
         setLocalPlayerId(state.playerId);
       }
+      if (state.roomId) {
+        setRoomId(state.roomId);
+        roomIdRef.current = state.roomId;
+      }
       setPlayerCount(state.players.length);
     });
 
-    newSocket.on('gameUpdate', (state: GameState) => {
-      setGameState(state);
-      setPlayerCount(state.players.length);
+    newSocket.on('roomError', (message: string) => {
+      console.warn('🏠 Room error:', message);
+      setRoomError(message);
+    });
+
+    // Binary delta snapshots; acknowledging one makes it the baseline for the next delta
+    newSocket.on('gameUpdate', (data: ArrayBuffer) => {
+      const decoder = decoderRef.current;
+      if (!decoder) return;
+
+      const snapshot = decoder.decode(data);
+      if (!snapshot) {
+        // Missing baseline: ask for a full snapshot
+        newSocket.emit('snapshotAck', 0);
+        return;
+      }
+      newSocket.emit('snapshotAck', snapshot.seq);
+
+      const players = snapshot.entities.player as unknown as Player[];
+      const entities = (snapshot.entities.prop ?? []) as unknown as EntityState[];
+      snapshotBuffer.push(snapshot.timestamp, [...players, ...entities]);
+      setGameState(prev => prev && { ...prev, players, entities, timestamp: snapshot.timestamp, tick: snapshot.tick });
+      setPlayerCount(players.length);
+    });
+
+    newSocket.on('physicsDebug', (physics: PhysicsDebugData) => {
+      setGameState(prev => prev && { ...prev, physics: { ...prev.physics, ...physics } });
+    });
+
+    // Live movement tuning; new parameters also reset client-side prediction
+    newSocket.on('movementConfig', ({ tuning, movement }: { tuning: TuningState; movement?: MovementParams }) => {
+      setGameState(prev => prev && { ...prev, tuning, movement: movement ?? prev.movement });
+    });
+
+    newSocket.on('chatMessage', (message: ChatMessage) => {
+      setChatMessages(prev => [...prev, message].slice(-MAX_CHAT_MESSAGES));
+    });
+
+    // Admin controls: server announcements and pausing the room
+    newSocket.on('announcement', (message: Announcement) => {
+      setAnnouncement(message);
+    });
+
+    newSocket.on('roomPaused', ({ paused }: { paused: boolean }) => {
+      setGameState(prev => prev && { ...prev, paused });
+    });
+
+    // Shoves, knockbacks and collisions, played as effects in the scene
+    const addImpact = (kind: Impact['kind'], position: Impact['position'], strength: number) => {
+      const now = performance.now();
+      const impact = { id: ++impactIdRef.current, kind, position, strength, time: now };
+      setImpacts(prev => [...prev.filter(i => now - i.time < IMPACT_LIFETIME), impact]);
+    };
+
+    newSocket.on('playerShove', (event: ShoveEvent) => {
+      addImpact('shove', event.position, 0.6);
+    });
+
+    newSocket.on('playerHit', (event: HitEvent) => {
+      addImpact('hit', event.position, 1);
+    });
+
+    newSocket.on('collision', (event: CollisionEvent) => {
+      addImpact('collision', event.position, Math.min(1, event.speed / FULL_IMPACT_SPEED));
+    });
+
+    // Props appear and disappear right away rather than with the next snapshot
+    newSocket.on('entitySpawned', ({ entity }: EntitySpawnedEvent) => {
+      setGameState(prev => prev && {
+        ...prev,
+        entities: [...(prev.entities || []).filter(e => e.id !== entity.id), entity]
+      });
+    });
+
+    newSocket.on('entityDespawned', ({ id }: EntityDespawnedEvent) => {
+      setGameState(prev => prev && { ...prev, entities: (prev.entities || []).filter(e => e.id !== id) });
+    });
+
+    // The server only sends what is near our player: entities leaving range are removed right
+    // away, and any history of entities (re)entering it is stale
+    newSocket.on('relevanceChanged', ({ entered, left }: RelevanceChangedEvent) => {
+      for (const id of [...entered, ...left]) {
+        snapshotBuffer.forget(id);
+      }
+      if (left.length === 0) return;
+      const gone = new Set(left);
+      setGameState(prev => prev && {
+        ...prev,
+        players: prev.players.filter(p => !gone.has(p.id)),
+        entities: (prev.entities || []).filter(e => !gone.has(e.id))
+      });
     });
 
-    // Player events
-    newSocket.on('playerJoined', (player: Player) => {
-      console.log('👤 Player joined:', player.id);
+    // Round phase, timer, mode state and results; sent whenever any of it changes
+    newSocket.on('roundState', (round: RoundState) => {
+      setGameState(prev => prev && { ...prev, round });
     });
 
+    // Player events; players joining arrive through relevanceChanged
     newSocket.on('playerLeft', (playerId: string) => {
       console.log('👋 Player left:', playerId);
     });
@@ -118,21 +319,109 @@ export const useSocket = ({ serverUrl }: UseSocketProps = {}) => {
       }
       newSocket.disconnect();
     };
-  }, [serverUrl]);
+  }, [serverUrl, clock, snapshotBuffer, hasSession]);
+
+  // Allow the interpolation delay to be tuned without reconnecting
+  useEffect(() => {
+    if (interpolationDelay !== undefined) {
+      snapshotBuffer.interpolationDelay = interpolationDelay;
+    }
+  }, [interpolationDelay, snapshotBuffer]);
+
+  /**
+   * List rooms available on the server and the game modes new rooms can use
+   * Stable per connection, so components can refresh the listing from an effect.
+   */
+  const listRooms = useCallback(async (): Promise<{ rooms: RoomInfo[]; modes: GameModeInfo[] }> => {
+    if (!socket) return { rooms: [], modes: [] };
+    return socket.emitWithAck('listRooms');
+  }, [socket]);
+
+  /**
+   * Join an existing room; the server replies with a fresh gameState
+   */
+  const joinRoom = async (targetRoomId: string): Promise<RoomResponse> => {
+    if (!socket) return { error: 'Not connected' };
+    const response: RoomResponse = await socket.emitWithAck('joinRoom', targetRoomId);
+    setRoomError(response.error || null);
+    return response;
+  };
+
+  /**
+   * Create a room and move into it
+   */
+  const createRoom = async (name: string, mode?: string, maxPlayers?: number): Promise<RoomResponse> => {
+    if (!socket) return { error: 'Not connected' };
+    const response: RoomResponse = await socket.emitWithAck('createRoom', { name, mode, maxPlayers });
+    if (response.error || !response.room) {
+      setRoomError(response.error || 'Failed to create room');
+      return response;
+    }
+    return joinRoom(response.room.id);
+  };
+
+  /**
+   * Leave the current room without disconnecting
+   */
+  const leaveRoom = async (): Promise<RoomResponse> => {
+    if (!socket) return { error: 'Not connected' };
+    const response: RoomResponse = await socket.emitWithAck('leaveRoom');
+    if (!response.error) {
+      setGameState(null);
+      setChatMessages([]);
+      setRoomId(null);
+      setPlayerCount(0);
+      roomIdRef.current = undefined;
+    }
+    return response;
+  };
 
   /**
-   * Send input to server with throttling
+   * Send a sequenced input to the server
+   * Throttling is done by the prediction loop, which skips ticks with nothing to send. Each input
+   * is stamped with the server time remote entities are being rendered at, for lag compensation.
    */
-  const sendInput = (input: InputState) => {
+  const sendInput = (input: SequencedInput) => {
     if (socket && connectionStatus === 'connected') {
-      const inputString = JSON.stringify(input);
-      if (inputString !== lastInputSent.current) {
-        socket.emit('playerInput', input);
-        lastInputSent.current = inputString;
-      }
+      socket.emit('playerInput', { ...input, renderTime: Math.round(snapshotBuffer.getRenderTime()) });
     }
   };
 
+  /**
+   * Switch between playing and spectating in the current room
+   * The server answers with a fresh gameState for the new mode.
+   */
+  const setSpectating = async (enabled: boolean): Promise<SpectateResponse> => {
+    if (!socket) return { error: 'Not connected' };
+    const response: SpectateResponse = await socket.emitWithAck('setSpectating', enabled);
+    setRoomError(response.error || null);
+    return response;
+  };
+
+  /**
+   * Change the server's movement config (needs the admin token)
+   */
+  const setMovementConfig = async (request: TuningRequest): Promise<TuningResponse> => {
+    if (!socket) return { error: 'Not connected' };
+    return socket.emitWithAck('setMovementConfig', request);
+  };
+
+  /**
+   * Send a chat message to everyone in the room; resolves with the server's verdict
+   */
+  const sendChatMessage = async (text: string): Promise<ChatResponse> => {
+    if (!socket || connectionStatus !== 'connected') return { error: 'Not connected' };
+    return socket.emitWithAck('chatMessage', text);
+  };
+
+  /**
+   * Opt in or out of physics debug data from the server
+   */
+  const setPhysicsDebug = useCallback((enabled: boolean) => {
+    physicsDebugRef.current = enabled;
+    socket?.emit('setPhysicsDebug', enabled);
+  }, [socket]);
+
   /**
    * Get connection statistics
    */
@@ -141,7 +430,8 @@ export const useSocket = ({ serverUrl }: UseSocketProps = {}) => {
       status: connectionStatus,
       ping,
       playerId: localPlayerId,
-      playerCount
+      playerCount,
+      roomId
     };
   };
 
@@ -152,7 +442,24 @@ export const useSocket = ({ serverUrl }: UseSocketProps = {}) => {
     connectionStatus,
     playerCount,
     ping,
+    clock,
+    snapshotBuffer,
+    roomId,
+    roomError,
+    disconnectReason,
+    chatMessages,
+    spectating,
+    announcement,
+    impacts,
     sendInput,
+    sendChatMessage,
+    setPhysicsDebug,
+    setSpectating,
+    setMovementConfig,
+    listRooms,
+    createRoom,
+    joinRoom,
+    leaveRoom,
     getConnectionStats
   };
 };
\ No newline at end of file
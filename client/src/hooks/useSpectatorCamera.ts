@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useState } from 'react';
+import { isTextEntryTarget } from './useInput';
+import { DEFAULT_SETTINGS, getActionsForKey, type KeyBindings } from '../settings/settings';
+import type { Player } from '../types/game';
+
+export type SpectatorCameraMode = 'follow' | 'free';
+
+interface UseSpectatorCameraProps {
+  spectating: boolean;
+  players: Player[];
+  bindings?: KeyBindings;
+}
+
+/**
+ * Custom hook for the spectator camera state
+ * Tracks whether the camera follows a player or flies freely, and which player is followed.
+ * Q/E cycle through players and F toggles the free-fly camera while spectating (rebindable).
+ */
+export const useSpectatorCamera = ({ spectating, players, bindings = DEFAULT_SETTINGS.bindings }: UseSpectatorCameraProps) => {
+  const [mode, setMode] = useState<SpectatorCameraMode>('follow');
+  const [requestedTargetId, setRequestedTargetId] = useState<string | null>(null);
+
+  // Fall back to the first player when the followed one leaves
+  const targetId = players.some(p => p.id === requestedTargetId)
+    ? requestedTargetId
+    : players[0]?.id ?? null;
+
+  const cycleTarget = useCallback((direction: 1 | -1) => {
+    if (players.length === 0) return;
+    const index = players.findIndex(p => p.id === targetId);
+    const next = (index + direction + players.length) % players.length;
+    setRequestedTargetId(players[next].id);
+    setMode('follow');
+  }, [players, targetId]);
+
+  const toggleMode = useCallback(() => {
+    setMode(prev => prev === 'follow' ? 'free' : 'follow');
+  }, []);
+
+  useEffect(() => {
+    if (!spectating) return;
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (isTextEntryTarget(event.target)) return;
+      for (const action of getActionsForKey(bindings, event.code)) {
+        switch (action) {
+          case 'spectatorPrevious':
+            if (mode === 'follow') cycleTarget(-1);
+            break;
+          case 'spectatorNext':
+            if (mode === 'follow') cycleTarget(1);
+            break;
+          case 'spectatorCameraMode':
+            toggleMode();
+            break;
+        }
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [spectating, mode, cycleTarget, toggleMode, bindings]);
+
+  return { mode, targetId, cycleTarget, toggleMode };
+};
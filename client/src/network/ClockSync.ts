@@ -0,0 +1,72 @@
+/**
+ * Clock Sync
+ * Estimates the offset between the local clock and the server clock from ping/pong round trips.
+ * Samples with the lowest round-trip time are trusted most, since they have the least queuing delay.
+ */
+
+interface ClockSample {
+  offset: number;
+  rtt: number;
+}
+
+export class ClockSync {
+  private samples: ClockSample[] = [];
+  private offset = 0;
+  private maxSamples: number;
+
+  constructor(maxSamples = 10) {
+    this.maxSamples = maxSamples;
+  }
+
+  /**
+   * Record a ping/pong exchange
+   * @param sentAt - Local time the ping was sent
+   * @param serverTime - Server time when it answered
+   * @param receivedAt - Local time the pong arrived
+   * @returns Round-trip time in ms
+   */
+  addSample(sentAt: number, serverTime: number, receivedAt: number) {
+    const rtt = receivedAt - sentAt;
+    // Assume the server answered halfway through the round trip
+    const offset = serverTime + rtt / 2 - receivedAt;
+
+    this.samples.push({ offset, rtt });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    // Average the offsets of the better half of samples by RTT
+    const best = [...this.samples]
+      .sort((a, b) => a.rtt - b.rtt)
+      .slice(0, Math.max(1, Math.ceil(this.samples.length / 2)));
+    this.offset = best.reduce((sum, sample) => sum + sample.offset, 0) / best.length;
+
+    return rtt;
+  }
+
+  /**
+   * Current estimate of server time
+   */
+  serverNow() {
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Estimated server clock minus local clock, in ms
+   */
+  getOffset() {
+    return this.offset;
+  }
+
+  /**
+   * Whether at least one ping/pong has completed
+   */
+  isSynced() {
+    return this.samples.length > 0;
+  }
+
+  reset() {
+    this.samples = [];
+    this.offset = 0;
+  }
+}
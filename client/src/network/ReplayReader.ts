@@ -0,0 +1,217 @@
+/**
+ * Replay Reader
+ * Reads a replay recorded by server/src/replay/ReplayRecorder.js and decodes its snapshots on demand.
+ * Snapshots are deltas against the previous tick with a full one every second, so seeking decodes
+ * forward from the nearest full snapshot at or before the target.
+ */
+import { SnapshotDecoder, type SnapshotEntities } from './SnapshotDecoder';
+import type { PhysicsBodyDebugData, ReplayEvent, ReplayHeader, RoundState } from '../types/game';
+
+// Record types, see ReplayRecorder
+const RECORD_HEADER = 1;
+const RECORD_SNAPSHOT = 2;
+const RECORD_EVENT = 3;
+const RECORD_PHYSICS = 4;
+
+const SUPPORTED_FORMAT = 1;
+
+// Decoded snapshots kept around, so stepping between neighbouring ticks doesn't decode twice
+const CACHE_SIZE = 4;
+
+interface SnapshotRecord {
+  tick: number;
+  data: ArrayBuffer;
+  keyframe: boolean;
+}
+
+interface PhysicsRecord {
+  tick: number;
+  data: Uint8Array;
+  decoded?: PhysicsBodyDebugData[];
+}
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Index of the last item whose tick is at or before the given one, or -1
+ */
+const lastAtOrBefore = (items: { tick: number }[], tick: number) => {
+  let low = 0;
+  let high = items.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (items[middle].tick <= tick) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+export class ReplayReader {
+  readonly header: ReplayHeader;
+  /** Joins, leaves, inputs and round changes in tick order */
+  readonly events: ReplayEvent[];
+  private snapshots: SnapshotRecord[];
+  private physics: PhysicsRecord[];
+  private decoder: SnapshotDecoder;
+  private decodedIndex = -1;
+  private cache = new Map<number, SnapshotEntities>();
+
+  private constructor(header: ReplayHeader, snapshots: SnapshotRecord[], events: ReplayEvent[], physics: PhysicsRecord[]) {
+    this.header = header;
+    this.snapshots = snapshots;
+    this.events = events;
+    this.physics = physics;
+    this.decoder = new SnapshotDecoder(header.snapshotSchema);
+  }
+
+  /**
+   * Split a replay into its records
+   * @returns The reader, or an error if the data isn't a playable replay
+   */
+  static parse(data: ArrayBuffer): { reader?: ReplayReader; error?: string } {
+    const view = new DataView(data);
+    let header: ReplayHeader | null = null;
+    const snapshots: SnapshotRecord[] = [];
+    const events: ReplayEvent[] = [];
+    const physics: PhysicsRecord[] = [];
+
+    let offset = 0;
+    try {
+      while (offset + 9 <= data.byteLength) {
+        const type = view.getUint8(offset);
+        const tick = view.getUint32(offset + 1, true);
+        const length = view.getUint32(offset + 5, true);
+        offset += 9;
+        if (offset + length > data.byteLength) break; // cut short while recording
+
+        switch (type) {
+          case RECORD_HEADER:
+            header = JSON.parse(textDecoder.decode(new Uint8Array(data, offset, length)));
+            break;
+          case RECORD_SNAPSHOT: {
+            // Full snapshots have baseline 0, see SnapshotEncoder's wire format
+            const keyframe = view.getUint32(offset + 5, true) === 0;
+            snapshots.push({ tick, data: data.slice(offset, offset + length), keyframe });
+            break;
+          }
+          case RECORD_EVENT:
+            events.push({ ...JSON.parse(textDecoder.decode(new Uint8Array(data, offset, length))), tick });
+            break;
+          case RECORD_PHYSICS:
+            physics.push({ tick, data: new Uint8Array(data, offset, length) });
+            break;
+        }
+        offset += length;
+      }
+    } catch {
+      return { error: 'Replay data is corrupt' };
+    }
+
+    if (!header) {
+      return { error: 'Not a replay' };
+    }
+    if (header.format !== SUPPORTED_FORMAT) {
+      return { error: `Unsupported replay format ${header.format}` };
+    }
+    if (snapshots.length === 0 || !snapshots[0].keyframe) {
+      return { error: 'Replay has no snapshots' };
+    }
+    return { reader: new ReplayReader(header, snapshots, events, physics) };
+  }
+
+  get firstTick() {
+    return this.snapshots[0].tick;
+  }
+
+  get lastTick() {
+    return this.snapshots[this.snapshots.length - 1].tick;
+  }
+
+  get snapshotCount() {
+    return this.snapshots.length;
+  }
+
+  get hasPhysics() {
+    return this.physics.length > 0;
+  }
+
+  /**
+   * Index of the snapshot shown at a tick: the last one recorded at or before it
+   */
+  indexAt(tick: number) {
+    return Math.max(0, lastAtOrBefore(this.snapshots, tick));
+  }
+
+  tickOf(index: number) {
+    return this.snapshots[index].tick;
+  }
+
+  /**
+   * Decode the snapshot at an index
+   * @returns Decoded entities, or null if the index is out of range or the data is corrupt
+   */
+  snapshotAt(index: number): SnapshotEntities | null {
+    if (index < 0 || index >= this.snapshots.length) return null;
+    const cached = this.cache.get(index);
+    if (cached) return cached;
+
+    // Carry on from the last decoded snapshot if no keyframe lies between it and the target
+    let keyframe = index;
+    while (!this.snapshots[keyframe].keyframe) keyframe--;
+    let next = this.decodedIndex >= keyframe && this.decodedIndex < index ? this.decodedIndex + 1 : keyframe;
+    if (next === keyframe) this.decoder.reset();
+
+    let decoded: SnapshotEntities | null = null;
+    for (; next <= index; next++) {
+      decoded = this.decoder.decode(this.snapshots[next].data);
+      if (!decoded) {
+        this.decodedIndex = -1;
+        return null;
+      }
+    }
+    this.decodedIndex = index;
+
+    this.cache.set(index, decoded!);
+    if (this.cache.size > CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value!);
+    }
+    return decoded;
+  }
+
+  /**
+   * Latest physics debug dump at or before a tick
+   */
+  physicsAt(tick: number): PhysicsBodyDebugData[] | null {
+    const record = this.physics[lastAtOrBefore(this.physics, tick)];
+    if (!record) return null;
+    record.decoded ??= JSON.parse(textDecoder.decode(record.data)) as PhysicsBodyDebugData[];
+    return record.decoded;
+  }
+
+  /**
+   * Round state in effect at a tick
+   */
+  roundAt(tick: number): RoundState {
+    for (let i = lastAtOrBefore(this.events, tick); i >= 0; i--) {
+      const event = this.events[i];
+      if (event.type === 'round') return event.state;
+    }
+    return this.header.round;
+  }
+
+  /**
+   * Input a player's tick was simulated with, or null if none was recorded yet
+   */
+  inputAt(playerId: string, tick: number) {
+    for (let i = lastAtOrBefore(this.events, tick); i >= 0; i--) {
+      const event = this.events[i];
+      if (event.type === 'input' && event.id === playerId) return event;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Snapshot Buffer
+ * Stores recent server snapshots and samples entity positions at a fixed delay behind server time,
+ * interpolating between the two snapshots that bracket the render time and briefly extrapolating
+ * from the last known velocity when snapshots stop arriving. Rotations of entities that have
+ * one (props) are interpolated too, but held rather than extrapolated.
+ */
+import type { ClockSync } from './ClockSync';
+import type { Quaternion, Vector3 } from '../types/game';
+
+/** Anything with an ID and a transform: players and other networked entities */
+interface BufferedEntity {
+  id: string;
+  position: Vector3;
+  velocity: Vector3;
+  quaternion?: Quaternion;
+}
+
+interface EntitySnapshot {
+  position: Vector3;
+  velocity: Vector3;
+  quaternion?: Quaternion;
+}
+
+interface Snapshot {
+  timestamp: number;
+  entities: Map<string, EntitySnapshot>;
+}
+
+interface SnapshotBufferOptions {
+  /** Source of the current server time; a replay viewer passes its playhead */
+  clock: Pick<ClockSync, 'serverNow'>;
+  interpolationDelay?: number;
+  maxExtrapolation?: number;
+  bufferDuration?: number;
+}
+
+export class SnapshotBuffer {
+  private snapshots: Snapshot[] = [];
+  private clock: Pick<ClockSync, 'serverNow'>;
+
+  /** How far behind estimated server time entities are rendered, in ms */
+  interpolationDelay: number;
+  /** How long to keep moving an entity along its last velocity after the newest snapshot, in ms */
+  maxExtrapolation: number;
+  /** How much history to keep, in ms */
+  bufferDuration: number;
+
+  constructor({ clock, interpolationDelay = 100, maxExtrapolation = 250, bufferDuration = 1000 }: SnapshotBufferOptions) {
+    this.clock = clock;
+    this.interpolationDelay = interpolationDelay;
+    this.maxExtrapolation = maxExtrapolation;
+    this.bufferDuration = bufferDuration;
+  }
+
+  /**
+   * Add a server snapshot; out-of-order snapshots are inserted in timestamp order
+   */
+  push(timestamp: number, bufferedEntities: BufferedEntity[]) {
+    const entities = new Map<string, EntitySnapshot>();
+    for (const { id, position, velocity, quaternion } of bufferedEntities) {
+      entities.set(id, { position, velocity, quaternion });
+    }
+
+    let index = this.snapshots.length;
+    while (index > 0 && this.snapshots[index - 1].timestamp > timestamp) {
+      index--;
+    }
+    if (index > 0 && this.snapshots[index - 1].timestamp === timestamp) {
+      return;
+    }
+    this.snapshots.splice(index, 0, { timestamp, entities });
+
+    // Drop history we can no longer render
+    const newest = this.snapshots[this.snapshots.length - 1].timestamp;
+    while (this.snapshots.length > 2 && this.snapshots[0].timestamp < newest - this.bufferDuration) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Server time currently being rendered
+   */
+  getRenderTime() {
+    return this.clock.serverNow() - this.interpolationDelay;
+  }
+
+  /**
+   * Find the newest snapshot at or before renderTime that contains the entity, and the one after it
+   */
+  private bracket(entityId: string, renderTime: number) {
+    let from: Snapshot | null = null;
+    let to: Snapshot | null = null;
+    for (let i = this.snapshots.length - 1; i >= 0; i--) {
+      const snapshot = this.snapshots[i];
+      if (!snapshot.entities.has(entityId)) continue;
+      if (snapshot.timestamp <= renderTime) {
+        from = snapshot;
+        break;
+      }
+      to = snapshot;
+    }
+    return { from, to };
+  }
+
+  /**
+   * Sample an entity's position at the current render time
+   * @returns Interpolated/extrapolated position, or null if the entity isn't buffered
+   */
+  sample(entityId: string, renderTime = this.getRenderTime()): Vector3 | null {
+    const { from, to } = this.bracket(entityId, renderTime);
+
+    if (from && to) {
+      const a = from.entities.get(entityId)!.position;
+      const b = to.entities.get(entityId)!.position;
+      const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+      return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+      };
+    }
+
+    if (from) {
+      // Render time is past the newest snapshot: extrapolate for a short while, then hold
+      const { position, velocity } = from.entities.get(entityId)!;
+      const ahead = Math.min(renderTime - from.timestamp, this.maxExtrapolation) / 1000;
+      return {
+        x: position.x + velocity.x * ahead,
+        y: position.y + velocity.y * ahead,
+        z: position.z + velocity.z * ahead
+      };
+    }
+
+    // Render time is older than anything buffered (e.g. just joined): show the oldest state
+    return to ? { ...to.entities.get(entityId)!.position } : null;
+  }
+
+  /**
+   * Sample an entity's rotation at the current render time
+   * @returns Interpolated rotation (normalized lerp), or null if the entity has none buffered
+   */
+  sampleQuaternion(entityId: string, renderTime = this.getRenderTime()): Quaternion | null {
+    const { from, to } = this.bracket(entityId, renderTime);
+    const a = from?.entities.get(entityId)?.quaternion;
+    const b = to?.entities.get(entityId)?.quaternion;
+
+    if (from && to && a && b) {
+      const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+      // Take the short way round: q and -q are the same rotation
+      const sign = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0 ? -1 : 1;
+      const q = {
+        x: a.x + (b.x * sign - a.x) * t,
+        y: a.y + (b.y * sign - a.y) * t,
+        z: a.z + (b.z * sign - a.z) * t,
+        w: a.w + (b.w * sign - a.w) * t
+      };
+      const length = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+      return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+    }
+
+    const held = a ?? b;
+    return held ? { ...held } : null;
+  }
+
+  /**
+   * Drop an entity from every buffered snapshot, e.g. once it is out of range, so that when it
+   * comes back it appears where it is instead of sliding over from where it was last seen
+   */
+  forget(entityId: string) {
+    for (const snapshot of this.snapshots) {
+      snapshot.entities.delete(entityId);
+    }
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Snapshot Decoder
+ * Decodes the binary delta snapshots produced by server/src/network/SnapshotEncoder.js.
+ * Decoded snapshots are kept by sequence number so later deltas can be applied to them.
+ */
+import type { SnapshotFieldSchema, SnapshotSchema } from '../types/game';
+
+type FieldValue = number | string;
+
+interface EntityRecord {
+  typeIndex: number;
+  values: FieldValue[];
+}
+
+interface DecodedSnapshot {
+  seq: number;
+  timestamp: number;
+  tick: number;
+  entities: Map<number, EntityRecord>;
+}
+
+export interface SnapshotEntities {
+  seq: number;
+  timestamp: number;
+  tick: number;
+  /** Entity objects grouped by schema type name (e.g. 'player') */
+  entities: Record<string, Record<string, unknown>[]>;
+}
+
+const textDecoder = new TextDecoder();
+
+export class SnapshotDecoder {
+  private schema: SnapshotSchema;
+  private history = new Map<number, DecodedSnapshot>();
+  private historySize: number;
+
+  constructor(schema: SnapshotSchema, historySize = 64) {
+    this.schema = schema;
+    this.historySize = historySize;
+  }
+
+  /**
+   * Decode a snapshot
+   * @returns Decoded entities, or null if the snapshot can't be decoded (unknown baseline or version)
+   */
+  decode(data: ArrayBuffer): SnapshotEntities | null {
+    const view = new DataView(data);
+    let offset = 0;
+
+    const version = view.getUint8(offset); offset += 1;
+    if (version !== this.schema.version) {
+      return null;
+    }
+    const seq = view.getUint32(offset, true); offset += 4;
+    const baselineSeq = view.getUint32(offset, true); offset += 4;
+    const timestamp = view.getFloat64(offset, true); offset += 8;
+    const tick = view.getUint32(offset, true); offset += 4;
+
+    let entities: Map<number, EntityRecord>;
+    if (baselineSeq === 0) {
+      entities = new Map();
+    } else {
+      const baseline = this.history.get(baselineSeq);
+      if (!baseline) {
+        return null;
+      }
+      entities = new Map(baseline.entities);
+    }
+
+    const removedCount = view.getUint16(offset, true); offset += 2;
+    for (let i = 0; i < removedCount; i++) {
+      entities.delete(view.getUint16(offset, true));
+      offset += 2;
+    }
+
+    const readField = (field: SnapshotFieldSchema): FieldValue => {
+      switch (field.type) {
+        case 'q16': { const v = view.getInt16(offset, true); offset += 2; return v; }
+        case 'u8':
+        case 'bool': { const v = view.getUint8(offset); offset += 1; return v; }
+        case 'u16': { const v = view.getUint16(offset, true); offset += 2; return v; }
+        case 'u32': { const v = view.getUint32(offset, true); offset += 4; return v; }
+        case 'str':
+        case 'json': {
+          const length = view.getUint8(offset); offset += 1;
+          const v = textDecoder.decode(new Uint8Array(data, offset, length));
+          offset += length;
+          return v;
+        }
+      }
+    };
+
+    const entityCount = view.getUint16(offset, true); offset += 2;
+    for (let i = 0; i < entityCount; i++) {
+      const netId = view.getUint16(offset, true); offset += 2;
+      const flags = view.getUint8(offset); offset += 1;
+
+      if (flags & 1) {
+        const typeIndex = view.getUint8(offset); offset += 1;
+        const fields = this.schema.types[typeIndex].fields;
+        entities.set(netId, { typeIndex, values: fields.map(readField) });
+        continue;
+      }
+
+      const previous = entities.get(netId);
+      if (!previous) {
+        return null;
+      }
+      const fields = this.schema.types[previous.typeIndex].fields;
+      const maskBytes = Math.ceil(fields.length / 8);
+      const mask = new Uint8Array(data, offset, maskBytes);
+      offset += maskBytes;
+
+      const values = [...previous.values];
+      fields.forEach((field, index) => {
+        if (mask[index >> 3] & (1 << (index & 7))) {
+          values[index] = readField(field);
+        }
+      });
+      entities.set(netId, { typeIndex: previous.typeIndex, values });
+    }
+
+    this.history.set(seq, { seq, timestamp, tick, entities });
+    if (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value!);
+    }
+
+    return { seq, timestamp, tick, entities: this.toObjects(entities) };
+  }
+
+  /**
+   * Convert quantized records back into plain entity objects
+   */
+  private toObjects(entities: Map<number, EntityRecord>) {
+    const result: Record<string, Record<string, unknown>[]> = {};
+    for (const type of this.schema.types) {
+      result[type.name] = [];
+    }
+
+    for (const { typeIndex, values } of entities.values()) {
+      const type = this.schema.types[typeIndex];
+      const entity: Record<string, unknown> = {};
+      type.fields.forEach((field, index) => {
+        writePath(entity, field.name, dequantize(field, values[index]));
+      });
+      result[type.name].push(entity);
+    }
+    return result;
+  }
+
+  reset() {
+    this.history.clear();
+  }
+}
+
+const dequantize = (field: SnapshotFieldSchema, value: FieldValue) => {
+  switch (field.type) {
+    case 'q16': return (value as number) / (field.scale || 1);
+    case 'bool': return value === 1;
+    case 'json': return parseJson(value as string);
+    default: return value;
+  }
+};
+
+/** Empty or truncated (over 255 bytes) JSON decodes to null */
+const parseJson = (text: string): unknown => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const writePath = (target: Record<string, unknown>, path: string, value: unknown) => {
+  const keys = path.split('.');
+  let node = target;
+  for (let i = 0; i < keys.length - 1; i++) {
+    node[keys[i]] ??= {};
+    node = node[keys[i]] as Record<string, unknown>;
+  }
+  node[keys[keys.length - 1]] = value;
+};
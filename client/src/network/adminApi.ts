@@ -0,0 +1,53 @@
+const TOKEN_STORAGE_KEY = 'multiplayer.adminToken';
+
+/**
+ * Call the server's admin API (see the /admin routes in server/index.js)
+ * @returns The response body; failed requests resolve to { error } instead of throwing
+ */
+export async function adminRequest<T extends object>(
+  token: string,
+  method: 'GET' | 'POST' | 'DELETE',
+  path: string,
+  body?: object
+): Promise<T & { error?: string }> {
+  const url = `${import.meta.env.VITE_SERVER_URL || window.location.origin}/admin${path}`;
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { ...data, error: data.error || `Request failed (${response.status})` };
+    }
+    return data;
+  } catch {
+    return { error: 'Server unreachable' } as T & { error?: string };
+  }
+}
+
+/**
+ * Read the admin token remembered for this tab
+ */
+export function loadAdminToken(): string {
+  try {
+    return sessionStorage.getItem(TOKEN_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Remember the admin token until the tab is closed
+ */
+export function saveAdminToken(token: string) {
+  try {
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } catch {
+    // Storage may be disabled; the token then has to be entered again after a reload
+  }
+}
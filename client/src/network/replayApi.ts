@@ -0,0 +1,38 @@
+import { ReplayReader } from './ReplayReader';
+import type { ReplayInfo } from '../types/game';
+
+const serverUrl = () => import.meta.env.VITE_SERVER_URL || window.location.origin;
+
+/**
+ * List the server's recorded matches (GET /replays)
+ * @returns Replays newest first and whether the server is recording; failures resolve to { error }
+ */
+export async function fetchReplays(): Promise<{ replays: ReplayInfo[]; recording: boolean; error?: string }> {
+  try {
+    const response = await fetch(`${serverUrl()}/replays`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { replays: [], recording: false, error: data.error || `Request failed (${response.status})` };
+    }
+    return data;
+  } catch {
+    return { replays: [], recording: false, error: 'Server unreachable' };
+  }
+}
+
+/**
+ * Download and parse one replay (GET /replays/:id)
+ * @returns A reader for the replay, or { error }
+ */
+export async function fetchReplay(id: string): Promise<{ reader?: ReplayReader; error?: string }> {
+  try {
+    const response = await fetch(`${serverUrl()}/replays/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return { error: data.error || `Request failed (${response.status})` };
+    }
+    return ReplayReader.parse(await response.arrayBuffer());
+  } catch {
+    return { error: 'Server unreachable' };
+  }
+}
@@ -0,0 +1,33 @@
+import type { PlayerProfile, SessionInfo } from '../types/game';
+
+const STORAGE_KEY = 'multiplayer.session';
+
+/** What the client remembers between page loads; the token is missing until the server issues one */
+export type StoredSession = PlayerProfile & Partial<Pick<SessionInfo, 'token' | 'playerId'>>;
+
+/**
+ * Read the stored profile and session token
+ * @returns The stored session, or null if the player hasn't picked a name yet
+ */
+export function loadSession(): StoredSession | null {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (stored && typeof stored.name === 'string' && typeof stored.color === 'string') {
+      return stored as StoredSession;
+    }
+  } catch {
+    // Corrupt or inaccessible storage: ask for a profile again
+  }
+  return null;
+}
+
+/**
+ * Remember the profile and session token for the next visit
+ */
+export function saveSession(session: StoredSession) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } catch {
+    // Storage may be disabled (private browsing); the session then lasts for this page only
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Level Collision
+ * Stand-in for the server's collisions between a player and the level's static geometry, used
+ * by client-side prediction: the ground plane at level.ground.height plus the level's boxes
+ * (walls, platforms, ramps) and spheres. The player is the same non-rotating box as on the server.
+ * Boxes are separated along their own face axes only, which is exact for walls and platforms
+ * and close enough on ramps and turned boxes for reconciliation to absorb the rest.
+ */
+import type { LevelData, LevelObject, Quaternion, Vector3 } from '../types/game';
+
+/** Ground height of the server's default world, used until the level arrives */
+export const DEFAULT_GROUND_Y = -0.5;
+
+// Passes over the level per step, so a push out of one object into another is resolved too
+const RESOLVE_PASSES = 2;
+
+interface Contact {
+  /** Direction to push the player out, unit length */
+  normal: Vector3;
+  depth: number;
+}
+
+/**
+ * Rotate a vector by a unit quaternion
+ */
+const rotate = (v: Vector3, q: Quaternion): Vector3 => {
+  // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+  const tx = 2 * (q.y * v.z - q.z * v.y);
+  const ty = 2 * (q.z * v.x - q.x * v.z);
+  const tz = 2 * (q.x * v.y - q.y * v.x);
+  return {
+    x: v.x + q.w * tx + (q.y * tz - q.z * ty),
+    y: v.y + q.w * ty + (q.z * tx - q.x * tz),
+    z: v.z + q.w * tz + (q.x * ty - q.y * tx)
+  };
+};
+
+const inverse = (q: Quaternion): Quaternion => ({ x: -q.x, y: -q.y, z: -q.z, w: q.w });
+
+const AXES: Vector3[] = [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }];
+const component = (v: Vector3, axis: number) => (axis === 0 ? v.x : axis === 1 ? v.y : v.z);
+
+/**
+ * Find how deep a player box overlaps a static box, separating along the box's face axes
+ * @param position - Player center
+ * @param halfExtents - Player half extents
+ */
+const boxContact = (position: Vector3, halfExtents: Vector3, object: LevelObject): Contact | null => {
+  const box = object.halfExtents!;
+  const local = rotate({
+    x: position.x - object.position.x,
+    y: position.y - object.position.y,
+    z: position.z - object.position.z
+  }, inverse(object.quaternion));
+
+  let best: Contact | null = null;
+  for (let axis = 0; axis < 3; axis++) {
+    const worldAxis = rotate(AXES[axis], object.quaternion);
+    // How far the player box reaches along this axis
+    const reach = Math.abs(worldAxis.x) * halfExtents.x + Math.abs(worldAxis.y) * halfExtents.y +
+      Math.abs(worldAxis.z) * halfExtents.z;
+    const offset = component(local, axis);
+    const depth = component(box, axis) + reach - Math.abs(offset);
+    if (depth <= 0) {
+      return null;
+    }
+    if (!best || depth < best.depth) {
+      const sign = offset < 0 ? -1 : 1;
+      best = { normal: { x: worldAxis.x * sign, y: worldAxis.y * sign, z: worldAxis.z * sign }, depth };
+    }
+  }
+  return best;
+};
+
+/**
+ * Find how deep a player box overlaps a static sphere
+ */
+const sphereContact = (position: Vector3, halfExtents: Vector3, object: LevelObject): Contact | null => {
+  const center = object.position;
+  const radius = object.radius!;
+  // Closest point of the player box to the sphere's center
+  const closest = {
+    x: Math.max(position.x - halfExtents.x, Math.min(position.x + halfExtents.x, center.x)),
+    y: Math.max(position.y - halfExtents.y, Math.min(position.y + halfExtents.y, center.y)),
+    z: Math.max(position.z - halfExtents.z, Math.min(position.z + halfExtents.z, center.z))
+  };
+  const dx = closest.x - center.x;
+  const dy = closest.y - center.y;
+  const dz = closest.z - center.z;
+  const distance = Math.hypot(dx, dy, dz);
+  if (distance >= radius) {
+    return null;
+  }
+  if (distance === 0) {
+    return { normal: { x: 0, y: 1, z: 0 }, depth: radius };
+  }
+  return { normal: { x: dx / distance, y: dy / distance, z: dz / distance }, depth: radius - distance };
+};
+
+/**
+ * Push a player out of the ground and the level's static objects
+ * Mutates position and velocity in place; velocity into a surface is removed, as the server's
+ * frictionless, non-bouncing character contacts do.
+ * @param halfExtents - Player half extents
+ */
+export const resolveLevelCollisions = (
+  position: Vector3,
+  velocity: Vector3,
+  halfExtents: Vector3,
+  level?: LevelData | null
+) => {
+  for (let pass = 0; pass < RESOLVE_PASSES; pass++) {
+    for (const object of level?.objects ?? []) {
+      const contact = object.shape === 'sphere'
+        ? sphereContact(position, halfExtents, object)
+        : boxContact(position, halfExtents, object);
+      if (!contact) continue;
+
+      const { normal, depth } = contact;
+      position.x += normal.x * depth;
+      position.y += normal.y * depth;
+      position.z += normal.z * depth;
+      const into = velocity.x * normal.x + velocity.y * normal.y + velocity.z * normal.z;
+      if (into < 0) {
+        velocity.x -= normal.x * into;
+        velocity.y -= normal.y * into;
+        velocity.z -= normal.z * into;
+      }
+    }
+  }
+
+  // Infinite ground plane
+  const restY = (level?.ground.height ?? DEFAULT_GROUND_Y) + halfExtents.y;
+  if (position.y < restY) {
+    position.y = restY;
+    velocity.y = Math.max(0, velocity.y);
+  }
+};
+
+/**
+ * Distance along a ray to a static box, or Infinity (slab test in the box's frame)
+ */
+const rayBox = (origin: Vector3, direction: Vector3, object: LevelObject) => {
+  const box = object.halfExtents!;
+  const toBox = inverse(object.quaternion);
+  const o = rotate({
+    x: origin.x - object.position.x,
+    y: origin.y - object.position.y,
+    z: origin.z - object.position.z
+  }, toBox);
+  const d = rotate(direction, toBox);
+
+  let near = -Infinity;
+  let far = Infinity;
+  for (let axis = 0; axis < 3; axis++) {
+    const start = component(o, axis);
+    const step = component(d, axis);
+    const half = component(box, axis);
+    if (Math.abs(step) < 1e-9) {
+      if (Math.abs(start) > half) return Infinity;
+      continue;
+    }
+    const t1 = (-half - start) / step;
+    const t2 = (half - start) / step;
+    near = Math.max(near, Math.min(t1, t2));
+    far = Math.min(far, Math.max(t1, t2));
+    if (near > far) return Infinity;
+  }
+  if (far < 0) return Infinity;
+  return Math.max(0, near);
+};
+
+/**
+ * Distance down from a point to the top of a static sphere, or Infinity
+ */
+const rayDownSphere = (origin: Vector3, object: LevelObject) => {
+  const center = object.position;
+  const radius = object.radius!;
+  const horizontal = Math.hypot(origin.x - center.x, origin.z - center.z);
+  if (horizontal > radius) return Infinity;
+  const top = center.y + Math.sqrt(radius * radius - horizontal * horizontal);
+  return origin.y >= top ? origin.y - top : 0;
+};
+
+/**
+ * Check for ground just below the player's feet, like the server's downward raycast from the
+ * player's center
+ * @param halfHeight - Distance from the player's center to its feet
+ * @param distance - How far below the feet still counts as grounded
+ */
+export const isOnLevelGround = (
+  position: Vector3,
+  halfHeight: number,
+  distance: number,
+  level?: LevelData | null
+) => {
+  const reach = halfHeight + distance;
+  const groundY = level?.ground.height ?? DEFAULT_GROUND_Y;
+  if (position.y - groundY <= reach) {
+    return true;
+  }
+
+  const down = { x: 0, y: -1, z: 0 };
+  return (level?.objects ?? []).some(object => {
+    const hit = object.shape === 'sphere' ? rayDownSphere(position, object) : rayBox(position, down, object);
+    return hit <= reach;
+  });
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { stepPlayer } from './movementModel';
+import type { PredictedState } from './movementModel';
+import { SERVER_TRAJECTORIES } from './serverTrajectories';
+import type { RecordedTrajectory } from './serverTrajectories';
+import type { InputState } from '../types/game';
+
+const TICK_DURATION = 1 / 60;
+const RELEASED: InputState = { left: false, right: false, forward: false, backward: false, jump: false, shove: false };
+
+// Cannon's solver settles contacts over a few ticks; prediction only has to stay close enough
+// for reconciliation to blend the difference away unnoticed
+const TOLERANCE = 0.1;
+
+const trajectory = (name: string) => SERVER_TRAJECTORIES.find(recorded => recorded.name === name)!;
+
+/**
+ * Run a recorded input sequence through prediction from the server's starting state, like
+ * reconciliation replaying unacknowledged inputs, checking every tick against the recording
+ */
+const replay = ({ start, ticks, params, level }: RecordedTrajectory) => {
+  const predicted: PredictedState = {
+    position: { ...start.position },
+    velocity: { ...start.velocity },
+    onGround: start.onGround,
+    facing: start.facing,
+    stagger: start.stagger
+  };
+  for (const { input, position, onGround } of ticks) {
+    stepPlayer(predicted, { ...RELEASED, ...input }, params, TICK_DURATION, level);
+
+    expect(Math.abs(predicted.position.x - position.x)).toBeLessThan(TOLERANCE);
+    expect(Math.abs(predicted.position.y - position.y)).toBeLessThan(TOLERANCE);
+    expect(Math.abs(predicted.position.z - position.z)).toBeLessThan(TOLERANCE);
+    expect(predicted.onGround).toBe(onGround);
+  }
+  return predicted;
+};
+
+describe('stepPlayer against recorded server movement', () => {
+  it('stays on the arena platform while walking and landing a jump there', () => {
+    const recorded = trajectory('platform');
+    const platformTop = 1.5;
+    expect(recorded.start.position.y).toBeGreaterThan(platformTop);
+
+    const predicted = replay(recorded);
+
+    expect(predicted.position.y - recorded.params.HALF_HEIGHT).toBeGreaterThan(platformTop - TOLERANCE);
+    expect(predicted.onGround).toBe(true);
+  });
+
+  it('walks up the ramp to the platform', () => {
+    const recorded = trajectory('ramp');
+
+    const predicted = replay(recorded);
+
+    expect(predicted.position.z).toBeLessThan(7);
+    expect(predicted.position.y - recorded.params.HALF_HEIGHT).toBeGreaterThan(0.75);
+  });
+
+  it('stops at the arena walls', () => {
+    const recorded = trajectory('wall');
+
+    const predicted = replay(recorded);
+
+    // The east wall's inner face is at x = 47.5
+    expect(predicted.position.x + recorded.params.HALF_WIDTH).toBeLessThan(47.5 + TOLERANCE);
+  });
+});
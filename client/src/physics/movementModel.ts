@@ -0,0 +1,159 @@
+/**
+ * Player Movement Model
+ * Copy of server/src/entities/movementModel.js used for client-side prediction - keep the two in sync.
+ * stepPlayer() additionally stands in for the server's physics step (gravity, damping, and
+ * collisions with the level's ground and static objects, see levelCollision.ts).
+ */
+import type { InputState, LevelData, MovementParams, Vector3 } from '../types/game';
+import { isOnLevelGround, resolveLevelCollisions } from './levelCollision';
+
+export interface PredictedState {
+  position: Vector3;
+  velocity: Vector3;
+  onGround: boolean;
+  facing: number;
+  /** Seconds of knockback left, counted down like the server does */
+  stagger: number;
+}
+
+/**
+ * Build the target horizontal velocity for the current input
+ * An analog move vector takes precedence over the four direction booleans; a yaw makes
+ * the move vector camera-relative
+ */
+export const computeTargetVelocity = (input: InputState, params: MovementParams) => {
+  let moveX, moveZ;
+  if (typeof input.moveX === 'number' || typeof input.moveZ === 'number') {
+    moveX = input.moveX || 0;
+    moveZ = input.moveZ || 0;
+  } else {
+    moveX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    moveZ = (input.backward ? 1 : 0) - (input.forward ? 1 : 0);
+  }
+
+  // normalize diagonal
+  const length = Math.hypot(moveX, moveZ);
+  if (length > 1) {
+    moveX /= length;
+    moveZ /= length;
+  }
+
+  // rotate from camera space into world space (yaw 0 looks down -Z)
+  if (typeof input.yaw === 'number') {
+    const cos = Math.cos(input.yaw);
+    const sin = Math.sin(input.yaw);
+    const worldX = moveX * cos + moveZ * sin;
+    moveZ = moveZ * cos - moveX * sin;
+    moveX = worldX;
+  }
+
+  return { x: moveX * params.SPEED, z: moveZ * params.SPEED };
+};
+
+/**
+ * Work out which way the player faces: toward its movement, or the input's facing when still
+ */
+export const computeFacing = (input: InputState, target: { x: number; z: number }, facing: number) => {
+  if (target.x !== 0 || target.z !== 0) {
+    return Math.atan2(-target.x, -target.z);
+  }
+  return typeof input.facing === 'number' ? input.facing : facing;
+};
+
+/**
+ * Scale horizontal velocity down to a maximum speed
+ */
+export const clampHorizontal = (velocity: Vector3, maxSpeed: number) => {
+  const hv = Math.hypot(velocity.x, velocity.z);
+  if (hv > maxSpeed) {
+    const s = maxSpeed / hv;
+    velocity.x *= s;
+    velocity.z *= s;
+  }
+};
+
+/**
+ * Apply one step of player-controlled movement to a velocity
+ * Mutates velocity in place and returns true if the player jumped.
+ * A staggered player can't steer or jump; its velocity carries on.
+ */
+export const applyMovement = (
+  velocity: Vector3,
+  input: InputState,
+  onGround: boolean,
+  params: MovementParams,
+  deltaTime: number,
+  staggered = false
+) => {
+  if (staggered) {
+    return false;
+  }
+
+  const target = computeTargetVelocity(input, params);
+
+  if (onGround) {
+    // smooth lerp to target velocity (frame-rate independent)
+    const lerp = Math.min(1, params.ACCELERATION * deltaTime);
+    velocity.x += (target.x - velocity.x) * lerp;
+    velocity.z += (target.z - velocity.z) * lerp;
+
+    clampHorizontal(velocity, params.MAX_HORIZONTAL_SPEED);
+
+    // jump
+    if (input.jump) {
+      velocity.y = params.JUMP_FORCE;
+      return true;
+    }
+    return false;
+  }
+
+  // in-air: accelerate gently toward the target for floaty control
+  velocity.x += (target.x - velocity.x) * params.AIR_ACCELERATION * deltaTime;
+  velocity.z += (target.z - velocity.z) * params.AIR_ACCELERATION * deltaTime;
+
+  // gentle clamp so player doesn't rocket horizontally in mid-air
+  clampHorizontal(velocity, params.MAX_HORIZONTAL_SPEED * 1.4);
+  return false;
+};
+
+/**
+ * Advance a predicted player by one server tick
+ * Mirrors GameManager's order: physics step first, then Player.update with the tick's input
+ * @param level - Level the server simulates; without it the ground is a plane at the default height
+ */
+export const stepPlayer = (
+  state: PredictedState,
+  input: InputState,
+  params: MovementParams,
+  deltaTime: number,
+  level?: LevelData | null
+) => {
+  const { position, velocity } = state;
+
+  // physics step: gravity (softened while airborne), damping, integration
+  // Contact friction isn't modeled; reconciliation absorbs the difference
+  const gravity = state.onGround ? params.GRAVITY : params.GRAVITY * (1 - params.FLOATINESS);
+  velocity.y += gravity * deltaTime;
+  const damping = Math.pow(1 - params.LINEAR_DAMPING, deltaTime);
+  velocity.x *= damping;
+  velocity.y *= damping;
+  velocity.z *= damping;
+  position.x += velocity.x * deltaTime;
+  position.y += velocity.y * deltaTime;
+  position.z += velocity.z * deltaTime;
+
+  // level collision
+  const halfExtents = { x: params.HALF_WIDTH, y: params.HALF_HEIGHT, z: params.HALF_WIDTH };
+  resolveLevelCollisions(position, velocity, halfExtents, level);
+
+  // knockback wears off, then ground check and movement
+  state.stagger = Math.max(0, state.stagger - deltaTime);
+  const staggered = state.stagger > 0;
+  state.onGround = isOnLevelGround(position, params.HALF_HEIGHT, params.GROUND_CHECK_DISTANCE, level);
+  if (!staggered) {
+    state.facing = computeFacing(input, computeTargetVelocity(input, params), state.facing);
+  }
+  if (applyMovement(velocity, input, state.onGround, params, deltaTime, staggered)) {
+    state.onGround = false;
+  }
+};
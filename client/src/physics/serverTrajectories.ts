@@ -0,0 +1,329 @@
+/**
+ * Server Trajectories
+ * Recorded by server/test/helpers/recordMovementTrajectories.js - do not edit by hand.
+ * Where the server's simulation put the player after each tick of a scripted input sequence.
+ */
+import type { InputState, LevelData, MovementParams, Vector3 } from '../types/game';
+import type { PredictedState } from './movementModel';
+
+export interface RecordedTrajectory {
+  name: string;
+  description: string;
+  params: MovementParams;
+  /** Player state once it settled, before the first input */
+  start: PredictedState;
+  level: LevelData;
+  /** Each tick's input (keys left out are released) and the player's state after it */
+  ticks: Array<{ input: Partial<InputState>; position: Vector3; onGround: boolean }>;
+}
+
+export const SERVER_TRAJECTORIES: RecordedTrajectory[] = [
+  {"name":"platform","description":"walks and lands a jump on the arena platform","params":{"SPEED":8,"MAX_HORIZONTAL_SPEED":9,"ACCELERATION":12,"AIR_ACCELERATION":1.4,"JUMP_FORCE":5,"LINEAR_DAMPING":0.18,"FLOATINESS":0.35,"GRAVITY":-9.82,"HALF_HEIGHT":0.9,"HALF_WIDTH":0.4,"GROUND_CHECK_DISTANCE":0.1},"start":{"position":{"x":12,"y":2.4,"z":0},"velocity":{"x":0,"y":0,"z":0},"onGround":true,"facing":0,"stagger":0},"level":{"id":"arena","name":"Arena","ground":{"height":-0.5,"size":100,"color":"#2d3748"},"objects":[{"id":0,"kind":"wall","position":{"x":-48,"y":4.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":0.5,"y":5,"z":50}},{"id":1,"kind":"wall","position":{"x":48,"y":4.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":0.5,"y":5,"z":50}},{"id":2,"kind":"wall","position":{"x":0,"y":4.5,"z":-48},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":50,"y":5,"z":0.5}},{"id":3,"kind":"wall","position":{"x":0,"y":4.5,"z":48},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":50,"y":5,"z":0.5}},{"id":4,"kind":"box","position":{"x":12,"y":0.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#4a5568","opacity":1,"shape":"box","halfExtents":{"x":3,"y":1,"z":3}},{"id":5,"kind":"ramp","position":{"x":12,"y":0.3,"z":7.86},"quaternion":{"x":0.10018806161207629,"y":0,"z":0,"w":0.9949685182509117},"color":"#718096","opacity":1,"shape":"box","halfExtents":{"x":2,"y":0.2,"z":5}},{"id":6,"kind":"box","position":{"x":-14,"y":1.5,"z":-14},"quaternion":{"x":0,"y":0.3826834323650898,"z":0,"w":0.9238795325112867},"color":"#4a5568","opacity":1,"shape":"box","halfExtents":{"x":2,"y":2,"z":2}},{"id":7,"kind":"ramp","position":{"x":-20,"y":0.55,"z":10},"quaternion":{"x":0.07391278520356671,"y":0.7032331762534041,"z":-0.0739127852035667,"w":0.7032331762534042},"color":"#718096","opacity":1,"shape":"box","halfExtents":{"x":3,"y":0.2,"z":6}},{"id":8,"kind":"sphere","position":{"x":0,"y":-0.5,"z":20},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#805ad5","opacity":1,"shape":"sphere","radius":3}],"spawnPoints":[{"x":-5,"y":2,"z":-5},{"x":5,"y":2,"z":-5},{"x":-5,"y":2,"z":5},{"x":5,"y":2,"z":5},{"x":0,"y":2,"z":-10},{"x":0,"y":2,"z":10}],"killZones":[{"name":"void","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":1000,"y":-10,"z":1000}},{"name":"outside-west","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":-49,"y":1000,"z":1000}},{"name":"outside-east","min":{"x":49,"y":-1000,"z":-1000},"max":{"x":1000,"y":1000,"z":1000}},{"name":"outside-north","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":1000,"y":1000,"z":-49}},{"name":"outside-south","min":{"x":-1000,"y":-1000,"z":49},"max":{"x":1000,"y":1000,"z":1000}}],"hills":[{"name":"platform","position":{"x":12,"y":1.5,"z":0},"radius":2.5,"height":3},{"name":"west-field","position":{"x":-10,"y":-0.5,"z":10},"radius":3,"height":3}]},
+    "ticks": [
+      {"input":{"right":true},"position":{"x":12,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.0266,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.0743,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.139,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.2172,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.306,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.4035,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.5078,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.6175,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.7316,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.8491,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":12.9694,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.0919,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.2162,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.3418,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.4686,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.5963,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.7246,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.8536,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":13.9829,"y":2.4,"z":0},"onGround":true},
+      {"input":{"right":true,"jump":true},"position":{"x":14.1127,"y":2.4,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.2427,"y":2.4813,"z":0},"onGround":true},
+      {"input":{"left":true},"position":{"x":14.3198,"y":2.5595,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.3918,"y":2.6358,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.4587,"y":2.71,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.5208,"y":2.7822,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.5781,"y":2.8525,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.6308,"y":2.9206,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.679,"y":2.9868,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.7228,"y":3.0511,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.7623,"y":3.1133,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.7977,"y":3.1735,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8291,"y":3.2318,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8565,"y":3.2881,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8801,"y":3.3425,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9,"y":3.3948,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9162,"y":3.4453,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9289,"y":3.4938,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9382,"y":3.5404,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9441,"y":3.585,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9468,"y":3.6278,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9462,"y":3.6686,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9427,"y":3.7075,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.936,"y":3.7445,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9265,"y":3.7796,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.9141,"y":3.8128,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.899,"y":3.8442,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8811,"y":3.8736,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8607,"y":3.9012,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8376,"y":3.9269,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.8121,"y":3.9508,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.7842,"y":3.9728,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.7539,"y":3.993,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.7213,"y":4.0113,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.6864,"y":4.0278,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.6494,"y":4.0425,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.6103,"y":4.0554,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.5691,"y":4.0664,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.5259,"y":4.0756,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.4808,"y":4.083,"z":0},"onGround":false},
+      {"input":{"left":true},"position":{"x":14.4337,"y":4.0887,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.3848,"y":4.0925,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.3372,"y":4.0945,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.2909,"y":4.0948,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.2458,"y":4.0933,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.2019,"y":4.09,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.1591,"y":4.085,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.1175,"y":4.0782,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.077,"y":4.0696,"z":0},"onGround":false},
+      {"input":{},"position":{"x":14.0376,"y":4.0594,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.9992,"y":4.0473,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.9618,"y":4.0336,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.9255,"y":4.0181,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.8901,"y":4.0009,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.8556,"y":3.9819,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.8221,"y":3.9613,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.7894,"y":3.939,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.7576,"y":3.9149,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.7267,"y":3.8892,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.6965,"y":3.8617,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.6672,"y":3.8326,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.6387,"y":3.8019,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.6109,"y":3.7694,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.5838,"y":3.7353,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.5575,"y":3.6995,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.5319,"y":3.6621,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.5069,"y":3.623,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.4826,"y":3.5822,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.459,"y":3.5399,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.436,"y":3.4959,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.4136,"y":3.4503,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.3918,"y":3.403,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.3705,"y":3.3541,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.3499,"y":3.3036,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.3298,"y":3.2516,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.3102,"y":3.1979,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.2911,"y":3.1426,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.2726,"y":3.0857,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.2545,"y":3.0273,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.2369,"y":2.9672,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.2198,"y":2.9056,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.2031,"y":2.8424,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.1869,"y":2.7777,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.1711,"y":2.7114,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.1558,"y":2.6435,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.1408,"y":2.5741,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.1262,"y":2.5031,"z":0},"onGround":false},
+      {"input":{},"position":{"x":13.1121,"y":2.4306,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.1007,"y":2.3557,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0917,"y":2.3635,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0845,"y":2.3753,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0788,"y":2.3843,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0742,"y":2.3906,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0706,"y":2.3941,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0677,"y":2.3962,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0654,"y":2.3975,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0635,"y":2.3983,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0621,"y":2.3989,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0609,"y":2.3993,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.06,"y":2.3995,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0592,"y":2.3997,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0586,"y":2.3998,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0581,"y":2.3998,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0578,"y":2.3999,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0575,"y":2.3999,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0572,"y":2.3999,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.057,"y":2.3999,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0569,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0567,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0567,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0566,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0565,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0565,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0564,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0564,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0564,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0563,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0563,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0563,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0563,"y":2.4,"z":0},"onGround":true},
+      {"input":{},"position":{"x":13.0563,"y":2.4,"z":0},"onGround":true}
+    ]
+  },
+  {"name":"ramp","description":"walks up the ramp to the platform","params":{"SPEED":8,"MAX_HORIZONTAL_SPEED":9,"ACCELERATION":12,"AIR_ACCELERATION":1.4,"JUMP_FORCE":5,"LINEAR_DAMPING":0.18,"FLOATINESS":0.35,"GRAVITY":-9.82,"HALF_HEIGHT":0.9,"HALF_WIDTH":0.4,"GROUND_CHECK_DISTANCE":0.1},"start":{"position":{"x":12,"y":0.4,"z":14},"velocity":{"x":0,"y":0,"z":0},"onGround":true,"facing":0,"stagger":0},"level":{"id":"arena","name":"Arena","ground":{"height":-0.5,"size":100,"color":"#2d3748"},"objects":[{"id":0,"kind":"wall","position":{"x":-48,"y":4.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":0.5,"y":5,"z":50}},{"id":1,"kind":"wall","position":{"x":48,"y":4.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":0.5,"y":5,"z":50}},{"id":2,"kind":"wall","position":{"x":0,"y":4.5,"z":-48},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":50,"y":5,"z":0.5}},{"id":3,"kind":"wall","position":{"x":0,"y":4.5,"z":48},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":50,"y":5,"z":0.5}},{"id":4,"kind":"box","position":{"x":12,"y":0.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#4a5568","opacity":1,"shape":"box","halfExtents":{"x":3,"y":1,"z":3}},{"id":5,"kind":"ramp","position":{"x":12,"y":0.3,"z":7.86},"quaternion":{"x":0.10018806161207629,"y":0,"z":0,"w":0.9949685182509117},"color":"#718096","opacity":1,"shape":"box","halfExtents":{"x":2,"y":0.2,"z":5}},{"id":6,"kind":"box","position":{"x":-14,"y":1.5,"z":-14},"quaternion":{"x":0,"y":0.3826834323650898,"z":0,"w":0.9238795325112867},"color":"#4a5568","opacity":1,"shape":"box","halfExtents":{"x":2,"y":2,"z":2}},{"id":7,"kind":"ramp","position":{"x":-20,"y":0.55,"z":10},"quaternion":{"x":0.07391278520356671,"y":0.7032331762534041,"z":-0.0739127852035667,"w":0.7032331762534042},"color":"#718096","opacity":1,"shape":"box","halfExtents":{"x":3,"y":0.2,"z":6}},{"id":8,"kind":"sphere","position":{"x":0,"y":-0.5,"z":20},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#805ad5","opacity":1,"shape":"sphere","radius":3}],"spawnPoints":[{"x":-5,"y":2,"z":-5},{"x":5,"y":2,"z":-5},{"x":-5,"y":2,"z":5},{"x":5,"y":2,"z":5},{"x":0,"y":2,"z":-10},{"x":0,"y":2,"z":10}],"killZones":[{"name":"void","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":1000,"y":-10,"z":1000}},{"name":"outside-west","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":-49,"y":1000,"z":1000}},{"name":"outside-east","min":{"x":49,"y":-1000,"z":-1000},"max":{"x":1000,"y":1000,"z":1000}},{"name":"outside-north","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":1000,"y":1000,"z":-49}},{"name":"outside-south","min":{"x":-1000,"y":-1000,"z":49},"max":{"x":1000,"y":1000,"z":1000}}],"hills":[{"name":"platform","position":{"x":12,"y":1.5,"z":0},"radius":2.5,"height":3},{"name":"west-field","position":{"x":-10,"y":-0.5,"z":10},"radius":3,"height":3}]},
+    "ticks": [
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":14},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.9734},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.9257},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.861},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.7828},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.694},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.5965},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.4922},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.3825},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.2684},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4,"z":13.1509},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4242,"z":13.0361},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4506,"z":12.9189},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.4767,"z":12.7995},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.5027,"z":12.6782},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.5285,"z":12.5555},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.5542,"z":12.4316},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.58,"z":12.3068},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.6057,"z":12.1813},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.6315,"z":12.0552},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.6574,"z":11.9287},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.6833,"z":11.8018},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.7092,"z":11.6747},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.7351,"z":11.5473},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.7611,"z":11.4197},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.7871,"z":11.292},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.8131,"z":11.1641},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.8392,"z":11.0362},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.8652,"z":10.9081},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.8913,"z":10.7801},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.9174,"z":10.6519},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.9434,"z":10.5238},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.9695,"z":10.3956},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":0.9956,"z":10.2673},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.0217,"z":10.1391},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.0478,"z":10.0108},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.0739,"z":9.8825},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.1,"z":9.7542},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.1261,"z":9.6259},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.1522,"z":9.4976},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.1783,"z":9.3693},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.2044,"z":9.241},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.2305,"z":9.1127},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.2566,"z":8.9844},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.2828,"z":8.856},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.3089,"z":8.7277},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.335,"z":8.5994},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.3611,"z":8.4711},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.3872,"z":8.3427},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.4133,"z":8.2144},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.4394,"z":8.0861},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.4655,"z":7.9577},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.4916,"z":7.8294},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.5177,"z":7.7011},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.5438,"z":7.5727},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.57,"z":7.4444},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.5961,"z":7.316},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.6222,"z":7.1877},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.6483,"z":7.0594},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.6744,"z":6.931},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.7005,"z":6.8027},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.7266,"z":6.6744},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.7527,"z":6.546},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.7788,"z":6.4177},"onGround":true},
+      {"input":{"forward":true},"position":{"x":12,"y":1.8049,"z":6.2894},"onGround":true}
+    ]
+  },
+  {"name":"wall","description":"runs into the east arena wall","params":{"SPEED":8,"MAX_HORIZONTAL_SPEED":9,"ACCELERATION":12,"AIR_ACCELERATION":1.4,"JUMP_FORCE":5,"LINEAR_DAMPING":0.18,"FLOATINESS":0.35,"GRAVITY":-9.82,"HALF_HEIGHT":0.9,"HALF_WIDTH":0.4,"GROUND_CHECK_DISTANCE":0.1},"start":{"position":{"x":44,"y":0.4,"z":0},"velocity":{"x":0,"y":0,"z":0},"onGround":true,"facing":0,"stagger":0},"level":{"id":"arena","name":"Arena","ground":{"height":-0.5,"size":100,"color":"#2d3748"},"objects":[{"id":0,"kind":"wall","position":{"x":-48,"y":4.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":0.5,"y":5,"z":50}},{"id":1,"kind":"wall","position":{"x":48,"y":4.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":0.5,"y":5,"z":50}},{"id":2,"kind":"wall","position":{"x":0,"y":4.5,"z":-48},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":50,"y":5,"z":0.5}},{"id":3,"kind":"wall","position":{"x":0,"y":4.5,"z":48},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#1a202c","opacity":0.3,"shape":"box","halfExtents":{"x":50,"y":5,"z":0.5}},{"id":4,"kind":"box","position":{"x":12,"y":0.5,"z":0},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#4a5568","opacity":1,"shape":"box","halfExtents":{"x":3,"y":1,"z":3}},{"id":5,"kind":"ramp","position":{"x":12,"y":0.3,"z":7.86},"quaternion":{"x":0.10018806161207629,"y":0,"z":0,"w":0.9949685182509117},"color":"#718096","opacity":1,"shape":"box","halfExtents":{"x":2,"y":0.2,"z":5}},{"id":6,"kind":"box","position":{"x":-14,"y":1.5,"z":-14},"quaternion":{"x":0,"y":0.3826834323650898,"z":0,"w":0.9238795325112867},"color":"#4a5568","opacity":1,"shape":"box","halfExtents":{"x":2,"y":2,"z":2}},{"id":7,"kind":"ramp","position":{"x":-20,"y":0.55,"z":10},"quaternion":{"x":0.07391278520356671,"y":0.7032331762534041,"z":-0.0739127852035667,"w":0.7032331762534042},"color":"#718096","opacity":1,"shape":"box","halfExtents":{"x":3,"y":0.2,"z":6}},{"id":8,"kind":"sphere","position":{"x":0,"y":-0.5,"z":20},"quaternion":{"x":0,"y":0,"z":0,"w":1},"color":"#805ad5","opacity":1,"shape":"sphere","radius":3}],"spawnPoints":[{"x":-5,"y":2,"z":-5},{"x":5,"y":2,"z":-5},{"x":-5,"y":2,"z":5},{"x":5,"y":2,"z":5},{"x":0,"y":2,"z":-10},{"x":0,"y":2,"z":10}],"killZones":[{"name":"void","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":1000,"y":-10,"z":1000}},{"name":"outside-west","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":-49,"y":1000,"z":1000}},{"name":"outside-east","min":{"x":49,"y":-1000,"z":-1000},"max":{"x":1000,"y":1000,"z":1000}},{"name":"outside-north","min":{"x":-1000,"y":-1000,"z":-1000},"max":{"x":1000,"y":1000,"z":-49}},{"name":"outside-south","min":{"x":-1000,"y":-1000,"z":49},"max":{"x":1000,"y":1000,"z":1000}}],"hills":[{"name":"platform","position":{"x":12,"y":1.5,"z":0},"radius":2.5,"height":3},{"name":"west-field","position":{"x":-10,"y":-0.5,"z":10},"radius":3,"height":3}]},
+    "ticks": [
+      {"input":{"right":true},"position":{"x":44,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.0266,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.0743,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.139,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.2172,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.306,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.4035,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.5078,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.6175,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.7316,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.8491,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":44.9694,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.0919,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.2162,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.3418,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.4686,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.5963,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.7246,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.8536,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":45.9829,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.1127,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.2427,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.373,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.5034,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.634,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.7647,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":46.8955,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.0264,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1573,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1498,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1361,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1262,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1196,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1153,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1124,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1104,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1092,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1083,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1078,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1074,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1071,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.107,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1069,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1068,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1068,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true},
+      {"input":{"right":true},"position":{"x":47.1067,"y":0.4,"z":0},"onGround":true}
+    ]
+  }
+];
@@ -0,0 +1,223 @@
+const STORAGE_KEY = 'multiplayer.settings';
+const SETTINGS_VERSION = 1;
+
+/** Keyboard actions that can be rebound */
+export type InputAction =
+  | 'forward'
+  | 'backward'
+  | 'left'
+  | 'right'
+  | 'jump'
+  | 'shove'
+  | 'chat'
+  | 'toggleCamera'
+  | 'togglePhysicsDebug'
+  | 'spectatorPrevious'
+  | 'spectatorNext'
+  | 'spectatorCameraMode'
+  | 'flyUp'
+  | 'flyDown';
+
+/** KeyboardEvent.code values per action; codes name physical keys, so WASD stays put on AZERTY */
+export type KeyBindings = Record<InputAction, string[]>;
+
+export interface CameraSettings {
+  /** Multiplier on mouse look speed */
+  sensitivity: number;
+  /** Invert vertical look (follow and free-fly cameras) */
+  invertY: boolean;
+}
+
+export interface GraphicsSettings {
+  shadows: boolean;
+  antialias: boolean;
+  /** Upper bound on the device pixel ratio; lower is faster on high-DPI screens */
+  maxPixelRatio: number;
+}
+
+export interface Settings {
+  bindings: KeyBindings;
+  camera: CameraSettings;
+  graphics: GraphicsSettings;
+}
+
+// Each action can have a primary and an alternate key
+export const MAX_KEYS_PER_ACTION = 2;
+
+/** Actions in the order the settings screen lists them */
+export const INPUT_ACTIONS: { action: InputAction; label: string }[] = [
+  { action: 'forward', label: 'Move forward' },
+  { action: 'backward', label: 'Move backward' },
+  { action: 'left', label: 'Move left' },
+  { action: 'right', label: 'Move right' },
+  { action: 'jump', label: 'Jump' },
+  { action: 'shove', label: 'Shove' },
+  { action: 'chat', label: 'Open chat' },
+  { action: 'toggleCamera', label: 'Toggle follow camera' },
+  { action: 'togglePhysicsDebug', label: 'Toggle physics debug' },
+  { action: 'spectatorPrevious', label: 'Spectate previous player' },
+  { action: 'spectatorNext', label: 'Spectate next player' },
+  { action: 'spectatorCameraMode', label: 'Spectator free-fly camera' },
+  { action: 'flyUp', label: 'Free-fly up' },
+  { action: 'flyDown', label: 'Free-fly down' }
+];
+
+export const DEFAULT_SETTINGS: Settings = {
+  bindings: {
+    forward: ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    jump: ['Space'],
+    shove: ['ShiftLeft', 'KeyR'],
+    chat: ['Enter'],
+    toggleCamera: ['KeyC'],
+    togglePhysicsDebug: ['KeyP'],
+    spectatorPrevious: ['KeyQ'],
+    spectatorNext: ['KeyE'],
+    spectatorCameraMode: ['KeyF'],
+    flyUp: ['KeyE'],
+    flyDown: ['KeyQ']
+  },
+  camera: {
+    sensitivity: 1,
+    invertY: false
+  },
+  graphics: {
+    shadows: true,
+    antialias: true,
+    maxPixelRatio: 2
+  }
+};
+
+export const SENSITIVITY_RANGE = { min: 0.2, max: 3 };
+export const PIXEL_RATIO_RANGE = { min: 0.5, max: 3 };
+
+const clamp = (value: unknown, range: { min: number; max: number }, fallback: number) =>
+  typeof value === 'number' && Number.isFinite(value) ? Math.min(range.max, Math.max(range.min, value)) : fallback;
+
+const bool = (value: unknown, fallback: boolean) => typeof value === 'boolean' ? value : fallback;
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Build complete settings from untrusted data (storage or an imported file)
+ * Unknown fields are dropped and anything missing or invalid falls back to the default.
+ */
+export function normalizeSettings(data: unknown): Settings {
+  const source = isRecord(data) ? data : {};
+  const bindings = isRecord(source.bindings) ? source.bindings : {};
+  const camera = isRecord(source.camera) ? source.camera : {};
+  const graphics = isRecord(source.graphics) ? source.graphics : {};
+
+  const normalizedBindings = {} as KeyBindings;
+  for (const { action } of INPUT_ACTIONS) {
+    const codes = bindings[action];
+    normalizedBindings[action] = Array.isArray(codes)
+      ? codes.filter((code): code is string => typeof code === 'string' && code.length > 0 && code.length <= 32)
+        .slice(0, MAX_KEYS_PER_ACTION)
+      : [...DEFAULT_SETTINGS.bindings[action]];
+  }
+
+  return {
+    bindings: normalizedBindings,
+    camera: {
+      sensitivity: clamp(camera.sensitivity, SENSITIVITY_RANGE, DEFAULT_SETTINGS.camera.sensitivity),
+      invertY: bool(camera.invertY, DEFAULT_SETTINGS.camera.invertY)
+    },
+    graphics: {
+      shadows: bool(graphics.shadows, DEFAULT_SETTINGS.graphics.shadows),
+      antialias: bool(graphics.antialias, DEFAULT_SETTINGS.graphics.antialias),
+      maxPixelRatio: clamp(graphics.maxPixelRatio, PIXEL_RATIO_RANGE, DEFAULT_SETTINGS.graphics.maxPixelRatio)
+    }
+  };
+}
+
+/**
+ * Read the stored settings
+ * @returns Stored settings merged over the defaults
+ */
+export function loadSettings(): Settings {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+  } catch {
+    // Corrupt or inaccessible storage: start from the defaults
+    return normalizeSettings(null);
+  }
+}
+
+/**
+ * Remember the settings for the next visit
+ */
+export function saveSettings(settings: Settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage may be disabled (private browsing); the settings then last for this page only
+  }
+}
+
+/**
+ * Serialize settings for export
+ */
+export function exportSettings(settings: Settings): string {
+  return JSON.stringify({ version: SETTINGS_VERSION, ...settings }, null, 2);
+}
+
+/**
+ * Parse exported settings
+ * @returns The imported settings, or an error for text that isn't a settings object
+ */
+export function importSettings(json: string): { settings?: Settings; error?: string } {
+  let data: unknown;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return { error: 'Not valid JSON' };
+  }
+  if (!isRecord(data) || !(isRecord(data.bindings) || isRecord(data.camera) || isRecord(data.graphics))) {
+    return { error: 'No settings found in file' };
+  }
+  return { settings: normalizeSettings(data) };
+}
+
+/**
+ * Find the actions bound to a key
+ */
+export function getActionsForKey(bindings: KeyBindings, code: string): InputAction[] {
+  return INPUT_ACTIONS.map(({ action }) => action).filter(action => bindings[action].includes(code));
+}
+
+/**
+ * Readable name for a KeyboardEvent.code, e.g. 'KeyW' -> 'W', 'ArrowUp' -> '↑'
+ */
+export function formatKey(code: string): string {
+  const names: Record<string, string> = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'SPACE',
+    Enter: 'ENTER',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL',
+    ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT',
+    AltRight: 'R-ALT'
+  };
+  if (names[code]) return names[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `NUM ${code.slice(6)}`;
+  return code.toUpperCase();
+}
+
+/**
+ * Readable list of the keys bound to an action, e.g. 'W / ↑'
+ */
+export function formatBinding(bindings: KeyBindings, action: InputAction): string {
+  const codes = bindings[action];
+  return codes.length > 0 ? codes.map(formatKey).join(' / ') : 'unbound';
+}
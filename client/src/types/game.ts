@@ -0,0 +1,471 @@
+/**
+ * Shared game types
+ * Mirrors the payloads sent by the server's GameManager and RoomManager
+ */
+
+export interface Vector3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface Quaternion {
+  x: number;
+  y: number;
+  z: number;
+  w: number;
+}
+
+export interface Player {
+  id: string;
+  name?: string;
+  /** False while the player's client is gone but may still reconnect */
+  connected?: boolean;
+  position: Vector3;
+  velocity: Vector3;
+  color: string;
+  onGround?: boolean;
+  /** Yaw in radians the avatar faces, 0 looks down -Z */
+  facing?: number;
+  /** Whole points in the current round */
+  score?: number;
+  /** Seconds of knockback left; a staggered player can't steer or jump */
+  stagger?: number;
+  /** Seconds until the player can shove again */
+  shoveCooldown?: number;
+  lastProcessedInput?: number;
+  stats?: PlayerStats;
+}
+
+export interface PlayerStats {
+  joinedAt: number;
+  jumps: number;
+  respawns: number;
+  shoves: number;
+  /** Times this player was shoved */
+  hits: number;
+}
+
+/** Display name and color chosen before joining */
+export interface PlayerProfile {
+  name: string;
+  color: string;
+}
+
+/** Sent by the server on connect; the token reclaims the same player after a reconnect */
+export interface SessionInfo extends PlayerProfile {
+  token: string;
+  playerId: string;
+}
+
+export interface PhysicsBodyDebugData {
+  id: string | number;
+  type?: 'static' | 'dynamic' | 'kinematic';
+  position: Vector3;
+  quaternion: Quaternion;
+  shapes: Array<{
+    id: number;
+    /** Engine-neutral shape name reported by every physics backend */
+    type: 'box' | 'sphere' | 'plane' | 'unknown';
+    halfExtents?: Vector3;
+    normal?: Vector3;
+    radius?: number;
+    material: {
+      friction: number;
+      restitution: number;
+    };
+  }>;
+}
+
+export interface PhysicsDebugData {
+  enabled: boolean;
+  /** Physics engine running on the server (e.g. 'cannon-es', 'rapier') */
+  engine?: string;
+  bodyCount?: number;
+  /** Only present for clients that opted in to physics debug data */
+  debugData?: PhysicsBodyDebugData[];
+}
+
+export interface SnapshotFieldSchema {
+  name: string;
+  type: 'q16' | 'u8' | 'u16' | 'u32' | 'bool' | 'str' | 'json';
+  scale?: number;
+}
+
+/** Binary snapshot layout, see server/src/network/snapshotSchema.js */
+export interface SnapshotSchema {
+  version: number;
+  types: Array<{
+    name: string;
+    fields: SnapshotFieldSchema[];
+  }>;
+}
+
+/** Static level object, see server/src/game/Level.js */
+export interface LevelObject {
+  id: number;
+  /** Authored type ('box', 'ramp', 'sphere') or a custom kind such as 'wall' */
+  kind: string;
+  shape: 'box' | 'sphere';
+  position: Vector3;
+  quaternion: Quaternion;
+  halfExtents?: Vector3;
+  radius?: number;
+  color: string;
+  opacity: number;
+}
+
+export interface KillZone {
+  name: string;
+  min: Vector3;
+  max: Vector3;
+}
+
+export interface LevelData {
+  id: string;
+  name: string;
+  ground: {
+    height: number;
+    size: number;
+    color: string;
+  };
+  objects: LevelObject[];
+  spawnPoints: Vector3[];
+  killZones: KillZone[];
+  hills?: Hill[];
+}
+
+/** Dynamic physics object such as a crate or ball, see server/src/entities/Prop.js */
+export interface EntityState {
+  /** Unique in the room, e.g. 'crate-3' */
+  id: string;
+  /** Prop type name, picks the component that renders it */
+  type: string;
+  position: Vector3;
+  quaternion: Quaternion;
+  velocity: Vector3;
+  /** Type-specific state */
+  state: EntityCustomState | null;
+}
+
+export interface EntityCustomState {
+  /** Player who last touched the prop */
+  lastTouchedBy?: string | null;
+}
+
+/** How a prop type looks, see server/src/entities/propTypes.js */
+export interface PropType {
+  name: string;
+  shape: { type: 'box'; halfExtents: Vector3 } | { type: 'sphere'; radius: number };
+  color: string;
+}
+
+/** A prop appeared; sent as 'entitySpawned' */
+export interface EntitySpawnedEvent {
+  entity: EntityState;
+  tick: number;
+}
+
+/** A prop was removed; sent as 'entityDespawned' */
+export interface EntityDespawnedEvent {
+  id: string;
+  tick: number;
+}
+
+/**
+ * Players and props that came into or went out of range of our player; sent as
+ * 'relevanceChanged' just before the snapshot that adds or removes them
+ */
+export interface RelevanceChangedEvent {
+  entered: string[];
+  left: string[];
+}
+
+/** King of the Hill zone: a vertical cylinder rising height from position */
+export interface Hill {
+  name: string;
+  position: Vector3;
+  radius: number;
+  height: number;
+}
+
+export type RoundPhase = 'waiting' | 'countdown' | 'active' | 'results';
+
+/** Final scores of a round, highest first */
+export interface RoundResults {
+  /** time, objective (the mode declared a winner) or players (too few left) */
+  reason: 'time' | 'objective' | 'players';
+  winners: string[];
+  scores: { id: string; name: string; color: string; score: number }[];
+}
+
+/** Mode-specific round state, see server/src/game/modes */
+export interface ModeState {
+  /** Tag: the player who is "it" */
+  it?: string | null;
+  /** King of the Hill: the current zone, who holds it alone and whether it is shared */
+  hill?: Hill;
+  holder?: string | null;
+  contested?: boolean;
+  scoreToWin?: number;
+}
+
+/** Round lifecycle state, see GameManager.getRoundState() on the server */
+export interface RoundState {
+  mode: string;
+  modeName: string;
+  minPlayers: number;
+  phase: RoundPhase;
+  /** Number of the current or last round, 0 before the first */
+  round: number;
+  /** Server time the current phase ends, null while waiting for players */
+  endsAt: number | null;
+  state: ModeState;
+  results: RoundResults | null;
+}
+
+export interface GameModeInfo {
+  id: string;
+  name: string;
+}
+
+/** Chat message broadcast to a room, see server/src/chat/ChatHandler.js */
+export interface ChatMessage {
+  id: number;
+  playerId: string;
+  name: string;
+  color: string;
+  text: string;
+  timestamp: number;
+}
+
+/** Server announcement from an admin, see server/src/game/AdminConsole.js */
+export interface Announcement {
+  message: string;
+  /** Room it was sent to, or null for every client */
+  roomId: string | null;
+  timestamp: number;
+}
+
+/** A player shoved; sent as 'playerShove' */
+export interface ShoveEvent {
+  id: string;
+  position: Vector3;
+  facing: number;
+  tick: number;
+}
+
+/** A shove knocked a player back; sent as 'playerHit' */
+export interface HitEvent {
+  id: string;
+  /** Player who shoved */
+  by: string;
+  position: Vector3;
+  impulse: Vector3;
+  /** Seconds the player staggers for */
+  stagger: number;
+  tick: number;
+}
+
+/** Two players bumped, or a player slammed into something else; sent as 'collision' */
+export interface CollisionEvent {
+  a: string;
+  /** Other player, or null for anything that isn't a player */
+  b: string | null;
+  /** Impact speed along the contact normal in m/s */
+  speed: number;
+  position: Vector3;
+  tick: number;
+}
+
+/** A shove, hit or collision to play an effect for */
+export interface Impact {
+  /** Unique per client, for React keys */
+  id: number;
+  kind: 'shove' | 'hit' | 'collision';
+  position: Vector3;
+  /** How hard, from 0 to 1 */
+  strength: number;
+  /** performance.now() when it arrived */
+  time: number;
+}
+
+export interface GameState {
+  roomId?: string;
+  players: Player[];
+  /** Networked entities other than players */
+  entities?: EntityState[];
+  /** How each prop type looks, keyed by type name */
+  propTypes?: Record<string, PropType>;
+  timestamp: number;
+  tick?: number;
+  tickRate?: number;
+  /** Absent for spectators, who have no player */
+  playerId?: string;
+  spectating?: boolean;
+  physics?: PhysicsDebugData;
+  movement?: MovementParams;
+  sendRate?: number;
+  /** Frozen by an admin; no snapshots arrive until it is resumed */
+  paused?: boolean;
+  round?: RoundState;
+  snapshotSchema?: SnapshotSchema;
+  level?: LevelData;
+  tuning?: TuningState;
+  /** Recent chat history, only in the initial state */
+  chat?: ChatMessage[];
+}
+
+/** Movement constants the server uses for the local player (see server/src/entities/movementModel.js) */
+export interface MovementParams {
+  SPEED: number;
+  MAX_HORIZONTAL_SPEED: number;
+  ACCELERATION: number;
+  AIR_ACCELERATION: number;
+  JUMP_FORCE: number;
+  LINEAR_DAMPING: number;
+  FLOATINESS: number;
+  GRAVITY: number;
+  HALF_HEIGHT: number;
+  HALF_WIDTH: number;
+  GROUND_CHECK_DISTANCE: number;
+}
+
+/** One tunable value, see server/src/game/MovementConfig.js */
+export interface TuningField {
+  default: number;
+  min: number;
+  max: number;
+  step: number;
+  integer?: boolean;
+  description: string;
+}
+
+export type TuningSection = 'movement' | 'physics';
+
+export type TuningValues = Record<TuningSection, Record<string, number>>;
+
+/** Server movement/physics config as shown in the tuning panel */
+export interface TuningState {
+  preset: string | null;
+  presets: string[];
+  /** True when values were changed at runtime since the preset was loaded */
+  overridden: boolean;
+  values: TuningValues;
+  schema: Record<TuningSection, Record<string, TuningField>>;
+}
+
+/** Admin request to switch presets or change individual values */
+export interface TuningRequest {
+  adminToken: string;
+  preset?: string;
+  values?: Partial<TuningValues>;
+}
+
+export interface RoomInfo {
+  id: string;
+  name: string;
+  playerCount: number;
+  maxPlayers: number;
+  spectatorCount: number;
+  level: string;
+  mode?: string;
+  persistent: boolean;
+  paused?: boolean;
+  createdAt: number;
+}
+
+export interface InputState {
+  left: boolean;
+  right: boolean;
+  forward: boolean;
+  backward: boolean;
+  jump: boolean;
+  // Push players in front away; repeats every cooldown while held
+  shove: boolean;
+  // Analog move vector from a gamepad stick or touch joystick, each in [-1, 1] (+Z is backward).
+  // When present it replaces the four direction booleans.
+  moveX?: number;
+  moveZ?: number;
+  // Camera yaw in radians (0 looks down -Z); makes movement camera-relative
+  yaw?: number;
+  // Look direction while standing still, in radians
+  facing?: number;
+}
+
+/** Player camera: free orbit around the player, or third-person behind it */
+export type CameraMode = 'orbit' | 'follow';
+
+export interface SequencedInput extends InputState {
+  seq: number;
+  /** Server time other entities were being rendered at, so the server can judge actions against it */
+  renderTime?: number;
+}
+
+export type ConnectionStatus = 'connecting' | 'connected' | 'disconnected';
+
+/** Player or spectator as listed by the admin API (GET /admin/players) */
+export interface AdminPlayer {
+  id: string;
+  name: string;
+  roomId: string | null;
+  spectating: boolean;
+  /** False while the player waits for its client to reconnect */
+  connected: boolean;
+  /** Round trip in ms as measured by the server, null until measured */
+  ping: number | null;
+  address: string | null;
+  position: Vector3 | null;
+  velocity: Vector3 | null;
+  onGround: boolean | null;
+}
+
+export interface AdminBan {
+  ip: string;
+  reason: string;
+  expiresAt: number;
+}
+
+/** Recorded match as listed by GET /replays */
+export interface ReplayInfo {
+  id: string;
+  roomId: string;
+  level: string;
+  mode: string;
+  engine: string;
+  startedAt: number;
+  /** Null while recording */
+  endedAt: number | null;
+  startTick: number;
+  endTick: number;
+  tickRate: number;
+  /** Compressed size on disk */
+  bytes: number;
+  /** Still being written; plays up to the last second written */
+  recording: boolean;
+}
+
+/** What a replay viewer needs besides the recorded ticks (see server/src/replay/ReplayRecorder.js) */
+export interface ReplayHeader {
+  format: number;
+  roomId: string;
+  /** Tick the recording started on */
+  tick: number;
+  tickRate: number;
+  timestamp: number;
+  engine: string;
+  physicsEnabled: boolean;
+  snapshotSchema: SnapshotSchema;
+  level: LevelData;
+  propTypes: Record<string, PropType>;
+  round: RoundState;
+}
+
+/** Something recorded on a tick besides the snapshot */
+export type ReplayEvent = { tick: number; time: number } & (
+  | { type: 'join'; id: string; name: string; color: string }
+  | { type: 'leave'; id: string; name: string }
+  /** Input a player's ticks were simulated with from this tick on */
+  | { type: 'input'; id: string; seq: number; input: InputState }
+  | { type: 'round'; state: RoundState }
+);
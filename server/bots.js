@@ -0,0 +1,216 @@
+/**
+ * Bot load test
+ * Connects headless bot clients to a running server and reports, every few seconds, what they
+ * experience (round trip, snapshots and bandwidth per client) next to how the room's tick time
+ * holds up on the server (from /health).
+ */
+
+const { parseArgs } = require('util');
+const BotClient = require('./src/bots/BotClient');
+const { getBehavior, parseBehaviorList } = require('./src/bots/behaviors');
+
+const USAGE = `Usage: node bots.js [options]
+
+  --url <url>          Server to connect to (default: http://localhost:3001)
+  --count <n>          Bots to connect (default: 10)
+  --behavior <names>   Comma-separated behaviors, handed out in turn (default: wander,chase)
+                       Available: wander, chase, jumpspam
+  --room <id>          Room to join (default: the server's default room)
+  --duration <s>       Seconds to run once every bot is connected, 0 for until Ctrl+C (default: 60)
+  --ramp <ms>          Delay between bot connections (default: 100)
+  --interval <s>       Seconds between reports (default: 5)
+  --help               Show this help
+
+Servers allow 8 connections per address by default; start the server with a higher
+MAX_CONNECTIONS_PER_IP for more bots from one machine.`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} fraction - 0-1
+ * @returns {number} The value at that fraction, or 0 for no values
+ */
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * @param {string} url - Server URL
+ * @returns {Promise<Object|null>} Every room's loop metrics from /health, or null if unavailable
+ */
+async function fetchLoopMetrics(url) {
+  try {
+    const response = await fetch(new URL('/health', url));
+    const health = await response.json();
+    return health.loops || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} metrics - Loop metrics
+ * @returns {string} Tick time summary
+ */
+function describeTicks(metrics) {
+  return `tick ${metrics.avgTickMs.toFixed(2)} ms avg, ${metrics.maxTickMs.toFixed(2)} ms max`;
+}
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        url: { type: 'string', default: 'http://localhost:3001' },
+        count: { type: 'string', default: '10' },
+        behavior: { type: 'string', default: 'wander,chase' },
+        room: { type: 'string' },
+        duration: { type: 'string', default: '60' },
+        ramp: { type: 'string', default: '100' },
+        interval: { type: 'string', default: '5' },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const count = Number.parseInt(args.count, 10);
+  const duration = Number.parseFloat(args.duration);
+  const ramp = Number.parseInt(args.ramp, 10);
+  const interval = Number.parseFloat(args.interval);
+  const { behaviors, error: behaviorError } = parseBehaviorList(args.behavior);
+  if (behaviorError || !(count > 0) || !(duration >= 0) || !(ramp >= 0) || !(interval > 0)) {
+    console.error(`❌ ${behaviorError || 'Invalid option value'}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // The server's tick time before the bots arrive, to compare against
+  const baseline = await fetchLoopMetrics(args.url);
+
+  // Connect the bots, a ramp apart
+  console.log(`🤖 Connecting ${count} bots (${behaviors.join(', ')}) to ${args.url}`);
+  const bots = [];
+  const connections = [];
+  for (let i = 0; i < count; i++) {
+    const Behavior = getBehavior(behaviors[i % behaviors.length]);
+    const bot = new BotClient(args.url, { behavior: new Behavior(), name: `Bot ${i + 1}`, room: args.room });
+    bots.push(bot);
+    connections.push(bot.connect());
+    if (ramp > 0 && i < count - 1) {
+      await sleep(ramp);
+    }
+  }
+  const results = await Promise.all(connections);
+
+  const failures = new Map();
+  for (const { error } of results) {
+    if (error) failures.set(error, (failures.get(error) || 0) + 1);
+  }
+  for (const [error, failed] of failures) {
+    console.warn(`⚠️  ${failed} bot(s) failed to join: ${error}`);
+  }
+  const joined = bots.filter(bot => bot.isConnected());
+  if (joined.length === 0) {
+    console.error('❌ No bot could join');
+    process.exit(1);
+  }
+  const roomId = joined[0].roomId;
+  console.log(`✅ ${joined.length}/${count} bots joined room ${roomId}`);
+
+  const startMetrics = (baseline && baseline[roomId]) || null;
+  if (startMetrics) {
+    console.log(`🖥️  Before the bots: ${describeTicks(startMetrics)}, ${startMetrics.overruns} overruns so far`);
+  } else {
+    console.warn('⚠️  Server loop metrics unavailable (GET /health failed); reporting client side only');
+  }
+
+  const allRtt = [];
+  let lastMetrics = startMetrics;
+  let lastTotals = { received: 0, sent: 0, snapshots: 0 };
+  for (const bot of bots) {
+    lastTotals.received += bot.stats.bytesReceived;
+    lastTotals.sent += bot.stats.bytesSent;
+    lastTotals.snapshots += bot.stats.snapshots;
+  }
+  let lastReportAt = Date.now();
+
+  const report = async () => {
+    const now = Date.now();
+    const seconds = (now - lastReportAt) / 1000;
+    lastReportAt = now;
+
+    const connected = bots.filter(bot => bot.isConnected());
+    const totals = { received: 0, sent: 0, snapshots: 0 };
+    const rtt = [];
+    for (const bot of bots) {
+      totals.received += bot.stats.bytesReceived;
+      totals.sent += bot.stats.bytesSent;
+      totals.snapshots += bot.stats.snapshots;
+      rtt.push(...bot.takeRttSamples());
+    }
+    rtt.sort((a, b) => a - b);
+    allRtt.push(...rtt);
+
+    const perClient = (value) => value / seconds / Math.max(1, connected.length);
+    const down = perClient(totals.received - lastTotals.received) / 1024;
+    const up = perClient(totals.sent - lastTotals.sent) / 1024;
+    const snapshots = perClient(totals.snapshots - lastTotals.snapshots);
+    lastTotals = totals;
+    const averageRtt = rtt.length > 0 ? rtt.reduce((sum, value) => sum + value, 0) / rtt.length : 0;
+
+    let server = '';
+    const loops = await fetchLoopMetrics(args.url);
+    const metrics = loops && loops[roomId];
+    if (metrics) {
+      const overruns = lastMetrics ? metrics.overruns - lastMetrics.overruns : 0;
+      server = ` | ${describeTicks(metrics)}, +${overruns} overruns`;
+      lastMetrics = metrics;
+    }
+
+    console.log(
+      `📊 ${connected.length} bots | rtt ${averageRtt.toFixed(1)} avg / ${percentile(rtt, 0.95)} p95 ms | ` +
+      `${snapshots.toFixed(1)} snapshots/s | ${down.toFixed(1)} KB/s down, ${up.toFixed(1)} KB/s up per client${server}`
+    );
+  };
+
+  let reportTimer = null;
+  let stopTimer = null;
+  const finish = async () => {
+    clearInterval(reportTimer);
+    clearTimeout(stopTimer);
+    await report();
+
+    allRtt.sort((a, b) => a - b);
+    console.log(`\n🏁 Round trip over the run: ${percentile(allRtt, 0.5)} ms median, ${percentile(allRtt, 0.95)} ms p95, ` +
+      `${allRtt.length > 0 ? allRtt[allRtt.length - 1] : 0} ms max`);
+    const dropped = bots.reduce((sum, bot) => sum + bot.stats.disconnects, 0);
+    const misses = bots.reduce((sum, bot) => sum + bot.stats.baselineMisses, 0);
+    console.log(`🏁 ${dropped} bot(s) dropped by the server, ${misses} snapshot(s) without a baseline`);
+    if (startMetrics && lastMetrics) {
+      console.log(`🏁 Server tick ${startMetrics.avgTickMs.toFixed(2)} → ${lastMetrics.avgTickMs.toFixed(2)} ms avg, ` +
+        `${lastMetrics.overruns - startMetrics.overruns} overruns and ` +
+        `${lastMetrics.droppedTicks - startMetrics.droppedTicks} dropped ticks during the run`);
+    }
+
+    for (const bot of bots) {
+      bot.close();
+    }
+    process.exit(0);
+  };
+
+  reportTimer = setInterval(report, interval * 1000);
+  if (duration > 0) {
+    stopTimer = setTimeout(finish, duration * 1000);
+  }
+  process.once('SIGINT', finish);
+}
+
+main();
@@ -1,19 +1,51 @@
 const express = require('express');
+const crypto = require('crypto');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const zlib = require('zlib');
 
 // Import our modular components
+const RoomManager = require('./src/game/RoomManager');
 const PhysicsWorld = require('./src/physics/World');
-const GameManager = require('./src/game/GameManager');
+const Level = require('./src/game/Level');
+const MovementConfig = require('./src/game/MovementConfig');
+const SessionManager = require('./src/game/SessionManager');
 const InputHandler = require('./src/input/InputHandler');
+const ChatHandler = require('./src/chat/ChatHandler');
+const AbuseGuard = require('./src/network/AbuseGuard');
+const AdminConsole = require('./src/game/AdminConsole');
+const ReplayStore = require('./src/replay/ReplayStore');
+const { createBannedWordsFilter } = require('./src/chat/bannedWordsFilter');
+const { DEFAULT_MODE, getMode, listModes, describeModes } = require('./src/game/modes');
+const { parseBehaviorList } = require('./src/bots/behaviors');
+const { logger, registry, metrics } = require('./src/monitoring');
+
+// Structured logs: LOG_LEVEL debug, info, warn or error; LOG_FORMAT json (default) or pretty
+const { error: logConfigError } = logger.configure({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json'
+});
+if (logConfigError) {
+  logger.error(logConfigError);
+  process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
 
+// Per-socket rate limits, payload caps, connection caps and automatic kicks/bans
+const abuseGuard = new AbuseGuard({
+  maxConnectionsPerIp: Number.parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || undefined,
+  banDuration: Number.parseInt(process.env.BAN_DURATION, 10) || undefined,
+  // Behind a platform proxy every socket comes from the proxy; this makes the caps and bans per player
+  trustProxy: process.env.TRUST_PROXY
+});
+
 // Configure CORS for Socket.io
 const io = socketIo(server, {
+  maxHttpBufferSize: abuseGuard.getMaxPayloadBytes(),
   cors: {
     origin: ["http://localhost:5173", "http://localhost:5174"], // Support both ports
     methods: ["GET", "POST"],
@@ -30,69 +62,564 @@ app.use(cors({
 // Serve static files in production
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
+// Load the level every room is built from
+let level;
+try {
+  level = Level.load(process.env.LEVEL || 'arena');
+  logger.info('Level loaded', { name: level.name, objects: level.objects.length, spawnPoints: level.spawnPoints.length });
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Game mode of the default room and of rooms created without one
+const gameMode = process.env.GAME_MODE || DEFAULT_MODE;
+if (!getMode(gameMode)) {
+  logger.error(`Unknown game mode "${gameMode}" (available: ${listModes().join(', ')})`);
+  process.exit(1);
+}
+
+// Match recordings; existing replays can be listed and watched even while recording is off
+const replayStore = new ReplayStore({
+  directory: process.env.REPLAY_DIR || undefined,
+  maxReplays: Number.parseInt(process.env.REPLAY_MAX_FILES, 10) || undefined,
+  maxDuration: Number.parseInt(process.env.REPLAY_MAX_DURATION, 10) || undefined
+});
+const recordReplays = process.env.RECORD_REPLAYS === 'true';
+
+// AI players topping up rooms where humans are playing but fewer than BOT_FILL
+const botFill = Number.parseInt(process.env.BOT_FILL, 10) || 0;
+const { behaviors: botBehaviors, error: botError } = parseBehaviorList(process.env.BOT_BEHAVIORS || 'wander,chase');
+if (botError) {
+  logger.error(botError);
+  process.exit(1);
+}
+if (botFill > 0) {
+  logger.info('Filling rooms with bots', { fillTo: botFill, behaviors: botBehaviors });
+}
+
+// Players are only sent entities within this many meters (plus always-relevant ones); 0 sends all
+const interestRadius = process.env.INTEREST_RADIUS ? Number(process.env.INTEREST_RADIUS) : undefined;
+if (interestRadius !== undefined && !(interestRadius >= 0)) {
+  logger.error(`INTEREST_RADIUS must be a distance in meters or 0, got "${process.env.INTEREST_RADIUS}"`);
+  process.exit(1);
+}
+
 // Initialize game components
-const physicsWorld = new PhysicsWorld();
+const roomManager = new RoomManager(io, {
+  level,
+  defaultMode: gameMode,
+  maxRooms: Number.parseInt(process.env.MAX_ROOMS, 10) || undefined,
+  maxPlayersPerRoom: Number.parseInt(process.env.MAX_PLAYERS_PER_ROOM, 10) || undefined,
+  sendRate: Number.parseInt(process.env.NETWORK_SEND_RATE, 10) || undefined,
+  interestRadius,
+  replays: recordReplays ? replayStore : null,
+  bots: botFill > 0 ? { fillTo: botFill, behaviors: botBehaviors } : null
+});
 const inputHandler = new InputHandler();
-let gameManager = null;
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log(`🔌 Player connected: ${socket.id}`);
+// Movement and physics settings shared by every room; changes are applied and pushed to clients live
+const movementConfig = new MovementConfig({
+  onChange: (values, tuning) => roomManager.applyConfig(values, tuning)
+});
+const { error: presetError } = movementConfig.loadPreset(process.env.MOVEMENT_PRESET || 'default');
+if (presetError) {
+  logger.error(presetError);
+  process.exit(1);
+}
+logger.info('Movement preset loaded', { preset: movementConfig.preset });
+movementConfig.watch();
+
+// Token required for admin-only actions such as live tuning; admin actions are off without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const sessionManager = new SessionManager({
+  gracePeriod: Number.parseInt(process.env.RECONNECT_GRACE_PERIOD, 10) || undefined
+});
+const chatHandler = new ChatHandler();
+chatHandler.addFilter(createBannedWordsFilter((process.env.CHAT_BANNED_WORDS || '').split(',')));
+const adminConsole = new AdminConsole(io, roomManager, abuseGuard);
+
+// How long a client has to acknowledge a pong before its round trip isn't measured
+const PING_TIMEOUT = 5000;
+
+/**
+ * Check a token against ADMIN_TOKEN in constant time
+ * @param {*} token - Token supplied by the client
+ * @returns {boolean} True if admin actions are enabled and the token matches
+ */
+function isAdminToken(token) {
+  if (!ADMIN_TOKEN || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
 
-  // Create new player and add to game
-  const player = gameManager.addPlayer(socket.id);
+/**
+ * Check an HTTP request's Bearer token against ADMIN_TOKEN
+ * @param {Request} req - Express request
+ * @returns {boolean} True if the request is from an admin
+ */
+function isAdminRequest(req) {
+  return isAdminToken((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+}
+
+/**
+ * Express middleware that only lets admin requests through
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    res.status(ADMIN_TOKEN ? 401 : 403).json({ error: ADMIN_TOKEN ? 'Not authorized' : 'Admin actions are disabled (no ADMIN_TOKEN set)' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Switch to a movement preset or change individual values
+ * @param {Object} request - { preset } or { values: { movement?, physics? } }
+ * @param {string} changedBy - Who asked, for the log
+ * @returns {{values?: Object, error?: string}} The new values or an error message
+ */
+function changeMovementConfig(request, changedBy) {
+  const { preset, values } = request || {};
+  let result;
+  if (preset !== undefined) {
+    result = movementConfig.loadPreset(preset);
+  } else if (values !== undefined) {
+    result = movementConfig.update(values);
+  } else {
+    result = { error: 'Expected a preset or values' };
+  }
+
+  if (!result.error) {
+    logger.info('Movement config changed', { by: changedBy, preset, values });
+  }
+  return result;
+}
 
-  // Send initial game state to new player
+/**
+ * Move a socket into a room and send it the room's initial state
+ * @param {Socket} socket - Socket.io socket
+ * @param {string} roomId - Room to join
+ * @param {Object} [options] - Join options, see RoomManager.joinRoom()
+ * @returns {{room?: Room, error?: string}} The joined room or an error message
+ */
+function joinRoom(socket, roomId, options) {
+  const previousRoom = roomManager.getSocketRoom(socket);
+  const wasSpectating = Boolean(socket.data.spectating);
+  const result = roomManager.joinRoom(socket, roomId, options);
+  if (result.error || (previousRoom === result.room && wasSpectating === socket.data.spectating)) {
+    return result;
+  }
+
+  if (previousRoom && !wasSpectating) {
+    inputHandler.cleanupPlayer(socket.data.playerId);
+    io.to(previousRoom.id).emit('playerLeft', socket.data.playerId);
+  }
+
+  const { room, player } = result;
+  // Others in the room learn of the new player through relevanceChanged once it is in their view
+  sendGameState(socket, room, player);
+
+  return result;
+}
+
+/**
+ * Send a room's full state to one socket
+ * @param {Socket} socket - Socket.io socket
+ * @param {Room} room - Room the socket is in
+ * @param {Player} [player] - The socket's player, absent for spectators
+ */
+function sendGameState(socket, room, player) {
   socket.emit('gameState', {
-    ...gameManager.getGameState(),
-    playerId: socket.id
+    ...room.gameManager.getGameState(player?.id),
+    playerId: player?.id,
+    spectating: !player,
+    movement: player?.getMovementParams(),
+    tuning: movementConfig.getState(),
+    chat: room.getChatHistory()
   });
+}
+
+/**
+ * Attach a connecting socket to its session, reclaiming the session's player if it is still
+ * waiting in its room
+ * @param {Socket} socket - Socket.io socket
+ * @returns {{room: Room, player: Player}|undefined} The reclaimed player and its room, if any
+ */
+function resumeSession(socket) {
+  const auth = socket.handshake.auth || {};
+  const profile = { name: auth.name, color: auth.color };
 
-  // Broadcast new player to all other clients
-  socket.broadcast.emit('playerJoined', player.getState());
+  let session = sessionManager.getSession(auth.token);
+  if (!session) {
+    session = sessionManager.createSession(profile);
+    sessionManager.attach(session, socket);
+    return undefined;
+  }
+
+  sessionManager.updateProfile(session, profile);
+  const previousSocketId = sessionManager.attach(session, socket);
+
+  // The old connection may not have timed out yet; this one takes over
+  const previousSocket = previousSocketId && io.sockets.sockets.get(previousSocketId);
+  if (previousSocket) {
+    roomManager.detachSocket(previousSocket);
+    previousSocket.disconnect(true);
+  }
+
+  if (!session.roomId) {
+    return undefined;
+  }
+  const result = roomManager.reattachSocket(socket, session.roomId);
+  if (result.error) {
+    session.roomId = null;
+    return undefined;
+  }
+  return result;
+}
+
+/**
+ * Remove a socket from its current room and notify the remaining players
+ * @param {Socket} socket - Socket.io socket
+ * @returns {Room|undefined} The room that was left
+ */
+function leaveRoom(socket) {
+  const wasSpectating = socket.data.spectating;
+  const room = roomManager.leaveRoom(socket);
+  if (room && !wasSpectating) {
+    inputHandler.cleanupPlayer(socket.data.playerId);
+    io.to(room.id).emit('playerLeft', socket.data.playerId);
+  }
+  return room;
+}
+
+/**
+ * Reply to a Socket.io acknowledgement callback if the client sent one
+ * @param {Function} ack - Acknowledgement callback
+ * @param {Object} response - Response payload
+ */
+function reply(ack, response) {
+  if (typeof ack === 'function') {
+    ack(response);
+  }
+}
+
+// Refuse banned addresses and addresses over the connection cap; limits every event after that
+io.use((socket, next) => abuseGuard.middleware(socket, next));
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+  const resumed = resumeSession(socket);
+  const { session } = socket.data;
+  socket.emit('session', sessionManager.getSessionInfo(session));
+
+  // Everything logged about this connection carries its player and socket
+  const log = logger.child({ playerId: session.playerId, socketId: socket.id });
+  log.info('Player connected', { name: session.name, resumed: Boolean(resumed) });
+
+  if (resumed) {
+    // Back in control of the player left behind in its room
+    sendGameState(socket, resumed.room, resumed.player);
+  } else {
+    // Join the requested room, falling back to the default room
+    const requestedRoom = socket.handshake.auth?.room;
+    const joinOptions = { spectate: Boolean(socket.handshake.auth?.spectate) };
+    if (requestedRoom && requestedRoom !== roomManager.DEFAULT_ROOM_ID) {
+      const { error } = joinRoom(socket, requestedRoom, joinOptions);
+      if (error) {
+        socket.emit('roomError', error);
+        joinRoom(socket, roomManager.DEFAULT_ROOM_ID, joinOptions);
+      }
+    } else {
+      const { error } = joinRoom(socket, roomManager.DEFAULT_ROOM_ID, joinOptions);
+      if (error) {
+        socket.emit('roomError', error);
+      }
+    }
+  }
 
   // Handle player input
   socket.on('playerInput', (inputData) => {
-    const player = gameManager.getPlayer(socket.id);
-    if (player) {
-      inputHandler.processInput(socket.id, inputData, player);
+    const room = roomManager.getSocketRoom(socket);
+    const player = room && room.gameManager.getPlayer(socket.data.playerId);
+    if (player && !inputHandler.processInput(player.id, inputData, player)) {
+      log.debug('Rejected malformed input');
+      abuseGuard.recordAnomaly(socket, 'malformed', 'invalid playerInput');
     }
   });
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log(`🔌 Player disconnected: ${socket.id}`);
-    
-    // Clean up player and input handler
-    gameManager.removePlayer(socket.id);
-    inputHandler.cleanupPlayer(socket.id);
-    
-    // Broadcast player left to all clients
-    io.emit('playerLeft', socket.id);
+  // Chat messages are broadcast to the sender's room
+  socket.on('chatMessage', (text, ack) => {
+    const room = roomManager.getSocketRoom(socket);
+    if (!room) {
+      reply(ack, { error: 'Not in a room' });
+      return;
+    }
+
+    // Spectators chat under their session profile
+    const sender = room.gameManager.getPlayer(socket.data.playerId) ||
+      { id: session.playerId, name: session.name, color: session.color };
+    if (typeof text !== 'string') {
+      abuseGuard.recordAnomaly(socket, 'malformed', 'invalid chatMessage');
+    }
+    const { message, error } = chatHandler.processMessage(sender, text, room.id);
+    if (error) {
+      reply(ack, { error });
+      return;
+    }
+
+    room.addChatMessage(message);
+    io.to(room.id).emit('chatMessage', message);
+    reply(ack, { message });
+  });
+
+  // Snapshot acknowledgements make the acked snapshot the client's delta baseline
+  socket.on('snapshotAck', (seq) => {
+    const room = roomManager.getSocketRoom(socket);
+    if (room) {
+      room.gameManager.acknowledgeSnapshot(socket.id, seq);
+    }
+  });
+
+  // Physics debug data is only sent to clients that ask for it
+  socket.on('setPhysicsDebug', (enabled) => {
+    const room = roomManager.getSocketRoom(socket);
+    if (room) {
+      room.gameManager.setPhysicsDebug(socket.id, enabled);
+    }
+  });
+
+  // Room management
+  socket.on('listRooms', (ack) => {
+    reply(ack, { rooms: roomManager.listRooms(), modes: describeModes() });
+  });
+
+  socket.on('createRoom', (options, ack) => {
+    const { room, error } = roomManager.createRoom(options || {});
+    reply(ack, error ? { error } : { room: room.getInfo() });
   });
 
-  // Handle ping for latency measurement
+  socket.on('joinRoom', (roomId, ack) => {
+    if (typeof roomId !== 'string') {
+      abuseGuard.recordAnomaly(socket, 'malformed', 'invalid joinRoom');
+      reply(ack, { error: 'Invalid room ID' });
+      return;
+    }
+    // Spectators keep spectating when they switch rooms
+    const { room, error } = joinRoom(socket, roomId, { spectate: socket.data.spectating });
+    reply(ack, error ? { error } : { room: room.getInfo() });
+  });
+
+  // Switch between playing and spectating in the current room (or the default room)
+  socket.on('setSpectating', (enabled, ack) => {
+    const roomId = socket.data.roomId || roomManager.DEFAULT_ROOM_ID;
+    const { room, error } = joinRoom(socket, roomId, { spectate: Boolean(enabled) });
+    reply(ack, error ? { error } : { room: room.getInfo(), spectating: Boolean(socket.data.spectating) });
+  });
+
+  // Live movement tuning (admin only): { adminToken, preset } or { adminToken, values }
+  socket.on('setMovementConfig', (request, ack) => {
+    if (!isAdminToken(request?.adminToken)) {
+      reply(ack, { error: ADMIN_TOKEN ? 'Not authorized' : 'Admin actions are disabled (no ADMIN_TOKEN set)' });
+      return;
+    }
+    reply(ack, changeMovementConfig(request, `${session.name} (${session.playerId})`));
+  });
+
+  // Admin console: { adminToken, action, ...parameters }, see AdminConsole.execute()
+  socket.on('adminCommand', (request, ack) => {
+    if (!isAdminToken(request?.adminToken)) {
+      reply(ack, { error: ADMIN_TOKEN ? 'Not authorized' : 'Admin actions are disabled (no ADMIN_TOKEN set)' });
+      return;
+    }
+    reply(ack, adminConsole.execute(request, `${session.name} (${session.playerId})`));
+  });
+
+  socket.on('leaveRoom', (ack) => {
+    const room = leaveRoom(socket);
+    reply(ack, room ? { room: room.getInfo() } : { error: 'Not in a room' });
+  });
+
+  // Handle disconnect: keep the player for a grace period so the client can reconnect to it
+  socket.on('disconnect', (reason) => {
+    log.info('Player disconnected', { name: session.name, reason });
+    if (session.socketId !== socket.id) {
+      return; // superseded by a newer connection for the same session
+    }
+
+    // Kicked and banned players are removed right away rather than kept for a reconnect
+    if (socket.data.kicked) {
+      leaveRoom(socket);
+      chatHandler.cleanupPlayer(session.playerId);
+      sessionManager.removeSession(session);
+      return;
+    }
+
+    const room = roomManager.detachSocket(socket);
+    if (!room) {
+      chatHandler.cleanupPlayer(session.playerId);
+      sessionManager.removeSession(session);
+      return;
+    }
+
+    sessionManager.startGracePeriod(session, () => {
+      if (roomManager.removePlayer(room.id, session.playerId)) {
+        inputHandler.cleanupPlayer(session.playerId);
+        io.to(room.id).emit('playerLeft', session.playerId);
+      }
+      chatHandler.cleanupPlayer(session.playerId);
+    });
+  });
+
+  // Handle ping for latency measurement; server time lets clients estimate clock offset.
+  // Clients acknowledge the pong, which gives the server its own round-trip measurement.
   socket.on('ping', (timestamp) => {
-    socket.emit('pong', timestamp);
+    const sentAt = Date.now();
+    socket.timeout(PING_TIMEOUT).emit('pong', timestamp, sentAt, (error) => {
+      if (!error) {
+        socket.data.ping = Date.now() - sentAt;
+        metrics.clientPing.observe({}, socket.data.ping / 1000);
+      }
+    });
   });
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  const stats = gameManager ? gameManager.getGameStats() : { playerCount: 0, uptime: process.uptime() };
+  const defaultRoom = roomManager.getRoom(roomManager.DEFAULT_ROOM_ID);
   const inputStats = inputHandler.getStats();
-  
-  res.json({ 
+  const abuseStats = abuseGuard.getStats();
+
+  res.json({
     status: 'OK',
-    ...stats,
+    ...roomManager.getStats(),
+    tickRate: defaultRoom ? defaultRoom.gameManager.TICK_RATE : 0,
+    uptime: process.uptime(),
+    loops: roomManager.getLoopMetrics(),
     input: inputStats,
+    chat: chatHandler.getStats(),
+    sessions: sessionManager.getStats(),
+    abuse: {
+      kicks: abuseStats.kicks,
+      bans: abuseStats.activeBans.length,
+      anomalies: abuseStats.anomalies
+    },
     physics: {
-      enabled: physicsWorld.isPhysicsEnabled(),
-      engine: 'cannon-es'
+      enabled: defaultRoom ? defaultRoom.physicsWorld.isPhysicsEnabled() : false,
+      engine: defaultRoom ? defaultRoom.physicsWorld.getEngineName() : null
+    }
+  });
+});
+
+// Refresh the gauges mirroring rooms and connections whenever /metrics is scraped
+registry.addCollector(() => {
+  metrics.connectedSockets.set({}, io.engine.clientsCount);
+  metrics.rooms.set({}, roomManager.rooms.size);
+  for (const room of roomManager.listRooms()) {
+    metrics.players.set({ room: room.id }, room.playerCount);
+    metrics.spectators.set({ room: room.id }, room.spectatorCount);
+  }
+});
+
+// Prometheus metrics, public like /health
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+});
+
+// Room listing for the lobby
+app.get('/rooms', (req, res) => {
+  res.json({ rooms: roomManager.listRooms(), modes: describeModes() });
+});
+
+// Movement and physics config: anyone can read it, only admins can change it
+app.get('/config/movement', (req, res) => {
+  res.json(movementConfig.getState());
+});
+
+app.put('/config/movement', requireAdmin, express.json(), (req, res) => {
+  const { values, error } = changeMovementConfig(req.body, `REST ${req.ip}`);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  res.json({ values });
+});
+
+// Abuse guard counters, recent kicks and active bans; client addresses only for admins
+app.get('/stats/abuse', (req, res) => {
+  res.json(abuseGuard.getStats({ includeAddresses: isAdminRequest(req) }));
+});
+
+// Recorded matches, newest first; the client's replay viewer is served at /?replay
+app.get('/replays', async (req, res) => {
+  res.json({ replays: await replayStore.list(), recording: recordReplays });
+});
+
+// One replay's records, gzipped for the trip if the client accepts it
+app.get('/replays/:replayId', async (req, res) => {
+  const { data, error } = await replayStore.read(req.params.replayId);
+  if (error) {
+    res.status(404).json({ error });
+    return;
+  }
+  res.type('application/octet-stream');
+  if (!req.acceptsEncodings('gzip')) {
+    res.send(data);
+    return;
+  }
+  zlib.gzip(data, (gzipError, compressed) => {
+    if (gzipError) {
+      res.status(500).json({ error: gzipError.message });
+      return;
     }
+    res.set('Content-Encoding', 'gzip');
+    res.send(compressed);
   });
 });
 
+// Admin API (Bearer ADMIN_TOKEN); the client's admin page is served at /?admin
+const adminApi = express.Router();
+adminApi.use(requireAdmin, express.json());
+
+/**
+ * Route handler running an admin action with the request's path parameters and JSON body
+ * @param {string} action - AdminConsole action
+ * @returns {Function} Express handler
+ */
+function adminRoute(action) {
+  return (req, res) => {
+    const result = adminConsole.execute({ ...req.body, ...req.params, action }, `REST ${req.ip}`);
+    if (result.error) {
+      res.status(400).json(result);
+      return;
+    }
+    res.json(result);
+  };
+}
+
+adminApi.get('/players', adminRoute('listPlayers'));
+adminApi.get('/rooms', adminRoute('listRooms'));
+adminApi.get('/bans', adminRoute('listBans'));
+adminApi.post('/players/:playerId/kick', adminRoute('kick'));
+adminApi.post('/players/:playerId/ban', adminRoute('ban'));
+adminApi.post('/players/:playerId/teleport', adminRoute('teleport'));
+adminApi.post('/players/:playerId/respawn', adminRoute('respawn'));
+adminApi.delete('/bans/:ip', adminRoute('unban'));
+adminApi.post('/rooms/:roomId/pause', adminRoute('pause'));
+adminApi.post('/rooms/:roomId/resume', adminRoute('resume'));
+adminApi.get('/rooms/:roomId/entities', adminRoute('listEntities'));
+adminApi.post('/rooms/:roomId/entities', adminRoute('spawnProp'));
+adminApi.delete('/rooms/:roomId/entities/:entityId', adminRoute('despawnProp'));
+adminApi.post('/announce', adminRoute('announce'));
+app.use('/admin', adminApi);
+
 // Serve React app in production
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/dist/index.html'));
@@ -101,27 +628,35 @@ app.get('/', (req, res) => {
 const PORT = process.env.PORT || 3001;
 
 // Initialize and start server
-function startServer() {
-  // Initialize physics world
-  const physicsInitialized = physicsWorld.initialize();
-  
-  // Initialize game manager
-  gameManager = new GameManager(physicsWorld, io);
-  
-  // Start game loop
-  gameManager.startGameLoop();
-  
+async function startServer() {
+  // Physics engines may need async setup (Rapier loads WASM) before any world exists
+  const engine = await PhysicsWorld.loadEngine(process.env.PHYSICS_ENGINE);
+
+  try {
+    await replayStore.initialize();
+  } catch (error) {
+    logger.error('Replay directory unusable', { directory: replayStore.directory, error });
+    process.exit(1);
+  }
+  if (recordReplays) {
+    logger.info('Recording replays', { directory: replayStore.directory });
+  }
+
+  // Create the default room (physics world + game loop)
+  const physicsInitialized = roomManager.initialize();
+
   // Start server
   server.listen(PORT, () => {
-    console.log(`🚀 Multiplayer game server running on port ${PORT}`);
-    console.log(` CORS enabled for http://localhost:5173`);
-    if (physicsInitialized) {
-      console.log(`🔬 Physics simulation enabled with Cannon.js`);
-    } else {
-      console.log(`⚠️  Physics simulation disabled - using basic movement`);
+    logger.info('Multiplayer game server running', {
+      port: server.address().port,
+      corsOrigin: 'http://localhost:5173',
+      physics: physicsInitialized ? engine : null
+    });
+    if (!physicsInitialized) {
+      logger.warn('Physics simulation disabled - using basic movement');
     }
   });
-  
+
   // Graceful shutdown handling
   process.on('SIGTERM', gracefulShutdown);
   process.on('SIGINT', gracefulShutdown);
@@ -129,14 +664,17 @@ function startServer() {
 
 // Graceful shutdown
 function gracefulShutdown() {
-  console.log('\n🔄 Received shutdown signal, cleaning up...');
-  
-  if (gameManager) {
-    gameManager.shutdown();
-  }
-  
-  server.close(() => {
-    console.log('✅ Server shutdown complete');
+  logger.info('Received shutdown signal, cleaning up');
+
+  sessionManager.shutdown();
+  abuseGuard.shutdown();
+  movementConfig.close();
+  roomManager.shutdown();
+
+  // Rooms finish their replays on shutdown; let those writes land before exiting
+  const closed = new Promise(resolve => server.close(resolve));
+  Promise.all([closed, replayStore.settle()]).then(() => {
+    logger.info('Server shutdown complete');
     process.exit(0);
   });
 }
@@ -144,4 +682,4 @@ function gracefulShutdown() {
 // Start the server
 startServer();
 
-module.exports = { app, server, io, gameManager, physicsWorld, inputHandler };
\ No newline at end of file
+module.exports = { app, server, io, roomManager, inputHandler, chatHandler, sessionManager, movementConfig, abuseGuard, adminConsole };
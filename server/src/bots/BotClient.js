@@ -0,0 +1,206 @@
+const { io } = require('socket.io-client');
+const SnapshotDecoder = require('../network/SnapshotDecoder');
+
+/**
+ * Bot Client
+ * A headless player that connects over Socket.io and speaks the same protocol as the browser
+ * client (client/src/hooks/useSocket.ts): it joins through the handshake, decodes and
+ * acknowledges delta snapshots, answers pings and sends playerInput at INPUT_RATE, steered by a
+ * bot behavior. Counts what it sends and receives so load tests can report on it.
+ */
+class BotClient {
+  /**
+   * @param {string} url - Server URL, e.g. http://localhost:3001
+   * @param {Object} options - Bot options
+   * @param {Behavior} options.behavior - Decides the bot's inputs, see server/src/bots/behaviors
+   * @param {string} [options.name] - Display name
+   * @param {string} [options.room] - Room to join (default: the server's default room)
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.behavior = options.behavior;
+    this.name = options.name;
+    this.room = options.room;
+    this.INPUT_RATE = 60; // inputs per second, one per server tick like the browser client
+    this.PING_INTERVAL = 2000; // ms
+    this.CONNECT_TIMEOUT = 10000; // ms to wait for the initial game state
+
+    this.socket = null;
+    this.playerId = null;
+    this.roomId = null;
+    this.decoder = null;
+    this.level = null;
+    this.players = [];
+    this.seq = 0;
+    this.lastInputAt = 0;
+    this.inputInterval = null;
+    this.pingInterval = null;
+
+    this.stats = {
+      bytesReceived: 0,
+      bytesSent: 0,
+      snapshots: 0,
+      baselineMisses: 0, // snapshots that couldn't be decoded and were asked for again
+      inputsSent: 0,
+      disconnects: 0 // connections dropped by the server or the network
+    };
+    this.rttSamples = []; // ms, since the last takeRttSamples()
+  }
+
+  /**
+   * Connect and wait until the server has sent the game state
+   * @returns {Promise<{error?: string}>} Empty on success, or why the bot couldn't join
+   */
+  connect() {
+    return new Promise((resolve) => {
+      const socket = io(this.url, {
+        transports: ['websocket'],
+        reconnection: false,
+        auth: { room: this.room, name: this.name }
+      });
+      this.socket = socket;
+
+      let settled = false;
+      const done = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        if (result.error) {
+          this.close();
+        }
+        resolve(result);
+      };
+      const timeout = setTimeout(() => done({ error: 'Timed out waiting for the game state' }), this.CONNECT_TIMEOUT);
+
+      // Count traffic at the engine level, so JSON events and binary attachments are both included
+      socket.io.on('open', () => {
+        socket.io.engine.on('packet', ({ data }) => { this.stats.bytesReceived += byteLength(data); });
+        socket.io.engine.on('packetCreate', ({ data }) => { this.stats.bytesSent += byteLength(data); });
+      });
+
+      socket.on('connect', () => {
+        socket.emit('ping', Date.now());
+        this.pingInterval = setInterval(() => socket.emit('ping', Date.now()), this.PING_INTERVAL);
+      });
+      socket.on('connect_error', (error) => done({ error: error.message }));
+      socket.on('roomError', (message) => done({ error: message }));
+      socket.on('kicked', ({ reason }) => done({ error: `Kicked: ${reason}` }));
+      socket.on('disconnect', (reason) => {
+        if (reason !== 'io client disconnect') {
+          this.stats.disconnects++;
+        }
+        this.stopTimers();
+        done({ error: 'Disconnected' });
+      });
+
+      socket.on('session', (info) => {
+        this.playerId = info.playerId;
+      });
+
+      socket.on('pong', (timestamp, serverTime, ack) => {
+        this.rttSamples.push(Date.now() - timestamp);
+        if (ack) ack();
+      });
+
+      socket.on('gameState', (state) => {
+        this.decoder = new SnapshotDecoder(state.snapshotSchema);
+        this.level = state.level;
+        this.players = state.players;
+        this.roomId = state.roomId;
+        if (state.playerId) {
+          this.playerId = state.playerId;
+        }
+        this.startInput();
+        done({});
+      });
+
+      // Decode and acknowledge, exactly as the browser does, so deltas stay small
+      socket.on('gameUpdate', (data) => {
+        if (!this.decoder) return;
+        const snapshot = this.decoder.decode(data);
+        if (!snapshot) {
+          this.stats.baselineMisses++;
+          socket.emit('snapshotAck', 0);
+          return;
+        }
+        socket.emit('snapshotAck', snapshot.seq);
+        this.stats.snapshots++;
+        this.players = snapshot.entities.player;
+      });
+    });
+  }
+
+  /**
+   * Send an input every 1/INPUT_RATE seconds
+   */
+  startInput() {
+    if (this.inputInterval) return;
+    this.lastInputAt = Date.now();
+    this.inputInterval = setInterval(() => this.sendInput(), 1000 / this.INPUT_RATE);
+  }
+
+  /**
+   * Ask the behavior what to do about the latest snapshot and send it
+   */
+  sendInput() {
+    const self = this.players.find(player => player.id === this.playerId);
+    if (!self || !this.socket.connected) return;
+
+    const now = Date.now();
+    const input = this.behavior.update({
+      self,
+      players: this.players.filter(player => player.id !== this.playerId && player.connected),
+      level: this.level,
+      deltaTime: (now - this.lastInputAt) / 1000
+    });
+    this.lastInputAt = now;
+    this.seq++;
+    this.socket.emit('playerInput', { ...input, seq: this.seq });
+    this.stats.inputsSent++;
+  }
+
+  /**
+   * Round trips measured since the last call
+   * @returns {number[]} Round-trip times in ms
+   */
+  takeRttSamples() {
+    const samples = this.rttSamples;
+    this.rttSamples = [];
+    return samples;
+  }
+
+  /**
+   * @returns {boolean} True while connected to the server
+   */
+  isConnected() {
+    return Boolean(this.socket && this.socket.connected);
+  }
+
+  stopTimers() {
+    clearInterval(this.inputInterval);
+    clearInterval(this.pingInterval);
+    this.inputInterval = null;
+    this.pingInterval = null;
+  }
+
+  /**
+   * Disconnect and stop sending
+   */
+  close() {
+    this.stopTimers();
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+/**
+ * @param {string|Buffer|ArrayBuffer|undefined} data - Engine packet payload
+ * @returns {number} Payload size in bytes
+ */
+function byteLength(data) {
+  if (data === undefined || data === null) return 0;
+  return typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength;
+}
+
+module.exports = BotClient;
@@ -0,0 +1,114 @@
+const { DEFAULT_BEHAVIOR, getBehavior } = require('./behaviors');
+
+/**
+ * Bot Manager
+ * Keeps a game from feeling empty: while at least one human is playing but fewer than FILL_TO,
+ * AI players make up the difference. They are ordinary players without a socket; each tick their
+ * behaviors queue inputs just as a client's playerInput would. Bots leave as humans join, and
+ * all of them leave with the last human.
+ */
+class BotManager {
+  /**
+   * @param {GameManager} gameManager - Game the bots play in
+   * @param {Object} options - Fill options
+   * @param {number} options.fillTo - Players (humans and bots) to fill the game up to
+   * @param {number} [options.maxPlayers] - Room's player cap; bots never take the game past it
+   * @param {string[]} [options.behaviors] - Behavior names, handed out to new bots in turn
+   */
+  constructor(gameManager, options = {}) {
+    this.gameManager = gameManager;
+    this.FILL_TO = options.fillTo || 0;
+    this.MAX_PLAYERS = options.maxPlayers || Infinity;
+    this.behaviors = options.behaviors && options.behaviors.length > 0 ? options.behaviors : [DEFAULT_BEHAVIOR];
+    this.BALANCE_INTERVAL = gameManager.TICK_RATE; // ticks between adding or removing bots
+
+    // Bot player ID -> { behavior, seq }
+    this.bots = new Map();
+    this.nextNumber = 1;
+  }
+
+  /**
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the player is one of this game's bots
+   */
+  isBot(playerId) {
+    return this.bots.has(playerId);
+  }
+
+  /**
+   * Balance the bot count now and then, and queue every bot's input for this tick
+   * @param {number} tick - Simulation tick about to run
+   */
+  update(tick) {
+    if (tick % this.BALANCE_INTERVAL === 0) {
+      this.balance();
+    }
+    if (this.bots.size === 0) return;
+
+    const states = this.gameManager.getActivePlayers().map(player => player.getState());
+    const level = this.gameManager.level.getState();
+    for (const [id, bot] of this.bots) {
+      const player = this.gameManager.getPlayer(id);
+      const self = states.find(state => state.id === id);
+      if (!player || !self) continue;
+
+      const input = bot.behavior.update({
+        self,
+        players: states.filter(state => state.id !== id),
+        level,
+        deltaTime: this.gameManager.FIXED_DELTA
+      });
+      bot.seq++;
+      player.queueInput({ ...input, seq: bot.seq });
+    }
+  }
+
+  /**
+   * Add or remove bots so humans and bots together reach FILL_TO without passing MAX_PLAYERS,
+   * or remove them all if no human is playing
+   */
+  balance() {
+    const humans = this.gameManager.getActivePlayers().filter(player => !this.bots.has(player.id)).length;
+    const fillTo = Math.min(this.FILL_TO, this.MAX_PLAYERS);
+    const wanted = humans > 0 ? Math.max(0, fillTo - humans) : 0;
+
+    while (this.bots.size < wanted) {
+      this.addBot();
+    }
+    while (this.bots.size > wanted) {
+      this.removeBot(Array.from(this.bots.keys()).pop());
+    }
+  }
+
+  /**
+   * Add a bot playing the next behavior in turn
+   */
+  addBot() {
+    const number = this.nextNumber++;
+    const Behavior = getBehavior(this.behaviors[(number - 1) % this.behaviors.length]);
+    const behavior = new Behavior();
+    const id = `bot-${number}`;
+
+    this.bots.set(id, { behavior, seq: 0 });
+    this.gameManager.addPlayer(id, { name: `${behavior.name} Bot ${number}` });
+    this.gameManager.log.info('Bot joined', { playerId: id, behavior: behavior.id });
+  }
+
+  /**
+   * @param {string} id - Bot player ID
+   */
+  removeBot(id) {
+    this.bots.delete(id);
+    this.gameManager.removePlayer(id);
+    this.gameManager.log.info('Bot left', { playerId: id });
+  }
+
+  /**
+   * @returns {Object} Fill target and bots playing, for game stats
+   */
+  getStats() {
+    return { fillTo: this.FILL_TO, count: this.bots.size, behaviors: this.behaviors };
+  }
+}
+
+module.exports = BotManager;
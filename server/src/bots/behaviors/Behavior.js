@@ -0,0 +1,61 @@
+/**
+ * Bot Behavior
+ * Base class for how a bot plays. The same behaviors drive in-process bots (BotManager) and
+ * headless Socket.io clients (BotClient): every tick a behavior is shown what its bot can see and
+ * answers with the input a human player would have sent.
+ *
+ * What a bot sees:
+ *   self      - its own player state, as in snapshots (position, velocity, onGround, facing, ...)
+ *   players   - the other connected players' states
+ *   level     - the level state from gameState (ground, spawn points, hills), if known
+ *   deltaTime - seconds since the behavior was last updated
+ *
+ * Inputs steer in world space: moveX/moveZ without a yaw, +Z pointing backward like the keyboard.
+ */
+class Behavior {
+  constructor() {
+    this.id = 'behavior';
+    this.name = 'Behavior';
+  }
+
+  /**
+   * Decide this tick's input
+   * @param {Object} view - What the bot sees, see above
+   * @returns {Object} Input, as sent in playerInput (without seq)
+   */
+  update(view) {
+    return this.createInput();
+  }
+
+  /**
+   * @param {Object} [held] - Inputs to set, e.g. { jump: true }
+   * @returns {Object} An input with nothing held apart from the given keys
+   */
+  createInput(held = {}) {
+    return { left: false, right: false, forward: false, backward: false, jump: false, shove: false, ...held };
+  }
+
+  /**
+   * Input that runs from a position toward a target at full speed, looking where it goes
+   * @param {Object} from - Current position {x, z}
+   * @param {Object} to - Target position {x, z}
+   * @param {Object} [held] - Other inputs to set
+   * @returns {Object} Input
+   */
+  moveToward(from, to, held = {}) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance < 0.01) {
+      return this.createInput(held);
+    }
+    return this.createInput({
+      moveX: dx / distance,
+      moveZ: dz / distance,
+      facing: Math.atan2(-dx, -dz), // facing 0 looks down -Z
+      ...held
+    });
+  }
+}
+
+module.exports = Behavior;
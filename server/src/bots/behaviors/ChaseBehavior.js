@@ -0,0 +1,64 @@
+const Behavior = require('./Behavior');
+const WanderBehavior = require('./WanderBehavior');
+
+/**
+ * Chase Behavior
+ * Runs at the nearest player and shoves them once in reach, jumping after them when they're
+ * up on something. Wanders while there's nobody to chase.
+ */
+class ChaseBehavior extends Behavior {
+  constructor() {
+    super();
+    this.id = 'chase';
+    this.name = 'Chase';
+    this.RETARGET_INTERVAL = 1; // seconds between looks for a nearer player
+    this.SHOVE_DISTANCE = 2; // meters; a little inside Player.SHOVE_RANGE
+    this.JUMP_HEIGHT = 1; // meters a target has to be above the bot to be jumped after
+    this.JUMP_DISTANCE = 4; // meters within which the bot jumps after a target above it
+
+    this.targetId = null;
+    this.retargetIn = 0;
+    this.wander = new WanderBehavior();
+  }
+
+  /**
+   * @param {Object} self - Bot's own state
+   * @param {Object[]} players - Other players' states
+   * @returns {Object|undefined} State of the nearest player
+   */
+  findNearest(self, players) {
+    let nearest;
+    let nearestDistance = Infinity;
+    for (const player of players) {
+      const distance = Math.hypot(player.position.x - self.position.x, player.position.z - self.position.z);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  update(view) {
+    const { self, players, deltaTime } = view;
+    this.retargetIn -= deltaTime;
+    let target = players.find(player => player.id === this.targetId);
+    if (!target || this.retargetIn <= 0) {
+      target = this.findNearest(self, players);
+      this.targetId = target ? target.id : null;
+      this.retargetIn = this.RETARGET_INTERVAL;
+    }
+    if (!target) {
+      return this.wander.update(view);
+    }
+
+    const distance = Math.hypot(target.position.x - self.position.x, target.position.z - self.position.z);
+    const above = target.position.y - self.position.y > this.JUMP_HEIGHT;
+    return this.moveToward(self.position, target.position, {
+      shove: distance < this.SHOVE_DISTANCE && self.shoveCooldown === 0,
+      jump: above && distance < this.JUMP_DISTANCE
+    });
+  }
+}
+
+module.exports = ChaseBehavior;
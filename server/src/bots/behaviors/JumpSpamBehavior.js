@@ -0,0 +1,29 @@
+const Behavior = require('./Behavior');
+
+/**
+ * Jump Spam Behavior
+ * Jumps again the moment it lands while drifting in a slowly turning circle: a steady stream of
+ * jumps, landings and ground checks for stress testing.
+ */
+class JumpSpamBehavior extends Behavior {
+  constructor() {
+    super();
+    this.id = 'jumpspam';
+    this.name = 'Jump Spam';
+    this.TURN_RATE = 0.5; // radians per second the drift direction turns
+    this.DRIFT = 0.4; // analog stick deflection, 0-1
+
+    this.heading = Math.random() * Math.PI * 2;
+  }
+
+  update({ self, deltaTime }) {
+    this.heading += this.TURN_RATE * deltaTime;
+    return this.createInput({
+      moveX: Math.sin(this.heading) * this.DRIFT,
+      moveZ: Math.cos(this.heading) * this.DRIFT,
+      jump: self.onGround
+    });
+  }
+}
+
+module.exports = JumpSpamBehavior;
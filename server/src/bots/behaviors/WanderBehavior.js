@@ -0,0 +1,45 @@
+const Behavior = require('./Behavior');
+
+/**
+ * Wander Behavior
+ * Runs between random points in the middle of the level, hopping now and then. A new point is
+ * picked on arrival, or after a while in case something is in the way.
+ */
+class WanderBehavior extends Behavior {
+  constructor() {
+    super();
+    this.id = 'wander';
+    this.name = 'Wander';
+    this.ARRIVAL_DISTANCE = 1; // meters from the target that count as arrived
+    this.MIN_LEG_TIME = 3; // seconds spent heading for one target before giving up on it
+    this.MAX_LEG_TIME = 8;
+    this.JUMP_RATE = 0.3; // average jumps per second
+
+    this.target = null;
+    this.legTimeLeft = 0;
+  }
+
+  /**
+   * Pick the next point to run to, within the central part of the ground
+   * @param {Object} [level] - Level state
+   */
+  pickTarget(level) {
+    const radius = level ? level.ground.size * 0.3 : 15;
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.sqrt(Math.random()) * radius;
+    this.target = { x: Math.cos(angle) * distance, z: Math.sin(angle) * distance };
+    this.legTimeLeft = this.MIN_LEG_TIME + Math.random() * (this.MAX_LEG_TIME - this.MIN_LEG_TIME);
+  }
+
+  update({ self, level, deltaTime }) {
+    this.legTimeLeft -= deltaTime;
+    const arrived = this.target &&
+      Math.hypot(this.target.x - self.position.x, this.target.z - self.position.z) < this.ARRIVAL_DISTANCE;
+    if (!this.target || arrived || this.legTimeLeft <= 0) {
+      this.pickTarget(level);
+    }
+    return this.moveToward(self.position, this.target, { jump: Math.random() < this.JUMP_RATE * deltaTime });
+  }
+}
+
+module.exports = WanderBehavior;
@@ -0,0 +1,50 @@
+const WanderBehavior = require('./WanderBehavior');
+const ChaseBehavior = require('./ChaseBehavior');
+const JumpSpamBehavior = require('./JumpSpamBehavior');
+
+/**
+ * Available bot behaviors, keyed by the name used in BOT_BEHAVIORS and the bots CLI
+ */
+const BEHAVIORS = {
+  wander: WanderBehavior,
+  chase: ChaseBehavior,
+  jumpspam: JumpSpamBehavior
+};
+
+const DEFAULT_BEHAVIOR = 'wander';
+
+/**
+ * Look up a bot behavior by name
+ * @param {string} name - Behavior name
+ * @returns {Function|undefined} Behavior class or undefined if unknown
+ */
+function getBehavior(name) {
+  return Object.hasOwn(BEHAVIORS, name) ? BEHAVIORS[name] : undefined;
+}
+
+/**
+ * List the names of all bot behaviors
+ * @returns {string[]} Behavior names
+ */
+function listBehaviors() {
+  return Object.keys(BEHAVIORS);
+}
+
+/**
+ * Parse a comma-separated list of behavior names, e.g. "wander,chase"
+ * @param {string} list - Behavior names
+ * @returns {{behaviors?: string[], error?: string}} The names, or an error naming the unknown one
+ */
+function parseBehaviorList(list) {
+  const behaviors = String(list).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = behaviors.find(name => !getBehavior(name));
+  if (unknown) {
+    return { error: `Unknown bot behavior "${unknown}" (available: ${listBehaviors().join(', ')})` };
+  }
+  if (behaviors.length === 0) {
+    return { error: 'No bot behaviors given' };
+  }
+  return { behaviors };
+}
+
+module.exports = { BEHAVIORS, DEFAULT_BEHAVIOR, getBehavior, listBehaviors, parseBehaviorList };
@@ -0,0 +1,149 @@
+/**
+ * Chat Handler
+ * Validates, rate-limits and filters chat messages before they are broadcast.
+ * Moderation is pluggable: filters added with addFilter() run in order on every message
+ * and can rewrite it or drop it.
+ */
+class ChatHandler {
+  /**
+   * @param {Object} options - Chat options
+   * @param {number} [options.maxLength] - Maximum message length in characters
+   * @param {number} [options.rateLimit] - Messages allowed per rate window
+   * @param {number} [options.rateWindow] - Rate window in ms
+   */
+  constructor(options = {}) {
+    this.MAX_MESSAGE_LENGTH = options.maxLength || 200;
+    this.CHAT_RATE_LIMIT = options.rateLimit || 5;
+    this.CHAT_RATE_WINDOW = options.rateWindow || 10000;
+
+    // Recent message times per player for rate limiting
+    this.messageTimes = new Map();
+
+    // Moderation filters: (text, context) => text to send, or null to drop the message
+    this.filters = [];
+
+    this.nextMessageId = 1;
+    this.stats = { accepted: 0, rateLimited: 0, filtered: 0, invalid: 0 };
+  }
+
+  /**
+   * Register a moderation filter
+   * @param {Function} filter - Called with (text, { playerId, name, roomId }); returns the text
+   *   to send (possibly rewritten) or null to drop the message
+   */
+  addFilter(filter) {
+    this.filters.push(filter);
+  }
+
+  /**
+   * Validate and sanitize message text
+   * @param {*} text - Raw text from the client
+   * @returns {string|null} Trimmed text without control characters, or null if invalid
+   */
+  validateMessage(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+    const clean = text.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, this.MAX_MESSAGE_LENGTH);
+    return clean || null;
+  }
+
+  /**
+   * Check if a player may send another message, recording it if so
+   * @param {string} playerId - ID of the sending player
+   * @returns {boolean} True if the message is within the rate limit
+   */
+  shouldProcessMessage(playerId) {
+    const now = Date.now();
+    const times = (this.messageTimes.get(playerId) || []).filter(time => now - time < this.CHAT_RATE_WINDOW);
+
+    if (times.length >= this.CHAT_RATE_LIMIT) {
+      this.messageTimes.set(playerId, times);
+      return false;
+    }
+
+    times.push(now);
+    this.messageTimes.set(playerId, times);
+    return true;
+  }
+
+  /**
+   * Run a message through every filter
+   * @param {string} text - Validated text
+   * @param {Object} context - Sender details passed to filters
+   * @returns {string|null} Filtered text or null if a filter dropped it
+   */
+  applyFilters(text, context) {
+    let result = text;
+    for (const filter of this.filters) {
+      result = filter(result, context);
+      if (typeof result !== 'string' || !result) {
+        return null;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Process a chat message from a player
+   * @param {Object} sender - Sending player
+   * @param {string} sender.id - Player ID
+   * @param {string} sender.name - Display name
+   * @param {string} sender.color - Player color
+   * @param {*} text - Raw message text
+   * @param {string} roomId - Room the message is for
+   * @returns {{message?: Object, error?: string}} Message to broadcast or an error for the sender
+   */
+  processMessage(sender, text, roomId) {
+    const validText = this.validateMessage(text);
+    if (!validText) {
+      this.stats.invalid++;
+      return { error: 'Invalid message' };
+    }
+
+    if (!this.shouldProcessMessage(sender.id)) {
+      this.stats.rateLimited++;
+      return { error: 'You are sending messages too quickly' };
+    }
+
+    const filteredText = this.applyFilters(validText, { playerId: sender.id, name: sender.name, roomId });
+    if (!filteredText) {
+      this.stats.filtered++;
+      return { error: 'Message blocked' };
+    }
+
+    this.stats.accepted++;
+    return {
+      message: {
+        id: this.nextMessageId++,
+        playerId: sender.id,
+        name: sender.name,
+        color: sender.color,
+        text: filteredText,
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Clean up rate limiting data for a player that left
+   * @param {string} playerId - ID of the player
+   */
+  cleanupPlayer(playerId) {
+    this.messageTimes.delete(playerId);
+  }
+
+  /**
+   * Get chat statistics for monitoring
+   * @returns {Object} Chat handler statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      filters: this.filters.length,
+      rateLimit: `${this.CHAT_RATE_LIMIT}/${this.CHAT_RATE_WINDOW}ms`
+    };
+  }
+}
+
+module.exports = ChatHandler;
@@ -0,0 +1,26 @@
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a chat filter that masks banned words with asterisks
+ * Matching is case-insensitive and only on whole words.
+ * @param {string[]} words - Banned words
+ * @returns {Function} Filter for ChatHandler.addFilter()
+ */
+function createBannedWordsFilter(words) {
+  const list = words.map(word => word.trim()).filter(Boolean);
+  if (list.length === 0) {
+    return (text) => text;
+  }
+
+  const pattern = new RegExp(`\\b(${list.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return (text) => text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+module.exports = { createBannedWordsFilter };
@@ -1,87 +1,210 @@
-const CANNON = require('cannon-es');
+const { computeTargetVelocity, computeFacing, applyMovement } = require('./movementModel');
+const MovementConfig = require('../game/MovementConfig');
 
 class Player {
-  constructor(id, physicsWorld, x = 0, y = 2, z = 0) {
+  /**
+   * @param {string} id - Player ID (stable across reconnects, see SessionManager)
+   * @param {PhysicsWorld} physicsWorld - World the player's body lives in
+   * @param {number} x - Spawn X position
+   * @param {number} y - Spawn Y position
+   * @param {number} z - Spawn Z position
+   * @param {Object} [profile] - Display name and color chosen by the client
+   * @param {Object} [movement] - Movement settings, see MovementConfig
+   */
+  constructor(id, physicsWorld, x = 0, y = 2, z = 0, profile = {}, movement = MovementConfig.defaultValues().movement) {
     this.id = id;
     this.physicsWorld = physicsWorld;
-    this.color = this.generateRandomColor();
+    this.name = profile.name || `Player ${id.slice(0, 4)}`;
+    this.color = profile.color || Player.generateRandomColor();
+    this.connected = true; // false while the owner is disconnected but may still reconnect
     this.lastUpdate = Date.now();
     this.onGround = false;
+    this.facing = 0; // yaw in radians the avatar looks toward, 0 faces -Z
+    this.stats = { joinedAt: Date.now(), jumps: 0, respawns: 0, shoves: 0, hits: 0 };
+    this.score = 0; // points in the current round, see GameMode; fractional while accruing
+
+    // Shoving: a push that knocks nearby players in front of this one off balance
+    this.SHOVE_COOLDOWN = 1.5; // seconds between shoves
+    this.SHOVE_RANGE = 2.2; // center-to-center reach in meters
+    this.SHOVE_ARC = 0.5; // cosine of the half-angle in front of the player that gets hit (60°)
+    this.SHOVE_SPEED = 9; // horizontal speed a shoved player is knocked away with (m/s)
+    this.SHOVE_LIFT = 3; // upward speed added to a shoved player (m/s)
+    this.STAGGER_DURATION = 0.6; // seconds a knocked-back player can't steer or jump
+    this.SLAM_SPEED = 4; // impact speed at which a staggered player knocks over whoever they hit (m/s)
+    this.shoveCooldown = 0; // seconds until the next shove
+    this.stagger = 0; // seconds of staggering left
 
     // Input
-    this.input = { left: false, right: false, forward: false, backward: false, jump: false };
-
-    let xxxx = 150;
-
-    this.SPEED = 16.0 * xxxx;              // very high top horizontal speed
-    this.MAX_HORIZONTAL_SPEED = 18.0 * xxxx; // small buffer above top speed
-    this.ACCELERATION = 19.0 * xxxx;       // quick ground acceleration
-    this.AIR_ACCELERATION = 1.4;   // decent air control
-    this.JUMP_FORCE = 1.3;         // powerful jump
-    this.LINEAR_DAMPING = 0.18;     // less resistance for faster feel
-    this.FLOATINESS = 0.35;         // 0.3–0.5 = floatier, more hang time
+    this.input = { left: false, right: false, forward: false, backward: false, jump: false, shove: false };
+    this.lastProcessedInput = 0; // sequence number of the latest applied input, echoed for reconciliation
+    this.lastInputTick = 0; // simulation tick the latest input was applied on
+    this.renderTime = null; // server time the client was showing others at when it sent that input
+    this.inputQueue = []; // inputs waiting to be applied, one per tick
+    this.MAX_INPUT_QUEUE = 10; // beyond this, the oldest inputs are merged to bound latency
+
+    // Tunable movement values (see MovementConfig), then fixed body dimensions
+    this.applyMovementConfig(movement);
     this.VELOCITY_LERP = 18.0;      // smoother simple movement fallback
+    this.HALF_HEIGHT = 0.9;
+    this.HALF_WIDTH = 0.4;
+    this.GROUND_CHECK_DISTANCE = 0.1; // how far below the feet still counts as grounded
 
     // Create physics body
     this.createPhysicsBody(x, y, z);
   }
 
   createPhysicsBody(x, y, z) {
-    if (!this.physicsWorld.isPhysicsEnabled()) {
-      this.position = { x, y, z };
-      this.velocity = { x: 0, y: 0, z: 0 };
-      return;
-    }
+    this.position = { x, y, z };
+    this.velocity = { x: 0, y: 0, z: 0 };
 
-    const shape = new CANNON.Box(new CANNON.Vec3(0.4, 0.9, 0.4));
-    const mat = new CANNON.Material({ friction: 0.0, restitution: 0.0 });
-    this.body = new CANNON.Body({
-      mass: 1,
-      shape,
-      position: new CANNON.Vec3(x, y, z),
-      material: mat,
-      fixedRotation: true
+    // Backend-specific character: a dynamic box on Cannon, a kinematic character controller on Rapier
+    this.character = this.physicsWorld.createCharacter({
+      halfExtents: { x: this.HALF_WIDTH, y: this.HALF_HEIGHT, z: this.HALF_WIDTH },
+      position: { x, y, z },
+      linearDamping: this.LINEAR_DAMPING,
+      owner: this
     });
+  }
 
-    this.body.linearDamping = this.LINEAR_DAMPING;
-    this.body.angularDamping = 1.0;
-    this.body.angularFactor = new CANNON.Vec3(0, 0, 0);
-    this.body.allowSleep = false;
-    this.physicsWorld.addBody(this.body);
-
-    this.position = { x, y, z };
-    this.velocity = { x: 0, y: 0, z: 0 };
+  /**
+   * Take on new movement settings; applies immediately, including to an existing body
+   * @param {Object} movement - Movement settings, see MovementConfig
+   */
+  applyMovementConfig(movement) {
+    this.SPEED = movement.speed;
+    this.MAX_HORIZONTAL_SPEED = movement.maxSpeed;
+    this.ACCELERATION = movement.acceleration;
+    this.AIR_ACCELERATION = movement.airControl;
+    this.JUMP_FORCE = movement.jumpVelocity;
+    this.LINEAR_DAMPING = movement.damping;
+    this.FLOATINESS = movement.floatiness; // share of gravity cancelled in the air, more hang time
+
+    if (this.character) {
+      this.character.setLinearDamping(this.LINEAR_DAMPING);
+    }
   }
 
-  generateRandomColor() {
+  static generateRandomColor() {
     const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57', '#ff9ff3', '#54a0ff', '#5f27cd'];
     return colors[Math.floor(Math.random() * colors.length)];
   }
 
+  /**
+   * Change the display name and color
+   * @param {Object} profile - New name and color
+   */
+  setProfile({ name, color }) {
+    this.name = name || this.name;
+    this.color = color || this.color;
+  }
+
+  /**
+   * Mark the owner as connected or away; away players stop moving until they return
+   * @param {boolean} connected - Whether the owning client is connected
+   */
+  setConnected(connected) {
+    this.connected = connected;
+    if (!connected) {
+      this.inputQueue = [];
+      this.input = { left: false, right: false, forward: false, backward: false, jump: false, shove: false };
+    }
+  }
+
   updateInput(inputData) {
-    this.input = { ...this.input, ...inputData };
+    const { seq, renderTime, ...input } = inputData;
+    // Optional fields only last while the client keeps sending them; without a move vector
+    // the player is back on the direction keys
+    const { moveX, moveZ, yaw, facing, ...held } = this.input;
+    this.input = { ...held, ...input };
+    if (typeof seq === 'number' && seq > this.lastProcessedInput) {
+      this.lastProcessedInput = seq;
+    }
+    if (typeof renderTime === 'number') {
+      this.renderTime = renderTime;
+    }
+  }
+
+  /**
+   * Queue an input to be applied on an upcoming tick
+   * A full queue merges its two oldest inputs instead of discarding one, so bursts let through by
+   * the abuse guard never lose a key release or a jump.
+   * @param {Object} inputData - Validated input
+   * @returns {number} Queued inputs merged into their successor, 0 unless the queue was full
+   */
+  queueInput(inputData) {
+    this.inputQueue.push(inputData);
+    let merged = 0;
+    while (this.inputQueue.length > this.MAX_INPUT_QUEUE) {
+      const [older, newer] = this.inputQueue.splice(0, 2);
+      this.inputQueue.unshift(Player.mergeInputs(older, newer));
+      merged++;
+    }
+    return merged;
+  }
+
+  /**
+   * Collapse two consecutive inputs into one tick's worth, the way updateInput would apply them
+   * back to back: keys come from the newer input unless it leaves them out, optional fields only
+   * from the newer one, and a jump or shove pressed in either still happens
+   * @param {Object} older - Earlier input
+   * @param {Object} newer - Following input
+   * @returns {Object} Merged input with the newer sequence number
+   */
+  static mergeInputs(older, newer) {
+    const { moveX, moveZ, yaw, facing, seq, renderTime, ...held } = older;
+    const merged = { ...held, ...newer };
+    if (older.jump) merged.jump = true;
+    if (older.shove) merged.shove = true;
+    return merged;
+  }
+
+  /**
+   * Apply the next queued input for this tick; with nothing queued the previous input is held
+   * @param {number} tick - Simulation tick being run
+   * @returns {Object|undefined} The input applied, if one was queued
+   */
+  applyQueuedInput(tick) {
+    const next = this.inputQueue.shift();
+    if (next) {
+      this.updateInput(next);
+      this.lastInputTick = tick;
+    }
+    return next;
   }
 
   /**
-   * deltaTime can be seconds or ms; this normalizes to seconds.
+   * Movement parameters sent to the owning client so its prediction matches the server
+   */
+  getMovementParams() {
+    return {
+      SPEED: this.SPEED,
+      MAX_HORIZONTAL_SPEED: this.MAX_HORIZONTAL_SPEED,
+      ACCELERATION: this.ACCELERATION,
+      AIR_ACCELERATION: this.AIR_ACCELERATION,
+      JUMP_FORCE: this.JUMP_FORCE,
+      LINEAR_DAMPING: this.LINEAR_DAMPING,
+      FLOATINESS: this.FLOATINESS,
+      GRAVITY: this.physicsWorld.getGravity(),
+      HALF_HEIGHT: this.HALF_HEIGHT,
+      HALF_WIDTH: this.HALF_WIDTH,
+      GROUND_CHECK_DISTANCE: this.GROUND_CHECK_DISTANCE
+    };
+  }
+
+  /**
+   * Advance the player by one fixed simulation step
+   * @param {number} deltaTime - Step duration in seconds
    */
   update(deltaTime) {
-    if (typeof deltaTime !== 'number') deltaTime = (Date.now() - this.lastUpdate) / 1000;
-    // If delta looks like ms (>0.1), convert to seconds
-    if (deltaTime > 0.1) deltaTime = deltaTime / 1000;
+    this.shoveCooldown = Math.max(0, this.shoveCooldown - deltaTime);
+    this.stagger = Math.max(0, this.stagger - deltaTime);
 
-    if (!this.body || !this.physicsWorld.isPhysicsEnabled()) {
+    if (!this.character) {
       this.updateSimpleMovement(deltaTime);
       this.lastUpdate = Date.now();
       return;
     }
 
-    // sync stored pos/vel
-    const pos = this.body.position;
-    const vel = this.body.velocity;
-    this.position = { x: pos.x, y: pos.y, z: pos.z };
-    this.velocity = { x: vel.x, y: vel.y, z: vel.z };
-
     // ground check
     this.checkGroundContact();
 
@@ -90,45 +213,31 @@ class Player {
 
     // apply floatiness (small upward force while in air to soften gravity)
     if (!this.onGround && this.FLOATINESS > 0) {
-      const world = this.physicsWorld.getWorld && this.physicsWorld.getWorld();
-      if (world && world.gravity) {
-        // world.gravity is Vec3, typically (0, -9.82, 0)
-        // Apply upward force equal to a fraction of gravity * mass
-        const gravityY = world.gravity.y; // negative
-        // upward force = mass * -gravityY * FLOATINESS
-        const upForce = this.body.mass * (-gravityY) * this.FLOATINESS;
-        this.body.applyForce(new CANNON.Vec3(0, upForce, 0));
-      }
-    }
-
-    // stop rotation and enforce bounds
-    this.body.angularVelocity.x = 0;
-    this.body.angularVelocity.z = 0;
-    this.applyBoundaryConstraints();
+      // upward force = mass * -gravity * FLOATINESS (gravity is negative)
+      const upForce = this.character.mass * (-this.physicsWorld.getGravity()) * this.FLOATINESS;
+      this.character.applyForce({ x: 0, y: upForce, z: 0 });
+    }
+
+    // hand the velocity to the backend
+    this.character.move(deltaTime);
+
+    // sync stored pos/vel after movement so snapshots match the acknowledged input
+    this.position = this.character.getPosition();
+    this.velocity = this.character.getVelocity();
 
     this.lastUpdate = Date.now();
   }
 
   updateSimpleMovement(deltaTime) {
-    // expect seconds
-    if (deltaTime > 0.1) deltaTime = deltaTime / 1000;
-    let targetX = 0, targetZ = 0;
-    if (this.input.left) targetX -= this.SPEED;
-    if (this.input.right) targetX += this.SPEED;
-    if (this.input.forward) targetZ -= this.SPEED;
-    if (this.input.backward) targetZ += this.SPEED;
+    if (this.stagger === 0) {
+      const target = computeTargetVelocity(this.input, this);
+      this.facing = computeFacing(this.input, target, this.facing);
 
-    // normalize diagonal
-    const len = Math.hypot(targetX, targetZ);
-    if (len > this.SPEED) {
-      targetX = (targetX / len) * this.SPEED;
-      targetZ = (targetZ / len) * this.SPEED;
+      const lerp = Math.min(1, this.VELOCITY_LERP * deltaTime);
+      this.velocity.x += (target.x - this.velocity.x) * lerp;
+      this.velocity.z += (target.z - this.velocity.z) * lerp;
     }
 
-    const lerp = Math.min(1, this.VELOCITY_LERP * deltaTime);
-    this.velocity.x += (targetX - this.velocity.x) * lerp;
-    this.velocity.z += (targetZ - this.velocity.z) * lerp;
-
     this.position.x += this.velocity.x * deltaTime;
     this.position.z += this.velocity.z * deltaTime;
 
@@ -139,98 +248,166 @@ class Player {
   }
 
   checkGroundContact() {
-    if (!this.physicsWorld.getWorld || !this.body) return;
-    const world = this.physicsWorld.getWorld();
-    const p = this.body.position;
-    const start = new CANNON.Vec3(p.x, p.y, p.z);
-    const end = new CANNON.Vec3(p.x, p.y - 1.05, p.z);
-    const result = new CANNON.RaycastResult();
-    world.raycastClosest(start, end, {}, result);
-    this.onGround = result.hasHit && result.distance < 1.01;
+    if (!this.character) return;
+    this.onGround = this.character.isGrounded(this.GROUND_CHECK_DISTANCE);
   }
 
   applyMovementForces(deltaTime) {
-    if (!this.body) return;
-
-    // build target velocity
-    let targetX = 0, targetZ = 0;
-    if (this.input.left) targetX -= this.SPEED;
-    if (this.input.right) targetX += this.SPEED;
-    if (this.input.forward) targetZ -= this.SPEED;
-    if (this.input.backward) targetZ += this.SPEED;
-
-    const hLen = Math.hypot(targetX, targetZ);
-    if (hLen > this.SPEED) {
-      targetX = (targetX / hLen) * this.SPEED;
-      targetZ = (targetZ / hLen) * this.SPEED;
-    }
-
-    const vel = this.body.velocity;
-
-    if (this.onGround) {
-      // smooth lerp to target velocity (frame-rate independent)
-      const lerp = Math.min(1, this.ACCELERATION * deltaTime);
-      vel.x += (targetX - vel.x) * lerp;
-      vel.z += (targetZ - vel.z) * lerp;
-
-      // clamp horizontal
-      const hv = Math.hypot(vel.x, vel.z);
-      if (hv > this.MAX_HORIZONTAL_SPEED) {
-        const s = this.MAX_HORIZONTAL_SPEED / hv;
-        vel.x *= s;
-        vel.z *= s;
-      }
-
-      // jump
-      if (this.input.jump && this.onGround) {
-        vel.y = this.JUMP_FORCE;
-        this.onGround = false;
-      }
+    if (!this.character) return;
+
+    const staggered = this.stagger > 0;
+    if (!staggered) {
+      this.facing = computeFacing(this.input, computeTargetVelocity(this.input, this), this.facing);
+    }
+    const jumped = applyMovement(this.character.velocity, this.input, this.onGround, this, deltaTime, staggered);
+    if (jumped) {
+      this.onGround = false;
+      this.stats.jumps++;
+    }
+  }
+
+  /**
+   * Whether the player is asking to shove and is able to
+   * @returns {boolean} True if shove() should be called this tick
+   */
+  canShove() {
+    return Boolean(this.input.shove) && this.connected && this.shoveCooldown === 0 && this.stagger === 0;
+  }
 
+  /**
+   * Shove every player within reach in front of this one
+   * Each one is knocked straight away from this player and staggered.
+   * @param {Iterable<Player>} players - Players that may be hit
+   * @returns {Array<{player: Player, impulse: Object}>} Players knocked back and the impulse each got
+   */
+  shove(players) {
+    this.shoveCooldown = this.SHOVE_COOLDOWN;
+    this.stats.shoves++;
+
+    // Facing 0 looks down -Z, see computeFacing()
+    const forwardX = -Math.sin(this.facing);
+    const forwardZ = -Math.cos(this.facing);
+    const hits = [];
+
+    for (const other of players) {
+      if (other === this || !other.connected) continue;
+      const dx = other.position.x - this.position.x;
+      const dz = other.position.z - this.position.z;
+      const distance = Math.hypot(dx, dz);
+      if (distance > this.SHOVE_RANGE || Math.abs(other.position.y - this.position.y) > this.HALF_HEIGHT * 2) continue;
+
+      // Someone standing right on top of us counts as in front
+      const dirX = distance > 1e-3 ? dx / distance : forwardX;
+      const dirZ = distance > 1e-3 ? dz / distance : forwardZ;
+      if (dirX * forwardX + dirZ * forwardZ < this.SHOVE_ARC) continue;
+
+      const mass = other.character ? other.character.mass : 1;
+      const impulse = { x: dirX * this.SHOVE_SPEED * mass, y: this.SHOVE_LIFT * mass, z: dirZ * this.SHOVE_SPEED * mass };
+      other.applyKnockback(impulse);
+      hits.push({ player: other, impulse });
+    }
+    return hits;
+  }
+
+  /**
+   * Knock the player back and leave it staggering
+   * @param {Object} impulse - Impulse in N·s (velocity change times mass)
+   * @param {number} [duration] - Stagger duration in seconds
+   */
+  applyKnockback(impulse, duration = this.STAGGER_DURATION) {
+    if (this.character) {
+      this.character.applyImpulse(impulse);
+      this.velocity = this.character.getVelocity();
     } else {
-      // in-air: apply smaller forces for floaty control
-      const desiredX = (targetX - vel.x);
-      const desiredZ = (targetZ - vel.z);
+      this.velocity.x += impulse.x;
+      this.velocity.z += impulse.z;
+    }
+    if (impulse.y > 0) {
+      this.onGround = false;
+    }
+    this.stagger = Math.max(this.stagger, duration);
+    this.stats.hits++;
+  }
 
-      // scale desired change to a force (mass ~1)
-      const forceX = desiredX * this.AIR_ACCELERATION * this.body.mass;
-      const forceZ = desiredZ * this.AIR_ACCELERATION * this.body.mass;
-      const f = new CANNON.Vec3(forceX, 0, forceZ);
-      this.body.applyForce(f);
+  /**
+   * A contact with this player's body began, see PhysicsWorld.dispatchCollisions()
+   * A staggered player crashing into someone knocks them off balance too.
+   * @param {Object|null} other - Entity touched, or null for level geometry
+   * @param {number} speed - Impact speed along the contact normal (m/s)
+   */
+  onCollision(other, speed) {
+    if (other instanceof Player && other.stagger > 0 && this.stagger === 0 && speed >= this.SLAM_SPEED) {
+      this.stagger = this.STAGGER_DURATION / 2;
+    }
+  }
 
-      // gentle clamp so player doesn't rocket horizontally in mid-air
-      const hv = Math.hypot(vel.x, vel.z);
-      if (hv > this.MAX_HORIZONTAL_SPEED * 1.4) {
-        const s = (this.MAX_HORIZONTAL_SPEED * 1.4) / hv;
-        vel.x *= s;
-        vel.z *= s;
-      }
+  /**
+   * @returns {{position: Object}} Where the player is, for the state history
+   */
+  getTransform() {
+    return { position: { ...this.position } };
+  }
+
+  /**
+   * Put the player somewhere without touching its velocity, e.g. to rewind it for lag compensation
+   * @param {{position: Object}} transform - Transform from getTransform()
+   */
+  setTransform({ position }) {
+    if (this.character) {
+      this.character.setPosition(position);
     }
+    this.position = { ...position };
   }
 
-  applyBoundaryConstraints() {
-    if (!this.body) return;
-    const p = this.body.position;
-    const boundary = 48;
-    if (Math.abs(p.x) > boundary || Math.abs(p.z) > boundary || p.y < -10) {
-      this.body.position.set(0, 5, 0);
-      this.body.velocity.set(0, 0, 0);
-      this.body.angularVelocity.set(0, 0, 0);
+  /**
+   * Move the player to a position and stop it
+   * @param {Object} position - Target position
+   */
+  teleport(position) {
+    if (this.character) {
+      this.character.teleport(position);
+      this.position = this.character.getPosition();
+    } else {
+      this.position = { ...position };
     }
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.onGround = false;
+    this.stagger = 0;
+  }
+
+  /**
+   * Move the player to a spawn point and stop it
+   * @param {Object} position - Spawn position
+   */
+  respawn(position) {
+    this.teleport(position);
+    this.stats.respawns++;
   }
 
   getState() {
     return {
       id: this.id,
+      name: this.name,
+      connected: this.connected,
       position: this.position || { x: 0, y: 0, z: 0 },
       velocity: this.velocity || { x: 0, y: 0, z: 0 },
       color: this.color,
-      onGround: this.onGround
+      onGround: this.onGround,
+      facing: this.facing,
+      score: Math.floor(this.score),
+      stagger: this.stagger,
+      shoveCooldown: this.shoveCooldown,
+      lastProcessedInput: this.lastProcessedInput,
+      stats: { ...this.stats }
     };
   }
 
   destroy() {
-    if (this.body && this.physicsWorld) this.physicsWorld.removeBody(this.body);
+    this.inputQueue = [];
+    if (this.character) {
+      this.character.destroy();
+      this.character = null;
+    }
   }
 }
 
@@ -0,0 +1,126 @@
+const Player = require('./Player');
+
+/**
+ * Prop
+ * A dynamic physics object players can push around, such as a crate or a ball.
+ * The physics world owns its motion; the prop mirrors the body's transform after every step
+ * and remembers where it was spawned so it can be put back.
+ */
+class Prop {
+  /**
+   * @param {string} id - Entity ID, see EntityRegistry
+   * @param {string} type - Prop type name
+   * @param {Object} propType - Prop type description, see propTypes
+   * @param {PhysicsWorld} physicsWorld - World the prop's body lives in
+   * @param {Object} position - Spawn position
+   * @param {Object} [quaternion] - Spawn rotation
+   */
+  constructor(id, type, propType, physicsWorld, position, quaternion = { x: 0, y: 0, z: 0, w: 1 }) {
+    this.id = id;
+    this.type = type;
+    this.networkType = 'prop'; // snapshot entity type, see snapshotSchema
+    this.alwaysRelevant = Boolean(propType.alwaysRelevant); // sent to clients regardless of distance
+    this.physicsWorld = physicsWorld;
+    this.home = { position: { ...position }, quaternion: { ...quaternion } };
+    this.position = { ...position };
+    this.quaternion = { ...quaternion };
+    this.velocity = { x: 0, y: 0, z: 0 };
+
+    // Type-specific state that travels with snapshots as JSON; keep it small
+    this.state = { lastTouchedBy: null };
+
+    this.body = physicsWorld.createBody({
+      type: 'dynamic',
+      shape: propType.shape,
+      position,
+      quaternion,
+      mass: propType.mass,
+      friction: propType.friction,
+      restitution: propType.restitution,
+      linearDamping: propType.linearDamping,
+      angularDamping: propType.angularDamping,
+      owner: this
+    });
+  }
+
+  /**
+   * Copy the body's transform after the physics step
+   */
+  update() {
+    if (!this.body) return;
+    this.position = this.body.getPosition();
+    this.quaternion = this.body.getQuaternion();
+    this.velocity = this.body.getVelocity();
+  }
+
+  /**
+   * @returns {{position: Object, quaternion: Object}} Where the prop is, for the state history
+   */
+  getTransform() {
+    return { position: { ...this.position }, quaternion: { ...this.quaternion } };
+  }
+
+  /**
+   * Put the prop somewhere without touching its velocity, e.g. to rewind it for lag compensation
+   * @param {{position: Object, quaternion: Object}} transform - Transform from getTransform()
+   */
+  setTransform({ position, quaternion }) {
+    if (this.body) {
+      this.body.setPosition(position);
+      this.body.setQuaternion(quaternion);
+    }
+    this.position = { ...position };
+    this.quaternion = { ...quaternion };
+  }
+
+  /**
+   * Put the prop back where it was spawned, at rest
+   */
+  reset() {
+    const { position, quaternion } = this.home;
+    if (this.body) {
+      this.body.setPosition(position);
+      this.body.setQuaternion(quaternion);
+      this.body.setVelocity({ x: 0, y: 0, z: 0 });
+      this.body.setAngularVelocity({ x: 0, y: 0, z: 0 });
+    }
+    this.position = { ...position };
+    this.quaternion = { ...quaternion };
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.state.lastTouchedBy = null;
+  }
+
+  /**
+   * A contact with this prop's body began, see PhysicsWorld.dispatchCollisions()
+   * Remembers the last player to touch the prop.
+   * @param {Object|null} other - Entity touched, or null for level geometry
+   */
+  onCollision(other) {
+    if (other instanceof Player) {
+      this.state.lastTouchedBy = other.id;
+    }
+  }
+
+  /**
+   * @returns {Object} Networked state, see the 'prop' snapshot type
+   */
+  getState() {
+    return {
+      id: this.id,
+      type: this.type,
+      position: this.position,
+      quaternion: this.quaternion,
+      velocity: this.velocity,
+      state: this.state
+    };
+  }
+
+  destroy() {
+    if (this.body) {
+      this.physicsWorld.removeBody(this.body);
+      this.body = null;
+    }
+  }
+}
+
+module.exports = Prop;
@@ -0,0 +1,118 @@
+/**
+ * Player Movement Model
+ * Pure movement rules shared with the client's prediction code.
+ * client/src/physics/movementModel.ts is a copy of this file - keep the two in sync.
+ */
+
+/**
+ * Build the target horizontal velocity for the current input
+ * An analog move vector (gamepad stick, touch joystick) takes precedence over the four
+ * direction booleans; partial deflection moves proportionally slower. The move vector is
+ * relative to the camera: with a yaw, "forward" points away from the camera instead of -Z.
+ * @param {Object} input - Player input state
+ * @param {Object} params - Movement parameters
+ * @returns {{x: number, z: number}} Target horizontal velocity
+ */
+function computeTargetVelocity(input, params) {
+  let moveX, moveZ;
+  if (typeof input.moveX === 'number' || typeof input.moveZ === 'number') {
+    moveX = input.moveX || 0;
+    moveZ = input.moveZ || 0;
+  } else {
+    moveX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    moveZ = (input.backward ? 1 : 0) - (input.forward ? 1 : 0);
+  }
+
+  // normalize diagonal
+  const length = Math.hypot(moveX, moveZ);
+  if (length > 1) {
+    moveX /= length;
+    moveZ /= length;
+  }
+
+  // rotate from camera space into world space (yaw 0 looks down -Z)
+  if (typeof input.yaw === 'number') {
+    const cos = Math.cos(input.yaw);
+    const sin = Math.sin(input.yaw);
+    const worldX = moveX * cos + moveZ * sin;
+    moveZ = moveZ * cos - moveX * sin;
+    moveX = worldX;
+  }
+
+  return { x: moveX * params.SPEED, z: moveZ * params.SPEED };
+}
+
+/**
+ * Work out which way the player faces
+ * Moving players turn toward their movement; standing still they look in the input's facing
+ * direction if it has one and otherwise keep their current facing.
+ * @param {Object} input - Player input state
+ * @param {{x: number, z: number}} target - Target velocity from computeTargetVelocity()
+ * @param {number} facing - Current facing yaw in radians (0 faces -Z)
+ * @returns {number} New facing yaw in radians
+ */
+function computeFacing(input, target, facing) {
+  if (target.x !== 0 || target.z !== 0) {
+    return Math.atan2(-target.x, -target.z);
+  }
+  return typeof input.facing === 'number' ? input.facing : facing;
+}
+
+/**
+ * Apply one step of player-controlled movement to a velocity
+ * Mutates velocity in place; gravity and collisions are left to the caller.
+ * @param {{x: number, y: number, z: number}} velocity - Velocity to modify
+ * @param {Object} input - Player input state
+ * @param {boolean} onGround - Whether the player is standing on something
+ * @param {Object} params - Movement parameters
+ * @param {number} deltaTime - Step duration in seconds
+ * @param {boolean} [staggered] - Knocked off balance: no steering or jumping, the velocity carries on
+ * @returns {boolean} True if the player jumped this step
+ */
+function applyMovement(velocity, input, onGround, params, deltaTime, staggered = false) {
+  if (staggered) {
+    return false;
+  }
+
+  const target = computeTargetVelocity(input, params);
+
+  if (onGround) {
+    // smooth lerp to target velocity (frame-rate independent)
+    const lerp = Math.min(1, params.ACCELERATION * deltaTime);
+    velocity.x += (target.x - velocity.x) * lerp;
+    velocity.z += (target.z - velocity.z) * lerp;
+
+    clampHorizontal(velocity, params.MAX_HORIZONTAL_SPEED);
+
+    // jump
+    if (input.jump) {
+      velocity.y = params.JUMP_FORCE;
+      return true;
+    }
+    return false;
+  }
+
+  // in-air: accelerate gently toward the target for floaty control
+  velocity.x += (target.x - velocity.x) * params.AIR_ACCELERATION * deltaTime;
+  velocity.z += (target.z - velocity.z) * params.AIR_ACCELERATION * deltaTime;
+
+  // gentle clamp so player doesn't rocket horizontally in mid-air
+  clampHorizontal(velocity, params.MAX_HORIZONTAL_SPEED * 1.4);
+  return false;
+}
+
+/**
+ * Scale horizontal velocity down to a maximum speed
+ * @param {{x: number, z: number}} velocity - Velocity to clamp in place
+ * @param {number} maxSpeed - Maximum horizontal speed
+ */
+function clampHorizontal(velocity, maxSpeed) {
+  const hv = Math.hypot(velocity.x, velocity.z);
+  if (hv > maxSpeed) {
+    const s = maxSpeed / hv;
+    velocity.x *= s;
+    velocity.z *= s;
+  }
+}
+
+module.exports = { computeTargetVelocity, computeFacing, applyMovement, clampHorizontal };
@@ -0,0 +1,65 @@
+/**
+ * Available prop types, keyed by the name used in level files and spawnProp
+ * Each describes the prop's collision shape and surface; clients render the shape in the
+ * prop's color, so anything added here needs a matching component in the client's entity map.
+ *
+ *   shape        { type: 'box', halfExtents } or { type: 'sphere', radius }
+ *   mass         kg; players weigh 1, so heavier props take more pushing
+ *   friction     surface friction against everything it touches
+ *   restitution  bounciness
+ *   linearDamping, angularDamping  share of velocity lost per second
+ *   alwaysRelevant  sent to every client however far away, for props the whole room plays with
+ */
+const PROP_TYPES = {
+  crate: {
+    name: 'Crate',
+    shape: { type: 'box', halfExtents: { x: 0.5, y: 0.5, z: 0.5 } },
+    mass: 4,
+    friction: 0.5,
+    restitution: 0.05,
+    linearDamping: 0.1,
+    angularDamping: 0.3,
+    color: '#b7791f'
+  },
+  ball: {
+    name: 'Ball',
+    shape: { type: 'sphere', radius: 0.6 },
+    mass: 1,
+    friction: 0.4,
+    restitution: 0.7,
+    linearDamping: 0.05,
+    angularDamping: 0.2,
+    color: '#e53e3e',
+    alwaysRelevant: true
+  }
+};
+
+/**
+ * Look up a prop type by name
+ * @param {string} name - Prop type name
+ * @returns {Object|undefined} Prop type or undefined if unknown
+ */
+function getPropType(name) {
+  return Object.hasOwn(PROP_TYPES, name) ? PROP_TYPES[name] : undefined;
+}
+
+/**
+ * List the names of all prop types
+ * @returns {string[]} Prop type names
+ */
+function listPropTypes() {
+  return Object.keys(PROP_TYPES);
+}
+
+/**
+ * Prop types as sent to clients, for sizing and coloring their models
+ * @returns {Object} Prop type descriptions keyed by name
+ */
+function describePropTypes() {
+  return Object.fromEntries(listPropTypes().map(id => {
+    const { name, shape, color } = PROP_TYPES[id];
+    return [id, { name, shape, color }];
+  }));
+}
+
+module.exports = { PROP_TYPES, getPropType, listPropTypes, describePropTypes };
@@ -0,0 +1,381 @@
+const { logger } = require('../monitoring');
+const { getPositionLimit } = require('../network/snapshotSchema');
+
+const log = logger.child({ component: 'admin' });
+
+/**
+ * Admin Console
+ * Operator actions behind ADMIN_TOKEN, shared by the REST API and the `adminCommand` socket event:
+ * inspect players and rooms, kick or ban a player, teleport or respawn them, pause and resume a
+ * room's game loop, spawn and remove props, and broadcast server announcements.
+ * Every action returns a result object, or { error } when it can't be carried out.
+ */
+class AdminConsole {
+  /**
+   * @param {Object} io - Socket.io server instance
+   * @param {RoomManager} roomManager - Rooms and their game managers
+   * @param {AbuseGuard} abuseGuard - Kicks and bans
+   */
+  constructor(io, roomManager, abuseGuard) {
+    this.io = io;
+    this.roomManager = roomManager;
+    this.abuseGuard = abuseGuard;
+    this.MAX_ANNOUNCEMENT_LENGTH = 200;
+    this.MAX_REASON_LENGTH = 100;
+    this.MAX_COORDINATE = Math.floor(getPositionLimit()); // m; further out can't be sent in snapshots
+  }
+
+  /**
+   * Run an action by name
+   * @param {Object} command - { action, ...parameters }
+   * @param {string} by - Who asked, for the log
+   * @returns {Object} The action's result or { error }
+   */
+  execute(command, by) {
+    const { action, playerId, roomId, entityId, type, reason, duration, position, ip, message } = command || {};
+    switch (action) {
+      case 'listPlayers':
+        return { players: this.listPlayers() };
+      case 'listRooms':
+        return { rooms: this.roomManager.listRooms() };
+      case 'listBans':
+        return { bans: this.abuseGuard.getStats({ includeAddresses: true }).activeBans };
+      case 'kick':
+        return this.kick(playerId, reason, by);
+      case 'ban':
+        return this.ban(playerId, reason, duration, by);
+      case 'unban':
+        return this.unban(ip, by);
+      case 'teleport':
+        return this.teleport(playerId, position, by);
+      case 'respawn':
+        return this.respawn(playerId, by);
+      case 'pause':
+        return this.setPaused(roomId, true, by);
+      case 'resume':
+        return this.setPaused(roomId, false, by);
+      case 'listEntities':
+        return this.listEntities(roomId);
+      case 'spawnProp':
+        return this.spawnProp(roomId, type, position, by);
+      case 'despawnProp':
+        return this.despawnProp(roomId, entityId, by);
+      case 'announce':
+        return this.announce(message, roomId, by);
+      default:
+        return { error: `Unknown admin action "${action}"` };
+    }
+  }
+
+  /**
+   * Find the socket connected to a player, if any
+   * @param {string} playerId - Player ID
+   * @returns {Socket|undefined} The player's socket
+   */
+  getPlayerSocket(playerId) {
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.data.playerId === playerId) {
+        return socket;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Find a player in any room
+   * @param {string} playerId - Player ID
+   * @returns {{room?: Room, player?: Player, error?: string}} The player and its room or an error
+   */
+  findPlayer(playerId) {
+    for (const room of this.roomManager.rooms.values()) {
+      const player = room.gameManager.getPlayer(playerId);
+      if (player) {
+        return { room, player };
+      }
+    }
+    return { error: `Player "${playerId}" not found` };
+  }
+
+  /**
+   * List every connected socket and every player, including players waiting for a reconnect
+   * @returns {Array} Player summaries with room, position, ping (ms, measured by the server) and
+   *   address
+   */
+  listPlayers() {
+    const players = [];
+    const listed = new Set();
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      const { playerId, roomId, spectating, session } = socket.data;
+      const room = roomId && this.roomManager.getRoom(roomId);
+      const player = room && !spectating ? room.gameManager.getPlayer(playerId) : undefined;
+      listed.add(playerId);
+      players.push({
+        ...this.describePlayer(player),
+        id: playerId,
+        name: session ? session.name : playerId,
+        roomId: roomId || null,
+        spectating: Boolean(spectating),
+        connected: true,
+        ping: socket.data.ping ?? null,
+        address: this.abuseGuard.getClientAddress(socket)
+      });
+    }
+
+    for (const room of this.roomManager.rooms.values()) {
+      for (const player of room.gameManager.getAllPlayers().values()) {
+        if (listed.has(player.id)) continue;
+        players.push({
+          ...this.describePlayer(player),
+          id: player.id,
+          name: player.name,
+          roomId: room.id,
+          spectating: false,
+          connected: false,
+          ping: null,
+          address: null
+        });
+      }
+    }
+    return players;
+  }
+
+  /**
+   * Physical state of a player for listings
+   * @param {Player} [player] - Player, absent for spectators and sockets outside a room
+   * @returns {Object} Position and velocity, or nulls
+   */
+  describePlayer(player) {
+    if (!player) {
+      return { position: null, velocity: null, onGround: null };
+    }
+    const { position, velocity, onGround } = player.getState();
+    return { position, velocity, onGround };
+  }
+
+  /**
+   * Disconnect a player; unlike an automatic kick this doesn't count toward a ban
+   * @param {string} playerId - Player ID
+   * @param {*} [reason] - Reason shown to the player
+   * @param {string} by - Who asked, for the log
+   * @returns {{kicked?: string, error?: string}} The kicked player ID or an error
+   */
+  kick(playerId, reason, by) {
+    const socket = this.getPlayerSocket(playerId);
+    if (!socket) {
+      return { error: `Player "${playerId}" is not connected` };
+    }
+    const text = this.sanitizeReason(reason, 'Kicked by an admin');
+    log.info('Admin kicked player', { by, playerId, reason: text });
+    this.abuseGuard.kick(socket, text, { strike: false });
+    return { kicked: playerId };
+  }
+
+  /**
+   * Ban a player's address and disconnect every socket from it; behind a trusted proxy this is
+   * the address the proxy reported, not the proxy's own
+   * @param {string} playerId - Player ID
+   * @param {*} [reason] - Reason shown to the player
+   * @param {*} [duration] - Ban length in ms (default: the guard's ban duration)
+   * @param {string} by - Who asked, for the log
+   * @returns {{banned?: string, until?: number, error?: string}} The banned address or an error
+   */
+  ban(playerId, reason, duration, by) {
+    const socket = this.getPlayerSocket(playerId);
+    if (!socket) {
+      return { error: `Player "${playerId}" is not connected` };
+    }
+    if (duration !== undefined && !(Number.isFinite(duration) && duration > 0)) {
+      return { error: 'Ban duration must be a positive number of ms' };
+    }
+
+    const ip = this.abuseGuard.getClientAddress(socket);
+    const text = this.sanitizeReason(reason, 'Banned by an admin');
+    log.info('Admin banned player', { by, playerId, ip, reason: text });
+    this.abuseGuard.ban(ip, text, duration);
+    return { banned: ip, until: this.abuseGuard.getBan(ip).until };
+  }
+
+  /**
+   * Lift a ban
+   * @param {*} ip - Banned address
+   * @param {string} by - Who asked, for the log
+   * @returns {{unbanned?: string, error?: string}} The address or an error
+   */
+  unban(ip, by) {
+    if (typeof ip !== 'string' || !this.abuseGuard.unban(ip)) {
+      return { error: `No ban for "${ip}"` };
+    }
+    log.info('Admin lifted ban', { by, ip });
+    return { unbanned: ip };
+  }
+
+  /**
+   * Move a player to a position
+   * @param {string} playerId - Player ID
+   * @param {*} position - { x, y, z }
+   * @param {string} by - Who asked, for the log
+   * @returns {{position?: Object, error?: string}} The player's new position or an error
+   */
+  teleport(playerId, position, by) {
+    const { player, error } = this.findPlayer(playerId);
+    if (error) {
+      return { error };
+    }
+    const target = this.readPosition(position);
+    if (!target) {
+      return { error: `Position must have finite x, y and z within ±${this.MAX_COORDINATE}` };
+    }
+
+    player.teleport(target);
+    log.info('Admin teleported player', { by, playerId, position: target });
+    return { position: player.position };
+  }
+
+  /**
+   * Send a player back to a spawn point
+   * @param {string} playerId - Player ID
+   * @param {string} by - Who asked, for the log
+   * @returns {{position?: Object, error?: string}} The player's new position or an error
+   */
+  respawn(playerId, by) {
+    const { room, player, error } = this.findPlayer(playerId);
+    if (error) {
+      return { error };
+    }
+    player.respawn(room.gameManager.chooseSpawnPoint(player.id));
+    log.info('Admin respawned player', { by, playerId });
+    return { position: player.position };
+  }
+
+  /**
+   * Pause or resume a room's game loop
+   * @param {string} roomId - Room ID
+   * @param {boolean} paused - True to pause
+   * @param {string} by - Who asked, for the log
+   * @returns {{room?: Object, error?: string}} The room's info or an error
+   */
+  setPaused(roomId, paused, by) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      return { error: `Room "${roomId}" does not exist` };
+    }
+    const changed = paused ? room.gameManager.pause() : room.gameManager.resume();
+    if (changed) {
+      log.info(paused ? 'Admin paused room' : 'Admin resumed room', { by, room: roomId });
+    }
+    return { room: room.getInfo() };
+  }
+
+  /**
+   * List a room's networked entities other than players
+   * @param {string} roomId - Room ID
+   * @returns {{entities?: Array, error?: string}} Entity states or an error
+   */
+  listEntities(roomId) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      return { error: `Room "${roomId}" does not exist` };
+    }
+    return { entities: room.gameManager.entities.getStates() };
+  }
+
+  /**
+   * Drop a prop into a room
+   * @param {string} roomId - Room ID
+   * @param {*} type - Prop type, see propTypes
+   * @param {*} position - { x, y, z }
+   * @param {string} by - Who asked, for the log
+   * @returns {{entity?: Object, error?: string}} The new prop's state or an error
+   */
+  spawnProp(roomId, type, position, by) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      return { error: `Room "${roomId}" does not exist` };
+    }
+    const target = this.readPosition(position);
+    if (!target) {
+      return { error: `Position must have finite x, y and z within ±${this.MAX_COORDINATE}` };
+    }
+
+    const { entity, error } = room.gameManager.spawnProp(type, target);
+    if (error) {
+      return { error };
+    }
+    log.info('Admin spawned entity', { by, room: roomId, entityId: entity.id, position: target });
+    return { entity: entity.getState() };
+  }
+
+  /**
+   * Remove a prop from a room
+   * @param {string} roomId - Room ID
+   * @param {string} entityId - Entity ID
+   * @param {string} by - Who asked, for the log
+   * @returns {{despawned?: string, error?: string}} The removed entity's ID or an error
+   */
+  despawnProp(roomId, entityId, by) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      return { error: `Room "${roomId}" does not exist` };
+    }
+    if (!room.gameManager.despawnEntity(entityId)) {
+      return { error: `Entity "${entityId}" not found in room ${roomId}` };
+    }
+    log.info('Admin removed entity', { by, room: roomId, entityId });
+    return { despawned: entityId };
+  }
+
+  /**
+   * Show a server announcement to every client, or to one room
+   * @param {*} message - Announcement text
+   * @param {string} [roomId] - Room to announce in (default: everyone)
+   * @param {string} by - Who asked, for the log
+   * @returns {{announcement?: Object, error?: string}} The sent announcement or an error
+   */
+  announce(message, roomId, by) {
+    const text = typeof message === 'string' ? message.replace(/[\u0000-\u001f\u007f]/g, '').trim() : '';
+    if (!text) {
+      return { error: 'Announcement must not be empty' };
+    }
+    if (text.length > this.MAX_ANNOUNCEMENT_LENGTH) {
+      return { error: `Announcement is longer than ${this.MAX_ANNOUNCEMENT_LENGTH} characters` };
+    }
+    if (roomId && !this.roomManager.getRoom(roomId)) {
+      return { error: `Room "${roomId}" does not exist` };
+    }
+
+    const announcement = { message: text, roomId: roomId || null, timestamp: Date.now() };
+    (roomId ? this.io.to(roomId) : this.io).emit('announcement', announcement);
+    log.info('Admin announcement', { by, room: roomId || undefined, message: text });
+    return { announcement };
+  }
+
+  /**
+   * Clean up a kick or ban reason
+   * @param {*} reason - Requested reason
+   * @param {string} fallback - Used when the reason is missing or empty
+   * @returns {string} Reason without control characters
+   */
+  sanitizeReason(reason, fallback) {
+    const text = typeof reason === 'string'
+      ? reason.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, this.MAX_REASON_LENGTH)
+      : '';
+    return text || fallback;
+  }
+
+  /**
+   * Validate a teleport or spawn target
+   * @param {*} position - Requested position
+   * @returns {{x: number, y: number, z: number}|null} The position, or null if invalid
+   */
+  readPosition(position) {
+    if (!position || typeof position !== 'object') {
+      return null;
+    }
+    const { x, y, z } = position;
+    const valid = [x, y, z].every(value => Number.isFinite(value) && Math.abs(value) <= this.MAX_COORDINATE);
+    return valid ? { x, y, z } : null;
+  }
+}
+
+module.exports = AdminConsole;
@@ -0,0 +1,89 @@
+/**
+ * Entity Registry
+ * Networked entities other than players, keyed by ID. Entities are any object with an id, a
+ * type, a networkType naming their snapshot entity type (see snapshotSchema), and update(deltaTime),
+ * getState() and destroy() methods.
+ */
+class EntityRegistry {
+  constructor() {
+    this.entities = new Map();
+    this.counters = new Map(); // type -> last number handed out
+  }
+
+  /**
+   * Hand out an unused ID for an entity of a type, e.g. 'crate-3'
+   * @param {string} type - Entity type
+   * @returns {string} Entity ID
+   */
+  nextId(type) {
+    let id;
+    do {
+      const count = (this.counters.get(type) || 0) + 1;
+      this.counters.set(type, count);
+      id = `${type}-${count}`;
+    } while (this.entities.has(id));
+    return id;
+  }
+
+  /**
+   * @param {Object} entity - Entity to track
+   * @returns {Object} The entity
+   */
+  add(entity) {
+    this.entities.set(entity.id, entity);
+    return entity;
+  }
+
+  /**
+   * Destroy an entity and stop tracking it
+   * @param {string} id - Entity ID
+   * @returns {Object|undefined} The removed entity, or undefined if unknown
+   */
+  remove(id) {
+    const entity = this.entities.get(id);
+    if (entity) {
+      entity.destroy();
+      this.entities.delete(id);
+    }
+    return entity;
+  }
+
+  /**
+   * @param {string} id - Entity ID
+   * @returns {Object|undefined} The entity, or undefined if unknown
+   */
+  get(id) {
+    return this.entities.get(id);
+  }
+
+  /**
+   * @returns {Iterator<Object>} Every entity
+   */
+  values() {
+    return this.entities.values();
+  }
+
+  /**
+   * @returns {Object[]} State of every entity
+   */
+  getStates() {
+    return Array.from(this.entities.values()).map(entity => entity.getState());
+  }
+
+  get size() {
+    return this.entities.size;
+  }
+
+  /**
+   * Destroy every entity
+   */
+  clear() {
+    for (const entity of this.entities.values()) {
+      entity.destroy();
+    }
+    this.entities.clear();
+    this.counters.clear();
+  }
+}
+
+module.exports = EntityRegistry;
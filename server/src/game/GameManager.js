@@ -1,117 +1,1064 @@
+const { performance } = require('perf_hooks');
+const SnapshotEncoder = require('../network/SnapshotEncoder');
+const { getSchema } = require('../network/snapshotSchema');
+const EntityRegistry = require('./EntityRegistry');
+const StateHistory = require('./StateHistory');
+const SpatialGrid = require('./SpatialGrid');
+const BotManager = require('../bots/BotManager');
+const Prop = require('../entities/Prop');
+const { getPropType, listPropTypes, describePropTypes } = require('../entities/propTypes');
+const { logger, metrics, registry } = require('../monitoring');
+
+// Real time: wall-clock timestamps for ticks, a monotonic clock for pacing the loop
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  monotonic: () => performance.now()
+};
+
 /**
  * Game Manager
  * Orchestrates the main game loop, player management, and state updates
+ *
+ * Rounds cycle through four phases, timed in ticks:
+ *   waiting   - fewer connected players than the mode needs
+ *   countdown - scores cleared and everyone respawned; back to waiting if players leave
+ *   active    - the mode scores players until time runs out, it declares a winner, or too
+ *               few players are left
+ *   results   - final scores and winners are shown, then the next round resets to waiting
+ *
+ * Lag compensation: every tick's entity transforms go into a short history, and a player's
+ * actions are judged against the world as that player's client was showing it (its inputs carry
+ * the server time it was rendering), at most MAX_REWIND ms in the past. See rewind().
+ *
+ * Interest management: each client is only sent the entities within INTEREST_RADIUS of its
+ * player, found through a spatial grid rebuilt before every broadcast, plus always-relevant ones
+ * (its own player, the players the mode's objective is about, props whose type asks for it).
+ * Entities stay relevant until they are INTEREST_HYSTERESIS further out, so one walking along the
+ * edge doesn't flicker, and clients are told when entities enter or leave their view. Spectators
+ * have no position and see everything. See getRelevantEntityIds().
+ *
+ * Replays: while a ReplayRecorder is attached (startRecording()), every tick's snapshot, joins,
+ * leaves, applied inputs, round changes and a periodic physics debug dump are written to disk.
+ *
+ * Bots: with a bot fill set, a BotManager adds AI players while humans are playing but too few of
+ * them, and queues their inputs at the start of every tick.
  */
 class GameManager {
-  constructor(physicsWorld, io) {
+  /**
+   * @param {PhysicsWorld} physicsWorld - Physics world owned by this game
+   * @param {Object} io - Socket.io server instance
+   * @param {string} roomId - Socket.io room this game belongs to
+   * @param {Object} options - Game options
+   * @param {number} [options.sendRate] - Snapshots sent to clients per second
+   * @param {number} [options.debugSendRate] - Physics debug updates per second for opted-in clients
+   * @param {Level} options.level - Level providing spawn points and kill zones
+   * @param {Object} [options.movement] - Movement settings for players, see MovementConfig
+   * @param {GameMode} options.mode - Round objective, see server/src/game/modes
+   * @param {Object} [options.bots] - AI players filling the game, see BotManager; none without one
+   * @param {number} [options.interestRadius] - Distance in meters within which clients are sent
+   *   entities; 0 sends every entity to every client
+   * @param {Object} [options.clock] - Time source with now() (ms since epoch) and monotonic() (ms)
+   *   methods; defaults to real time, tests pass a clock they advance by hand
+   */
+  constructor(physicsWorld, io, roomId, options = {}) {
     this.physicsWorld = physicsWorld;
     this.io = io;
+    this.roomId = roomId;
+    this.level = options.level;
+    this.movement = options.movement;
+    this.clock = options.clock || SYSTEM_CLOCK;
+    this.log = logger.child({ room: roomId });
     this.players = new Map();
+
+    // Networked entities other than players, such as props
+    this.entities = new EntityRegistry();
+    this.MAX_ENTITIES = 64;
+
+    // Connected sockets and their networking state, keyed by socket ID
+    this.clients = new Map();
     
     // Game loop configuration
     this.TICK_RATE = 60; // 60 ticks per second
-    this.TICK_INTERVAL = 1000 / this.TICK_RATE;
-    this.lastTick = Date.now();
+    this.TICK_INTERVAL = 1000 / this.TICK_RATE; // ms
+    this.FIXED_DELTA = 1 / this.TICK_RATE; // seconds, used for every simulation step
+    this.MAX_CATCH_UP_TICKS = 5; // ticks simulated per wake-up before giving up on lost time
+
+    // Simulation clock: tick number and the server time it represents
+    this.tick = 0;
+    this.accumulator = 0;
+    this.lastFrameTime = 0;
+    this.tickTimeOrigin = this.clock.now();
+
+    // Network send rates, decoupled from the simulation tick rate
+    this.SEND_RATE = Math.min(options.sendRate || 20, this.TICK_RATE);
+    this.DEBUG_SEND_RATE = Math.min(options.debugSendRate || 10, this.TICK_RATE);
+    this.snapshotAccumulator = 0;
+    this.debugAccumulator = 0;
+
+    this.snapshotEncoder = new SnapshotEncoder();
+    this.networkStats = { snapshotsSent: 0, bytesSent: 0, debugBytesSent: 0 };
+
+    // Interest management: who gets sent which entities, see getRelevantEntityIds()
+    this.INTEREST_RADIUS = options.interestRadius ?? 60; // m, 0 = send everything
+    this.INTEREST_HYSTERESIS = 5; // m beyond the radius before a relevant entity drops out
+    this.spatialGrid = new SpatialGrid(Math.max(this.INTEREST_RADIUS / 2, 4));
+    this.alwaysRelevant = new Set(); // entity IDs every client gets, refreshed with the grid
+    this.interestStats = { avgRelevant: 0, entered: 0, left: 0 };
+
+    // Lag compensation: how far back actions may be judged, and the transforms to judge them against
+    this.MAX_REWIND = 250; // ms
+    this.history = new StateHistory(Math.ceil(this.MAX_REWIND / this.TICK_INTERVAL) + 2);
+    this.rewindStats = { rewinds: 0, capped: 0, avgRewindMs: 0 };
+
+    // Match recording, see startRecording()
+    this.recorder = null;
+    this.REPLAY_PHYSICS_INTERVAL = this.TICK_RATE / 2; // ticks between recorded physics debug dumps
+
+    // Loop timing metrics
+    this.loopMetrics = {
+      lastTickMs: 0,
+      avgTickMs: 0,
+      maxTickMs: 0,
+      overruns: 0, // ticks that took longer than TICK_INTERVAL to simulate
+      catchUpFrames: 0, // wake-ups that had to simulate more than one tick
+      droppedTicks: 0 // ticks skipped because catch-up hit MAX_CATCH_UP_TICKS
+    };
     
     // Game loop timer
-    this.gameLoopInterval = null;
+    this.gameLoopTimeout = null;
+
+    // Set by an admin; the loop is stopped and the world frozen until resumed
+    this.paused = false;
+
+    // Round lifecycle
+    this.mode = options.mode;
+    this.COUNTDOWN_DURATION = 5; // seconds
+    this.RESULTS_DURATION = 8; // seconds
+    this.round = {
+      phase: 'waiting',
+      number: 0,
+      phaseEndTick: null, // tick the current phase ends on, null while waiting
+      results: null // final scores and winners of the last round, kept until the next countdown
+    };
+    this.lastRoundState = null; // serialized round state last sent to clients
+
+    // Contacts slower than these aren't worth an effect on clients (m/s)
+    this.PLAYER_COLLISION_SPEED = 1.5; // two players bumping
+    this.IMPACT_COLLISION_SPEED = 8; // a player slamming into the level
+
+    // AI players filling the game while too few humans are playing
+    this.bots = options.bots && options.bots.fillTo > 0 ? new BotManager(this, options.bots) : null;
   }
 
   /**
    * Start the game loop
    */
   startGameLoop() {
-    if (this.gameLoopInterval) {
-      console.log('⚠️  Game loop already running');
+    if (this.gameLoopTimeout) {
+      this.log.warn('Game loop already running');
       return;
     }
 
-    this.gameLoopInterval = setInterval(() => {
-      this.gameLoop();
-    }, this.TICK_INTERVAL);
+    this.lastFrameTime = this.clock.monotonic();
+    this.tickTimeOrigin = this.clock.now() - this.tick * this.TICK_INTERVAL;
+    this.scheduleNextFrame();
 
-    console.log(`🎮 Game loop started at ${this.TICK_RATE} ticks per second`);
+    this.log.info('Game loop started', { tickRate: this.TICK_RATE });
   }
 
   /**
    * Stop the game loop
    */
   stopGameLoop() {
-    if (this.gameLoopInterval) {
-      clearInterval(this.gameLoopInterval);
-      this.gameLoopInterval = null;
-      console.log('🛑 Game loop stopped');
+    if (this.gameLoopTimeout) {
+      clearTimeout(this.gameLoopTimeout);
+      this.gameLoopTimeout = null;
+      this.log.info('Game loop stopped');
     }
   }
 
   /**
-   * Main game loop - runs at 60 FPS
+   * Freeze the room: stop simulating and sending snapshots, and tell its clients
+   * @returns {boolean} False if the room was already paused
+   */
+  pause() {
+    if (this.paused) {
+      return false;
+    }
+    this.paused = true;
+    this.stopGameLoop();
+    this.io.to(this.roomId).emit('roomPaused', { paused: true });
+    return true;
+  }
+
+  /**
+   * Restart a paused room; time spent paused is not simulated
+   * @returns {boolean} False if the room wasn't paused
+   */
+  resume() {
+    if (!this.paused) {
+      return false;
+    }
+    this.paused = false;
+    this.accumulator = 0;
+    this.startGameLoop();
+    this.io.to(this.roomId).emit('roomPaused', { paused: false });
+    return true;
+  }
+
+  /**
+   * Schedule the next wake-up for when the next tick is due
+   */
+  scheduleNextFrame() {
+    const delay = Math.max(0, this.TICK_INTERVAL - this.accumulator);
+    this.gameLoopTimeout = setTimeout(() => {
+      this.gameLoop();
+      if (this.gameLoopTimeout) {
+        this.scheduleNextFrame();
+      }
+    }, delay);
+  }
+
+  /**
+   * Main game loop - fixed timestep accumulator
+   * Runs as many 60 Hz ticks as real time has accumulated, up to MAX_CATCH_UP_TICKS.
+   * Time beyond that (e.g. after a long event loop stall) is dropped rather than simulated.
    */
   gameLoop() {
-    const now = Date.now();
-    const deltaTime = (now - this.lastTick) / 1000; // Convert to seconds
-    this.lastTick = now;
+    const now = this.clock.monotonic();
+    this.accumulator += now - this.lastFrameTime;
+    this.lastFrameTime = now;
+
+    let ticksRun = 0;
+    while (this.accumulator >= this.TICK_INTERVAL && ticksRun < this.MAX_CATCH_UP_TICKS) {
+      this.runTick();
+      this.accumulator -= this.TICK_INTERVAL;
+      ticksRun++;
+    }
+
+    if (ticksRun > 1) {
+      this.loopMetrics.catchUpFrames++;
+    }
+
+    if (this.accumulator >= this.TICK_INTERVAL) {
+      const dropped = Math.floor(this.accumulator / this.TICK_INTERVAL);
+      this.loopMetrics.droppedTicks += dropped;
+      this.accumulator -= dropped * this.TICK_INTERVAL;
+      // Keep tick timestamps in step with wall-clock time
+      this.tickTimeOrigin += dropped * this.TICK_INTERVAL;
+    }
+  }
+
+  /**
+   * Advance the simulation by exactly one fixed step
+   */
+  runTick() {
+    const start = performance.now();
+
+    this.tick++;
+    const tickTime = this.getTickTime();
+
+    // Bots decide their inputs for this tick
+    if (this.bots) {
+      this.bots.update(this.tick);
+    }
+
+    // Apply each player's next queued input for this tick
+    for (const player of this.players.values()) {
+      const input = player.applyQueuedInput(this.tick);
+      if (input && this.recorder) {
+        this.recorder.recordInput(this.tick, tickTime, player.id, input);
+      }
+    }
 
     // Step physics simulation
-    this.physicsWorld.step();
+    const physicsStart = performance.now();
+    this.physicsWorld.step(this.FIXED_DELTA);
+    metrics.physicsStep.observe({ room: this.roomId }, (performance.now() - physicsStart) / 1000);
+
+    // Update all players, then the other entities
+    this.updateAllPlayers(this.FIXED_DELTA);
+    this.updateAllEntities(this.FIXED_DELTA);
+    this.history.record(this.tick, tickTime, this.getRewindableEntities());
 
-    // Update all players
-    this.updateAllPlayers(deltaTime);
+    // Shoves requested this tick, then contacts that began, both reported to clients for effects
+    this.resolveShoves();
+    this.broadcastCollisions(this.physicsWorld.dispatchCollisions());
 
-    // Broadcast game state to all clients
-    this.broadcastGameState(now);
+    // Advance the round and let clients know when anything about it changed
+    this.updateRound(this.FIXED_DELTA);
+    this.broadcastRoundState();
+
+    // Send snapshots and debug data at their own rates
+    this.snapshotAccumulator += this.SEND_RATE / this.TICK_RATE;
+    if (this.snapshotAccumulator >= 1) {
+      this.snapshotAccumulator -= 1;
+      this.broadcastGameState(tickTime);
+    }
+    this.debugAccumulator += this.DEBUG_SEND_RATE / this.TICK_RATE;
+    if (this.debugAccumulator >= 1) {
+      this.debugAccumulator -= 1;
+      this.broadcastPhysicsDebug(tickTime);
+    }
+
+    if (this.recorder) {
+      this.recordReplayTick(tickTime);
+    }
+
+    this.recordTickDuration(performance.now() - start);
+  }
+
+  /**
+   * Server time (ms since epoch) that the current tick represents
+   * @returns {number} Tick timestamp
+   */
+  getTickTime() {
+    return Math.round(this.tickTimeOrigin + this.tick * this.TICK_INTERVAL);
+  }
+
+  /**
+   * Update loop timing metrics with one tick's duration
+   * @param {number} duration - Time spent simulating the tick, in ms
+   */
+  recordTickDuration(duration) {
+    const loop = this.loopMetrics;
+    loop.lastTickMs = duration;
+    loop.avgTickMs = loop.avgTickMs === 0 ? duration : loop.avgTickMs * 0.95 + duration * 0.05;
+    loop.maxTickMs = Math.max(loop.maxTickMs, duration);
+    if (duration > this.TICK_INTERVAL) {
+      loop.overruns++;
+    }
+    metrics.tickDuration.observe({ room: this.roomId }, duration / 1000);
   }
 
   /**
-   * Update all player entities
-   * @param {number} deltaTime - Time elapsed since last update
+   * Get loop timing metrics
+   * @returns {Object} Tick counter and timing statistics (durations in ms)
+   */
+  getLoopMetrics() {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+      tick: this.tick,
+      tickRate: this.TICK_RATE,
+      lastTickMs: round(this.loopMetrics.lastTickMs),
+      avgTickMs: round(this.loopMetrics.avgTickMs),
+      maxTickMs: round(this.loopMetrics.maxTickMs),
+      overruns: this.loopMetrics.overruns,
+      catchUpFrames: this.loopMetrics.catchUpFrames,
+      droppedTicks: this.loopMetrics.droppedTicks
+    };
+  }
+
+  /**
+   * Update all player entities and respawn any that entered a kill zone
+   * @param {number} deltaTime - Fixed step duration in seconds
    */
   updateAllPlayers(deltaTime) {
     for (const player of this.players.values()) {
       player.update(deltaTime);
+      if (this.level.isInKillZone(player.position)) {
+        player.respawn(this.chooseSpawnPoint(player.id));
+      }
+    }
+  }
+
+  /**
+   * Update every other entity; props that left the level are put back where they spawned
+   * @param {number} deltaTime - Fixed step duration in seconds
+   */
+  updateAllEntities(deltaTime) {
+    for (const entity of this.entities.values()) {
+      entity.update(deltaTime);
+      if (entity instanceof Prop && this.level.isInKillZone(entity.position)) {
+        entity.reset();
+      }
+    }
+  }
+
+  /**
+   * Spawn a prop and tell the clients in range of it with 'entitySpawned'; the rest get it
+   * through relevanceChanged once it comes into their view
+   * @param {string} type - Prop type, see propTypes
+   * @param {Object} position - Spawn position
+   * @param {Object} [quaternion] - Spawn rotation
+   * @returns {{entity?: Prop, error?: string}} The spawned prop or an error
+   */
+  spawnProp(type, position, quaternion) {
+    const propType = getPropType(type);
+    if (!propType) {
+      return { error: `Unknown prop type "${type}" (available: ${listPropTypes().join(', ')})` };
+    }
+    if (this.entities.size >= this.MAX_ENTITIES) {
+      return { error: `Room ${this.roomId} already has ${this.MAX_ENTITIES} entities` };
+    }
+
+    const entity = this.entities.add(new Prop(this.entities.nextId(type), type, propType, this.physicsWorld, position, quaternion));
+    const payload = { entity: entity.getState(), tick: this.tick };
+    for (const client of this.clients.values()) {
+      if (this.isInRange(client, entity)) {
+        client.socket.emit('entitySpawned', payload);
+      }
+    }
+    return { entity };
+  }
+
+  /**
+   * Remove an entity and tell the clients it was relevant to with 'entityDespawned'
+   * @param {string} entityId - Entity ID
+   * @returns {boolean} False if there was no such entity
+   */
+  despawnEntity(entityId) {
+    if (!this.entities.remove(entityId)) {
+      return false;
+    }
+    this.emitToRelevant('entityDespawned', { id: entityId, tick: this.tick }, [entityId]);
+    return true;
+  }
+
+  /**
+   * Every entity whose transform goes into the state history
+   * @returns {Array<Object>} Players and other entities
+   */
+  getRewindableEntities() {
+    return [...this.players.values(), ...this.entities.values()];
+  }
+
+  /**
+   * Server time a player's client was showing the world at, for judging that player's actions
+   * A held input that hasn't been replaced keeps the same delay behind the present. Anything older
+   * than MAX_REWIND is capped there.
+   * @param {Player} player - Acting player
+   * @returns {number} Server time to rewind to
+   */
+  getRewindTime(player) {
+    const now = this.getTickTime();
+    if (player.renderTime === null) {
+      return now;
+    }
+
+    const heldFor = (this.tick - player.lastInputTick) * this.TICK_INTERVAL;
+    const target = Math.min(now, player.renderTime + heldFor);
+    const oldest = now - this.MAX_REWIND;
+    if (target < oldest) {
+      this.rewindStats.capped++;
+    }
+    return Math.max(oldest, target);
+  }
+
+  /**
+   * Run a check with every entity put back where it was at a past time, then restore them
+   * Bodies move too, so raycasts inside the check see the past world; velocities are untouched,
+   * so knockback applied inside the check sticks.
+   * @param {number} time - Server time to rewind to, see getRewindTime()
+   * @param {Function} check - Called with everything rewound; its return value is passed on
+   * @param {Object} [options] - Rewind options
+   * @param {Object} [options.exclude] - Entity left where it is, usually the one acting
+   * @returns {*} Whatever check returned
+   */
+  rewind(time, check, options = {}) {
+    const now = this.getTickTime();
+    const past = time < now ? this.history.sample(time) : null;
+    if (!past) {
+      return check();
+    }
+
+    const stats = this.rewindStats;
+    stats.rewinds++;
+    stats.avgRewindMs = stats.rewinds === 1 ? now - time : stats.avgRewindMs * 0.95 + (now - time) * 0.05;
+
+    const restore = [];
+    for (const entity of this.getRewindableEntities()) {
+      const transform = past.get(entity.id);
+      if (entity === options.exclude || !transform) continue;
+      restore.push([entity, entity.getTransform()]);
+      entity.setTransform(transform);
+    }
+
+    try {
+      return check();
+    } finally {
+      for (const [entity, transform] of restore) {
+        entity.setTransform(transform);
+      }
+    }
+  }
+
+  /**
+   * Carry out the shoves players asked for this tick
+   * Who gets hit is judged with everyone else rewound to what the shover was seeing, see rewind().
+   * Every shove is announced as 'playerShove', and each player it knocked back as 'playerHit',
+   * to the clients the shover or the player hit is relevant to.
+   */
+  resolveShoves() {
+    for (const player of this.players.values()) {
+      if (!player.canShove()) continue;
+
+      const hits = this.rewind(this.getRewindTime(player), () => player.shove(this.players.values()), { exclude: player });
+      this.emitToRelevant('playerShove', {
+        id: player.id,
+        position: { ...player.position },
+        facing: player.facing,
+        tick: this.tick
+      }, [player.id]);
+      for (const { player: target, impulse } of hits) {
+        this.emitToRelevant('playerHit', {
+          id: target.id,
+          by: player.id,
+          position: { ...target.position },
+          impulse,
+          stagger: target.stagger,
+          tick: this.tick
+        }, [target.id]);
+      }
+    }
+  }
+
+  /**
+   * Tell clients about player contacts hard enough to show, if every player involved is
+   * relevant to them
+   * @param {Array} collisions - Contacts from PhysicsWorld.dispatchCollisions()
+   */
+  broadcastCollisions(collisions) {
+    // Owners can be any entity; only this game's players are reported
+    const isPlayer = (entity) => entity !== null && this.players.get(entity.id) === entity;
+    for (const contact of collisions) {
+      const [a, b] = isPlayer(contact.a) ? [contact.a, contact.b] : [contact.b, contact.a];
+      if (!isPlayer(a)) continue;
+      const speed = contact.speed;
+      const withPlayer = isPlayer(b);
+      if (speed < (withPlayer ? this.PLAYER_COLLISION_SPEED : this.IMPACT_COLLISION_SPEED)) continue;
+
+      // Effects play halfway between two players, or at the player when it hit anything else
+      const position = withPlayer
+        ? {
+          x: (a.position.x + b.position.x) / 2,
+          y: (a.position.y + b.position.y) / 2,
+          z: (a.position.z + b.position.z) / 2
+        }
+        : { ...a.position };
+      this.emitToRelevant('collision', {
+        a: a.id,
+        b: withPlayer ? b.id : null,
+        speed: Math.round(speed * 100) / 100,
+        position,
+        tick: this.tick
+      }, withPlayer ? [a.id, b.id] : [a.id]);
+    }
+  }
+
+  /**
+   * Players whose client is connected; only they take part in rounds
+   * @returns {Player[]} Connected players
+   */
+  getActivePlayers() {
+    return Array.from(this.players.values()).filter(player => player.connected);
+  }
+
+  /**
+   * Advance the round lifecycle by one tick
+   * @param {number} deltaTime - Fixed step duration in seconds
+   */
+  updateRound(deltaTime) {
+    const players = this.getActivePlayers();
+    const enoughPlayers = players.length >= this.mode.minPlayers;
+    const phaseOver = this.round.phaseEndTick !== null && this.tick >= this.round.phaseEndTick;
+
+    switch (this.round.phase) {
+      case 'waiting':
+        if (enoughPlayers) {
+          this.startCountdown();
+        }
+        break;
+      case 'countdown':
+        if (!enoughPlayers) {
+          this.setRoundPhase('waiting');
+        } else if (phaseOver) {
+          this.startRound(players);
+        }
+        break;
+      case 'active':
+        this.mode.update(deltaTime, players);
+        if (!enoughPlayers) {
+          this.endRound('players');
+        } else if (this.mode.isRoundOver(players)) {
+          this.endRound('objective');
+        } else if (phaseOver) {
+          this.endRound('time');
+        }
+        break;
+      case 'results':
+        if (phaseOver) {
+          this.setRoundPhase('waiting');
+        }
+        break;
+    }
+  }
+
+  /**
+   * Enter a round phase
+   * @param {string} phase - waiting, countdown, active or results
+   * @param {number} [duration] - Phase length in seconds; omitted for phases without a timer
+   */
+  setRoundPhase(phase, duration) {
+    this.round.phase = phase;
+    this.round.phaseEndTick = duration === undefined ? null : this.tick + Math.round(duration * this.TICK_RATE);
+  }
+
+  /**
+   * Clear scores, respawn everyone, put props back and count down to the next round
+   */
+  startCountdown() {
+    this.round.results = null;
+    for (const player of this.players.values()) {
+      player.score = 0;
+      player.respawn(this.chooseSpawnPoint(player.id));
+    }
+    for (const entity of this.entities.values()) {
+      entity.reset?.();
+    }
+    this.setRoundPhase('countdown', this.COUNTDOWN_DURATION);
+  }
+
+  /**
+   * Start the active part of a round
+   * @param {Player[]} players - Players taking part
+   */
+  startRound(players) {
+    this.round.number++;
+    this.mode.onRoundStart(players);
+    this.setRoundPhase('active', this.mode.roundDuration);
+    this.log.info('Round started', { round: this.round.number, mode: this.mode.name, players: players.length });
+  }
+
+  /**
+   * Finish the active round and show its results
+   * @param {string} reason - time, objective (the mode declared a winner) or players (too few left)
+   */
+  endRound(reason) {
+    this.mode.onRoundEnd();
+    const players = Array.from(this.players.values());
+    this.round.results = {
+      reason,
+      winners: this.mode.getWinners(players),
+      scores: players
+        .map(player => ({ id: player.id, name: player.name, color: player.color, score: Math.floor(player.score) }))
+        .sort((a, b) => b.score - a.score)
+    };
+    this.setRoundPhase('results', this.RESULTS_DURATION);
+
+    const winners = this.round.results.winners.map(id => this.players.get(id).name);
+    this.log.info('Round ended', { round: this.round.number, reason, winners });
+  }
+
+  /**
+   * Round description for clients
+   * @returns {Object} Mode, phase, when the phase ends (server time), mode state and last results
+   */
+  getRoundState() {
+    const { phase, number, phaseEndTick, results } = this.round;
+    return {
+      mode: this.mode.id,
+      modeName: this.mode.name,
+      minPlayers: this.mode.minPlayers,
+      phase,
+      round: number,
+      endsAt: phaseEndTick === null ? null : Math.round(this.tickTimeOrigin + phaseEndTick * this.TICK_INTERVAL),
+      state: this.mode.getState(),
+      results
+    };
+  }
+
+  /**
+   * Send the round state to this room's clients if it changed since it was last sent
+   */
+  broadcastRoundState() {
+    const state = this.getRoundState();
+    const serialized = JSON.stringify(state);
+    if (serialized === this.lastRoundState) {
+      return;
+    }
+    this.lastRoundState = serialized;
+    this.io.to(this.roomId).emit('roundState', state);
+    this.recordReplayEvent({ type: 'round', state });
+  }
+
+  /**
+   * Pick the level spawn point furthest from every other player
+   * @param {string} [playerId] - Player being spawned, ignored when measuring crowding
+   * @returns {Object} Spawn position
+   */
+  chooseSpawnPoint(playerId) {
+    let best = this.level.spawnPoints[0];
+    let bestDistance = -1;
+
+    for (const point of this.level.spawnPoints) {
+      let nearest = Infinity;
+      for (const other of this.players.values()) {
+        if (other.id === playerId) continue;
+        const p = other.position;
+        nearest = Math.min(nearest, Math.hypot(p.x - point.x, p.y - point.y, p.z - point.z));
+      }
+      if (nearest > bestDistance) {
+        best = point;
+        bestDistance = nearest;
+      }
+    }
+    return { ...best };
+  }
+
+  /**
+   * Every networked entity, tagged with its snapshot type
+   * @returns {Array<{type: string, state: Object}>} Players, then other entities
+   */
+  getSnapshotEntities() {
+    const entities = Array.from(this.players.values()).map(p => ({ type: 'player', state: p.getState() }));
+    for (const entity of this.entities.values()) {
+      entities.push({ type: entity.networkType, state: entity.getState() });
     }
+    return entities;
   }
 
   /**
-   * Broadcast current game state to all connected clients
-   * @param {number} timestamp - Current timestamp
+   * Rebuild the spatial grid and the always-relevant set from the current entity positions
+   */
+  updateSpatialGrid() {
+    this.spatialGrid.clear();
+    this.alwaysRelevant.clear();
+    for (const player of this.players.values()) {
+      this.spatialGrid.insert(player.id, player.position);
+    }
+    for (const entity of this.entities.values()) {
+      this.spatialGrid.insert(entity.id, entity.position);
+      if (entity.alwaysRelevant) {
+        this.alwaysRelevant.add(entity.id);
+      }
+    }
+    for (const id of this.mode.getRelevantPlayerIds()) {
+      if (this.players.has(id)) {
+        this.alwaysRelevant.add(id);
+      }
+    }
+  }
+
+  /**
+   * Entities a client should be sent: those near its player, and the always-relevant ones
+   * Uses the spatial grid as of the last updateSpatialGrid().
+   * @param {Player|undefined} viewer - The client's player; spectators have none
+   * @param {Set<string>|null} [previous] - Entities relevant to the client last time; they stay
+   *   relevant until INTEREST_HYSTERESIS beyond the radius
+   * @returns {Set<string>|null} Relevant entity IDs, or null for every entity
+   */
+  getRelevantEntityIds(viewer, previous = null) {
+    if (!viewer || this.INTEREST_RADIUS <= 0) {
+      return null;
+    }
+
+    const relevant = new Set(this.alwaysRelevant);
+    relevant.add(viewer.id);
+    const nearby = this.spatialGrid.query(viewer.position, this.INTEREST_RADIUS + this.INTEREST_HYSTERESIS);
+    for (const [id, distance] of nearby) {
+      if (distance <= this.INTEREST_RADIUS || (previous && previous.has(id))) {
+        relevant.add(id);
+      }
+    }
+    return relevant;
+  }
+
+  /**
+   * Send an event about some entities to the clients that were sent all of them with their
+   * latest snapshot, so events don't give away what interest management holds back
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @param {string[]} ids - Entities the event is about
+   */
+  emitToRelevant(event, payload, ids) {
+    for (const client of this.clients.values()) {
+      if (client.relevant === null || ids.every(id => client.relevant.has(id))) {
+        client.socket.emit(event, payload);
+      }
+    }
+  }
+
+  /**
+   * Whether an entity not in the spatial grid yet would be relevant to a client
+   * @param {Object} client - Client record
+   * @param {Entity} entity - Entity
+   * @returns {boolean} True if it is within INTEREST_RADIUS of the client's player or always relevant
+   */
+  isInRange(client, entity) {
+    const viewer = this.players.get(client.socket.data.playerId);
+    if (client.relevant === null || !viewer || entity.alwaysRelevant) {
+      return true;
+    }
+    const distance = Math.hypot(entity.position.x - viewer.position.x, entity.position.z - viewer.position.z);
+    return distance <= this.INTEREST_RADIUS;
+  }
+
+  /**
+   * Tell a client which entities came into and went out of its view since the last snapshot,
+   * so it can drop their stale interpolation history and remove them right away
+   * @param {Object} client - Client record
+   * @param {Set<string>|null} relevant - Entities relevant now, null for all
+   * @param {Set<string>} allIds - Every entity in the snapshot
+   */
+  sendRelevanceChanges(client, relevant, allIds) {
+    const before = client.relevant || allIds;
+    const now = relevant || allIds;
+    const entered = Array.from(now).filter(id => !before.has(id));
+    const left = Array.from(before).filter(id => !now.has(id));
+    if (entered.length > 0 || left.length > 0) {
+      client.socket.emit('relevanceChanged', { entered, left });
+      this.interestStats.entered += entered.length;
+      this.interestStats.left += left.length;
+    }
+  }
+
+  /**
+   * Update the running average of entities sent per client
+   * @param {number} count - Entities relevant to one client
+   */
+  recordRelevantCount(count) {
+    const stats = this.interestStats;
+    stats.avgRelevant = stats.avgRelevant === 0 ? count : stats.avgRelevant * 0.95 + count * 0.05;
+    metrics.relevantEntities.observe({ room: this.roomId }, count);
+  }
+
+  /**
+   * Send a binary snapshot to every client in this room
+   * Each client gets the entities relevant to it, as a delta against the last snapshot it
+   * acknowledged; clients with the same view and baseline share the encoded buffer.
+   * @param {number} timestamp - Server time of the current tick
    */
   broadcastGameState(timestamp) {
-    if (this.players.size > 0) {
-      const gameState = {
-        players: Array.from(this.players.values()).map(p => p.getState()),
-        timestamp: timestamp,
-        physics: {
+    if (this.clients.size === 0) {
+      return;
+    }
+
+    const entities = this.getSnapshotEntities();
+    const snapshot = this.snapshotEncoder.createSnapshot(entities, timestamp, this.tick);
+    const allIds = new Set(entities.map(({ state }) => state.id));
+    this.updateSpatialGrid();
+
+    const encoded = new Map(); // baseline seq and views -> buffer
+    let bytesSent = 0;
+
+    for (const client of this.clients.values()) {
+      const relevant = this.getRelevantEntityIds(this.players.get(client.socket.data.playerId), client.relevant);
+      if (client.views.size > 0) {
+        this.sendRelevanceChanges(client, relevant, allIds);
+      }
+      client.relevant = relevant;
+      this.recordRelevantCount(relevant ? relevant.size : allIds.size);
+
+      // Remember what this client was sent, to take later deltas against it
+      const netIds = relevant && new Set(Array.from(relevant, id => this.snapshotEncoder.getNetId(id)));
+      const view = { netIds, key: netIds ? Array.from(netIds).sort((a, b) => a - b).join(',') : '*' };
+      for (const seq of client.views.keys()) {
+        if (!this.snapshotEncoder.hasSnapshot(seq)) client.views.delete(seq);
+      }
+      const baselineView = client.views.get(client.lastAck);
+      const baselineSeq = baselineView && this.snapshotEncoder.hasSnapshot(client.lastAck) ? client.lastAck : 0;
+      client.views.set(snapshot.seq, view);
+
+      const key = `${baselineSeq}|${view.key}|${baselineView ? baselineView.key : ''}`;
+      let buffer = encoded.get(key);
+      if (!buffer) {
+        buffer = this.snapshotEncoder.encode(snapshot, baselineSeq, view.netIds, baselineView ? baselineView.netIds : null);
+        encoded.set(key, buffer);
+      }
+
+      client.socket.emit('gameUpdate', buffer);
+      this.networkStats.snapshotsSent++;
+      this.networkStats.bytesSent += buffer.length;
+      bytesSent += buffer.length;
+    }
+
+    metrics.broadcastBytes.observe({ room: this.roomId }, bytesSent);
+    metrics.snapshotBytes.inc({ room: this.roomId }, bytesSent);
+  }
+
+  /**
+   * Send the physics debug dump to clients that opted in
+   * @param {number} timestamp - Server time of the current tick
+   */
+  broadcastPhysicsDebug(timestamp) {
+    let debugPayload = null;
+    // Serialized size of the payload, measured once and counted per recipient
+    let debugBytes = 0;
+
+    for (const client of this.clients.values()) {
+      if (!client.physicsDebug) continue;
+
+      if (!debugPayload) {
+        debugPayload = {
           enabled: this.physicsWorld.isPhysicsEnabled(),
-          debugData: this.physicsWorld.getDebugData()
-        }
-      };
-      this.io.emit('gameUpdate', gameState);
+          debugData: this.physicsWorld.getDebugData(),
+          timestamp
+        };
+        debugBytes = JSON.stringify(debugPayload).length;
+      }
+      client.socket.emit('physicsDebug', debugPayload);
+      this.networkStats.debugBytesSent += debugBytes;
+    }
+  }
+
+  /**
+   * Start recording this game, see ReplayRecorder
+   * @param {ReplayRecorder} recorder - Recorder for this room
+   */
+  startRecording(recorder) {
+    this.stopRecording();
+    this.recorder = recorder;
+    recorder.start(this.getReplayHeader());
+  }
+
+  /**
+   * Finish the replay being recorded, if any
+   */
+  stopRecording() {
+    if (this.recorder) {
+      this.recorder.finish();
+      this.recorder = null;
+    }
+  }
+
+  /**
+   * Everything a replay viewer needs besides the recorded ticks
+   * @returns {Object} Replay header
+   */
+  getReplayHeader() {
+    return {
+      roomId: this.roomId,
+      tick: this.tick,
+      tickRate: this.TICK_RATE,
+      timestamp: this.getTickTime(),
+      engine: this.physicsWorld.getEngineName(),
+      physicsEnabled: this.physicsWorld.isPhysicsEnabled(),
+      snapshotSchema: getSchema(),
+      level: this.level.getState(),
+      propTypes: describePropTypes(),
+      round: this.getRoundState()
+    };
+  }
+
+  /**
+   * Record this tick's snapshot, and the physics debug dump every REPLAY_PHYSICS_INTERVAL ticks
+   * Long recordings are split into a new replay every ReplayStore.MAX_DURATION seconds.
+   * @param {number} timestamp - Server time of the current tick
+   */
+  recordReplayTick(timestamp) {
+    if (this.recorder.isFull(this.tick, this.TICK_RATE)) {
+      this.recorder.finish();
+      this.recorder.start(this.getReplayHeader());
+    }
+    this.recorder.recordSnapshot(this.tick, timestamp, this.getSnapshotEntities());
+    if (this.tick % this.REPLAY_PHYSICS_INTERVAL === 0) {
+      this.recorder.recordPhysics(this.tick, this.physicsWorld.getDebugData());
+    }
+  }
+
+  /**
+   * Record an event on the current tick if this game is being recorded
+   * @param {Object} event - Event with a type, see ReplayRecorder.recordEvent()
+   */
+  recordReplayEvent(event) {
+    if (this.recorder) {
+      this.recorder.recordEvent(this.tick, this.getTickTime(), event);
+    }
+  }
+
+  /**
+   * Register a socket that should receive this game's snapshots
+   * @param {Socket} socket - Socket.io socket
+   */
+  addClient(socket) {
+    this.clients.set(socket.id, {
+      socket,
+      lastAck: 0,
+      physicsDebug: false,
+      relevant: null, // entity IDs sent with the latest snapshot, null for all of them
+      views: new Map() // snapshot seq -> entities it was sent with, see broadcastGameState()
+    });
+  }
+
+  /**
+   * Stop sending snapshots to a socket
+   * @param {string} socketId - Socket ID
+   */
+  removeClient(socketId) {
+    this.clients.delete(socketId);
+  }
+
+  /**
+   * Record that a client received a snapshot, making it the baseline for future deltas
+   * @param {string} socketId - Socket ID
+   * @param {number} seq - Acknowledged snapshot sequence number (0 requests a full snapshot)
+   */
+  acknowledgeSnapshot(socketId, seq) {
+    const client = this.clients.get(socketId);
+    if (!client || !Number.isSafeInteger(seq)) {
+      return;
+    }
+    if (seq === 0 || (seq > client.lastAck && this.snapshotEncoder.hasSnapshot(seq))) {
+      client.lastAck = seq;
+    }
+  }
+
+  /**
+   * Opt a client in or out of physics debug data
+   * @param {string} socketId - Socket ID
+   * @param {boolean} enabled - Whether to send debug data
+   */
+  setPhysicsDebug(socketId, enabled) {
+    const client = this.clients.get(socketId);
+    if (client) {
+      client.physicsDebug = Boolean(enabled);
     }
   }
 
   /**
    * Add a new player to the game
    * @param {string} playerId - Unique player ID
-   * @param {number} x - Spawn X position
-   * @param {number} y - Spawn Y position  
-   * @param {number} z - Spawn Z position
+   * @param {Object} [profile] - Display name and color
+   * @param {Object} [spawn] - Spawn position, defaults to the least crowded level spawn point
    * @returns {Player} The created player
    */
-  addPlayer(playerId, x = 0, y = 2, z = 0) {
+  addPlayer(playerId, profile = {}, spawn = this.chooseSpawnPoint(playerId)) {
     const Player = require('../entities/Player');
-    
-    // Add some randomness to spawn position
-    const spawnX = x + (Math.random() * 10 - 5);
-    const spawnZ = z + (Math.random() * 10 - 5);
-    
-    const player = new Player(playerId, this.physicsWorld, spawnX, y, spawnZ);
+
+    const player = new Player(playerId, this.physicsWorld, spawn.x, spawn.y, spawn.z, profile, this.movement);
     this.players.set(playerId, player);
-    
-    console.log(`👤 Player added: ${playerId} at (${spawnX.toFixed(1)}, ${y}, ${spawnZ.toFixed(1)})`);
+    this.recordReplayEvent({ type: 'join', id: playerId, name: player.name, color: player.color });
+
+    this.log.info('Player added', {
+      playerId,
+      name: player.name,
+      spawn: { x: Number(spawn.x.toFixed(1)), y: Number(spawn.y.toFixed(1)), z: Number(spawn.z.toFixed(1)) }
+    });
     return player;
   }
 
+  /**
+   * Apply new movement settings to every player and push them to this room's clients
+   * Each client gets its own player's movement parameters so prediction stays in sync.
+   * @param {Object} movement - Movement settings, see MovementConfig
+   * @param {Object} tuning - Config description for the tuning panel (MovementConfig.getState())
+   */
+  setMovementConfig(movement, tuning) {
+    this.movement = movement;
+    for (const player of this.players.values()) {
+      player.applyMovementConfig(movement);
+    }
+
+    for (const client of this.clients.values()) {
+      const player = this.players.get(client.socket.data.playerId);
+      client.socket.emit('movementConfig', {
+        tuning,
+        movement: player ? player.getMovementParams() : undefined
+      });
+    }
+  }
+
   /**
    * Remove a player from the game
    * @param {string} playerId - Player ID to remove
@@ -121,7 +1068,8 @@ class GameManager {
     if (player) {
       player.destroy(); // Clean up physics body
       this.players.delete(playerId);
-      console.log(`👋 Player removed: ${playerId}`);
+      this.recordReplayEvent({ type: 'leave', id: playerId, name: player.name });
+      this.log.info('Player removed', { playerId });
     }
   }
 
@@ -148,24 +1096,63 @@ class GameManager {
    */
   getGameStats() {
     return {
+      roomId: this.roomId,
       playerCount: this.players.size,
+      entityCount: this.entities.size,
       tickRate: this.TICK_RATE,
+      sendRate: this.SEND_RATE,
+      paused: this.paused,
+      mode: this.mode.id,
+      round: { phase: this.round.phase, number: this.round.number },
+      loop: this.getLoopMetrics(),
+      network: { ...this.networkStats },
+      interest: {
+        radius: this.INTEREST_RADIUS,
+        avgRelevantEntities: Math.round(this.interestStats.avgRelevant * 10) / 10,
+        entered: this.interestStats.entered,
+        left: this.interestStats.left
+      },
+      lagCompensation: {
+        maxRewindMs: this.MAX_REWIND,
+        rewinds: this.rewindStats.rewinds,
+        capped: this.rewindStats.capped,
+        avgRewindMs: Math.round(this.rewindStats.avgRewindMs * 10) / 10
+      },
+      replay: this.recorder ? this.recorder.getStats() : null,
+      bots: this.bots ? this.bots.getStats() : null,
       physicsEnabled: this.physicsWorld.isPhysicsEnabled(),
+      physicsEngine: this.physicsWorld.getEngineName(),
       uptime: process.uptime()
     };
   }
 
   /**
    * Get current game state for new players
+   * @param {string} [viewerId] - Player the state is for; only entities relevant to it are
+   *   included, and every entity without one
    * @returns {Object} Complete game state
    */
-  getGameState() {
+  getGameState(viewerId) {
+    this.updateSpatialGrid();
+    const relevant = this.getRelevantEntityIds(this.players.get(viewerId));
+    const isRelevant = (state) => !relevant || relevant.has(state.id);
     return {
-      players: Array.from(this.players.values()).map(p => p.getState()),
-      timestamp: Date.now(),
+      roomId: this.roomId,
+      players: Array.from(this.players.values()).map(p => p.getState()).filter(isRelevant),
+      entities: this.entities.getStates().filter(isRelevant),
+      propTypes: describePropTypes(),
+      timestamp: this.getTickTime(),
+      tick: this.tick,
+      tickRate: this.TICK_RATE,
+      sendRate: this.SEND_RATE,
+      paused: this.paused,
+      round: this.getRoundState(),
+      snapshotSchema: getSchema(),
+      level: this.level.getState(),
       physics: {
         enabled: this.physicsWorld.isPhysicsEnabled(),
-        debugData: this.physicsWorld.getDebugData()
+        engine: this.physicsWorld.getEngineName(),
+        bodyCount: this.physicsWorld.getBodyCount()
       }
     };
   }
@@ -175,14 +1162,20 @@ class GameManager {
    */
   shutdown() {
     this.stopGameLoop();
+    this.stopRecording();
     
     // Clean up all players
     for (const player of this.players.values()) {
       player.destroy();
     }
     this.players.clear();
+    this.entities.clear();
+    this.history.clear();
+    this.clients.clear();
+    this.snapshotEncoder.reset();
+    registry.removeSeries({ room: this.roomId });
     
-    console.log('🔄 Game manager shutdown complete');
+    this.log.info('Game manager shutdown complete');
   }
 }
 
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const { getPropType, listPropTypes } = require('../entities/propTypes');
+
+const LEVELS_DIR = path.join(__dirname, '../../levels');
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Build a quaternion from a rotation about a unit axis
+ * @param {Object} axis - Unit axis
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Quaternion {x, y, z, w}
+ */
+function axisAngle(axis, angle) {
+  const s = Math.sin(angle / 2);
+  return { x: axis.x * s, y: axis.y * s, z: axis.z * s, w: Math.cos(angle / 2) };
+}
+
+/**
+ * Multiply two quaternions (a then b applied in b's local frame)
+ * @returns {Object} Quaternion a * b
+ */
+function multiply(a, b) {
+  return {
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+  };
+}
+
+/**
+ * Quaternion for Euler angles in degrees, YXZ order (yaw * pitch * roll)
+ * @param {Object} rotation - Euler angles {x, y, z} in degrees
+ * @returns {Object} Quaternion {x, y, z, w}
+ */
+function eulerToQuaternion({ x = 0, y = 0, z = 0 }) {
+  const yaw = axisAngle({ x: 0, y: 1, z: 0 }, y * DEG_TO_RAD);
+  const pitch = axisAngle({ x: 1, y: 0, z: 0 }, x * DEG_TO_RAD);
+  const roll = axisAngle({ x: 0, y: 0, z: 1 }, z * DEG_TO_RAD);
+  return multiply(multiply(yaw, pitch), roll);
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isVector = (value) => Boolean(value) && isNumber(value.x) && isNumber(value.y) && isNumber(value.z);
+const isPositiveVector = (value) => isVector(value) && value.x > 0 && value.y > 0 && value.z > 0;
+
+/**
+ * Level
+ * Static world description loaded from a JSON file in server/levels:
+ *
+ *   ground      { height, size?, color? } - infinite collision plane; size is the rendered extent
+ *   static      array of static objects, each with a position and optional color/opacity/kind:
+ *                 box    { size, rotation? }  rotation is Euler degrees in YXZ order (as in three.js)
+ *                 sphere { radius }
+ *                 ramp   { size, angle, yaw? } a box tilted by angle degrees so it rises toward
+ *                                              its local -Z, then turned by yaw degrees
+ *   spawnPoints array of positions players spawn at
+ *   killZones   array of { name?, min, max } boxes that respawn any player entering them
+ *   hills       optional array of { name?, position, radius, height? } King of the Hill zones:
+ *               vertical cylinders rising height (default 3) from position
+ *   props       optional array of { type, position, rotation? } dynamic props (see propTypes)
+ *               spawned with the level; rotation is Euler degrees like static boxes
+ */
+class Level {
+  /**
+   * @param {string} id - Level file name without extension
+   * @param {Object} data - Parsed level file
+   */
+  constructor(id, data) {
+    const errors = Level.validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid level "${id}": ${errors.join('; ')}`);
+    }
+
+    this.id = id;
+    this.name = data.name || id;
+    this.ground = {
+      height: data.ground.height,
+      size: data.ground.size || 100,
+      color: data.ground.color || '#2d3748'
+    };
+    this.objects = data.static.map((object, index) => Level.normalizeObject(object, index));
+    this.spawnPoints = data.spawnPoints.map(({ x, y, z }) => ({ x, y, z }));
+    this.killZones = data.killZones.map((zone, index) => ({
+      name: zone.name || `zone-${index}`,
+      min: { x: zone.min.x, y: zone.min.y, z: zone.min.z },
+      max: { x: zone.max.x, y: zone.max.y, z: zone.max.z }
+    }));
+    this.hills = (data.hills || []).map((hill, index) => ({
+      name: hill.name || `hill-${index}`,
+      position: { x: hill.position.x, y: hill.position.y, z: hill.position.z },
+      radius: hill.radius,
+      height: hill.height ?? 3
+    }));
+    this.props = (data.props || []).map(prop => ({
+      type: prop.type,
+      position: { x: prop.position.x, y: prop.position.y, z: prop.position.z },
+      quaternion: eulerToQuaternion(prop.rotation || {})
+    }));
+  }
+
+  /**
+   * Load a level from server/levels
+   * @param {string} id - Level file name without extension
+   * @returns {Level} The loaded level
+   * @throws {Error} If the file is missing or invalid
+   */
+  static load(id) {
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error(`Invalid level name "${id}"`);
+    }
+    const file = path.join(LEVELS_DIR, `${id}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Level "${id}" not found (available: ${Level.list().join(', ')})`);
+    }
+    return new Level(id, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * List the levels available in server/levels
+   * @returns {string[]} Level names
+   */
+  static list() {
+    return fs.readdirSync(LEVELS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'));
+  }
+
+  /**
+   * Check a parsed level file
+   * @param {Object} data - Parsed level file
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  static validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+      return ['level must be an object'];
+    }
+    if (!data.ground || !isNumber(data.ground.height)) {
+      errors.push('ground.height must be a number');
+    }
+    if (!Array.isArray(data.static)) {
+      errors.push('static must be an array');
+    } else {
+      data.static.forEach((object, index) => {
+        const where = `static[${index}]`;
+        if (!object || !isVector(object.position)) {
+          errors.push(`${where}.position must be a vector`);
+          return;
+        }
+        switch (object.type) {
+          case 'box':
+            if (!isPositiveVector(object.size)) errors.push(`${where}.size must be a positive vector`);
+            if (object.rotation !== undefined && !isVector(object.rotation)) errors.push(`${where}.rotation must be a vector`);
+            break;
+          case 'ramp':
+            if (!isPositiveVector(object.size)) errors.push(`${where}.size must be a positive vector`);
+            if (!isNumber(object.angle)) errors.push(`${where}.angle must be a number`);
+            if (object.yaw !== undefined && !isNumber(object.yaw)) errors.push(`${where}.yaw must be a number`);
+            break;
+          case 'sphere':
+            if (!isNumber(object.radius) || object.radius <= 0) errors.push(`${where}.radius must be a positive number`);
+            break;
+          default:
+            errors.push(`${where}.type must be box, ramp or sphere`);
+        }
+      });
+    }
+    if (!Array.isArray(data.spawnPoints) || data.spawnPoints.length === 0) {
+      errors.push('spawnPoints must be a non-empty array');
+    } else if (!data.spawnPoints.every(isVector)) {
+      errors.push('every spawn point must be a vector');
+    }
+    if (!Array.isArray(data.killZones)) {
+      errors.push('killZones must be an array');
+    } else {
+      data.killZones.forEach((zone, index) => {
+        if (!zone || !isVector(zone.min) || !isVector(zone.max)) {
+          errors.push(`killZones[${index}] needs min and max vectors`);
+        }
+      });
+    }
+    if (data.hills !== undefined) {
+      if (!Array.isArray(data.hills)) {
+        errors.push('hills must be an array');
+      } else {
+        data.hills.forEach((hill, index) => {
+          if (!hill || !isVector(hill.position) || !isNumber(hill.radius) || hill.radius <= 0) {
+            errors.push(`hills[${index}] needs a position vector and a positive radius`);
+          } else if (hill.height !== undefined && !(isNumber(hill.height) && hill.height > 0)) {
+            errors.push(`hills[${index}].height must be a positive number`);
+          }
+        });
+      }
+    }
+    if (data.props !== undefined) {
+      if (!Array.isArray(data.props)) {
+        errors.push('props must be an array');
+      } else {
+        data.props.forEach((prop, index) => {
+          if (!prop || !getPropType(prop.type)) {
+            errors.push(`props[${index}].type must be one of ${listPropTypes().join(', ')}`);
+          } else if (!isVector(prop.position)) {
+            errors.push(`props[${index}].position must be a vector`);
+          } else if (prop.rotation !== undefined && !isVector(prop.rotation)) {
+            errors.push(`props[${index}].rotation must be a vector`);
+          }
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Convert an authored object into the shape-and-transform form used by physics and clients
+   * @param {Object} object - Authored static object
+   * @param {number} index - Position in the level file, used as its ID
+   * @returns {Object} Normalized object
+   */
+  static normalizeObject(object, index) {
+    const normalized = {
+      id: index,
+      kind: object.kind || object.type,
+      position: { x: object.position.x, y: object.position.y, z: object.position.z },
+      quaternion: { x: 0, y: 0, z: 0, w: 1 },
+      color: object.color || '#4a5568',
+      opacity: object.opacity ?? 1
+    };
+
+    if (object.type === 'sphere') {
+      return { ...normalized, shape: 'sphere', radius: object.radius };
+    }
+
+    const rotation = object.type === 'ramp'
+      ? { x: object.angle, y: object.yaw || 0, z: 0 }
+      : object.rotation || { x: 0, y: 0, z: 0 };
+
+    return {
+      ...normalized,
+      shape: 'box',
+      halfExtents: { x: object.size.x / 2, y: object.size.y / 2, z: object.size.z / 2 },
+      quaternion: eulerToQuaternion(rotation)
+    };
+  }
+
+  /**
+   * Add the level's static geometry to a physics world
+   * @param {PhysicsWorld} physicsWorld - World to populate (ground is created by the world itself)
+   */
+  createBodies(physicsWorld) {
+    if (!physicsWorld.isPhysicsEnabled()) {
+      return;
+    }
+    for (const object of this.objects) {
+      physicsWorld.createBody({
+        type: 'static',
+        shape: object.shape === 'sphere'
+          ? { type: 'sphere', radius: object.radius }
+          : { type: 'box', halfExtents: object.halfExtents },
+        position: object.position,
+        quaternion: object.quaternion
+      });
+    }
+  }
+
+  /**
+   * Spawn the level's props into a game
+   * @param {GameManager} gameManager - Game to spawn them in
+   */
+  spawnProps(gameManager) {
+    for (const prop of this.props) {
+      gameManager.spawnProp(prop.type, prop.position, prop.quaternion);
+    }
+  }
+
+  /**
+   * Check whether a position is inside any kill zone
+   * @param {Object} position - World position
+   * @returns {boolean} True if inside a kill zone
+   */
+  isInKillZone(position) {
+    return this.killZones.some(({ min, max }) =>
+      position.x >= min.x && position.x <= max.x &&
+      position.y >= min.y && position.y <= max.y &&
+      position.z >= min.z && position.z <= max.z
+    );
+  }
+
+  /**
+   * Get the level description sent to clients
+   * @returns {Object} Level data for rendering
+   */
+  getState() {
+    return {
+      id: this.id,
+      name: this.name,
+      ground: this.ground,
+      objects: this.objects,
+      spawnPoints: this.spawnPoints,
+      killZones: this.killZones,
+      hills: this.hills
+    };
+  }
+}
+
+module.exports = Level;
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../monitoring');
+
+const PRESETS_DIR = path.join(__dirname, '../../presets');
+
+/**
+ * Tunable movement and physics values
+ * Each entry gives the default, the accepted range and a description shown in the tuning panel.
+ */
+const SCHEMA = {
+  movement: {
+    speed: { default: 8, min: 0, max: 50, step: 0.5, description: 'Target horizontal speed (m/s)' },
+    maxSpeed: { default: 9, min: 0, max: 60, step: 0.5, description: 'Horizontal speed cap on the ground, 1.4x in the air (m/s)' },
+    acceleration: { default: 12, min: 0, max: 100, step: 0.5, description: 'How quickly ground velocity reaches the target (1/s)' },
+    airControl: { default: 1.4, min: 0, max: 20, step: 0.1, description: 'How quickly air velocity reaches the target (1/s)' },
+    jumpVelocity: { default: 5, min: 0, max: 30, step: 0.1, description: 'Upward velocity at the start of a jump (m/s)' },
+    floatiness: { default: 0.35, min: 0, max: 0.95, step: 0.05, description: 'Share of gravity cancelled while airborne' },
+    damping: { default: 0.18, min: 0, max: 0.99, step: 0.01, description: 'Share of velocity lost per second' }
+  },
+  physics: {
+    gravity: { default: -9.82, min: -50, max: 0, step: 0.1, description: 'Vertical gravity (m/s²)' },
+    friction: { default: 0.9, min: 0, max: 2, step: 0.05, description: 'Friction of level surfaces (players are frictionless)' },
+    restitution: { default: 0.1, min: 0, max: 1, step: 0.05, description: 'Bounciness of level surfaces' },
+    solverIterations: { default: 15, min: 1, max: 50, step: 1, integer: true, description: 'Constraint solver iterations per step' }
+  }
+};
+
+/**
+ * Build the default values from the schema
+ * @returns {Object} { movement, physics } with every value at its default
+ */
+function defaultValues() {
+  const values = {};
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    values[section] = {};
+    for (const [key, field] of Object.entries(fields)) {
+      values[section][key] = field.default;
+    }
+  }
+  return values;
+}
+
+/**
+ * Movement Config
+ * Holds the movement and physics values every room runs with. Values come from a named preset
+ * file in server/presets (each a partial override of the schema defaults), can be changed at
+ * runtime, and are reloaded when the active preset file changes on disk.
+ *
+ *   name        display name
+ *   description optional text
+ *   movement    { speed, maxSpeed, acceleration, airControl, jumpVelocity, floatiness, damping }
+ *   physics     { gravity, friction, restitution, solverIterations }
+ */
+class MovementConfig {
+  /**
+   * @param {Object} options - Config options
+   * @param {Function} [options.onChange] - Called with (values, state) whenever the values change
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || (() => {});
+    this.preset = null;
+    this.values = defaultValues();
+    this.overridden = false; // true once values were changed at runtime after loading the preset
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * List the presets available in server/presets
+   * @returns {string[]} Preset names
+   */
+  static listPresets() {
+    return fs.readdirSync(PRESETS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'));
+  }
+
+  /**
+   * Check config values against the schema
+   * @param {Object} data - Values grouped by section
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      return ['config must be an object'];
+    }
+
+    const errors = [];
+    for (const section of ['movement', 'physics']) {
+      if (data[section] === undefined) continue;
+      if (!data[section] || typeof data[section] !== 'object') {
+        errors.push(`${section} must be an object`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(data[section])) {
+        // Own keys only, so names like constructor or toString aren't found on the prototype
+        const field = Object.hasOwn(SCHEMA[section], key) ? SCHEMA[section][key] : null;
+        if (!field) {
+          errors.push(`${section}.${key} is not a known setting`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${section}.${key} must be a number`);
+        } else if (value < field.min || value > field.max) {
+          errors.push(`${section}.${key} must be between ${field.min} and ${field.max}`);
+        } else if (field.integer && !Number.isInteger(value)) {
+          errors.push(`${section}.${key} must be a whole number`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Read and validate a preset file
+   * @param {string} name - Preset file name without extension
+   * @returns {{values?: Object, error?: string}} Full values (defaults plus overrides) or an error
+   */
+  static readPreset(name) {
+    if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name)) {
+      return { error: `Invalid preset name "${name}"` };
+    }
+    const file = path.join(PRESETS_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+      return { error: `Preset "${name}" not found (available: ${MovementConfig.listPresets().join(', ')})` };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { error: `Preset "${name}" is not valid JSON: ${error.message}` };
+    }
+
+    const errors = MovementConfig.validate(data);
+    if (errors.length > 0) {
+      return { error: `Invalid preset "${name}": ${errors.join('; ')}` };
+    }
+
+    const values = defaultValues();
+    Object.assign(values.movement, data.movement);
+    Object.assign(values.physics, data.physics);
+    return { values };
+  }
+
+  /**
+   * Switch to a preset, replacing any runtime changes
+   * @param {string} name - Preset name
+   * @returns {{values?: Object, error?: string}} The new values or an error message
+   */
+  loadPreset(name) {
+    const { values, error } = MovementConfig.readPreset(name);
+    if (error) {
+      return { error };
+    }
+
+    this.preset = name;
+    this.values = values;
+    this.overridden = false;
+    this.onChange(this.getValues(), this.getState());
+    return { values: this.getValues() };
+  }
+
+  /**
+   * Change some values at runtime
+   * @param {Object} changes - Partial values grouped by section, e.g. { movement: { speed: 10 } }
+   * @returns {{values?: Object, error?: string}} The new values or an error message
+   */
+  update(changes) {
+    const errors = MovementConfig.validate(changes);
+    if (errors.length > 0) {
+      return { error: errors.join('; ') };
+    }
+
+    this.values = {
+      movement: { ...this.values.movement, ...changes.movement },
+      physics: { ...this.values.physics, ...changes.physics }
+    };
+    this.overridden = true;
+    this.onChange(this.getValues(), this.getState());
+    return { values: this.getValues() };
+  }
+
+  /**
+   * Reload the active preset whenever its file changes
+   * Broken edits are reported and ignored, keeping the last good values.
+   */
+  watch() {
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(PRESETS_DIR, (eventType, filename) => {
+      if (!this.preset || filename !== `${this.preset}.json`) return;
+
+      // Editors often write a file in several steps; wait for them to finish
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        const { error } = this.loadPreset(this.preset);
+        if (error) {
+          logger.error('Movement preset reload failed', { preset: this.preset, error });
+        } else {
+          logger.info('Movement preset reloaded', { preset: this.preset });
+        }
+      }, 100);
+    });
+  }
+
+  /**
+   * Get a copy of the current values
+   * @returns {Object} { movement, physics }
+   */
+  getValues() {
+    return {
+      movement: { ...this.values.movement },
+      physics: { ...this.values.physics }
+    };
+  }
+
+  /**
+   * Get the config description sent to clients for the tuning panel
+   * @returns {Object} Active preset, available presets, values and schema
+   */
+  getState() {
+    return {
+      preset: this.preset,
+      presets: MovementConfig.listPresets(),
+      overridden: this.overridden,
+      values: this.getValues(),
+      schema: SCHEMA
+    };
+  }
+
+  /**
+   * Stop watching the preset files
+   */
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+MovementConfig.SCHEMA = SCHEMA;
+MovementConfig.defaultValues = defaultValues;
+
+module.exports = MovementConfig;
@@ -0,0 +1,240 @@
+const PhysicsWorld = require('../physics/World');
+const GameManager = require('./GameManager');
+const ReplayRecorder = require('../replay/ReplayRecorder');
+const { getMode } = require('./modes');
+
+/**
+ * Room
+ * A named, isolated game instance with its own physics world, game manager and tick loop.
+ * Socket membership is tracked here; broadcasts go through the matching Socket.io room.
+ * Spectators receive the same snapshots as players but have no body and don't count toward
+ * the player cap.
+ */
+class Room {
+  /**
+   * @param {string} id - Unique room ID (also used as the Socket.io room name)
+   * @param {Object} io - Socket.io server instance
+   * @param {Object} options - Room options
+   * @param {string} [options.name] - Display name
+   * @param {number} [options.maxPlayers] - Maximum number of players
+   * @param {boolean} [options.persistent] - Persistent rooms are never torn down when empty
+   * @param {number} [options.sendRate] - Snapshots per second sent to clients
+   * @param {number} [options.interestRadius] - Distance within which players are sent entities
+   * @param {Level} options.level - Level loaded into the room's physics world
+   * @param {Object} [options.config] - Movement and physics settings, see MovementConfig
+   * @param {string} options.mode - Game mode name, see server/src/game/modes
+   * @param {ReplayStore} [options.replays] - Record the room's matches here; not recorded without one
+   * @param {Object} [options.bots] - Fill the room with AI players, see BotManager; capped at maxPlayers
+   */
+  constructor(id, io, options = {}) {
+    this.id = id;
+    this.io = io;
+    this.name = options.name || id;
+    this.maxPlayers = options.maxPlayers || 16;
+    this.persistent = Boolean(options.persistent);
+    this.sendRate = options.sendRate;
+    this.interestRadius = options.interestRadius;
+    this.level = options.level;
+    this.config = options.config;
+    this.mode = options.mode;
+    this.replays = options.replays || null;
+    this.bots = options.bots ? { ...options.bots, maxPlayers: this.maxPlayers } : null;
+    this.createdAt = Date.now();
+
+    // Player IDs in this room, including players waiting for their owner to reconnect
+    this.members = new Set();
+
+    // Socket IDs watching the room without a player
+    this.spectators = new Set();
+
+    // Recent chat messages, sent to players as they join
+    this.chatHistory = [];
+    this.CHAT_HISTORY_SIZE = 20;
+
+    this.physicsWorld = new PhysicsWorld({
+      groundHeight: this.level.ground.height,
+      config: this.config?.physics
+    });
+    this.gameManager = null;
+  }
+
+  /**
+   * Initialize physics, build the level, spawn its props, start recording if replays are on and
+   * start the room's game loop
+   * @returns {boolean} True if physics was initialized
+   */
+  initialize() {
+    const physicsInitialized = this.physicsWorld.initialize();
+    this.level.createBodies(this.physicsWorld);
+    const Mode = getMode(this.mode);
+    this.gameManager = new GameManager(this.physicsWorld, this.io, this.id, {
+      sendRate: this.sendRate,
+      interestRadius: this.interestRadius,
+      level: this.level,
+      movement: this.config?.movement,
+      mode: new Mode({ level: this.level }),
+      bots: this.bots
+    });
+    this.level.spawnProps(this.gameManager);
+    if (this.replays) {
+      this.gameManager.startRecording(new ReplayRecorder(this.replays, this.id));
+    }
+    this.gameManager.startGameLoop();
+    return physicsInitialized;
+  }
+
+  /**
+   * Check whether another player can join
+   * @returns {boolean} True if the room has a free slot
+   */
+  hasCapacity() {
+    return this.members.size < this.maxPlayers;
+  }
+
+  /**
+   * Check whether the room has no players or spectators
+   * @returns {boolean} True if empty
+   */
+  isEmpty() {
+    return this.members.size === 0 && this.spectators.size === 0;
+  }
+
+  /**
+   * Add a socket to the room and create its player
+   * @param {Socket} socket - Socket.io socket joining the room
+   * @returns {Player} The created player
+   */
+  addMember(socket) {
+    const { playerId, session } = socket.data;
+    this.members.add(playerId);
+    this.attachClient(socket);
+    return this.gameManager.addPlayer(playerId, { name: session.name, color: session.color });
+  }
+
+  /**
+   * Remove a socket from the room and destroy its player
+   * @param {Socket} socket - Socket.io socket leaving the room
+   */
+  removeMember(socket) {
+    this.detachClient(socket);
+    this.removePlayer(socket.data.playerId);
+  }
+
+  /**
+   * Add a socket that watches the room without a player
+   * @param {Socket} socket - Socket.io socket
+   */
+  addSpectator(socket) {
+    this.spectators.add(socket.id);
+    socket.join(this.id);
+    this.gameManager.addClient(socket);
+  }
+
+  /**
+   * Stop sending the room to a spectator
+   * @param {Socket} socket - Socket.io socket
+   */
+  removeSpectator(socket) {
+    this.spectators.delete(socket.id);
+    socket.leave(this.id);
+    this.gameManager.removeClient(socket.id);
+  }
+
+  /**
+   * Destroy a player whose owner is no longer connected to the room
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.members.delete(playerId);
+    this.gameManager.removePlayer(playerId);
+  }
+
+  /**
+   * Start sending this room's snapshots to a socket whose player is already in the room
+   * @param {Socket} socket - Socket.io socket
+   */
+  attachClient(socket) {
+    socket.join(this.id);
+    this.gameManager.addClient(socket);
+    const player = this.gameManager.getPlayer(socket.data.playerId);
+    if (player) {
+      player.setConnected(true);
+    }
+  }
+
+  /**
+   * Stop sending snapshots to a socket but keep its player in the world
+   * @param {Socket} socket - Socket.io socket
+   */
+  detachClient(socket) {
+    socket.leave(this.id);
+    this.gameManager.removeClient(socket.id);
+    const player = this.gameManager.getPlayer(socket.data.playerId);
+    if (player) {
+      player.setConnected(false);
+    }
+  }
+
+  /**
+   * Switch the running room to new movement and physics settings
+   * @param {Object} config - Values from MovementConfig
+   * @param {Object} tuning - Config description pushed to clients
+   */
+  applyConfig(config, tuning) {
+    this.config = config;
+    this.physicsWorld.configure(config.physics);
+    this.gameManager.setMovementConfig(config.movement, tuning);
+  }
+
+  /**
+   * Record a chat message in the room's history
+   * @param {Object} message - Message created by ChatHandler
+   */
+  addChatMessage(message) {
+    this.chatHistory.push(message);
+    if (this.chatHistory.length > this.CHAT_HISTORY_SIZE) {
+      this.chatHistory.shift();
+    }
+  }
+
+  /**
+   * Get the room's recent chat messages, oldest first
+   * @returns {Object[]} Chat messages
+   */
+  getChatHistory() {
+    return [...this.chatHistory];
+  }
+
+  /**
+   * Get public room information for listings
+   * @returns {Object} Room summary
+   */
+  getInfo() {
+    return {
+      id: this.id,
+      name: this.name,
+      playerCount: this.members.size,
+      maxPlayers: this.maxPlayers,
+      spectatorCount: this.spectators.size,
+      level: this.level.id,
+      mode: this.mode,
+      persistent: this.persistent,
+      paused: Boolean(this.gameManager && this.gameManager.paused),
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Stop the game loop and release all players and physics bodies
+   */
+  shutdown() {
+    if (this.gameManager) {
+      this.gameManager.shutdown();
+    }
+    this.physicsWorld.destroy();
+    this.members.clear();
+    this.spectators.clear();
+  }
+}
+
+module.exports = Room;
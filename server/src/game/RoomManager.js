@@ -0,0 +1,397 @@
+const Room = require('./Room');
+const { DEFAULT_MODE, getMode, listModes } = require('./modes');
+const { logger } = require('../monitoring');
+
+/**
+ * Room Manager
+ * Creates, lists and tears down rooms, and moves sockets between them
+ */
+class RoomManager {
+  /**
+   * @param {Object} io - Socket.io server instance
+   * @param {Object} options - Room manager options
+   * @param {string} [options.defaultRoomId] - ID of the persistent room new connections land in
+   * @param {number} [options.maxRooms] - Maximum number of concurrent rooms
+   * @param {number} [options.maxPlayersPerRoom] - Default and upper bound for room player caps
+   * @param {number} [options.emptyRoomTimeout] - Ms an empty room survives before teardown
+   * @param {number} [options.sendRate] - Snapshots per second sent to clients in each room
+   * @param {number} [options.interestRadius] - Distance in meters within which players are sent
+   *   entities, 0 for everything
+   * @param {Level} options.level - Level every room is built from
+   * @param {Object} [options.config] - Movement and physics settings, see MovementConfig
+   * @param {string} [options.defaultMode] - Game mode of the default room and of rooms created
+   *   without one
+   * @param {ReplayStore} [options.replays] - Record every room's matches here; off without one
+   * @param {Object} [options.bots] - Fill every room with AI players, see BotManager; off without one
+   */
+  constructor(io, options = {}) {
+    this.io = io;
+    this.rooms = new Map();
+    this.teardownTimers = new Map();
+
+    this.DEFAULT_ROOM_ID = options.defaultRoomId || 'main';
+    this.MAX_ROOMS = options.maxRooms || 50;
+    this.MAX_PLAYERS_PER_ROOM = options.maxPlayersPerRoom || 16;
+    this.EMPTY_ROOM_TIMEOUT = options.emptyRoomTimeout ?? 10000;
+    this.SEND_RATE = options.sendRate;
+    this.INTEREST_RADIUS = options.interestRadius;
+    this.level = options.level;
+    this.config = options.config;
+    this.DEFAULT_MODE = options.defaultMode || DEFAULT_MODE;
+    this.replays = options.replays || null;
+    this.bots = options.bots || null;
+  }
+
+  /**
+   * Create the persistent default room
+   * @returns {boolean} True if physics was initialized for the default room
+   */
+  initialize() {
+    const room = new Room(this.DEFAULT_ROOM_ID, this.io, {
+      name: 'Main',
+      maxPlayers: this.MAX_PLAYERS_PER_ROOM,
+      persistent: true,
+      sendRate: this.SEND_RATE,
+      interestRadius: this.INTEREST_RADIUS,
+      level: this.level,
+      config: this.config,
+      mode: this.DEFAULT_MODE,
+      replays: this.replays,
+      bots: this.bots
+    });
+    const physicsInitialized = room.initialize();
+    this.rooms.set(room.id, room);
+    logger.info('Default room created', { room: room.id });
+    return physicsInitialized;
+  }
+
+  /**
+   * Turn a display name into a room ID
+   * @param {string} name - Requested room name
+   * @returns {string} Lowercase, URL-safe room ID (may be empty)
+   */
+  slugify(name) {
+    return name
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 32);
+  }
+
+  /**
+   * Create a new room
+   * @param {Object} options - Room options from the client
+   * @param {string} options.name - Room display name
+   * @param {number} [options.maxPlayers] - Player cap, clamped to the server maximum
+   * @param {string} [options.mode] - Game mode name (default: the server's default mode)
+   * @returns {{room?: Room, error?: string}} The created room or an error message
+   */
+  createRoom(options = {}) {
+    const name = typeof options.name === 'string' ? options.name.trim().slice(0, 32) : '';
+    const id = this.slugify(name);
+
+    if (!id) {
+      return { error: 'Room name must contain letters or numbers' };
+    }
+    if (this.rooms.has(id)) {
+      return { error: `Room "${id}" already exists` };
+    }
+    if (this.rooms.size >= this.MAX_ROOMS) {
+      return { error: 'Room limit reached' };
+    }
+    const mode = options.mode === undefined ? this.DEFAULT_MODE : options.mode;
+    if (!getMode(mode)) {
+      return { error: `Unknown game mode (available: ${listModes().join(', ')})` };
+    }
+
+    const requestedMax = Number.parseInt(options.maxPlayers, 10);
+    const maxPlayers = Number.isFinite(requestedMax)
+      ? Math.max(1, Math.min(this.MAX_PLAYERS_PER_ROOM, requestedMax))
+      : this.MAX_PLAYERS_PER_ROOM;
+
+    const room = new Room(id, this.io, {
+      name,
+      maxPlayers,
+      sendRate: this.SEND_RATE,
+      interestRadius: this.INTEREST_RADIUS,
+      level: this.level,
+      config: this.config,
+      mode,
+      replays: this.replays,
+      bots: this.bots
+    });
+    room.initialize();
+    this.rooms.set(id, room);
+
+    // Rooms nobody joins are cleaned up like rooms everyone left
+    this.scheduleTeardown(room);
+
+    logger.info('Room created', { room: id, mode, maxPlayers });
+    return { room };
+  }
+
+  /**
+   * Get a room by ID
+   * @param {string} roomId - Room ID
+   * @returns {Room|undefined} The room or undefined if not found
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Get the room a socket is currently in
+   * @param {Socket} socket - Socket.io socket
+   * @returns {Room|undefined} The socket's room or undefined
+   */
+  getSocketRoom(socket) {
+    return socket.data.roomId ? this.rooms.get(socket.data.roomId) : undefined;
+  }
+
+  /**
+   * List all rooms
+   * @returns {Array} Room summaries
+   */
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => room.getInfo());
+  }
+
+  /**
+   * Move a socket into a room, leaving its current room first
+   * Joining the current room in the other mode switches between playing and spectating.
+   * @param {Socket} socket - Socket.io socket with an attached session
+   * @param {string} roomId - Room to join
+   * @param {Object} [options] - Join options
+   * @param {boolean} [options.spectate] - Watch without a player
+   * @returns {{room?: Room, player?: Player, error?: string}} The joined room and player (none for
+   *   spectators) or an error message
+   */
+  joinRoom(socket, roomId, options = {}) {
+    const spectate = Boolean(options.spectate);
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return { error: `Room "${roomId}" does not exist` };
+    }
+    if (socket.data.roomId === roomId && Boolean(socket.data.spectating) === spectate) {
+      return { room, player: room.gameManager.getPlayer(socket.data.playerId) };
+    }
+    if (!spectate && !room.hasCapacity()) {
+      return { error: `Room "${roomId}" is full` };
+    }
+
+    this.leaveRoom(socket);
+
+    this.cancelTeardown(room);
+    socket.data.roomId = room.id;
+    socket.data.spectating = spectate;
+
+    if (spectate) {
+      // No player to reclaim after a reconnect; the client asks to spectate again instead
+      room.addSpectator(socket);
+      logger.info('Spectator joined room', { room: room.id, playerId: socket.data.playerId, name: socket.data.session.name });
+      return { room };
+    }
+
+    const player = room.addMember(socket);
+    socket.data.session.roomId = room.id;
+
+    logger.info('Player joined room', {
+      room: room.id,
+      playerId: player.id,
+      name: player.name,
+      members: room.members.size,
+      maxPlayers: room.maxPlayers
+    });
+    return { room, player };
+  }
+
+  /**
+   * Remove a socket and its player from its current room, if any
+   * @param {Socket} socket - Socket.io socket
+   * @returns {Room|undefined} The room that was left
+   */
+  leaveRoom(socket) {
+    const room = this.getSocketRoom(socket);
+    const { spectating } = socket.data;
+    socket.data.roomId = null;
+    socket.data.spectating = false;
+    if (!room) {
+      return undefined;
+    }
+
+    if (spectating) {
+      room.removeSpectator(socket);
+    } else {
+      room.removeMember(socket);
+      socket.data.session.roomId = null;
+    }
+    logger.info('Left room', { room: room.id, playerId: socket.data.playerId, spectator: Boolean(spectating) });
+
+    if (room.isEmpty()) {
+      this.scheduleTeardown(room);
+    }
+    return room;
+  }
+
+  /**
+   * Disconnect a socket from its room while keeping its player for a later reconnect
+   * Spectators simply leave, since there is nothing to keep.
+   * @param {Socket} socket - Socket.io socket
+   * @returns {Room|undefined} The room the player is still in
+   */
+  detachSocket(socket) {
+    if (socket.data.spectating) {
+      this.leaveRoom(socket);
+      return undefined;
+    }
+
+    const room = this.getSocketRoom(socket);
+    socket.data.roomId = null;
+    if (room) {
+      room.detachClient(socket);
+    }
+    return room;
+  }
+
+  /**
+   * Reconnect a socket to the player its session left behind
+   * @param {Socket} socket - Socket.io socket with an attached session
+   * @param {string} roomId - Room the player is in
+   * @returns {{room?: Room, player?: Player, error?: string}} The room and reclaimed player or an error message
+   */
+  reattachSocket(socket, roomId) {
+    const room = this.rooms.get(roomId);
+    const player = room && room.gameManager.getPlayer(socket.data.playerId);
+    if (!player) {
+      return { error: 'Player is no longer in the room' };
+    }
+
+    room.attachClient(socket);
+    player.setProfile(socket.data.session);
+    socket.data.roomId = room.id;
+    logger.info('Player reconnected to room', { room: room.id, playerId: player.id, name: player.name });
+    return { room, player };
+  }
+
+  /**
+   * Remove a player whose owner never came back
+   * @param {string} roomId - Room the player is in
+   * @param {string} playerId - Player ID
+   * @returns {Room|undefined} The room the player was removed from
+   */
+  removePlayer(roomId, playerId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.members.has(playerId)) {
+      return undefined;
+    }
+
+    room.removePlayer(playerId);
+    logger.info('Player removed after reconnect grace period', { room: room.id, playerId });
+
+    if (room.isEmpty()) {
+      this.scheduleTeardown(room);
+    }
+    return room;
+  }
+
+  /**
+   * Schedule an empty, non-persistent room for removal
+   * @param {Room} room - Room to tear down
+   */
+  scheduleTeardown(room) {
+    if (room.persistent || this.teardownTimers.has(room.id)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.teardownTimers.delete(room.id);
+      if (room.isEmpty()) {
+        this.removeRoom(room.id);
+      }
+    }, this.EMPTY_ROOM_TIMEOUT);
+    this.teardownTimers.set(room.id, timer);
+  }
+
+  /**
+   * Cancel a pending teardown for a room that is being joined
+   * @param {Room} room - Room to keep alive
+   */
+  cancelTeardown(room) {
+    const timer = this.teardownTimers.get(room.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.teardownTimers.delete(room.id);
+    }
+  }
+
+  /**
+   * Shut down and forget a room
+   * @param {string} roomId - Room ID to remove
+   */
+  removeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      this.cancelTeardown(room);
+      room.shutdown();
+      this.rooms.delete(roomId);
+      logger.info('Room removed', { room: roomId });
+    }
+  }
+
+  /**
+   * Switch every room, and rooms created later, to new movement and physics settings
+   * @param {Object} config - Values from MovementConfig
+   * @param {Object} tuning - Config description pushed to clients
+   */
+  applyConfig(config, tuning) {
+    this.config = config;
+    for (const room of this.rooms.values()) {
+      room.applyConfig(config, tuning);
+    }
+  }
+
+  /**
+   * Get aggregate statistics across all rooms
+   * @returns {Object} Room statistics
+   */
+  getStats() {
+    let playerCount = 0;
+    let spectatorCount = 0;
+    for (const room of this.rooms.values()) {
+      playerCount += room.members.size;
+      spectatorCount += room.spectators.size;
+    }
+
+    return {
+      roomCount: this.rooms.size,
+      playerCount,
+      spectatorCount,
+      maxRooms: this.MAX_ROOMS,
+      maxPlayersPerRoom: this.MAX_PLAYERS_PER_ROOM
+    };
+  }
+
+  /**
+   * Get game loop timing metrics for every room
+   * @returns {Object} Loop metrics keyed by room ID
+   */
+  getLoopMetrics() {
+    const metrics = {};
+    for (const room of this.rooms.values()) {
+      metrics[room.id] = room.gameManager.getLoopMetrics();
+    }
+    return metrics;
+  }
+
+  /**
+   * Shut down every room
+   */
+  shutdown() {
+    for (const roomId of Array.from(this.rooms.keys())) {
+      this.removeRoom(roomId);
+    }
+  }
+}
+
+module.exports = RoomManager;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const Player = require('../entities/Player');
+
+/**
+ * Session Manager
+ * Gives each client a stable player ID, display name and color behind a server-issued token.
+ * When a client disconnects its player is kept for a grace period; reconnecting with the same
+ * token reclaims it instead of creating a new one.
+ */
+class SessionManager {
+  /**
+   * @param {Object} options - Session options
+   * @param {number} [options.gracePeriod] - Ms a disconnected player is kept for reconnection
+   */
+  constructor(options = {}) {
+    this.sessions = new Map(); // token -> session
+    this.RECONNECT_GRACE_PERIOD = options.gracePeriod ?? 30000;
+    this.MAX_NAME_LENGTH = 16;
+  }
+
+  /**
+   * Clean up a display name
+   * @param {*} name - Requested name
+   * @returns {string|null} Trimmed name without control characters, or null if unusable
+   */
+  sanitizeName(name) {
+    if (typeof name !== 'string') {
+      return null;
+    }
+    const clean = name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, this.MAX_NAME_LENGTH);
+    return clean || null;
+  }
+
+  /**
+   * Check a color
+   * @param {*} color - Requested color
+   * @returns {string|null} Lowercase #rrggbb color, or null if invalid
+   */
+  sanitizeColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null;
+  }
+
+  /**
+   * Create a session for a new client
+   * @param {Object} profile - Requested profile from the join handshake
+   * @param {string} [profile.name] - Display name
+   * @param {string} [profile.color] - Player color (#rrggbb)
+   * @returns {Object} The new session
+   */
+  createSession(profile = {}) {
+    const playerId = crypto.randomBytes(6).toString('hex');
+    const session = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      playerId,
+      name: this.sanitizeName(profile.name) || `Player ${playerId.slice(0, 4)}`,
+      color: this.sanitizeColor(profile.color) || Player.generateRandomColor(),
+      socketId: null,
+      roomId: null,
+      connected: false,
+      graceTimer: null,
+      createdAt: Date.now(),
+      reconnects: 0
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Look up a session by token
+   * @param {*} token - Token sent by the client
+   * @returns {Object|undefined} The session or undefined if unknown or expired
+   */
+  getSession(token) {
+    return typeof token === 'string' ? this.sessions.get(token) : undefined;
+  }
+
+  /**
+   * Apply a profile change from a reconnecting client, keeping values that don't validate
+   * @param {Object} session - Session to update
+   * @param {Object} profile - Requested profile
+   */
+  updateProfile(session, profile = {}) {
+    session.name = this.sanitizeName(profile.name) || session.name;
+    session.color = this.sanitizeColor(profile.color) || session.color;
+  }
+
+  /**
+   * Bind a session to a newly connected socket
+   * @param {Object} session - Session
+   * @param {Socket} socket - Socket.io socket
+   * @returns {string|null} ID of the socket the session was previously bound to, if any
+   */
+  attach(session, socket) {
+    const previousSocketId = session.socketId;
+    this.cancelGracePeriod(session);
+    if (previousSocketId) {
+      session.reconnects++;
+    }
+    session.socketId = socket.id;
+    session.connected = true;
+    socket.data.session = session;
+    socket.data.playerId = session.playerId;
+    return previousSocketId;
+  }
+
+  /**
+   * Keep a disconnected session's player around for the grace period
+   * @param {Object} session - Session that lost its socket
+   * @param {Function} onExpire - Called if the client doesn't come back in time
+   */
+  startGracePeriod(session, onExpire) {
+    this.cancelGracePeriod(session);
+    session.connected = false;
+    session.graceTimer = setTimeout(() => {
+      session.graceTimer = null;
+      this.sessions.delete(session.token);
+      onExpire(session);
+    }, this.RECONNECT_GRACE_PERIOD);
+  }
+
+  /**
+   * Stop a pending grace period expiry
+   * @param {Object} session - Session
+   */
+  cancelGracePeriod(session) {
+    if (session.graceTimer) {
+      clearTimeout(session.graceTimer);
+      session.graceTimer = null;
+    }
+  }
+
+  /**
+   * Forget a session immediately
+   * @param {Object} session - Session to remove
+   */
+  removeSession(session) {
+    this.cancelGracePeriod(session);
+    this.sessions.delete(session.token);
+  }
+
+  /**
+   * Get the public part of a session, sent to its own client
+   * @param {Object} session - Session
+   * @returns {Object} Token, player ID and profile
+   */
+  getSessionInfo(session) {
+    return {
+      token: session.token,
+      playerId: session.playerId,
+      name: session.name,
+      color: session.color
+    };
+  }
+
+  /**
+   * Get session statistics
+   * @returns {Object} Session counts
+   */
+  getStats() {
+    let connected = 0;
+    for (const session of this.sessions.values()) {
+      if (session.connected) connected++;
+    }
+    return {
+      sessions: this.sessions.size,
+      connected,
+      awaitingReconnect: this.sessions.size - connected,
+      gracePeriod: this.RECONNECT_GRACE_PERIOD
+    };
+  }
+
+  /**
+   * Cancel every pending grace period
+   */
+  shutdown() {
+    for (const session of this.sessions.values()) {
+      this.cancelGracePeriod(session);
+    }
+    this.sessions.clear();
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,104 @@
+/**
+ * Spatial Grid
+ * Buckets entity positions into square cells on the ground plane (X/Z) so "what is near this
+ * point" only looks at a few cells instead of every entity. Height is ignored: the levels are
+ * flat enough that a player directly above or below another is still worth sending.
+ */
+class SpatialGrid {
+  /**
+   * @param {number} [cellSize] - Cell edge length in meters; about half the usual query radius
+   */
+  constructor(cellSize = 16) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx,cz" -> entity IDs
+    this.positions = new Map(); // entity ID -> { x, z }
+  }
+
+  /**
+   * @param {number} coordinate - World X or Z
+   * @returns {number} Cell index along that axis
+   */
+  cellIndex(coordinate) {
+    return Math.floor(coordinate / this.cellSize);
+  }
+
+  /**
+   * Add an entity, or move it if it is already in the grid
+   * @param {string} id - Entity ID
+   * @param {Object} position - World position; only x and z are used
+   */
+  insert(id, position) {
+    if (this.positions.has(id)) {
+      this.remove(id);
+    }
+    const key = `${this.cellIndex(position.x)},${this.cellIndex(position.z)}`;
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(id);
+    this.positions.set(id, { x: position.x, z: position.z, key });
+  }
+
+  /**
+   * @param {string} id - Entity ID
+   */
+  remove(id) {
+    const position = this.positions.get(id);
+    if (!position) return;
+    const cell = this.cells.get(position.key);
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(position.key);
+    }
+    this.positions.delete(id);
+  }
+
+  /**
+   * Find the entities within a horizontal distance of a point
+   * @param {Object} position - Query point; only x and z are used
+   * @param {number} radius - Distance in meters
+   * @returns {Map<string, number>} Distance of each entity in range, keyed by entity ID
+   */
+  query(position, radius) {
+    const found = new Map();
+    const minX = this.cellIndex(position.x - radius);
+    const maxX = this.cellIndex(position.x + radius);
+    const minZ = this.cellIndex(position.z - radius);
+    const maxZ = this.cellIndex(position.z + radius);
+
+    const check = (id) => {
+      const other = this.positions.get(id);
+      const distance = Math.hypot(other.x - position.x, other.z - position.z);
+      if (distance <= radius) {
+        found.set(id, distance);
+      }
+    };
+
+    // A radius covering more cells than are occupied is quicker to answer by checking everything
+    if ((maxX - minX + 1) * (maxZ - minZ + 1) > this.cells.size) {
+      for (const id of this.positions.keys()) check(id);
+      return found;
+    }
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(`${cx},${cz}`);
+        if (!cell) continue;
+        for (const id of cell) check(id);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Remove every entity
+   */
+  clear() {
+    this.cells.clear();
+    this.positions.clear();
+  }
+}
+
+module.exports = SpatialGrid;
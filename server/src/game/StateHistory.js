@@ -0,0 +1,135 @@
+// Moving further than this between two ticks is a teleport or respawn, which isn't blended (m)
+const TELEPORT_DISTANCE = 2;
+
+/**
+ * State History
+ * Ring buffer of entity transforms, one frame per simulation tick, for lag compensation:
+ * GameManager.rewind() puts entities back where a client saw them before judging its actions.
+ */
+class StateHistory {
+  /**
+   * @param {number} capacity - Frames kept; older ones are overwritten
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.frames = new Array(capacity);
+    this.start = 0; // index of the oldest frame
+    this.count = 0;
+  }
+
+  /**
+   * Store the transforms of a tick
+   * @param {number} tick - Simulation tick
+   * @param {number} time - Server time the tick represents
+   * @param {Iterable<Object>} entities - Entities with an id and getTransform()
+   */
+  record(tick, time, entities) {
+    const transforms = new Map();
+    for (const entity of entities) {
+      transforms.set(entity.id, entity.getTransform());
+    }
+
+    const frame = { tick, time, transforms };
+    if (this.count < this.capacity) {
+      this.frames[(this.start + this.count) % this.capacity] = frame;
+      this.count++;
+    } else {
+      this.frames[this.start] = frame;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * @param {number} index - 0 for the oldest frame
+   * @returns {Object} The frame
+   */
+  at(index) {
+    return this.frames[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Server time of the oldest frame still kept
+   * @returns {number|null} Time, or null if empty
+   */
+  getOldestTime() {
+    return this.count > 0 ? this.at(0).time : null;
+  }
+
+  /**
+   * Transforms at a point in time, interpolated between the two frames around it
+   * Times outside the history are clamped to its oldest or newest frame.
+   * @param {number} time - Server time
+   * @returns {Map<string, Object>|null} Transform per entity ID, or null if nothing is recorded
+   */
+  sample(time) {
+    if (this.count === 0) {
+      return null;
+    }
+
+    // Newest frame at or before time, then the one after it
+    let index = this.count - 1;
+    while (index > 0 && this.at(index).time > time) {
+      index--;
+    }
+    const from = this.at(index);
+    const to = index + 1 < this.count ? this.at(index + 1) : null;
+    if (!to || time <= from.time) {
+      return from.transforms;
+    }
+
+    const t = (time - from.time) / (to.time - from.time);
+    const transforms = new Map();
+    for (const [id, a] of from.transforms) {
+      const b = to.transforms.get(id);
+      transforms.set(id, b ? interpolateTransform(a, b, t) : a);
+    }
+    return transforms;
+  }
+
+  clear() {
+    this.frames = new Array(this.capacity);
+    this.start = 0;
+    this.count = 0;
+  }
+}
+
+/**
+ * Blend two transforms; rotations take the short way round and are renormalized
+ * Across a teleport the nearer of the two is used instead.
+ * @param {Object} a - Transform at t = 0
+ * @param {Object} b - Transform at t = 1
+ * @param {number} t - Blend factor in [0, 1]
+ * @returns {Object} Blended transform
+ */
+function interpolateTransform(a, b, t) {
+  const jump = Math.hypot(b.position.x - a.position.x, b.position.y - a.position.y, b.position.z - a.position.z);
+  if (jump > TELEPORT_DISTANCE) {
+    return t < 0.5 ? a : b;
+  }
+
+  const position = {
+    x: a.position.x + (b.position.x - a.position.x) * t,
+    y: a.position.y + (b.position.y - a.position.y) * t,
+    z: a.position.z + (b.position.z - a.position.z) * t
+  };
+  if (!a.quaternion || !b.quaternion) {
+    return { position };
+  }
+
+  const p = a.quaternion;
+  const q = b.quaternion;
+  const sign = p.x * q.x + p.y * q.y + p.z * q.z + p.w * q.w < 0 ? -1 : 1;
+  const blended = {
+    x: p.x + (q.x * sign - p.x) * t,
+    y: p.y + (q.y * sign - p.y) * t,
+    z: p.z + (q.z * sign - p.z) * t,
+    w: p.w + (q.w * sign - p.w) * t
+  };
+  const length = Math.hypot(blended.x, blended.y, blended.z, blended.w) || 1;
+  return {
+    position,
+    quaternion: { x: blended.x / length, y: blended.y / length, z: blended.z / length, w: blended.w / length }
+  };
+}
+
+module.exports = StateHistory;
@@ -0,0 +1,81 @@
+/**
+ * Game Mode
+ * Base class for round objectives. GameManager runs the round lifecycle
+ * (waiting → countdown → active → results → reset) and calls into its mode along the way;
+ * a mode decides who scores while a round is active, may end a round early, and describes its
+ * own state (who is "it", where the hill is) for clients.
+ *
+ * Scores live on the players (player.score, in points) and are reset by GameManager before each
+ * countdown. Every hook receives the players taking part: those whose client is connected.
+ */
+class GameMode {
+  /**
+   * @param {Object} [options] - Mode options
+   * @param {Level} [options.level] - Level the room is built from
+   */
+  constructor(options = {}) {
+    this.level = options.level;
+    this.id = 'mode';
+    this.name = 'Game Mode';
+    this.minPlayers = 2; // connected players needed to start (and keep) a round
+    this.roundDuration = 120; // seconds
+  }
+
+  /**
+   * A round has started
+   * @param {Player[]} players - Players taking part
+   */
+  onRoundStart(players) {}
+
+  /**
+   * The active round has ended
+   */
+  onRoundEnd() {}
+
+  /**
+   * Advance the mode by one tick of an active round
+   * @param {number} deltaTime - Fixed step duration in seconds
+   * @param {Player[]} players - Players taking part
+   */
+  update(deltaTime, players) {}
+
+  /**
+   * Whether the round should end before its time runs out
+   * @param {Player[]} players - Players taking part
+   * @returns {boolean} True to end the round now
+   */
+  isRoundOver(players) {
+    return false;
+  }
+
+  /**
+   * Pick the round's winners
+   * @param {Player[]} players - Every player in the room
+   * @returns {string[]} IDs of the players with the highest score (none if nobody scored)
+   */
+  getWinners(players) {
+    const best = Math.max(0, ...players.map(player => Math.floor(player.score)));
+    if (best === 0) {
+      return [];
+    }
+    return players.filter(player => Math.floor(player.score) === best).map(player => player.id);
+  }
+
+  /**
+   * Players every client should see wherever they are, e.g. whoever is "it"
+   * @returns {string[]} Player IDs sent to clients regardless of distance
+   */
+  getRelevantPlayerIds() {
+    return [];
+  }
+
+  /**
+   * Mode-specific state for clients; sent again whenever it changes
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    return {};
+  }
+}
+
+module.exports = GameMode;
@@ -0,0 +1,106 @@
+const GameMode = require('./GameMode');
+
+// Used when the level doesn't define any hills
+const DEFAULT_HILL = { name: 'center', position: { x: 0, y: 0, z: 0 }, radius: 4, height: 3 };
+
+/**
+ * King of the Hill
+ * Standing alone in the hill zone earns a point per second; while two or more players share it
+ * the hill is contested and nobody scores. The first player to SCORE_TO_WIN, or the highest
+ * score when time runs out, wins. Levels with several hills move the zone every
+ * HILL_ROTATE_INTERVAL seconds.
+ */
+class KingOfTheHillMode extends GameMode {
+  /**
+   * @param {Object} [options] - Mode options, see GameMode
+   */
+  constructor(options = {}) {
+    super(options);
+    this.id = 'koth';
+    this.name = 'King of the Hill';
+    this.roundDuration = 180;
+    this.SCORE_TO_WIN = 60;
+    this.HILL_ROTATE_INTERVAL = 30; // seconds
+
+    const hills = this.level && this.level.hills;
+    this.hills = hills && hills.length > 0 ? hills : [DEFAULT_HILL];
+    this.hillIndex = 0;
+    this.hillTime = 0;
+    this.holder = null; // ID of the player alone on the hill
+    this.contested = false;
+  }
+
+  /**
+   * Start every round on the first hill
+   */
+  onRoundStart() {
+    this.hillIndex = 0;
+    this.hillTime = 0;
+    this.holder = null;
+    this.contested = false;
+  }
+
+  onRoundEnd() {
+    this.holder = null;
+    this.contested = false;
+  }
+
+  /**
+   * Check whether a player stands in the hill zone, a vertical cylinder rising from the hill
+   * position
+   * @param {Player} player - Player to check
+   * @param {Object} hill - Hill zone
+   * @returns {boolean} True if the player is inside
+   */
+  isOnHill(player, hill) {
+    const dx = player.position.x - hill.position.x;
+    const dz = player.position.z - hill.position.z;
+    const dy = player.position.y - hill.position.y;
+    return Math.hypot(dx, dz) <= hill.radius && dy >= 0 && dy <= hill.height;
+  }
+
+  /**
+   * Move the zone on schedule and award the player holding it
+   * @param {number} deltaTime - Fixed step duration in seconds
+   * @param {Player[]} players - Players taking part
+   */
+  update(deltaTime, players) {
+    this.hillTime += deltaTime;
+    if (this.hills.length > 1 && this.hillTime >= this.HILL_ROTATE_INTERVAL) {
+      this.hillIndex = (this.hillIndex + 1) % this.hills.length;
+      this.hillTime = 0;
+    }
+
+    const hill = this.hills[this.hillIndex];
+    const occupants = players.filter(player => this.isOnHill(player, hill));
+    this.contested = occupants.length > 1;
+    this.holder = occupants.length === 1 ? occupants[0].id : null;
+    if (occupants.length === 1) {
+      occupants[0].score += deltaTime;
+    }
+  }
+
+  /**
+   * End the round as soon as someone reaches SCORE_TO_WIN
+   * @param {Player[]} players - Players taking part
+   * @returns {boolean} True if someone has won
+   */
+  isRoundOver(players) {
+    return players.some(player => player.score >= this.SCORE_TO_WIN);
+  }
+
+  getRelevantPlayerIds() {
+    return this.holder ? [this.holder] : [];
+  }
+
+  getState() {
+    return {
+      hill: this.hills[this.hillIndex],
+      holder: this.holder,
+      contested: this.contested,
+      scoreToWin: this.SCORE_TO_WIN
+    };
+  }
+}
+
+module.exports = KingOfTheHillMode;
@@ -0,0 +1,92 @@
+const GameMode = require('./GameMode');
+
+/**
+ * Tag
+ * One player is "it" and passes that on by touching someone. Everyone who isn't "it" earns a
+ * point per second; the highest score when time runs out wins. A newly tagged player can't tag
+ * straight back for a moment.
+ */
+class TagMode extends GameMode {
+  /**
+   * @param {Object} [options] - Mode options, see GameMode
+   */
+  constructor(options = {}) {
+    super(options);
+    this.id = 'tag';
+    this.name = 'Tag';
+    this.roundDuration = 120;
+    this.TAG_DISTANCE = 1.2; // center-to-center distance that counts as a touch
+    this.TAG_COOLDOWN = 2; // seconds after a tag before the next one counts
+
+    this.it = null; // ID of the player who is "it"
+    this.cooldown = 0;
+  }
+
+  /**
+   * Pick who starts as "it"
+   * @param {Player[]} players - Players taking part
+   */
+  onRoundStart(players) {
+    this.chooseIt(players);
+  }
+
+  onRoundEnd() {
+    this.it = null;
+  }
+
+  /**
+   * Make a random player "it"
+   * @param {Player[]} players - Players taking part
+   */
+  chooseIt(players) {
+    const player = players[Math.floor(Math.random() * players.length)];
+    this.it = player ? player.id : null;
+    this.cooldown = this.TAG_COOLDOWN;
+  }
+
+  /**
+   * Award points and pass "it" on touch
+   * @param {number} deltaTime - Fixed step duration in seconds
+   * @param {Player[]} players - Players taking part
+   */
+  update(deltaTime, players) {
+    const it = players.find(player => player.id === this.it);
+    if (!it) {
+      // "It" left or lost its connection; someone else takes over
+      this.chooseIt(players);
+      return;
+    }
+
+    for (const player of players) {
+      if (player !== it) {
+        player.score += deltaTime;
+      }
+    }
+
+    this.cooldown = Math.max(0, this.cooldown - deltaTime);
+    if (this.cooldown > 0) {
+      return;
+    }
+
+    for (const player of players) {
+      if (player === it) continue;
+      const a = it.position;
+      const b = player.position;
+      if (Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) <= this.TAG_DISTANCE) {
+        this.it = player.id;
+        this.cooldown = this.TAG_COOLDOWN;
+        break;
+      }
+    }
+  }
+
+  getRelevantPlayerIds() {
+    return this.it ? [this.it] : [];
+  }
+
+  getState() {
+    return { it: this.it };
+  }
+}
+
+module.exports = TagMode;
@@ -0,0 +1,39 @@
+const TagMode = require('./TagMode');
+const KingOfTheHillMode = require('./KingOfTheHillMode');
+
+/**
+ * Available game modes, keyed by the name used in GAME_MODE and createRoom
+ */
+const MODES = {
+  tag: TagMode,
+  koth: KingOfTheHillMode
+};
+
+const DEFAULT_MODE = 'tag';
+
+/**
+ * Look up a game mode by name
+ * @param {string} name - Mode name
+ * @returns {Function|undefined} Mode class or undefined if unknown
+ */
+function getMode(name) {
+  return Object.hasOwn(MODES, name) ? MODES[name] : undefined;
+}
+
+/**
+ * List the names of all game modes
+ * @returns {string[]} Mode names
+ */
+function listModes() {
+  return Object.keys(MODES);
+}
+
+/**
+ * Names and display names of all game modes, for room creation menus
+ * @returns {Array<{id: string, name: string}>} Mode descriptions
+ */
+function describeModes() {
+  return listModes().map(id => ({ id, name: new MODES[id]().name }));
+}
+
+module.exports = { MODES, DEFAULT_MODE, getMode, listModes, describeModes };
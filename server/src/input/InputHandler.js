@@ -1,15 +1,26 @@
+const { metrics } = require('../monitoring');
+
 /**
  * Input Handler
  * Manages player input validation and processing
+ * Rate limiting happens per socket in AbuseGuard, which queues bursts instead of dropping them.
  */
 class InputHandler {
   constructor() {
     // Valid input keys
-    this.validInputs = ['left', 'right', 'forward', 'backward', 'jump'];
-    
-    // Input rate limiting
-    this.lastInputTime = new Map();
-    this.INPUT_RATE_LIMIT = 16; // Minimum ms between input updates (60 FPS)
+    this.validInputs = ['left', 'right', 'forward', 'backward', 'jump', 'shove'];
+
+    // Analog move vector components, each in [-1, 1]
+    this.analogInputs = ['moveX', 'moveZ'];
+
+    // Angles in radians: camera yaw for camera-relative movement, and look direction
+    this.angleInputs = ['yaw', 'facing'];
+
+    // Accepted inputs per player, inputs rejected as malformed, and queued inputs merged into the
+    // next one because a player's queue overflowed
+    this.inputCounts = new Map();
+    this.rejectedInputs = 0;
+    this.mergedInputs = 0;
   }
 
   /**
@@ -32,24 +43,48 @@ class InputHandler {
       }
     }
 
-    return validatedInput;
-  }
+    // Optional analog move vector; anything outside the unit circle is scaled back onto it
+    for (const key of this.analogInputs) {
+      if (key in inputData) {
+        const value = inputData[key];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return null;
+        }
+        validatedInput[key] = Math.max(-1, Math.min(1, value));
+      }
+    }
+    const length = Math.hypot(validatedInput.moveX || 0, validatedInput.moveZ || 0);
+    if (length > 1) {
+      if ('moveX' in validatedInput) validatedInput.moveX /= length;
+      if ('moveZ' in validatedInput) validatedInput.moveZ /= length;
+    }
 
-  /**
-   * Check if input should be processed based on rate limiting
-   * @param {string} playerId - ID of the player sending input
-   * @returns {boolean} True if input should be processed
-   */
-  shouldProcessInput(playerId) {
-    const now = Date.now();
-    const lastTime = this.lastInputTime.get(playerId) || 0;
-    
-    if (now - lastTime >= this.INPUT_RATE_LIMIT) {
-      this.lastInputTime.set(playerId, now);
-      return true;
+    // Optional angles, wrapped into [-PI, PI]
+    for (const key of this.angleInputs) {
+      if (key in inputData) {
+        const value = inputData[key];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return null;
+        }
+        validatedInput[key] = Math.atan2(Math.sin(value), Math.cos(value));
+      }
     }
-    
-    return false;
+
+    // Optional sequence number used for client-side reconciliation
+    if (Number.isSafeInteger(inputData.seq) && inputData.seq > 0) {
+      validatedInput.seq = inputData.seq;
+    }
+
+    // Optional server time (ms) the client was rendering other entities at, for lag compensation;
+    // how far back it may reach is capped by the game manager
+    if ('renderTime' in inputData) {
+      if (typeof inputData.renderTime !== 'number' || !Number.isFinite(inputData.renderTime) || inputData.renderTime < 0) {
+        return null;
+      }
+      validatedInput.renderTime = inputData.renderTime;
+    }
+
+    return validatedInput;
   }
 
   /**
@@ -57,31 +92,34 @@ class InputHandler {
    * @param {string} playerId - ID of the player
    * @param {Object} inputData - Input data from client
    * @param {Player} player - Player entity to update
-   * @returns {boolean} True if input was processed
+   * @returns {boolean} True if input was processed, false if it was malformed
    */
   processInput(playerId, inputData, player) {
     // Validate input format
     const validInput = this.validateInput(inputData);
     if (!validInput) {
+      this.rejectedInputs++;
+      metrics.inputs.inc({ result: 'rejected' });
       return false;
     }
+    this.inputCounts.set(playerId, (this.inputCounts.get(playerId) || 0) + 1);
+    metrics.inputs.inc({ result: 'accepted' });
 
-    // Check rate limiting
-    if (!this.shouldProcessInput(playerId)) {
-      return false;
+    // Queue for the next simulation tick
+    const merged = player.queueInput(validInput);
+    if (merged > 0) {
+      this.mergedInputs += merged;
+      metrics.inputs.inc({ result: 'merged' }, merged);
     }
-
-    // Update player input
-    player.updateInput(validInput);
     return true;
   }
 
   /**
-   * Clean up rate limiting data for disconnected player
+   * Clean up input counters for a disconnected player
    * @param {string} playerId - ID of the disconnected player
    */
   cleanupPlayer(playerId) {
-    this.lastInputTime.delete(playerId);
+    this.inputCounts.delete(playerId);
   }
 
   /**
@@ -89,9 +127,15 @@ class InputHandler {
    * @returns {Object} Input handler statistics
    */
   getStats() {
+    let processed = 0;
+    for (const count of this.inputCounts.values()) {
+      processed += count;
+    }
     return {
-      activeInputs: this.lastInputTime.size,
-      rateLimit: this.INPUT_RATE_LIMIT
+      activeInputs: this.inputCounts.size,
+      processed,
+      rejected: this.rejectedInputs,
+      merged: this.mergedInputs
     };
   }
 }
@@ -0,0 +1,31 @@
+const Metric = require('./Metric');
+
+/**
+ * Counter
+ * A value that only goes up, e.g. inputs processed or bytes sent; Prometheus derives rates from it.
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'counter';
+  }
+
+  /**
+   * @param {Object} [labels] - Series to increment
+   * @param {number} [amount] - Non-negative amount to add
+   */
+  inc(labels, amount = 1) {
+    if (!(amount >= 0)) return;
+    this.getSeries(labels).value += amount;
+  }
+
+  /**
+   * @param {Object} [labels] - Series to read
+   * @returns {number} Current value
+   */
+  get(labels) {
+    return this.getSeries(labels).value;
+  }
+}
+
+module.exports = Counter;
@@ -0,0 +1,46 @@
+const Metric = require('./Metric');
+
+/**
+ * Gauge
+ * A value that goes up and down, e.g. connected sockets or players in a room.
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'gauge';
+  }
+
+  /**
+   * @param {Object} labels - Series to set
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  /**
+   * @param {Object} [labels] - Series to increment
+   * @param {number} [amount] - Amount to add
+   */
+  inc(labels, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+
+  /**
+   * @param {Object} [labels] - Series to decrement
+   * @param {number} [amount] - Amount to subtract
+   */
+  dec(labels, amount = 1) {
+    this.getSeries(labels).value -= amount;
+  }
+
+  /**
+   * @param {Object} [labels] - Series to read
+   * @returns {number} Current value
+   */
+  get(labels) {
+    return this.getSeries(labels).value;
+  }
+}
+
+module.exports = Gauge;
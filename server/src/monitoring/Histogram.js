@@ -0,0 +1,60 @@
+const Metric = require('./Metric');
+const { formatSample } = Metric;
+
+/**
+ * Histogram
+ * Counts observations into cumulative buckets, e.g. tick durations, so percentiles can be
+ * estimated across servers. Renders the _bucket, _sum and _count samples Prometheus expects.
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric definition
+   * @param {number[]} options.buckets - Upper bounds in ascending order; +Inf is added
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'histogram';
+    this.buckets = [...options.buckets].sort((a, b) => a - b);
+  }
+
+  createSample() {
+    return { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  /**
+   * @param {Object} labels - Series to record into
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    if (!Number.isFinite(value)) return;
+    const series = this.getSeries(labels);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * @param {Object} [labels] - Series to read
+   * @returns {{sum: number, count: number}} Totals of the series
+   */
+  get(labels) {
+    const { sum, count } = this.getSeries(labels);
+    return { sum, count };
+  }
+
+  renderSeries(series) {
+    const lines = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, index) => {
+      cumulative += series.counts[index];
+      lines.push(formatSample(`${this.name}_bucket`, { ...series.labels, le: String(bound) }, cumulative));
+    });
+    lines.push(formatSample(`${this.name}_bucket`, { ...series.labels, le: '+Inf' }, series.count));
+    lines.push(formatSample(`${this.name}_sum`, series.labels, series.sum));
+    lines.push(formatSample(`${this.name}_count`, series.labels, series.count));
+    return lines;
+  }
+}
+
+module.exports = Histogram;
@@ -0,0 +1,106 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+/**
+ * Logger
+ * Structured logging: every entry is one line with a time, level, message and fields. Child
+ * loggers carry context (room, player, socket) that is added to each of their entries, and share
+ * their root's level and format, so configure() on the root applies everywhere.
+ *
+ * Formats:
+ *   json   - one JSON object per line, for log collectors
+ *   pretty - time, level and message followed by key=value fields, for reading in a terminal
+ */
+class Logger {
+  /**
+   * @param {Object} [context] - Fields added to every entry
+   * @param {Object} [settings] - Level and format, shared with child loggers
+   */
+  constructor(context = {}, settings = { level: 'info', format: 'json' }) {
+    this.context = context;
+    this.settings = settings;
+  }
+
+  /**
+   * Change the level and format of this logger and every logger sharing its settings
+   * @param {Object} options - Settings to change
+   * @param {string} [options.level] - Lowest level written: debug, info, warn or error
+   * @param {string} [options.format] - json or pretty
+   * @returns {{error?: string}} Empty on success, or what was invalid
+   */
+  configure(options = {}) {
+    if (options.level !== undefined && !Object.hasOwn(LEVELS, options.level)) {
+      return { error: `Unknown log level "${options.level}" (available: ${Object.keys(LEVELS).join(', ')})` };
+    }
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+      return { error: `Unknown log format "${options.format}" (available: ${FORMATS.join(', ')})` };
+    }
+    if (options.level !== undefined) this.settings.level = options.level;
+    if (options.format !== undefined) this.settings.format = options.format;
+    return {};
+  }
+
+  /**
+   * @param {Object} context - Fields to add to every entry, e.g. { room: 'main' }
+   * @returns {Logger} Logger writing with this logger's context plus the given one
+   */
+  child(context) {
+    return new Logger({ ...this.context, ...context }, this.settings);
+  }
+
+  /**
+   * @param {string} level - Log level
+   * @returns {boolean} True if entries at that level are written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.settings.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Write an entry; warnings and errors go to stderr, the rest to stdout
+   * @param {string} level - Log level
+   * @param {string} message - What happened, without the details in fields
+   * @param {Object} [fields] - Details, e.g. { playerId, error }; time, level and msg are reserved
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.context };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+    }
+
+    const line = this.settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+}
+
+/**
+ * @param {Object} entry - Log entry
+ * @returns {string} e.g. "18:04:05.123 INFO  Player added room=main playerId=abc"
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+}
+
+module.exports = Logger;
@@ -0,0 +1,109 @@
+/**
+ * Metric
+ * Base class for the Prometheus metric types: a named family of series, one per combination of
+ * label values. Subclasses store their sample state per series and render it in the text format.
+ */
+class Metric {
+  /**
+   * @param {Object} options - Metric definition
+   * @param {string} options.name - Metric name, e.g. game_players
+   * @param {string} options.help - One-line description shown in the HELP comment
+   * @param {string[]} [options.labelNames] - Label names every series carries
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label-values key -> { labels, ...sample state }
+    this.type = 'untyped';
+  }
+
+  /**
+   * Get the series for a set of labels, creating it on first use
+   * @param {Object} labels - Value for every label name
+   * @returns {Object} The series
+   */
+  getSeries(labels = {}) {
+    const key = this.labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')])), ...this.createSample() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * @returns {Object} Initial sample state of a new series
+   */
+  createSample() {
+    return { value: 0 };
+  }
+
+  /**
+   * Drop every series whose labels include the given ones, e.g. all series of a closed room
+   * @param {Object} labels - Label values to match
+   */
+  removeSeries(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.every(([name]) => this.labelNames.includes(name))) return;
+    for (const [key, series] of this.series) {
+      if (entries.every(([name, value]) => series.labels[name] === String(value))) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drop every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * @returns {string[]} HELP and TYPE comments followed by one line per sample
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines;
+  }
+
+  /**
+   * @param {Object} series - Series to render
+   * @returns {string[]} Sample lines
+   */
+  renderSeries(series) {
+    return [formatSample(this.name, series.labels, series.value)];
+  }
+}
+
+/**
+ * @param {string} name - Sample name
+ * @param {Object} labels - Label values
+ * @param {number} value - Sample value
+ * @returns {string} e.g. game_players{room="main"} 3
+ */
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels)
+    .map(([label, labelValue]) => `${label}="${labelValue.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  const labelText = pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  return `${name}${labelText} ${formatValue(value)}`;
+}
+
+/**
+ * @param {number} value - Sample value
+ * @returns {string} The value, with infinities spelled the way Prometheus expects
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+module.exports = Metric;
+module.exports.formatSample = formatSample;
+module.exports.formatValue = formatValue;
@@ -0,0 +1,99 @@
+const Counter = require('./Counter');
+const Gauge = require('./Gauge');
+const Histogram = require('./Histogram');
+
+/**
+ * Metrics Registry
+ * Holds every metric the server exports and renders them in the Prometheus text exposition
+ * format. Gauges that mirror state held elsewhere (sockets, rooms) are refreshed by collectors,
+ * which run right before each render instead of on every change.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // name -> Metric
+    this.collectors = [];
+  }
+
+  /**
+   * @param {Object} options - Counter definition: name, help, labelNames
+   * @returns {Counter} The registered counter
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * @param {Object} options - Gauge definition: name, help, labelNames
+   * @returns {Gauge} The registered gauge
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * @param {Object} options - Histogram definition: name, help, labelNames, buckets
+   * @returns {Histogram} The registered histogram
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * @param {Metric} metric - Metric to export
+   * @returns {Metric} The same metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {Metric|undefined} The registered metric
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Run a function before every render, to refresh gauges from their source
+   * @param {Function} collector - Called with no arguments
+   * @returns {Function} Removes the collector again
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+    return () => {
+      this.collectors = this.collectors.filter(other => other !== collector);
+    };
+  }
+
+  /**
+   * Drop the series matching some labels from every metric that has them, e.g. { room: 'arena' }
+   * once that room is closed, so it stops being exported
+   * @param {Object} labels - Label values to match
+   */
+  removeSeries(labels) {
+    for (const metric of this.metrics.values()) {
+      metric.removeSeries(labels);
+    }
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format (version 0.0.4)
+   */
+  render() {
+    for (const collector of this.collectors) {
+      collector();
+    }
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = MetricsRegistry;
@@ -0,0 +1,96 @@
+const Logger = require('./Logger');
+const MetricsRegistry = require('./MetricsRegistry');
+
+/**
+ * Root logger; modules derive child loggers with their context, e.g. logger.child({ room })
+ */
+const logger = new Logger();
+
+/**
+ * Registry behind the /metrics endpoint
+ */
+const registry = new MetricsRegistry();
+
+// Tick budget is 16.7 ms at 60 Hz, so the buckets are dense below it
+const TICK_BUCKETS = [0.0005, 0.001, 0.002, 0.004, 0.008, 0.012, 0.0167, 0.025, 0.05, 0.1];
+const SNAPSHOT_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144];
+const PING_BUCKETS = [0.01, 0.025, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5, 1];
+const ENTITY_BUCKETS = [1, 2, 4, 8, 16, 32, 64, 128, 256];
+
+/**
+ * Metrics the server exports; instrumented code records into these directly
+ */
+const metrics = {
+  connectedSockets: registry.gauge({
+    name: 'game_connected_sockets',
+    help: 'Open Socket.io connections, players and spectators'
+  }),
+  rooms: registry.gauge({
+    name: 'game_rooms',
+    help: 'Open game rooms'
+  }),
+  players: registry.gauge({
+    name: 'game_players',
+    help: 'Human players in a room, including ones waiting out the reconnect grace period',
+    labelNames: ['room']
+  }),
+  spectators: registry.gauge({
+    name: 'game_spectators',
+    help: 'Spectators watching a room',
+    labelNames: ['room']
+  }),
+  tickDuration: registry.histogram({
+    name: 'game_tick_duration_seconds',
+    help: 'Time spent simulating one game tick, including the snapshot broadcast it triggers',
+    labelNames: ['room'],
+    buckets: TICK_BUCKETS
+  }),
+  physicsStep: registry.histogram({
+    name: 'game_physics_step_seconds',
+    help: 'Time spent stepping the physics world for one tick',
+    labelNames: ['room'],
+    buckets: TICK_BUCKETS
+  }),
+  broadcastBytes: registry.histogram({
+    name: 'game_snapshot_broadcast_bytes',
+    help: 'Snapshot bytes sent to all clients of a room by one broadcast',
+    labelNames: ['room'],
+    buckets: SNAPSHOT_BUCKETS
+  }),
+  snapshotBytes: registry.counter({
+    name: 'game_snapshot_bytes_total',
+    help: 'Snapshot bytes sent to clients',
+    labelNames: ['room']
+  }),
+  relevantEntities: registry.histogram({
+    name: 'game_relevant_entities',
+    help: 'Entities in one client\'s snapshot after interest management',
+    labelNames: ['room'],
+    buckets: ENTITY_BUCKETS
+  }),
+  inputs: registry.counter({
+    name: 'game_inputs_total',
+    help: 'Player inputs by outcome: accepted, rejected as malformed, merged into the next in a full queue, or dropped by the rate limiter',
+    labelNames: ['result']
+  }),
+  clientPing: registry.histogram({
+    name: 'game_client_ping_seconds',
+    help: 'Round-trip time measured by the server pong acknowledgement',
+    buckets: PING_BUCKETS
+  }),
+  residentMemory: registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size of the server process'
+  }),
+  uptime: registry.gauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the server process started'
+  })
+};
+
+registry.addCollector(() => {
+  metrics.residentMemory.set({}, process.memoryUsage.rss());
+  metrics.uptime.set({}, Math.round(process.uptime()));
+});
+
+module.exports = { Logger, MetricsRegistry, logger, registry, metrics };
@@ -0,0 +1,495 @@
+const { logger, metrics } = require('../monitoring');
+
+const log = logger.child({ component: 'abuse' });
+
+/**
+ * Abuse Guard
+ * Per-socket protection for Socket.io events:
+ * - token-bucket rate limits per event type; state-changing events (input, room changes) are
+ *   queued until tokens are available instead of dropped, so a burst never loses a key release
+ * - maximum payload size per event type
+ * - maximum simultaneous connections per IP address, read from Fly-Client-IP or a fixed number of
+ *   hops into X-Forwarded-For when trustProxy is set
+ * - anomaly counters (floods, oversized and malformed payloads) feeding a decaying score;
+ *   crossing the threshold kicks the socket, and repeated kicks ban its IP for a while
+ */
+
+// rate: tokens per second, burst: bucket size, queue: events held back when the bucket is empty
+// (0 drops them), maxBytes: largest accepted JSON payload
+const DEFAULT_LIMITS = {
+  playerInput: { rate: 90, burst: 20, queue: 20, maxBytes: 512 }, // clients send one per 60 Hz tick
+  snapshotAck: { rate: 90, burst: 30, queue: 0, maxBytes: 64 },
+  ping: { rate: 5, burst: 10, queue: 0, maxBytes: 64 },
+  chatMessage: { rate: 2, burst: 8, queue: 0, maxBytes: 1024 },
+  setPhysicsDebug: { rate: 2, burst: 5, queue: 2, maxBytes: 64 },
+  listRooms: { rate: 2, burst: 5, queue: 0, maxBytes: 64 },
+  createRoom: { rate: 0.5, burst: 3, queue: 0, maxBytes: 512 },
+  joinRoom: { rate: 1, burst: 5, queue: 2, maxBytes: 256 },
+  setSpectating: { rate: 1, burst: 5, queue: 2, maxBytes: 64 },
+  leaveRoom: { rate: 1, burst: 5, queue: 2, maxBytes: 64 },
+  setMovementConfig: { rate: 1, burst: 5, queue: 0, maxBytes: 4096 },
+  adminCommand: { rate: 5, burst: 10, queue: 0, maxBytes: 1024 },
+  default: { rate: 5, burst: 10, queue: 0, maxBytes: 1024 }
+};
+
+// How much each anomaly adds to a socket's score
+const ANOMALY_WEIGHTS = {
+  flood: 1, // event dropped because its bucket and queue were full
+  oversized: 5, // payload over the event's maxBytes
+  malformed: 2 // payload that failed validation
+};
+
+class AbuseGuard {
+  /**
+   * @param {Object} [options] - Guard options
+   * @param {Object} [options.limits] - Per-event limit overrides, merged over DEFAULT_LIMITS
+   * @param {number} [options.maxConnectionsPerIp] - Simultaneous sockets allowed per address
+   * @param {string|number} [options.trustProxy] - Take client addresses from proxy headers: 'fly'
+   *   reads Fly-Client-IP, a number skips that many proxies from the right of X-Forwarded-For
+   * @param {number} [options.kickScore] - Anomaly score that gets a socket kicked
+   * @param {number} [options.scoreHalfLife] - Ms for an anomaly score to halve
+   * @param {number} [options.strikesToBan] - Kicks within strikeWindow that ban the address
+   * @param {number} [options.strikeWindow] - Ms a kick counts toward a ban
+   * @param {number} [options.banDuration] - Ms an address stays banned
+   */
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_LIMITS };
+    for (const [event, limit] of Object.entries(options.limits || {})) {
+      this.limits[event] = { ...(DEFAULT_LIMITS[event] || DEFAULT_LIMITS.default), ...limit };
+    }
+    this.MAX_CONNECTIONS_PER_IP = options.maxConnectionsPerIp ?? 8;
+    const { trustFly, trustedProxies } = AbuseGuard.parseTrustProxy(options.trustProxy);
+    this.TRUST_FLY = trustFly;
+    this.TRUSTED_PROXIES = trustedProxies;
+    this.KICK_SCORE = options.kickScore ?? 20;
+    this.SCORE_HALF_LIFE = options.scoreHalfLife ?? 10000;
+    this.STRIKES_TO_BAN = options.strikesToBan ?? 3;
+    this.STRIKE_WINDOW = options.strikeWindow ?? 10 * 60 * 1000;
+    this.BAN_DURATION = options.banDuration ?? 10 * 60 * 1000;
+    this.MAX_LOG_ENTRIES = 50;
+
+    this.sockets = new Map(); // socket.id -> per-socket state
+    this.connectionsByIp = new Map(); // ip -> open socket count
+    this.strikes = new Map(); // ip -> timestamps of recent kicks
+    this.bans = new Map(); // ip -> { reason, until }
+    this.kickLog = []; // most recent kicks, newest last
+    this.totals = {
+      anomalies: { flood: 0, oversized: 0, malformed: 0 },
+      queued: 0,
+      kicks: 0,
+      bans: 0,
+      rejectedConnections: { connectionLimit: 0, banned: 0 }
+    };
+  }
+
+  /**
+   * Read the trustProxy option. Only an explicit platform or a proxy count is trusted: anything
+   * else, true included, would let clients pick their own address, so it is ignored with a warning.
+   * @param {string|number|boolean} [value] - 'fly', a proxy count, or off (undefined, '', false, 0)
+   * @returns {{trustFly: boolean, trustedProxies: number}} Parsed setting
+   */
+  static parseTrustProxy(value) {
+    if (value === 'fly') {
+      return { trustFly: true, trustedProxies: 0 };
+    }
+    if (value === undefined || value === null || value === '' || value === false) {
+      return { trustFly: false, trustedProxies: 0 };
+    }
+    const count = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    if (Number.isInteger(count) && count >= 0) {
+      return { trustFly: false, trustedProxies: count };
+    }
+    log.warn('Ignoring trustProxy; use \'fly\' or the number of proxies in front of the server', { trustProxy: value });
+    return { trustFly: false, trustedProxies: 0 };
+  }
+
+  /**
+   * Largest frame worth parsing; used as Socket.io's maxHttpBufferSize so bigger frames are
+   * refused outright. Leaves headroom over the largest maxBytes for packet framing.
+   * @returns {number} Bytes
+   */
+  getMaxPayloadBytes() {
+    return Math.max(...Object.values(this.limits).map(limit => limit.maxBytes)) * 4;
+  }
+
+  /**
+   * Get the client address of a socket
+   * Behind a platform proxy (Fly, Render, Heroku) every socket arrives from the proxy's address,
+   * so with trustProxy the address the proxy reports is used instead. Fly-Client-IP is only read
+   * on Fly, whose proxy overwrites it. X-Forwarded-For is read from the right, skipping exactly
+   * the trusted proxies; entries left of those could be forged by the client.
+   * @param {Socket} socket - Socket.io socket
+   * @returns {string} IP address
+   */
+  getAddress(socket) {
+    const { address, headers = {} } = socket.handshake;
+    const direct = address || 'unknown';
+    if (this.TRUST_FLY) {
+      const flyClientIp = typeof headers['fly-client-ip'] === 'string' ? headers['fly-client-ip'].trim() : '';
+      return flyClientIp || direct;
+    }
+    if (this.TRUSTED_PROXIES === 0) {
+      return direct;
+    }
+
+    const forwarded = typeof headers['x-forwarded-for'] === 'string'
+      ? headers['x-forwarded-for'].split(',').map(hop => hop.trim()).filter(Boolean)
+      : [];
+    const hops = [...forwarded, direct];
+    return hops[Math.max(0, hops.length - 1 - this.TRUSTED_PROXIES)];
+  }
+
+  /**
+   * Get the address a tracked socket was counted and is banned under, which is the
+   * proxy-aware address it connected with
+   * @param {Socket} socket - Socket.io socket
+   * @returns {string} IP address
+   */
+  getClientAddress(socket) {
+    const state = this.sockets.get(socket.id);
+    return state ? state.ip : this.getAddress(socket);
+  }
+
+  /**
+   * Socket.io connection middleware: refuses banned addresses and addresses over the connection
+   * cap, and installs the per-event limits on sockets that get in
+   * @param {Socket} socket - Connecting socket
+   * @param {Function} next - Middleware continuation
+   */
+  middleware(socket, next) {
+    const ip = this.getAddress(socket);
+
+    const ban = this.getBan(ip);
+    if (ban) {
+      this.totals.rejectedConnections.banned++;
+      const minutes = Math.ceil((ban.until - Date.now()) / 60000);
+      next(new Error(`Banned for ${minutes} more minute${minutes === 1 ? '' : 's'}: ${ban.reason}`));
+      return;
+    }
+
+    const connections = this.connectionsByIp.get(ip) || 0;
+    if (connections >= this.MAX_CONNECTIONS_PER_IP) {
+      this.totals.rejectedConnections.connectionLimit++;
+      next(new Error(`Too many connections from your address (max ${this.MAX_CONNECTIONS_PER_IP})`));
+      return;
+    }
+
+    this.attach(socket, ip);
+    next();
+  }
+
+  /**
+   * Start tracking a socket and limiting its events
+   * @param {Socket} socket - Socket.io socket
+   * @param {string} ip - Client address
+   */
+  attach(socket, ip) {
+    this.connectionsByIp.set(ip, (this.connectionsByIp.get(ip) || 0) + 1);
+    this.sockets.set(socket.id, {
+      socket,
+      ip,
+      buckets: new Map(), // event -> { tokens, updatedAt, queue, timer }
+      score: 0,
+      scoreUpdatedAt: Date.now(),
+      anomalies: { flood: 0, oversized: 0, malformed: 0 },
+      kicked: false
+    });
+
+    socket.use((packet, next) => this.handlePacket(socket, packet, next));
+    socket.on('disconnect', () => this.detach(socket));
+  }
+
+  /**
+   * Stop tracking a socket and drop its queued events
+   * @param {Socket} socket - Socket.io socket
+   */
+  detach(socket) {
+    const state = this.sockets.get(socket.id);
+    if (!state) return;
+
+    for (const [event, bucket] of state.buckets) {
+      clearTimeout(bucket.timer);
+      this.countDropped(event, bucket.queue.length);
+    }
+    this.sockets.delete(socket.id);
+
+    const remaining = (this.connectionsByIp.get(state.ip) || 1) - 1;
+    if (remaining > 0) {
+      this.connectionsByIp.set(state.ip, remaining);
+    } else {
+      this.connectionsByIp.delete(state.ip);
+    }
+  }
+
+  /**
+   * Per-packet middleware: payload size check, then the event's token bucket
+   * @param {Socket} socket - Socket.io socket
+   * @param {Array} packet - [event, ...args]
+   * @param {Function} next - Passes the event on to its handler
+   */
+  handlePacket(socket, packet, next) {
+    const state = this.sockets.get(socket.id);
+    const [event, ...args] = packet;
+    if (!state || state.kicked) {
+      this.countDropped(event);
+      return;
+    }
+
+    const limit = this.limits[event] || this.limits.default;
+    const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+
+    // Acks serialize as null, so they don't count toward the size
+    if (this.getPayloadSize(args) > limit.maxBytes) {
+      if (ack) ack({ error: 'Payload too large' });
+      this.countDropped(event);
+      this.recordAnomaly(socket, 'oversized', `${event} over ${limit.maxBytes} bytes`);
+      return;
+    }
+
+    const bucket = this.getBucket(state, event, limit);
+    if (bucket.queue.length === 0 && bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      next();
+      return;
+    }
+
+    if (bucket.queue.length < limit.queue) {
+      bucket.queue.push(next);
+      this.totals.queued++;
+      this.scheduleDrain(bucket, limit);
+      return;
+    }
+
+    if (ack) ack({ error: 'Rate limited' });
+    this.countDropped(event);
+    this.recordAnomaly(socket, 'flood', `${event} over ${limit.rate}/s`);
+  }
+
+  /**
+   * Count player inputs thrown away before reaching the InputHandler in the inputs metric,
+   * next to the ones it accepts, rejects and merges
+   * @param {string} event - Event name
+   * @param {number} [count] - Events dropped
+   */
+  countDropped(event, count = 1) {
+    if (event === 'playerInput' && count > 0) {
+      metrics.inputs.inc({ result: 'dropped' }, count);
+    }
+  }
+
+  /**
+   * Measure an event's arguments as JSON
+   * @param {Array} args - Event arguments
+   * @returns {number} Size in bytes, or Infinity if they can't be serialized
+   */
+  getPayloadSize(args) {
+    try {
+      return Buffer.byteLength(JSON.stringify(args) || '');
+    } catch {
+      return Infinity;
+    }
+  }
+
+  /**
+   * Get a socket's bucket for an event, refilled up to now
+   * @param {Object} state - Per-socket state
+   * @param {string} event - Event name
+   * @param {Object} limit - The event's limits
+   * @returns {Object} Bucket
+   */
+  getBucket(state, event, limit) {
+    const now = Date.now();
+    let bucket = state.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now, queue: [], timer: null };
+      state.buckets.set(event, bucket);
+      return bucket;
+    }
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Release queued events as their bucket refills
+   * @param {Object} bucket - Bucket with queued events
+   * @param {Object} limit - The event's limits
+   */
+  scheduleDrain(bucket, limit) {
+    if (bucket.timer) return;
+    const wait = Math.max(0, (1 - bucket.tokens) / limit.rate * 1000);
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      const now = Date.now();
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+      bucket.updatedAt = now;
+      while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.queue.shift()();
+      }
+      if (bucket.queue.length > 0) {
+        this.scheduleDrain(bucket, limit);
+      }
+    }, wait);
+  }
+
+  /**
+   * Count suspicious behaviour; kicks the socket once its score crosses the threshold
+   * @param {Socket} socket - Offending socket
+   * @param {string} type - 'flood', 'oversized' or 'malformed'
+   * @param {string} detail - What happened, used as the kick reason
+   */
+  recordAnomaly(socket, type, detail) {
+    const state = this.sockets.get(socket.id);
+    if (!state || state.kicked) return;
+
+    const now = Date.now();
+    state.score *= Math.pow(0.5, (now - state.scoreUpdatedAt) / this.SCORE_HALF_LIFE);
+    state.scoreUpdatedAt = now;
+    state.score += ANOMALY_WEIGHTS[type] ?? 1;
+    state.anomalies[type] = (state.anomalies[type] || 0) + 1;
+    this.totals.anomalies[type] = (this.totals.anomalies[type] || 0) + 1;
+
+    if (state.score >= this.KICK_SCORE) {
+      this.kick(socket, `Too many ${type} events (${detail})`);
+    }
+  }
+
+  /**
+   * Disconnect a socket, telling it why; repeated kicks ban its address
+   * Kicked sockets are flagged in socket.data.kicked so their player isn't kept for a reconnect.
+   * @param {Socket} socket - Socket to kick
+   * @param {string} reason - Reason shown to the client and in stats
+   * @param {Object} [options] - Kick options
+   * @param {boolean} [options.strike] - Count the kick toward an automatic ban (default true)
+   */
+  kick(socket, reason, { strike = true } = {}) {
+    const state = this.sockets.get(socket.id);
+    const ip = this.getClientAddress(socket);
+    if (state) {
+      if (state.kicked) return;
+      state.kicked = true;
+    }
+
+    const now = Date.now();
+    this.totals.kicks++;
+    this.log({ at: now, ip, playerId: socket.data.playerId, reason });
+    log.warn('Kicked client', { playerId: socket.data.playerId, socketId: socket.id, ip, reason });
+
+    if (strike) {
+      const strikes = (this.strikes.get(ip) || []).filter(time => now - time < this.STRIKE_WINDOW);
+      strikes.push(now);
+      this.strikes.set(ip, strikes);
+      if (strikes.length >= this.STRIKES_TO_BAN) {
+        this.ban(ip, `Kicked ${strikes.length} times: ${reason}`);
+      }
+    }
+
+    socket.data.kicked = true;
+    socket.emit('kicked', { reason });
+    socket.disconnect(true);
+  }
+
+  /**
+   * Refuse new connections from an address and disconnect its open sockets
+   * @param {string} ip - Address to ban
+   * @param {string} reason - Reason shown to the client and in stats
+   * @param {number} [duration] - Ban length in ms
+   */
+  ban(ip, reason, duration = this.BAN_DURATION) {
+    this.bans.set(ip, { reason, until: Date.now() + duration });
+    this.strikes.delete(ip);
+    this.totals.bans++;
+    log.warn('Banned address', { ip, durationMs: duration, reason });
+
+    for (const state of this.sockets.values()) {
+      if (state.ip === ip && !state.kicked) {
+        state.kicked = true;
+        state.socket.data.kicked = true;
+        state.socket.emit('kicked', { reason: `Banned: ${reason}` });
+        state.socket.disconnect(true);
+      }
+    }
+  }
+
+  /**
+   * Lift a ban early
+   * @param {string} ip - Banned address
+   * @returns {boolean} True if the address was banned
+   */
+  unban(ip) {
+    return this.bans.delete(ip);
+  }
+
+  /**
+   * Look up an active ban, forgetting expired ones
+   * @param {string} ip - Address
+   * @returns {{reason: string, until: number}|undefined} The ban, if any
+   */
+  getBan(ip) {
+    const ban = this.bans.get(ip);
+    if (ban && ban.until <= Date.now()) {
+      this.bans.delete(ip);
+      return undefined;
+    }
+    return ban;
+  }
+
+  /**
+   * Append to the kick log, keeping the most recent entries
+   * @param {Object} entry - Kick record
+   */
+  log(entry) {
+    this.kickLog.push(entry);
+    if (this.kickLog.length > this.MAX_LOG_ENTRIES) {
+      this.kickLog.shift();
+    }
+  }
+
+  /**
+   * Get guard statistics
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeAddresses] - Include client IP addresses (admins only)
+   * @returns {Object} Counters, recent kicks and active bans
+   */
+  getStats({ includeAddresses = false } = {}) {
+    const address = (ip) => (includeAddresses ? { ip } : {});
+    const now = Date.now();
+    const bans = [];
+    for (const [ip, ban] of this.bans) {
+      if (ban.until > now) {
+        bans.push({ ...address(ip), reason: ban.reason, expiresAt: ban.until });
+      }
+    }
+
+    return {
+      connections: this.sockets.size,
+      addresses: this.connectionsByIp.size,
+      maxConnectionsPerIp: this.MAX_CONNECTIONS_PER_IP,
+      trustedProxies: this.TRUST_FLY ? 'fly' : this.TRUSTED_PROXIES,
+      kickScore: this.KICK_SCORE,
+      ...this.totals,
+      anomalies: { ...this.totals.anomalies },
+      rejectedConnections: { ...this.totals.rejectedConnections },
+      recentKicks: this.kickLog.map(({ ip, ...kick }) => ({ ...address(ip), ...kick })),
+      activeBans: bans,
+      limits: this.limits
+    };
+  }
+
+  /**
+   * Cancel every pending queue drain
+   */
+  shutdown() {
+    for (const state of this.sockets.values()) {
+      for (const bucket of state.buckets.values()) {
+        clearTimeout(bucket.timer);
+      }
+    }
+    this.sockets.clear();
+  }
+}
+
+AbuseGuard.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = AbuseGuard;
@@ -0,0 +1,166 @@
+/**
+ * Snapshot Decoder
+ * Decodes the binary delta snapshots produced by SnapshotEncoder, for clients that run in Node
+ * (headless bots). Mirrors client/src/network/SnapshotDecoder.ts: decoded snapshots are kept by
+ * sequence number so later deltas can be applied to them.
+ */
+class SnapshotDecoder {
+  /**
+   * @param {Object} schema - Snapshot schema from the server's gameState, see snapshotSchema.getSchema()
+   * @param {number} [historySize] - Decoded snapshots kept as possible delta baselines
+   */
+  constructor(schema, historySize = 64) {
+    this.schema = schema;
+    this.historySize = historySize;
+    this.history = new Map();
+  }
+
+  /**
+   * Decode a snapshot
+   * @param {Buffer|ArrayBuffer} data - Snapshot as received from gameUpdate
+   * @returns {Object|null} { seq, timestamp, tick, entities: { [type]: Object[] } }, or null if the
+   *   snapshot can't be decoded (unknown baseline or version)
+   */
+  decode(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    const version = view.getUint8(offset); offset += 1;
+    if (version !== this.schema.version) {
+      return null;
+    }
+    const seq = view.getUint32(offset, true); offset += 4;
+    const baselineSeq = view.getUint32(offset, true); offset += 4;
+    const timestamp = view.getFloat64(offset, true); offset += 8;
+    const tick = view.getUint32(offset, true); offset += 4;
+
+    let entities;
+    if (baselineSeq === 0) {
+      entities = new Map();
+    } else {
+      const baseline = this.history.get(baselineSeq);
+      if (!baseline) {
+        return null;
+      }
+      entities = new Map(baseline.entities);
+    }
+
+    const removedCount = view.getUint16(offset, true); offset += 2;
+    for (let i = 0; i < removedCount; i++) {
+      entities.delete(view.getUint16(offset, true));
+      offset += 2;
+    }
+
+    const readField = (field) => {
+      switch (field.type) {
+        case 'q16': { const v = view.getInt16(offset, true); offset += 2; return v; }
+        case 'u8':
+        case 'bool': { const v = view.getUint8(offset); offset += 1; return v; }
+        case 'u16': { const v = view.getUint16(offset, true); offset += 2; return v; }
+        case 'u32': { const v = view.getUint32(offset, true); offset += 4; return v; }
+        case 'str':
+        case 'json': {
+          const length = view.getUint8(offset); offset += 1;
+          const v = Buffer.from(bytes.buffer, bytes.byteOffset + offset, length).toString('utf8');
+          offset += length;
+          return v;
+        }
+      }
+    };
+
+    const entityCount = view.getUint16(offset, true); offset += 2;
+    for (let i = 0; i < entityCount; i++) {
+      const netId = view.getUint16(offset, true); offset += 2;
+      const flags = view.getUint8(offset); offset += 1;
+
+      if (flags & 1) {
+        const typeIndex = view.getUint8(offset); offset += 1;
+        const fields = this.schema.types[typeIndex].fields;
+        entities.set(netId, { typeIndex, values: fields.map(readField) });
+        continue;
+      }
+
+      const previous = entities.get(netId);
+      if (!previous) {
+        return null;
+      }
+      const fields = this.schema.types[previous.typeIndex].fields;
+      const maskBytes = Math.ceil(fields.length / 8);
+      const mask = bytes.subarray(offset, offset + maskBytes);
+      offset += maskBytes;
+
+      const values = [...previous.values];
+      fields.forEach((field, index) => {
+        if (mask[index >> 3] & (1 << (index & 7))) {
+          values[index] = readField(field);
+        }
+      });
+      entities.set(netId, { typeIndex: previous.typeIndex, values });
+    }
+
+    this.history.set(seq, { seq, timestamp, tick, entities });
+    if (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    return { seq, timestamp, tick, entities: this.toObjects(entities) };
+  }
+
+  /**
+   * Convert quantized records back into plain entity objects
+   * @param {Map} entities - Records keyed by network ID
+   * @returns {Object} Entity objects grouped by schema type name (e.g. 'player')
+   */
+  toObjects(entities) {
+    const result = {};
+    for (const type of this.schema.types) {
+      result[type.name] = [];
+    }
+
+    for (const { typeIndex, values } of entities.values()) {
+      const type = this.schema.types[typeIndex];
+      const entity = {};
+      type.fields.forEach((field, index) => {
+        writePath(entity, field.name, dequantize(field, values[index]));
+      });
+      result[type.name].push(entity);
+    }
+    return result;
+  }
+
+  reset() {
+    this.history.clear();
+  }
+}
+
+function dequantize(field, value) {
+  switch (field.type) {
+    case 'q16': return value / (field.scale || 1);
+    case 'bool': return value === 1;
+    case 'json': return parseJson(value);
+    default: return value;
+  }
+}
+
+// Empty or truncated (over 255 bytes) JSON decodes to null
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function writePath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (let i = 0; i < keys.length - 1; i++) {
+    node[keys[i]] ??= {};
+    node = node[keys[i]];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+module.exports = SnapshotDecoder;
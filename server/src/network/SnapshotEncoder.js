@@ -0,0 +1,240 @@
+const { SNAPSHOT_FORMAT_VERSION, ENTITY_TYPES, quantize, getTypeIndex } = require('./snapshotSchema');
+
+/**
+ * Growable little-endian binary writer
+ */
+class BinaryWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = Buffer.allocUnsafe(initialSize);
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.length) return;
+    const next = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + bytes));
+    this.buffer.copy(next, 0, 0, this.offset);
+    this.buffer = next;
+  }
+
+  u8(value) { this.ensure(1); this.buffer.writeUInt8(value, this.offset); this.offset += 1; }
+  u16(value) { this.ensure(2); this.buffer.writeUInt16LE(value, this.offset); this.offset += 2; }
+  i16(value) { this.ensure(2); this.buffer.writeInt16LE(value, this.offset); this.offset += 2; }
+  u32(value) { this.ensure(4); this.buffer.writeUInt32LE(value, this.offset); this.offset += 4; }
+  f64(value) { this.ensure(8); this.buffer.writeDoubleLE(value, this.offset); this.offset += 8; }
+
+  str(value) {
+    let bytes = Buffer.from(value, 'utf8');
+    if (bytes.length > 255) bytes = bytes.subarray(0, 255);
+    this.u8(bytes.length);
+    this.ensure(bytes.length);
+    bytes.copy(this.buffer, this.offset);
+    this.offset += bytes.length;
+  }
+
+  /**
+   * Copy of the written bytes
+   * @returns {Buffer} Encoded data
+   */
+  finish() {
+    return Buffer.from(this.buffer.subarray(0, this.offset));
+  }
+}
+
+/**
+ * Snapshot Encoder
+ * Builds quantized snapshots of networked entities, keeps a short history of them, and encodes
+ * each one as a compact binary delta against whichever earlier snapshot a client acknowledged.
+ *
+ * Wire format (little endian):
+ *   u8 version, u32 seq, u32 baselineSeq (0 = full snapshot), f64 timestamp, u32 tick,
+ *   u16 removedCount, removedCount x u16 netId,
+ *   u16 entityCount, entityCount x record
+ * Record:
+ *   u16 netId, u8 flags (bit 0 = full), then
+ *   full:  u8 typeIndex and every field
+ *   delta: field bitmask (ceil(fields / 8) bytes) and the changed fields
+ * Entities unchanged since the baseline are omitted entirely.
+ *
+ * With interest management a client is only sent some of a snapshot's entities (its view). Deltas
+ * are then taken against the view it was sent with the baseline: entities that dropped out of the
+ * view are listed as removed, and entities that came into it are sent in full.
+ */
+class SnapshotEncoder {
+  constructor(historySize = 64) {
+    this.HISTORY_SIZE = historySize;
+    this.history = new Map(); // seq -> snapshot
+    this.seq = 0;
+
+    // Entity IDs (e.g. socket IDs) are mapped to small integers for the wire
+    this.netIds = new Map();
+    this.nextNetId = 1;
+  }
+
+  /**
+   * Get or assign the network ID for an entity
+   * @param {string} entityId - Entity ID
+   * @returns {number} 16-bit network ID
+   */
+  getNetId(entityId) {
+    let netId = this.netIds.get(entityId);
+    if (netId === undefined) {
+      const inUse = new Set(this.netIds.values());
+      do {
+        netId = this.nextNetId;
+        this.nextNetId = this.nextNetId >= 0xffff ? 1 : this.nextNetId + 1;
+      } while (inUse.has(netId));
+      this.netIds.set(entityId, netId);
+    }
+    return netId;
+  }
+
+  /**
+   * Capture a new snapshot and add it to the history
+   * @param {Array<{type: string, state: Object}>} entities - Entities to include
+   * @param {number} timestamp - Server timestamp of the snapshot
+   * @param {number} tick - Simulation tick the snapshot was taken on
+   * @returns {Object} The stored snapshot
+   */
+  createSnapshot(entities, timestamp, tick = 0) {
+    this.seq = this.seq >= 0xffffffff ? 1 : this.seq + 1;
+
+    const snapshotEntities = new Map();
+    const liveIds = new Set();
+    for (const { type, state } of entities) {
+      const typeIndex = getTypeIndex(type);
+      const netId = this.getNetId(state.id);
+      liveIds.add(state.id);
+      snapshotEntities.set(netId, {
+        typeIndex,
+        values: quantize(state, ENTITY_TYPES[typeIndex].fields)
+      });
+    }
+
+    // Forget network IDs of entities that are gone
+    for (const entityId of this.netIds.keys()) {
+      if (!liveIds.has(entityId)) {
+        this.netIds.delete(entityId);
+      }
+    }
+
+    const snapshot = { seq: this.seq, timestamp, tick, entities: snapshotEntities };
+    this.history.set(snapshot.seq, snapshot);
+    if (this.history.size > this.HISTORY_SIZE) {
+      this.history.delete(this.history.keys().next().value);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Check whether a snapshot is still available as a delta baseline
+   * @param {number} seq - Snapshot sequence number
+   * @returns {boolean} True if the snapshot is in the history
+   */
+  hasSnapshot(seq) {
+    return this.history.has(seq);
+  }
+
+  /**
+   * Encode a snapshot, as a delta if the baseline is still in the history
+   * @param {Object} snapshot - Snapshot from createSnapshot()
+   * @param {number} baselineSeq - Last snapshot the client acknowledged (0 for none)
+   * @param {Set<number>|null} [view] - Network IDs of the entities to send, null for all of them
+   * @param {Set<number>|null} [baselineView] - Network IDs the client was sent with the baseline,
+   *   null for all of them
+   * @returns {Buffer} Encoded snapshot
+   */
+  encode(snapshot, baselineSeq = 0, view = null, baselineView = null) {
+    const baseline = baselineSeq && baselineSeq !== snapshot.seq ? this.history.get(baselineSeq) : undefined;
+    const inView = (netId) => !view || view.has(netId);
+    const hadInBaseline = (netId) => Boolean(baseline) && baseline.entities.has(netId) && (!baselineView || baselineView.has(netId));
+    const writer = new BinaryWriter();
+
+    writer.u8(SNAPSHOT_FORMAT_VERSION);
+    writer.u32(snapshot.seq);
+    writer.u32(baseline ? baseline.seq : 0);
+    writer.f64(snapshot.timestamp);
+    writer.u32(snapshot.tick);
+
+    // Entities that disappeared, or left the client's view, since the baseline
+    const removed = baseline
+      ? Array.from(baseline.entities.keys()).filter(netId =>
+        hadInBaseline(netId) && !(snapshot.entities.has(netId) && inView(netId)))
+      : [];
+    writer.u16(removed.length);
+    for (const netId of removed) {
+      writer.u16(netId);
+    }
+
+    // Reserve the entity count and fill it in once we know how many records changed
+    const countOffset = writer.offset;
+    writer.u16(0);
+    let count = 0;
+
+    for (const [netId, entity] of snapshot.entities) {
+      if (!inView(netId)) continue;
+      const fields = ENTITY_TYPES[entity.typeIndex].fields;
+      const previous = hadInBaseline(netId) && baseline.entities.get(netId);
+
+      if (!previous || previous.typeIndex !== entity.typeIndex) {
+        writer.u16(netId);
+        writer.u8(1);
+        writer.u8(entity.typeIndex);
+        fields.forEach((field, i) => this.writeField(writer, field, entity.values[i]));
+        count++;
+        continue;
+      }
+
+      const maskBytes = Math.ceil(fields.length / 8);
+      const mask = new Uint8Array(maskBytes);
+      let changed = false;
+      entity.values.forEach((value, i) => {
+        if (value !== previous.values[i]) {
+          mask[i >> 3] |= 1 << (i & 7);
+          changed = true;
+        }
+      });
+      if (!changed) continue;
+
+      writer.u16(netId);
+      writer.u8(0);
+      mask.forEach(byte => writer.u8(byte));
+      fields.forEach((field, i) => {
+        if (mask[i >> 3] & (1 << (i & 7))) {
+          this.writeField(writer, field, entity.values[i]);
+        }
+      });
+      count++;
+    }
+
+    writer.buffer.writeUInt16LE(count, countOffset);
+    return writer.finish();
+  }
+
+  /**
+   * Write a single quantized value
+   * @param {BinaryWriter} writer - Destination
+   * @param {Object} field - Field definition
+   * @param {number|string} value - Quantized value
+   */
+  writeField(writer, field, value) {
+    switch (field.type) {
+      case 'q16': writer.i16(value); break;
+      case 'u8':
+      case 'bool': writer.u8(value); break;
+      case 'u16': writer.u16(value); break;
+      case 'u32': writer.u32(value); break;
+      case 'str':
+      case 'json': writer.str(value); break;
+    }
+  }
+
+  /**
+   * Forget all history (e.g. on shutdown)
+   */
+  reset() {
+    this.history.clear();
+    this.netIds.clear();
+  }
+}
+
+module.exports = SnapshotEncoder;
@@ -0,0 +1,146 @@
+/**
+ * Snapshot Schema
+ * Describes which entity fields go into binary snapshots and how each one is quantized.
+ * The schema is sent to clients in the initial gameState so the decoder stays generic.
+ *
+ * Field types:
+ *   q16  - signed 16-bit integer of Math.round(value * scale)
+ *   u8, u16, u32 - unsigned integers
+ *   bool - 0 or 1 in a byte
+ *   str  - UTF-8 string, at most 255 bytes
+ *   json - any JSON value, sent as a str; compared as text, so only changes when the value does
+ */
+
+const SNAPSHOT_FORMAT_VERSION = 7;
+
+const ENTITY_TYPES = [
+  {
+    name: 'player',
+    fields: [
+      { name: 'id', type: 'str' },
+      { name: 'name', type: 'str' },
+      { name: 'color', type: 'str' },
+      { name: 'connected', type: 'bool' },
+      { name: 'position.x', type: 'q16', scale: 100 }, // 1 cm precision, ±327 m
+      { name: 'position.y', type: 'q16', scale: 100 },
+      { name: 'position.z', type: 'q16', scale: 100 },
+      { name: 'velocity.x', type: 'q16', scale: 10 },
+      { name: 'velocity.y', type: 'q16', scale: 10 },
+      { name: 'velocity.z', type: 'q16', scale: 10 },
+      { name: 'onGround', type: 'bool' },
+      { name: 'facing', type: 'q16', scale: 1000 }, // radians, 0.001 precision
+      { name: 'score', type: 'u16' }, // whole points in the current round
+      { name: 'stagger', type: 'q16', scale: 1000 }, // seconds of knockback left
+      { name: 'shoveCooldown', type: 'q16', scale: 1000 }, // seconds until the next shove
+      { name: 'lastProcessedInput', type: 'u32' }
+    ]
+  },
+  {
+    name: 'prop',
+    fields: [
+      { name: 'id', type: 'str' },
+      { name: 'type', type: 'str' },
+      { name: 'position.x', type: 'q16', scale: 100 },
+      { name: 'position.y', type: 'q16', scale: 100 },
+      { name: 'position.z', type: 'q16', scale: 100 },
+      { name: 'quaternion.x', type: 'q16', scale: 10000 }, // unit quaternion components, 0.0001 precision
+      { name: 'quaternion.y', type: 'q16', scale: 10000 },
+      { name: 'quaternion.z', type: 'q16', scale: 10000 },
+      { name: 'quaternion.w', type: 'q16', scale: 10000 },
+      { name: 'velocity.x', type: 'q16', scale: 10 },
+      { name: 'velocity.y', type: 'q16', scale: 10 },
+      { name: 'velocity.z', type: 'q16', scale: 10 },
+      { name: 'state', type: 'json' } // type-specific state, e.g. who touched the prop last
+    ]
+  }
+];
+
+/**
+ * Read a dotted path such as 'position.x' from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted property path
+ * @returns {*} The value, or undefined
+ */
+function readPath(object, path) {
+  let value = object;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Convert an entity state into the integer/string values that get encoded
+ * @param {Object} state - Entity state (e.g. Player.getState())
+ * @param {Array} fields - Field definitions for the entity type
+ * @returns {Array} Quantized values in field order
+ */
+function quantize(state, fields) {
+  return fields.map((field) => {
+    const value = readPath(state, field.name);
+    switch (field.type) {
+      case 'q16':
+        return Math.max(-32768, Math.min(32767, Math.round((value || 0) * field.scale)));
+      case 'u8':
+        return Math.max(0, Math.min(0xff, value | 0));
+      case 'u16':
+        return Math.max(0, Math.min(0xffff, value | 0));
+      case 'u32':
+        return Math.max(0, Math.min(0xffffffff, Math.floor(value || 0)));
+      case 'bool':
+        return value ? 1 : 0;
+      case 'str':
+        return value === undefined || value === null ? '' : String(value);
+      case 'json':
+        return value === undefined ? '' : JSON.stringify(value);
+      default:
+        throw new Error(`Unknown snapshot field type: ${field.type}`);
+    }
+  });
+}
+
+/**
+ * Look up an entity type's index in the schema
+ * @param {string} name - Entity type name
+ * @returns {number} Type index
+ */
+function getTypeIndex(name) {
+  const index = ENTITY_TYPES.findIndex(type => type.name === name);
+  if (index === -1) {
+    throw new Error(`Unknown snapshot entity type: ${name}`);
+  }
+  return index;
+}
+
+/**
+ * Largest distance from the origin, on any axis, that every entity type's position fields can
+ * carry; positions beyond it reach clients clamped to the edge
+ * @returns {number} Meters
+ */
+function getPositionLimit() {
+  const limits = ENTITY_TYPES.flatMap(type => type.fields)
+    .filter(field => field.type === 'q16' && field.name.startsWith('position.'))
+    .map(field => 32767 / field.scale);
+  return Math.min(...limits);
+}
+
+/**
+ * Schema description for clients
+ * @returns {Object} Serializable schema
+ */
+function getSchema() {
+  return {
+    version: SNAPSHOT_FORMAT_VERSION,
+    types: ENTITY_TYPES
+  };
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT_VERSION,
+  ENTITY_TYPES,
+  quantize,
+  getTypeIndex,
+  getPositionLimit,
+  getSchema
+};
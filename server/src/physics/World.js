@@ -1,14 +1,59 @@
-const CANNON = require('cannon-es');
+const { DEFAULT_BACKEND, getBackend, listBackends } = require('./backends');
+const MovementConfig = require('../game/MovementConfig');
+const { logger } = require('../monitoring');
+
+const log = logger.child({ component: 'physics' });
+
+// Engine new worlds use unless told otherwise; set by PhysicsWorld.loadEngine()
+let defaultEngine = DEFAULT_BACKEND;
 
 /**
  * Physics World Manager
- * Handles the physics simulation, world setup, and physics stepping
+ * Handles the physics simulation, world setup, and physics stepping.
+ * Engine-specific work is delegated to a backend (see ./backends) so Cannon and Rapier
+ * can be swapped without touching game code.
  */
 class PhysicsWorld {
-  constructor() {
-    this.world = null;
+  /**
+   * @param {Object} options - World options
+   * @param {string} [options.engine] - Backend name, defaults to the engine passed to loadEngine()
+   * @param {number} [options.groundHeight] - Height of the ground plane
+   * @param {Object} [options.config] - Physics settings (gravity, friction, restitution,
+   *   solverIterations), see MovementConfig
+   */
+  constructor(options = {}) {
+    this.engine = options.engine || defaultEngine;
+    this.backend = null;
     this.groundBody = null;
     this.isEnabled = false;
+    this.config = { ...MovementConfig.defaultValues().physics, ...options.config };
+    this.GRAVITY = this.config.gravity;
+    this.GROUND_HEIGHT = options.groundHeight ?? -0.5;
+  }
+
+  /**
+   * Load a physics engine and make it the default for new worlds
+   * Falls back to Cannon if the requested engine is unknown or fails to load.
+   * @param {string} [name] - Backend name (e.g. 'cannon', 'rapier')
+   * @returns {Promise<string>} Name of the engine that was loaded
+   */
+  static async loadEngine(name = DEFAULT_BACKEND) {
+    let engine = name;
+    if (!getBackend(engine)) {
+      log.warn('Unknown physics engine, using the default', { engine, available: listBackends(), fallback: DEFAULT_BACKEND });
+      engine = DEFAULT_BACKEND;
+    }
+
+    try {
+      await getBackend(engine).load();
+    } catch (error) {
+      log.error('Failed to load physics engine, using the default', { engine, fallback: DEFAULT_BACKEND, error });
+      engine = DEFAULT_BACKEND;
+      await getBackend(engine).load();
+    }
+
+    defaultEngine = engine;
+    return engine;
   }
 
   /**
@@ -16,41 +61,41 @@ class PhysicsWorld {
    */
   initialize() {
     try {
-      // Create Cannon.js physics world
-      this.world = new CANNON.World({
-        gravity: new CANNON.Vec3(0, -9.82, 0)
-      });
-      
-      // Configure world settings
-      this.world.broadphase = new CANNON.NaiveBroadphase();
-      this.world.solver.iterations = 15; // Increased for more stable physics
-      this.world.defaultContactMaterial.friction = 0.9; // Higher friction for less sliding
-      this.world.defaultContactMaterial.restitution = 0.1; // Low bounce
-      
+      const Backend = getBackend(this.engine);
+      this.backend = new Backend();
+      this.backend.initialize(this.config);
+
       // Create ground plane
       this.createGround();
-      
-      console.log('🔬 Physics world initialized with Cannon.js');
+
+      log.info('Physics world initialized', { engine: this.getEngineName() });
       this.isEnabled = true;
       return true;
     } catch (error) {
-      console.error('Failed to initialize physics:', error);
-      console.log('⚠️  Running without physics - using basic movement');
+      log.error('Failed to initialize physics, running with basic movement', { error });
+      this.backend = null;
       this.isEnabled = false;
       return false;
     }
   }
 
+  /**
+   * Change gravity, friction and solver settings of the running world
+   * @param {Object} config - Physics settings, see MovementConfig
+   */
+  configure(config) {
+    this.config = { ...this.config, ...config };
+    this.GRAVITY = this.config.gravity;
+    if (this.backend && this.isEnabled) {
+      this.backend.configure(this.config);
+    }
+  }
+
   /**
    * Create the ground plane for collision
    */
   createGround() {
-    const groundShape = new CANNON.Plane();
-    this.groundBody = new CANNON.Body({ mass: 0 }); // mass: 0 makes it static
-    this.groundBody.addShape(groundShape);
-    this.groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(-1, 0, 0), Math.PI * 0.5);
-    this.groundBody.position.set(0, -0.5, 0);
-    this.world.addBody(this.groundBody);
+    this.groundBody = this.backend.createGround(this.GROUND_HEIGHT);
   }
 
   /**
@@ -58,37 +103,90 @@ class PhysicsWorld {
    * @param {number} deltaTime - Time step for physics simulation
    */
   step(deltaTime = 1/60) {
-    if (this.world && this.isEnabled) {
-      this.world.step(deltaTime);
+    if (this.backend && this.isEnabled) {
+      this.backend.step(deltaTime);
     }
   }
 
   /**
-   * Add a physics body to the world
-   * @param {CANNON.Body} body - The physics body to add
+   * Create a rigid body
+   * @param {Object} options - Body description, see CannonBackend.createBody()
+   * @returns {Object|null} Backend body, or null without physics
    */
-  addBody(body) {
-    if (this.world && this.isEnabled) {
-      this.world.addBody(body);
-    }
+  createBody(options) {
+    return this.backend && this.isEnabled ? this.backend.createBody(options) : null;
+  }
+
+  /**
+   * Create a player character controlled through its velocity
+   * @param {Object} options - Character description, see CannonBackend.createCharacter()
+   * @returns {Object|null} Backend character, or null without physics
+   */
+  createCharacter(options) {
+    return this.backend && this.isEnabled ? this.backend.createCharacter(options) : null;
   }
 
   /**
    * Remove a physics body from the world
-   * @param {CANNON.Body} body - The physics body to remove
+   * @param {Object} body - Body returned by createBody()
    */
   removeBody(body) {
-    if (this.world && this.isEnabled) {
-      this.world.removeBody(body);
+    if (this.backend && this.isEnabled) {
+      this.backend.removeBody(body);
     }
   }
 
   /**
-   * Get the physics world instance
-   * @returns {CANNON.World|null} The physics world
+   * Deliver the contacts that began since the last call to the entities involved
+   * Bodies and characters created with an owner have their owner's onCollision(other, speed)
+   * called, where other is the owner of the body touched (null for level geometry) and speed
+   * the impact speed along the contact normal in m/s. Call once per tick, after entities moved.
+   * @returns {Array<{a: Object, b: Object|null, speed: number}>} New contacts involving at least
+   *   one owned body, owner first
    */
-  getWorld() {
-    return this.world;
+  dispatchCollisions() {
+    if (!this.backend || !this.isEnabled) {
+      return [];
+    }
+
+    const collisions = [];
+    for (const contact of this.backend.takeContacts()) {
+      const a = contact.a.owner || null;
+      const b = contact.b.owner || null;
+      if (!a && !b) continue;
+
+      a?.onCollision?.(b, contact.speed);
+      b?.onCollision?.(a, contact.speed);
+      collisions.push(a ? { a, b, speed: contact.speed } : { a: b, b: a, speed: contact.speed });
+    }
+    return collisions;
+  }
+
+  /**
+   * Cast a ray and return the closest hit
+   * @param {Object} from - Ray start
+   * @param {Object} to - Ray end
+   * @param {Object} [options] - Raycast options ({ exclude: body })
+   * @returns {{point: Object, distance: number}|null} Closest hit or null
+   */
+  raycast(from, to, options) {
+    return this.backend && this.isEnabled ? this.backend.raycast(from, to, options) : null;
+  }
+
+  /**
+   * Get the vertical gravity
+   * @returns {number} Gravity in m/s² (negative is down)
+   */
+  getGravity() {
+    return this.backend && this.isEnabled ? this.backend.getGravity() : this.GRAVITY;
+  }
+
+  /**
+   * Get the name of the physics engine in use
+   * @returns {string} Engine name (e.g. 'cannon-es', 'rapier')
+   */
+  getEngineName() {
+    return getBackend(this.engine).engineName;
   }
 
   /**
@@ -96,69 +194,18 @@ class PhysicsWorld {
    * @returns {Array} Array of physics body debug data
    */
   getDebugData() {
-    if (!this.world || !this.isEnabled) {
+    if (!this.backend || !this.isEnabled) {
       return [];
     }
+    return this.backend.getDebugData();
+  }
 
-    const debugData = [];
-
-    // Add all bodies in the world
-    this.world.bodies.forEach((body, index) => {
-      const bodyData = {
-        id: body.id || index,
-        position: {
-          x: body.position.x,
-          y: body.position.y,
-          z: body.position.z
-        },
-        quaternion: {
-          x: body.quaternion.x,
-          y: body.quaternion.y,
-          z: body.quaternion.z,
-          w: body.quaternion.w
-        },
-        shapes: []
-      };
-
-      // Add shape information
-      body.shapes.forEach((shape, shapeIndex) => {
-        const shapeData = {
-          id: shapeIndex,
-          type: shape.type,
-          material: {
-            friction: shape.material?.friction || this.world.defaultContactMaterial.friction,
-            restitution: shape.material?.restitution || this.world.defaultContactMaterial.restitution
-          }
-        };
-
-        // Add shape-specific data
-        switch (shape.type) {
-          case CANNON.Shape.types.BOX:
-            shapeData.halfExtents = {
-              x: shape.halfExtents.x,
-              y: shape.halfExtents.y,
-              z: shape.halfExtents.z
-            };
-            break;
-          case CANNON.Shape.types.PLANE:
-            shapeData.normal = {
-              x: shape.normal?.x || 0,
-              y: shape.normal?.y || 1,
-              z: shape.normal?.z || 0
-            };
-            break;
-          case CANNON.Shape.types.SPHERE:
-            shapeData.radius = shape.radius;
-            break;
-        }
-
-        bodyData.shapes.push(shapeData);
-      });
-
-      debugData.push(bodyData);
-    });
-
-    return debugData;
+  /**
+   * Get the number of bodies in the world
+   * @returns {number} Body count
+   */
+  getBodyCount() {
+    return this.backend && this.isEnabled ? this.backend.getBodyCount() : 0;
   }
 
   /**
@@ -168,6 +215,17 @@ class PhysicsWorld {
   isPhysicsEnabled() {
     return this.isEnabled;
   }
+
+  /**
+   * Release the backend's world
+   */
+  destroy() {
+    if (this.backend) {
+      this.backend.destroy();
+      this.backend = null;
+    }
+    this.isEnabled = false;
+  }
 }
 
-module.exports = PhysicsWorld;
\ No newline at end of file
+module.exports = PhysicsWorld;
@@ -0,0 +1,440 @@
+const CANNON = require('cannon-es');
+
+// Debug data uses engine-neutral shape names
+const SHAPE_NAMES = {
+  [CANNON.Shape.types.BOX]: 'box',
+  [CANNON.Shape.types.SPHERE]: 'sphere',
+  [CANNON.Shape.types.PLANE]: 'plane'
+};
+
+/**
+ * Cannon body wrapper exposing the backend-neutral body interface
+ */
+class CannonBody {
+  /**
+   * @param {CANNON.Body} body - Underlying Cannon body
+   * @param {Object} [owner] - Entity the body belongs to
+   */
+  constructor(body, owner = null) {
+    this.native = body;
+    this.owner = owner; // entity the body belongs to, handed to collision listeners
+  }
+
+  get mass() {
+    return this.native.mass;
+  }
+
+  getPosition() {
+    const p = this.native.position;
+    return { x: p.x, y: p.y, z: p.z };
+  }
+
+  getQuaternion() {
+    const q = this.native.quaternion;
+    return { x: q.x, y: q.y, z: q.z, w: q.w };
+  }
+
+  getVelocity() {
+    const v = this.native.velocity;
+    return { x: v.x, y: v.y, z: v.z };
+  }
+
+  setPosition({ x, y, z }) {
+    this.native.position.set(x, y, z);
+    this.native.aabbNeedsUpdate = true; // so raycasts before the next step see the new position
+  }
+
+  setVelocity({ x, y, z }) {
+    this.native.velocity.set(x, y, z);
+  }
+
+  setQuaternion({ x, y, z, w }) {
+    this.native.quaternion.set(x, y, z, w);
+    this.native.aabbNeedsUpdate = true;
+  }
+
+  setAngularVelocity({ x, y, z }) {
+    this.native.angularVelocity.set(x, y, z);
+  }
+
+  applyForce({ x, y, z }) {
+    this.native.applyForce(new CANNON.Vec3(x, y, z));
+  }
+
+  applyImpulse({ x, y, z }) {
+    this.native.applyImpulse(new CANNON.Vec3(x, y, z));
+  }
+}
+
+/**
+ * Cannon character: a dynamic, non-rotating box moved by setting its velocity.
+ * Gravity, damping and collisions are handled by the solver during the world step.
+ */
+class CannonCharacter {
+  /**
+   * @param {CannonBackend} backend - Owning backend
+   * @param {CannonBody} body - Character body
+   */
+  constructor(backend, body) {
+    this.backend = backend;
+    this.body = body;
+    this.halfHeight = body.native.shapes[0].halfExtents.y;
+    // Velocity is edited in place by the movement model; the solver reads it on the next step
+    this.velocity = body.native.velocity;
+  }
+
+  get mass() {
+    return this.body.mass;
+  }
+
+  getPosition() {
+    return this.body.getPosition();
+  }
+
+  getVelocity() {
+    return this.body.getVelocity();
+  }
+
+  /**
+   * Check for ground just below the character's feet
+   * @param {number} distance - How far below the feet still counts as grounded
+   * @returns {boolean} True if standing on something
+   */
+  isGrounded(distance) {
+    const p = this.body.native.position;
+    const hit = this.backend.raycast(
+      { x: p.x, y: p.y, z: p.z },
+      { x: p.x, y: p.y - this.halfHeight - distance, z: p.z },
+      { exclude: this.body }
+    );
+    return hit !== null;
+  }
+
+  applyForce(force) {
+    this.body.applyForce(force);
+  }
+
+  applyImpulse(impulse) {
+    this.body.applyImpulse(impulse);
+  }
+
+  setLinearDamping(linearDamping) {
+    this.body.native.linearDamping = linearDamping;
+  }
+
+  /**
+   * The world step integrates the velocity set this tick; only stray rotation is cleared here
+   */
+  move() {
+    const angular = this.body.native.angularVelocity;
+    angular.x = 0;
+    angular.z = 0;
+  }
+
+  teleport(position) {
+    this.body.setPosition(position);
+    this.body.setVelocity({ x: 0, y: 0, z: 0 });
+    this.body.native.angularVelocity.set(0, 0, 0);
+  }
+
+  /**
+   * Move the character without touching its velocity, e.g. to rewind it for lag compensation
+   * @param {Object} position - New position
+   */
+  setPosition(position) {
+    this.body.setPosition(position);
+  }
+
+  destroy() {
+    this.backend.removeBody(this.body);
+  }
+}
+
+/**
+ * Cannon.js physics backend
+ */
+class CannonBackend {
+  constructor() {
+    this.world = null;
+    this.surfaceMaterial = null; // shared by bodies without their own friction/restitution
+    this.characterMaterial = null;
+    this.bodies = new Map(); // Cannon body -> CannonBody wrapper
+    this.contacts = []; // contacts that began since the last takeContacts()
+    this.stepContacts = new Map(); // 'id:id' -> contact, for pairs that began during the current step
+  }
+
+  /**
+   * Cannon is plain JavaScript and needs no asynchronous setup
+   */
+  static async load() {}
+
+  /**
+   * Create the world
+   * @param {Object} options - World settings, see configure()
+   */
+  initialize(options) {
+    this.world = new CANNON.World();
+    this.world.broadphase = new CANNON.NaiveBroadphase();
+
+    // Characters are moved by setting their velocity, which friction would fight; contacts
+    // between a character and anything else are frictionless and don't bounce
+    this.surfaceMaterial = new CANNON.Material('surface');
+    this.characterMaterial = new CANNON.Material('character');
+    const characterContact = { friction: 0, restitution: 0 };
+    this.world.addContactMaterial(new CANNON.ContactMaterial(this.characterMaterial, this.surfaceMaterial, characterContact));
+    this.world.addContactMaterial(new CANNON.ContactMaterial(this.characterMaterial, this.characterMaterial, characterContact));
+
+    this.configure(options);
+  }
+
+  /**
+   * Apply world settings; safe to call while running
+   * @param {Object} options - World settings
+   * @param {number} options.gravity - Vertical gravity in m/s²
+   * @param {number} options.solverIterations - Constraint solver iterations per step
+   * @param {number} options.friction - Friction between surfaces
+   * @param {number} options.restitution - Bounciness between surfaces
+   */
+  configure({ gravity, solverIterations, friction, restitution }) {
+    this.world.gravity.set(0, gravity, 0);
+    this.world.solver.iterations = solverIterations;
+    this.world.defaultContactMaterial.friction = friction;
+    this.world.defaultContactMaterial.restitution = restitution;
+  }
+
+  /**
+   * Add an infinite ground plane facing up
+   * @param {number} height - Height of the plane
+   * @returns {CannonBody} Ground body
+   */
+  createGround(height) {
+    const body = new CANNON.Body({ mass: 0, material: this.surfaceMaterial }); // mass: 0 makes it static
+    body.addShape(new CANNON.Plane());
+    body.quaternion.setFromAxisAngle(new CANNON.Vec3(-1, 0, 0), Math.PI * 0.5);
+    body.position.set(0, height, 0);
+    this.world.addBody(body);
+    return this.track(new CannonBody(body));
+  }
+
+  /**
+   * Create a rigid body with a single shape
+   * @param {Object} options - Body description
+   * @param {string} options.type - 'static', 'dynamic' or 'kinematic'
+   * @param {Object} options.shape - { type: 'box', halfExtents } or { type: 'sphere', radius }
+   * @param {Object} options.position - Initial position
+   * @param {Object} [options.quaternion] - Initial rotation
+   * @param {number} [options.mass] - Mass of dynamic bodies
+   * @param {number} [options.friction] - Surface friction
+   * @param {number} [options.restitution] - Bounciness
+   * @param {number} [options.linearDamping] - Velocity damping
+   * @param {number} [options.angularDamping] - Spin damping
+   * @param {boolean} [options.fixedRotation] - Prevent the body from rotating
+   * @param {CANNON.Material} [options.material] - Cannon material, overrides friction and restitution
+   * @param {Object} [options.owner] - Entity the body belongs to, see PhysicsWorld.dispatchCollisions()
+   * @returns {CannonBody} The created body
+   */
+  createBody(options) {
+    const shape = options.shape.type === 'sphere'
+      ? new CANNON.Sphere(options.shape.radius)
+      : new CANNON.Box(new CANNON.Vec3(options.shape.halfExtents.x, options.shape.halfExtents.y, options.shape.halfExtents.z));
+
+    const type = {
+      static: CANNON.Body.STATIC,
+      kinematic: CANNON.Body.KINEMATIC,
+      dynamic: CANNON.Body.DYNAMIC
+    }[options.type];
+
+    const material = options.material
+      || (options.friction !== undefined || options.restitution !== undefined
+        ? new CANNON.Material({ friction: options.friction ?? 0.9, restitution: options.restitution ?? 0.1 })
+        : this.surfaceMaterial);
+
+    const body = new CANNON.Body({
+      type,
+      mass: options.type === 'dynamic' ? (options.mass ?? 1) : 0,
+      shape,
+      position: new CANNON.Vec3(options.position.x, options.position.y, options.position.z),
+      material,
+      fixedRotation: Boolean(options.fixedRotation)
+    });
+    if (options.quaternion) {
+      const q = options.quaternion;
+      body.quaternion.set(q.x, q.y, q.z, q.w);
+      // The bounds were computed unrotated; static bodies never refresh them, so rays would miss
+      // the parts of a ramp that stick out of them
+      body.updateAABB();
+    }
+    if (options.linearDamping !== undefined) {
+      body.linearDamping = options.linearDamping;
+    }
+    if (options.angularDamping !== undefined) {
+      body.angularDamping = options.angularDamping;
+    }
+    if (options.fixedRotation) {
+      body.angularDamping = 1.0;
+      body.angularFactor = new CANNON.Vec3(0, 0, 0);
+    }
+    body.allowSleep = false;
+
+    this.world.addBody(body);
+    return this.track(new CannonBody(body, options.owner));
+  }
+
+  /**
+   * Record the contacts a body starts
+   * Cannon fires 'collide' on both bodies, once per contact point, the first step they touch.
+   * That happens before the solver runs, so the impact velocity is still intact. The body with
+   * the lower ID records the pair, keeping the fastest contact point.
+   * @param {CannonBody} wrapper - Body added to the world
+   * @returns {CannonBody} The same body
+   */
+  track(wrapper) {
+    const body = wrapper.native;
+    this.bodies.set(body, wrapper);
+    body.addEventListener('collide', (event) => {
+      const other = this.bodies.get(event.body);
+      if (!other || body.id > event.body.id) return;
+      const speed = Math.abs(event.contact.getImpactVelocityAlongNormal());
+      const key = `${body.id}:${event.body.id}`;
+      const contact = this.stepContacts.get(key);
+      if (contact) {
+        contact.speed = Math.max(contact.speed, speed);
+        return;
+      }
+      const added = { a: wrapper, b: other, speed };
+      this.stepContacts.set(key, added);
+      this.contacts.push(added);
+    });
+    return wrapper;
+  }
+
+  /**
+   * Hand over the contacts that began since the last call
+   * @returns {Array<{a: CannonBody, b: CannonBody, speed: number}>} New contacts and their impact speed
+   */
+  takeContacts() {
+    const contacts = this.contacts;
+    this.contacts = [];
+    return contacts;
+  }
+
+  /**
+   * Create a player character
+   * @param {Object} options - Character description
+   * @param {Object} options.halfExtents - Box half extents
+   * @param {Object} options.position - Spawn position
+   * @param {number} options.linearDamping - Velocity damping
+   * @param {Object} [options.owner] - Entity controlling the character
+   * @returns {CannonCharacter} The created character
+   */
+  createCharacter({ halfExtents, position, linearDamping, owner }) {
+    const body = this.createBody({
+      type: 'dynamic',
+      shape: { type: 'box', halfExtents },
+      position,
+      mass: 1,
+      material: this.characterMaterial,
+      linearDamping,
+      fixedRotation: true,
+      owner
+    });
+    return new CannonCharacter(this, body);
+  }
+
+  /**
+   * Remove a body from the world
+   * @param {CannonBody} body - Body to remove
+   */
+  removeBody(body) {
+    this.bodies.delete(body.native);
+    this.world.removeBody(body.native);
+  }
+
+  /**
+   * Step the simulation
+   * @param {number} deltaTime - Step duration in seconds
+   */
+  step(deltaTime) {
+    this.stepContacts.clear();
+    this.world.step(deltaTime);
+  }
+
+  /**
+   * Cast a ray and return the closest hit
+   * @param {Object} from - Ray start
+   * @param {Object} to - Ray end
+   * @param {Object} [options] - Raycast options
+   * @param {CannonBody} [options.exclude] - Body to ignore
+   * @returns {{point: Object, distance: number}|null} Closest hit or null
+   */
+  raycast(from, to, options = {}) {
+    const result = new CANNON.RaycastResult();
+    // Skipping backfaces keeps rays cast from inside a body from hitting that body
+    this.world.raycastClosest(
+      new CANNON.Vec3(from.x, from.y, from.z),
+      new CANNON.Vec3(to.x, to.y, to.z),
+      { skipBackfaces: true },
+      result
+    );
+    if (!result.hasHit || (options.exclude && result.body === options.exclude.native)) {
+      return null;
+    }
+    const p = result.hitPointWorld;
+    return { point: { x: p.x, y: p.y, z: p.z }, distance: result.distance };
+  }
+
+  getGravity() {
+    return this.world.gravity.y;
+  }
+
+  getBodyCount() {
+    return this.world.bodies.length;
+  }
+
+  /**
+   * Describe every body for the debug renderer
+   * @returns {Array} Backend-neutral debug data
+   */
+  getDebugData() {
+    return this.world.bodies.map((body, index) => ({
+      id: body.id || index,
+      type: body.type === CANNON.Body.STATIC ? 'static' : body.type === CANNON.Body.KINEMATIC ? 'kinematic' : 'dynamic',
+      position: { x: body.position.x, y: body.position.y, z: body.position.z },
+      quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+      shapes: body.shapes.map((shape, shapeIndex) => {
+        const shapeData = {
+          id: shapeIndex,
+          type: SHAPE_NAMES[shape.type] || 'unknown',
+          material: {
+            friction: shape.material?.friction ?? body.material?.friction ?? this.world.defaultContactMaterial.friction,
+            restitution: shape.material?.restitution ?? body.material?.restitution ?? this.world.defaultContactMaterial.restitution
+          }
+        };
+
+        switch (shape.type) {
+          case CANNON.Shape.types.BOX:
+            shapeData.halfExtents = { x: shape.halfExtents.x, y: shape.halfExtents.y, z: shape.halfExtents.z };
+            break;
+          case CANNON.Shape.types.PLANE:
+            shapeData.normal = { x: 0, y: 1, z: 0 };
+            break;
+          case CANNON.Shape.types.SPHERE:
+            shapeData.radius = shape.radius;
+            break;
+        }
+        return shapeData;
+      })
+    }));
+  }
+
+  destroy() {
+    this.world = null;
+    this.bodies.clear();
+    this.stepContacts.clear();
+    this.contacts = [];
+  }
+}
+
+CannonBackend.engineName = 'cannon-es';
+
+module.exports = CannonBackend;
@@ -0,0 +1,542 @@
+// Loaded on demand by RapierBackend.load() so Cannon-only servers never pay for the WASM module
+let RAPIER = null;
+
+/**
+ * Rapier body wrapper exposing the backend-neutral body interface
+ */
+class RapierBody {
+  /**
+   * @param {RapierBackend} backend - Owning backend
+   * @param {RAPIER.RigidBody} body - Underlying Rapier body
+   * @param {RAPIER.Collider} collider - The body's collider
+   * @param {Object} [owner] - Entity the body belongs to
+   */
+  constructor(backend, body, collider, owner = null) {
+    this.backend = backend;
+    this.native = body;
+    this.collider = collider;
+    this.owner = owner; // entity the body belongs to, handed to collision listeners
+  }
+
+  get mass() {
+    return this.native.mass();
+  }
+
+  getPosition() {
+    const p = this.native.translation();
+    return { x: p.x, y: p.y, z: p.z };
+  }
+
+  getQuaternion() {
+    const q = this.native.rotation();
+    return { x: q.x, y: q.y, z: q.z, w: q.w };
+  }
+
+  getVelocity() {
+    const v = this.native.linvel();
+    return { x: v.x, y: v.y, z: v.z };
+  }
+
+  setPosition(position) {
+    this.native.setTranslation(position, true);
+    this.backend.movedBodies.add(this);
+  }
+
+  setVelocity(velocity) {
+    this.native.setLinvel(velocity, true);
+  }
+
+  setQuaternion(quaternion) {
+    this.native.setRotation(quaternion, true);
+    this.backend.movedBodies.add(this);
+  }
+
+  setAngularVelocity(velocity) {
+    this.native.setAngvel(velocity, true);
+  }
+
+  /**
+   * Apply a force for the next step only, matching Cannon's behaviour
+   * @param {Object} force - Force in newtons
+   */
+  applyForce(force) {
+    this.native.addForce(force, true);
+    this.backend.forcedBodies.add(this.native);
+  }
+
+  applyImpulse(impulse) {
+    this.native.applyImpulse(impulse, true);
+  }
+}
+
+/**
+ * Rapier character: a kinematic box driven by Rapier's KinematicCharacterController.
+ * Kinematic bodies ignore gravity and forces, so the character integrates them itself and asks
+ * the controller how far it can actually move; the world step then applies that movement.
+ */
+class RapierCharacter {
+  /**
+   * @param {RapierBackend} backend - Owning backend
+   * @param {RapierBody} body - Kinematic character body
+   * @param {Object} options - Character options
+   * @param {number} options.halfHeight - Half height of the box
+   * @param {number} options.linearDamping - Velocity damping, same meaning as Cannon's linearDamping
+   */
+  constructor(backend, body, { halfHeight, linearDamping }) {
+    this.backend = backend;
+    this.body = body;
+    this.halfHeight = halfHeight;
+    this.linearDamping = linearDamping;
+    this.mass = 1;
+
+    // Velocity is edited in place by the movement model and integrated in move()
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.force = { x: 0, y: 0, z: 0 };
+
+    this.controller = backend.world.createCharacterController(0.01);
+    this.controller.setSlideEnabled(true);
+    this.controller.enableSnapToGround(0.1);
+    this.controller.setMaxSlopeClimbAngle(50 * Math.PI / 180);
+    this.controller.setMinSlopeSlideAngle(30 * Math.PI / 180); // stand still on gentle ramps like Cannon's friction does
+    this.controller.setApplyImpulsesToDynamicBodies(true);
+  }
+
+  getPosition() {
+    return this.body.getPosition();
+  }
+
+  getVelocity() {
+    return { ...this.velocity };
+  }
+
+  /**
+   * Check for ground just below the character's feet
+   * @param {number} distance - How far below the feet still counts as grounded
+   * @returns {boolean} True if standing on something
+   */
+  isGrounded(distance) {
+    const p = this.body.native.translation();
+    const hit = this.backend.raycast(
+      { x: p.x, y: p.y, z: p.z },
+      { x: p.x, y: p.y - this.halfHeight - distance, z: p.z },
+      { exclude: this.body }
+    );
+    return hit !== null;
+  }
+
+  applyForce(force) {
+    this.force.x += force.x;
+    this.force.y += force.y;
+    this.force.z += force.z;
+  }
+
+  applyImpulse(impulse) {
+    this.velocity.x += impulse.x / this.mass;
+    this.velocity.y += impulse.y / this.mass;
+    this.velocity.z += impulse.z / this.mass;
+  }
+
+  setLinearDamping(linearDamping) {
+    this.linearDamping = linearDamping;
+  }
+
+  /**
+   * Integrate gravity, forces and damping, then resolve the movement against the world
+   * @param {number} deltaTime - Step duration in seconds
+   */
+  move(deltaTime) {
+    const v = this.velocity;
+    const gravity = this.backend.getGravity();
+    v.x += (this.force.x / this.mass) * deltaTime;
+    v.y += (gravity + this.force.y / this.mass) * deltaTime;
+    v.z += (this.force.z / this.mass) * deltaTime;
+    this.force = { x: 0, y: 0, z: 0 };
+
+    const damping = Math.pow(1 - this.linearDamping, deltaTime);
+    v.x *= damping;
+    v.y *= damping;
+    v.z *= damping;
+
+    const desired = { x: v.x * deltaTime, y: v.y * deltaTime, z: v.z * deltaTime };
+    this.controller.computeColliderMovement(this.body.collider, desired);
+    const allowed = this.controller.computedMovement();
+
+    this.backend.recordCharacterContacts(this, v);
+
+    // Whatever the controller blocked is velocity lost to the collision
+    for (const axis of ['x', 'y', 'z']) {
+      if (Math.abs(allowed[axis] - desired[axis]) > 1e-5) {
+        v[axis] = allowed[axis] / deltaTime;
+      }
+    }
+
+    const p = this.body.native.translation();
+    this.body.native.setNextKinematicTranslation({
+      x: p.x + allowed.x,
+      y: p.y + allowed.y,
+      z: p.z + allowed.z
+    });
+  }
+
+  teleport(position) {
+    this.body.setPosition(position);
+    this.body.native.setNextKinematicTranslation(position);
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.force = { x: 0, y: 0, z: 0 };
+  }
+
+  /**
+   * Move the character without touching its velocity, e.g. to rewind it for lag compensation
+   * The movement already resolved for the next step is kept.
+   * @param {Object} position - New position
+   */
+  setPosition(position) {
+    const current = this.body.native.translation();
+    const next = this.body.native.nextTranslation();
+    this.body.setPosition(position);
+    this.body.native.setNextKinematicTranslation({
+      x: position.x + next.x - current.x,
+      y: position.y + next.y - current.y,
+      z: position.z + next.z - current.z
+    });
+  }
+
+  destroy() {
+    this.backend.world.removeCharacterController(this.controller);
+    this.backend.removeBody(this.body);
+  }
+}
+
+/**
+ * Rapier physics backend (WASM)
+ */
+class RapierBackend {
+  constructor() {
+    this.world = null;
+    this.forcedBodies = new Set(); // bodies with forces to clear after the next step
+    // Bodies moved by hand since the last step; Rapier's broad phase only catches up when stepping
+    this.movedBodies = new Set();
+    this.surfaceColliders = new Set(); // colliders using the configured friction/restitution
+    this.surface = { friction: 0.9, restitution: 0.1 };
+    this.eventQueue = null;
+    this.colliders = new Map(); // collider handle -> RapierBody
+    this.characterColliders = new Set(); // handles of colliders moved by a character controller
+    this.contacts = []; // contacts that began since the last takeContacts()
+    // Character contacts seen since the last step, and during the step before, as 'handle:handle'
+    this.characterContacts = new Set();
+    this.previousCharacterContacts = new Set();
+  }
+
+  /**
+   * Load and initialize the Rapier WASM module; must finish before any world is created
+   */
+  static async load() {
+    if (RAPIER) return;
+    const rapier = require('@dimforge/rapier3d-compat');
+    await rapier.init();
+    RAPIER = rapier;
+  }
+
+  /**
+   * Create the world
+   * @param {Object} options - World settings, see CannonBackend.configure()
+   */
+  initialize(options) {
+    if (!RAPIER) {
+      throw new Error('Rapier is not loaded, call RapierBackend.load() first');
+    }
+    this.world = new RAPIER.World({ x: 0, y: options.gravity, z: 0 });
+    this.eventQueue = new RAPIER.EventQueue(true);
+    this.configure(options);
+  }
+
+  /**
+   * Apply world settings; safe to call while running
+   * @param {Object} options - World settings, see CannonBackend.configure()
+   */
+  configure({ gravity, solverIterations, friction, restitution }) {
+    this.world.gravity = { x: 0, y: gravity, z: 0 };
+    this.world.numSolverIterations = solverIterations;
+    this.surface = { friction, restitution };
+    for (const collider of this.surfaceColliders) {
+      collider.setFriction(friction);
+      collider.setRestitution(restitution);
+    }
+  }
+
+  /**
+   * Add a ground slab whose top face is at the given height
+   * Rapier half-spaces can't be drawn by the debug renderer, so a large thin box stands in.
+   * @param {number} height - Height of the ground surface
+   * @returns {RapierBody} Ground body
+   */
+  createGround(height) {
+    return this.createBody({
+      type: 'static',
+      shape: { type: 'box', halfExtents: { x: 500, y: 0.5, z: 500 } },
+      position: { x: 0, y: height - 0.5, z: 0 }
+    });
+  }
+
+  /**
+   * Create a rigid body with a single shape
+   * @param {Object} options - Body description, see CannonBackend.createBody()
+   * @returns {RapierBody} The created body
+   */
+  createBody(options) {
+    const bodyDesc = {
+      static: () => RAPIER.RigidBodyDesc.fixed(),
+      kinematic: () => RAPIER.RigidBodyDesc.kinematicPositionBased(),
+      dynamic: () => RAPIER.RigidBodyDesc.dynamic()
+    }[options.type]();
+
+    bodyDesc.setTranslation(options.position.x, options.position.y, options.position.z);
+    if (options.quaternion) {
+      bodyDesc.setRotation(options.quaternion);
+    }
+    if (options.linearDamping !== undefined) {
+      bodyDesc.setLinearDamping(options.linearDamping);
+    }
+    if (options.angularDamping !== undefined) {
+      bodyDesc.setAngularDamping(options.angularDamping);
+    }
+    if (options.fixedRotation) {
+      bodyDesc.lockRotations();
+    }
+    bodyDesc.setCanSleep(false);
+
+    const colliderDesc = options.shape.type === 'sphere'
+      ? RAPIER.ColliderDesc.ball(options.shape.radius)
+      : RAPIER.ColliderDesc.cuboid(options.shape.halfExtents.x, options.shape.halfExtents.y, options.shape.halfExtents.z);
+    colliderDesc
+      .setFriction(options.friction ?? this.surface.friction)
+      .setRestitution(options.restitution ?? this.surface.restitution)
+      .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
+    if (options.type === 'dynamic') {
+      colliderDesc.setMass(options.mass ?? 1);
+    }
+
+    const body = this.world.createRigidBody(bodyDesc);
+    const collider = this.world.createCollider(colliderDesc, body);
+    if (options.friction === undefined && options.restitution === undefined) {
+      this.surfaceColliders.add(collider);
+    }
+    const wrapper = new RapierBody(this, body, collider, options.owner);
+    this.colliders.set(collider.handle, wrapper);
+    return wrapper;
+  }
+
+  /**
+   * Create a player character
+   * @param {Object} options - Character description, see CannonBackend.createCharacter()
+   * @returns {RapierCharacter} The created character
+   */
+  createCharacter({ halfExtents, position, linearDamping, owner }) {
+    const body = this.createBody({
+      type: 'kinematic',
+      shape: { type: 'box', halfExtents },
+      position,
+      friction: 0.0,
+      restitution: 0.0,
+      owner
+    });
+    this.characterColliders.add(body.collider.handle);
+    return new RapierCharacter(this, body, { halfHeight: halfExtents.y, linearDamping });
+  }
+
+  /**
+   * Remove a body and its collider from the world
+   * @param {RapierBody} body - Body to remove
+   */
+  removeBody(body) {
+    this.forcedBodies.delete(body.native);
+    this.movedBodies.delete(body);
+    this.surfaceColliders.delete(body.collider);
+    this.colliders.delete(body.collider.handle);
+    this.characterColliders.delete(body.collider.handle);
+    this.world.removeRigidBody(body.native);
+  }
+
+  /**
+   * Step the simulation
+   * @param {number} deltaTime - Step duration in seconds
+   */
+  step(deltaTime) {
+    this.world.timestep = deltaTime;
+    this.world.step(this.eventQueue);
+    this.movedBodies.clear();
+
+    for (const body of this.forcedBodies) {
+      body.resetForces(false);
+    }
+    this.forcedBodies.clear();
+
+    // Contacts the solver resolved; character contacts come from the controllers instead
+    this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+      if (!started || this.characterColliders.has(handle1) || this.characterColliders.has(handle2)) return;
+      const a = this.colliders.get(handle1);
+      const b = this.colliders.get(handle2);
+      if (!a || !b) return;
+      const va = a.getVelocity();
+      const vb = b.getVelocity();
+      this.contacts.push({ a, b, speed: Math.hypot(va.x - vb.x, va.y - vb.y, va.z - vb.z) });
+    });
+
+    this.previousCharacterContacts = this.characterContacts;
+    this.characterContacts = new Set();
+  }
+
+  /**
+   * Record the obstacles a character controller ran into
+   * Kinematic characters report every obstacle on every move, so a contact only counts as new
+   * when the pair wasn't touching during the previous step.
+   * @param {RapierCharacter} character - Character that just computed its movement
+   * @param {Object} velocity - Velocity the character tried to move with
+   */
+  recordCharacterContacts(character, velocity) {
+    const controller = character.controller;
+    const handle = character.body.collider.handle;
+    for (let i = 0; i < controller.numComputedCollisions(); i++) {
+      const collision = controller.computedCollision(i);
+      const other = collision && collision.collider && this.colliders.get(collision.collider.handle);
+      if (!other) continue;
+
+      const otherHandle = other.collider.handle;
+      const key = handle < otherHandle ? `${handle}:${otherHandle}` : `${otherHandle}:${handle}`;
+      const isNew = !this.characterContacts.has(key) && !this.previousCharacterContacts.has(key);
+      this.characterContacts.add(key);
+      if (isNew) {
+        // normal1 points out of the obstacle, toward the character
+        const n = collision.normal1;
+        const speed = Math.max(0, -(velocity.x * n.x + velocity.y * n.y + velocity.z * n.z));
+        this.contacts.push({ a: character.body, b: other, speed });
+      }
+    }
+  }
+
+  /**
+   * Hand over the contacts that began since the last call
+   * @returns {Array<{a: RapierBody, b: RapierBody, speed: number}>} New contacts and their impact speed
+   */
+  takeContacts() {
+    const contacts = this.contacts;
+    this.contacts = [];
+    return contacts;
+  }
+
+  /**
+   * Cast a ray and return the closest hit
+   * @param {Object} from - Ray start
+   * @param {Object} to - Ray end
+   * @param {Object} [options] - Raycast options
+   * @param {RapierBody} [options.exclude] - Body to ignore
+   * @returns {{point: Object, distance: number}|null} Closest hit or null
+   */
+  raycast(from, to, options = {}) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const length = Math.hypot(dx, dy, dz);
+    if (length === 0) return null;
+
+    const dir = { x: dx / length, y: dy / length, z: dz / length };
+    const ray = new RAPIER.Ray(from, dir);
+
+    // The broad phase still has bodies moved since the last step at their old place, so those
+    // are left out of the world query and tested one by one
+    let moved = null;
+    if (this.movedBodies.size > 0) {
+      this.world.propagateModifiedBodyPositionsToColliders();
+      moved = new Set(Array.from(this.movedBodies, body => body.collider.handle));
+    }
+    const hit = this.world.castRay(ray, length, true, undefined, undefined, undefined, options.exclude?.native,
+      moved ? collider => !moved.has(collider.handle) : undefined);
+
+    let distance = hit ? hit.timeOfImpact : Infinity;
+    for (const body of this.movedBodies) {
+      if (body === options.exclude) continue;
+      const timeOfImpact = body.collider.castRay(ray, length, true);
+      if (timeOfImpact >= 0 && timeOfImpact < distance) {
+        distance = timeOfImpact;
+      }
+    }
+    if (distance === Infinity) return null;
+
+    return {
+      point: { x: from.x + dir.x * distance, y: from.y + dir.y * distance, z: from.z + dir.z * distance },
+      distance
+    };
+  }
+
+  getGravity() {
+    return this.world.gravity.y;
+  }
+
+  getBodyCount() {
+    return this.world.bodies.len();
+  }
+
+  /**
+   * Describe every body for the debug renderer
+   * @returns {Array} Backend-neutral debug data
+   */
+  getDebugData() {
+    const debugData = [];
+    this.world.forEachRigidBody((body) => {
+      const p = body.translation();
+      const q = body.rotation();
+      const shapes = [];
+
+      for (let i = 0; i < body.numColliders(); i++) {
+        const collider = body.collider(i);
+        const shapeData = {
+          id: i,
+          type: 'unknown',
+          material: { friction: collider.friction(), restitution: collider.restitution() }
+        };
+        switch (collider.shape.type) {
+          case RAPIER.ShapeType.Cuboid: {
+            const h = collider.halfExtents();
+            shapeData.type = 'box';
+            shapeData.halfExtents = { x: h.x, y: h.y, z: h.z };
+            break;
+          }
+          case RAPIER.ShapeType.Ball:
+            shapeData.type = 'sphere';
+            shapeData.radius = collider.radius();
+            break;
+        }
+        shapes.push(shapeData);
+      }
+
+      debugData.push({
+        id: debugData.length,
+        type: body.isFixed() ? 'static' : body.isKinematic() ? 'kinematic' : 'dynamic',
+        position: { x: p.x, y: p.y, z: p.z },
+        quaternion: { x: q.x, y: q.y, z: q.z, w: q.w },
+        shapes
+      });
+    });
+    return debugData;
+  }
+
+  destroy() {
+    if (this.world) {
+      this.world.free();
+      this.world = null;
+    }
+    if (this.eventQueue) {
+      this.eventQueue.free();
+      this.eventQueue = null;
+    }
+    this.forcedBodies.clear();
+    this.surfaceColliders.clear();
+    this.colliders.clear();
+    this.characterColliders.clear();
+    this.contacts = [];
+  }
+}
+
+RapierBackend.engineName = 'rapier';
+
+module.exports = RapierBackend;
@@ -0,0 +1,31 @@
+const CannonBackend = require('./CannonBackend');
+const RapierBackend = require('./RapierBackend');
+
+/**
+ * Available physics backends, keyed by the name used in PHYSICS_ENGINE
+ */
+const BACKENDS = {
+  cannon: CannonBackend,
+  rapier: RapierBackend
+};
+
+const DEFAULT_BACKEND = 'cannon';
+
+/**
+ * Look up a backend by name
+ * @param {string} name - Backend name
+ * @returns {Function|undefined} Backend class or undefined if unknown
+ */
+function getBackend(name) {
+  return BACKENDS[name];
+}
+
+/**
+ * List the names of all backends
+ * @returns {string[]} Backend names
+ */
+function listBackends() {
+  return Object.keys(BACKENDS);
+}
+
+module.exports = { BACKENDS, DEFAULT_BACKEND, getBackend, listBackends };
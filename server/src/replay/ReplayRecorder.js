@@ -0,0 +1,273 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const SnapshotEncoder = require('../network/SnapshotEncoder');
+const { logger } = require('../monitoring');
+
+const gzip = promisify(zlib.gzip);
+
+const REPLAY_FORMAT_VERSION = 1;
+
+// Record types, see the file format below
+const RECORD_HEADER = 1;
+const RECORD_SNAPSHOT = 2;
+const RECORD_EVENT = 3;
+const RECORD_PHYSICS = 4;
+
+/**
+ * Replay Recorder
+ * Records one room's simulation to its ReplayStore so a session can be reviewed afterwards:
+ * a snapshot every tick, join/leave/input/round events, and a physics debug dump now and then.
+ * A room keeps one recorder; each start() begins a new replay file and finish() closes it.
+ * Recording runs inside the room's tick, so compression and disk writes happen asynchronously,
+ * one after another on a write chain, and only buffering happens on the tick itself.
+ *
+ * File format: concatenated gzip members of records. Each member holds KEYFRAME_INTERVAL ticks
+ * and starts with a full snapshot, so a replay cut short by a crash is readable up to its last
+ * member and a viewer can seek without decoding from the start.
+ * Record (little endian): u8 type, u32 tick, u32 length, length bytes of payload
+ *   1 header   - JSON: format version, tick rate, snapshot schema, level, prop types, round
+ *   2 snapshot - binary snapshot from SnapshotEncoder, a delta against the previous tick's
+ *   3 event    - JSON: { type: 'join' | 'leave' | 'input' | 'round', time, ... }
+ *   4 physics  - JSON: PhysicsWorld.getDebugData()
+ */
+class ReplayRecorder {
+  /**
+   * @param {ReplayStore} store - Where replays are written
+   * @param {string} roomId - Room being recorded
+   */
+  constructor(store, roomId) {
+    this.store = store;
+    this.roomId = roomId;
+    this.KEYFRAME_INTERVAL = 60; // ticks between full snapshots, and between writes to disk
+
+    this.meta = null; // description of the replay being written, null when not recording
+    this.output = null; // { meta, handle, failed } of the file the write chain is writing
+    this.writing = Promise.resolve(); // write chain, settles after the last queued write
+    this.encoder = null;
+    this.pending = []; // records waiting for the next write
+    this.lastSeq = 0;
+    this.lastKeyframeTick = 0;
+    this.lastInputs = new Map(); // player ID -> last recorded input, serialized
+  }
+
+  /**
+   * Begin a new replay
+   * @param {Object} header - Everything needed to play the replay back, see GameManager.getReplayHeader()
+   */
+  start(header) {
+    const startedAt = Date.now();
+    const id = this.store.createId(this.roomId, startedAt);
+    const meta = {
+      id,
+      roomId: this.roomId,
+      level: header.level.id,
+      mode: header.round.mode,
+      engine: header.engine,
+      startedAt,
+      endedAt: null,
+      startTick: header.tick,
+      endTick: header.tick,
+      tickRate: header.tickRate,
+      bytes: 0
+    };
+    const output = { meta, handle: null, failed: false };
+    this.enqueue(async () => {
+      try {
+        output.handle = await fs.promises.open(this.store.getFilePath(id), 'a');
+        await this.store.writeMeta(meta);
+      } catch (error) {
+        logger.error('Replay recording failed to start', { room: this.roomId, error });
+        this.fail(output);
+      }
+    });
+
+    this.meta = meta;
+    this.output = output;
+    this.encoder = new SnapshotEncoder();
+    this.lastSeq = 0;
+    this.lastKeyframeTick = 0;
+    this.lastInputs.clear();
+    this.store.recording.set(id, meta);
+    this.addRecord(RECORD_HEADER, header.tick, Buffer.from(JSON.stringify({ format: REPLAY_FORMAT_VERSION, ...header })));
+    logger.info('Replay recording started', { room: this.roomId, replayId: id });
+  }
+
+  /**
+   * @returns {boolean} True while a replay is being written
+   */
+  isRecording() {
+    return this.meta !== null;
+  }
+
+  /**
+   * @param {number} tick - Current simulation tick
+   * @param {number} tickRate - Ticks per second
+   * @returns {boolean} True once the current replay is as long as the store allows
+   */
+  isFull(tick, tickRate) {
+    return this.meta !== null && tick - this.meta.startTick >= this.store.MAX_DURATION * tickRate;
+  }
+
+  /**
+   * Record a tick's snapshot; a full one every KEYFRAME_INTERVAL ticks, deltas in between
+   * @param {number} tick - Simulation tick
+   * @param {number} timestamp - Server time of the tick
+   * @param {Array<{type: string, state: Object}>} entities - Networked entities, as sent to clients
+   */
+  recordSnapshot(tick, timestamp, entities) {
+    if (!this.meta) return;
+
+    const keyframe = this.lastSeq === 0 || tick - this.lastKeyframeTick >= this.KEYFRAME_INTERVAL;
+    if (keyframe) {
+      // Every gzip member starts on a full snapshot
+      this.flush();
+      this.lastKeyframeTick = tick;
+    }
+    const snapshot = this.encoder.createSnapshot(entities, timestamp, tick);
+    this.addRecord(RECORD_SNAPSHOT, tick, this.encoder.encode(snapshot, keyframe ? 0 : this.lastSeq));
+    this.lastSeq = snapshot.seq;
+    this.meta.endTick = tick;
+  }
+
+  /**
+   * Record something that happened on a tick
+   * @param {number} tick - Simulation tick
+   * @param {number} time - Server time of the tick
+   * @param {Object} event - Event with a type, e.g. { type: 'join', id, name, color }
+   */
+  recordEvent(tick, time, event) {
+    if (!this.meta) return;
+    this.addRecord(RECORD_EVENT, tick, Buffer.from(JSON.stringify({ ...event, time })));
+  }
+
+  /**
+   * Record an input a player's tick was simulated with, if it differs from the player's last one
+   * @param {number} tick - Simulation tick
+   * @param {number} time - Server time of the tick
+   * @param {string} playerId - Player ID
+   * @param {Object} input - Input applied, as queued by the player
+   */
+  recordInput(tick, time, playerId, input) {
+    if (!this.meta) return;
+    const { seq, renderTime, ...held } = input;
+    const serialized = JSON.stringify(held);
+    if (this.lastInputs.get(playerId) === serialized) return;
+    this.lastInputs.set(playerId, serialized);
+    this.recordEvent(tick, time, { type: 'input', id: playerId, seq, input: held });
+  }
+
+  /**
+   * Record the physics debug dump
+   * @param {number} tick - Simulation tick
+   * @param {Object} debugData - PhysicsWorld.getDebugData()
+   */
+  recordPhysics(tick, debugData) {
+    if (!this.meta) return;
+    this.addRecord(RECORD_PHYSICS, tick, Buffer.from(JSON.stringify(debugData)));
+  }
+
+  /**
+   * Queue a record for the next write
+   * @param {number} type - Record type
+   * @param {number} tick - Simulation tick
+   * @param {Buffer} payload - Record body
+   */
+  addRecord(type, tick, payload) {
+    const head = Buffer.allocUnsafe(9);
+    head.writeUInt8(type, 0);
+    head.writeUInt32LE(tick, 1);
+    head.writeUInt32LE(payload.length, 5);
+    this.pending.push(head, payload);
+  }
+
+  /**
+   * Run disk work after everything queued before it
+   * @param {Function} task - Async function that handles its own errors
+   */
+  enqueue(task) {
+    this.writing = this.writing.then(task);
+    this.store.track(this.writing);
+  }
+
+  /**
+   * Compress queued records into one gzip member and append it to the file
+   */
+  flush() {
+    if (!this.meta || this.pending.length === 0) return;
+    const records = Buffer.concat(this.pending);
+    this.pending = [];
+    const output = this.output;
+    this.enqueue(async () => {
+      if (output.failed) return;
+      try {
+        const member = await gzip(records);
+        await output.handle.write(member);
+        output.meta.bytes += member.length;
+      } catch (error) {
+        logger.error('Replay recording stopped', { room: this.roomId, replayId: output.meta.id, error });
+        this.fail(output);
+      }
+    });
+  }
+
+  /**
+   * Stop writing a file after an error, and stop recording if it is still the current one
+   * @param {Object} output - File that failed
+   */
+  fail(output) {
+    output.failed = true;
+    if (this.output === output) {
+      this.close();
+    }
+  }
+
+  /**
+   * Write out the current replay and close it
+   */
+  finish() {
+    if (!this.meta) return;
+    this.flush();
+    this.close();
+  }
+
+  /**
+   * Stop recording into the current file; once the writes queued so far are done, the file is
+   * closed, its replay marked finished and old replays pruned
+   */
+  close() {
+    const output = this.output;
+    if (!output) return;
+    this.meta = null;
+    this.output = null;
+    this.encoder = null;
+    this.pending = [];
+
+    const { meta } = output;
+    meta.endedAt = Date.now();
+    this.enqueue(async () => {
+      if (output.handle) {
+        try {
+          await output.handle.close();
+          await this.store.writeMeta(meta);
+        } catch (error) {
+          logger.error('Replay was not closed cleanly', { room: this.roomId, replayId: meta.id, error });
+        }
+      }
+      this.store.recording.delete(meta.id);
+      if (!output.failed) {
+        logger.info('Replay finished', { room: this.roomId, replayId: meta.id, ticks: meta.endTick - meta.startTick, bytes: meta.bytes });
+      }
+      this.store.schedulePrune();
+    });
+  }
+
+  /**
+   * @returns {Object|null} The replay being written, for game stats
+   */
+  getStats() {
+    return this.meta && { id: this.meta.id, ticks: this.meta.endTick - this.meta.startTick, bytes: this.meta.bytes };
+  }
+}
+
+module.exports = ReplayRecorder;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { logger } = require('../monitoring');
+
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../replays');
+
+// Replay IDs are built from room IDs and timestamps; anything else is refused before touching disk
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Replay Store
+ * The directory match recordings are written to: each replay is a <id>.replay file of recorded
+ * ticks (see ReplayRecorder) next to a <id>.json file describing it. Only the newest MAX_REPLAYS
+ * finished replays are kept, and a room's recording starts a new replay every MAX_DURATION seconds.
+ */
+class ReplayStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.directory] - Where replays are written (default: server/replays)
+   * @param {number} [options.maxReplays] - Finished replays kept before the oldest are deleted
+   * @param {number} [options.maxDuration] - Seconds recorded into one replay before starting another
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.MAX_REPLAYS = options.maxReplays || 100;
+    this.MAX_DURATION = options.maxDuration || 600;
+
+    // Descriptions of replays still being written, kept up to date by their recorders
+    this.recording = new Map();
+    this.writes = new Set(); // disk work in flight, waited for on shutdown
+    this.pruning = null; // scheduled prune, shared by every finish until it runs
+  }
+
+  /**
+   * Create the directory and close out replays left unfinished by a crash
+   * @returns {Promise<void>} Resolves once the directory is usable
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    for (const meta of await this.readAllMeta()) {
+      if (meta.endedAt !== null) continue;
+      try {
+        meta.endedAt = Math.round((await fs.promises.stat(this.getFilePath(meta.id))).mtimeMs);
+      } catch {
+        meta.endedAt = meta.startedAt;
+      }
+      await this.writeMeta(meta);
+    }
+  }
+
+  /**
+   * Keep track of disk work so shutdown can wait for it
+   * @param {Promise} promise - Work that never rejects
+   */
+  track(promise) {
+    this.writes.add(promise);
+    promise.finally(() => this.writes.delete(promise));
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves once every write and prune started so far has finished
+   */
+  async settle() {
+    while (this.writes.size > 0) {
+      await Promise.all(this.writes);
+    }
+  }
+
+  /**
+   * @param {string} roomId - Room being recorded
+   * @param {number} startedAt - When the recording started (ms since epoch)
+   * @returns {string} Replay ID, e.g. main-2026-01-31t18-04-05-123z
+   */
+  createId(roomId, startedAt) {
+    return `${roomId}-${new Date(startedAt).toISOString().replace(/[:.]/g, '-').toLowerCase()}`;
+  }
+
+  getFilePath(id) {
+    return path.join(this.directory, `${id}.replay`);
+  }
+
+  getMetaPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Write a replay's description
+   * @param {Object} meta - Description, see ReplayRecorder.start()
+   * @returns {Promise<void>} Resolves once written
+   */
+  writeMeta(meta) {
+    return fs.promises.writeFile(this.getMetaPath(meta.id), JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Every readable replay description in the directory
+   */
+  async readAllMeta() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const metas = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        metas.push(JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        logger.error('Unreadable replay description', { file, error });
+      }
+    }
+    return metas;
+  }
+
+  /**
+   * Replays on disk, newest first
+   * @returns {Promise<Object[]>} Replay descriptions, with recording set for replays still being written
+   */
+  async list() {
+    return (await this.readAllMeta())
+      .map(meta => ({ ...(this.recording.get(meta.id) || meta), recording: this.recording.has(meta.id) }))
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Read a replay's recorded ticks
+   * Replays still being written, or cut short by a crash, read up to their last flushed batch.
+   * @param {string} id - Replay ID
+   * @returns {Promise<{data?: Buffer, error?: string}>} Uncompressed replay data or an error
+   */
+  async read(id) {
+    const file = ID_PATTERN.test(id) ? this.getFilePath(id) : null;
+    if (!file || !fs.existsSync(file)) {
+      return { error: `Unknown replay "${id}"` };
+    }
+    try {
+      const compressed = await fs.promises.readFile(file);
+      return { data: await gunzip(compressed, { finishFlush: zlib.constants.Z_SYNC_FLUSH }) };
+    } catch (error) {
+      return { error: `Replay "${id}" is unreadable: ${error.message}` };
+    }
+  }
+
+  /**
+   * Delete the oldest finished replays beyond MAX_REPLAYS
+   * @returns {Promise<void>} Resolves once deleted
+   */
+  async prune() {
+    const finished = (await this.list()).filter(meta => !meta.recording);
+    for (const meta of finished.slice(this.MAX_REPLAYS)) {
+      await fs.promises.rm(this.getFilePath(meta.id), { force: true });
+      await fs.promises.rm(this.getMetaPath(meta.id), { force: true });
+      logger.info('Replay deleted', { replayId: meta.id });
+    }
+  }
+
+  /**
+   * Prune once the current tick is over; reading every description takes a while with a full
+   * directory, so replays finishing before it runs share one prune
+   */
+  schedulePrune() {
+    if (this.pruning) return;
+    this.pruning = new Promise(resolve => setImmediate(resolve))
+      .then(() => {
+        this.pruning = null;
+        return this.prune();
+      })
+      .catch(error => logger.error('Replay pruning failed', { error }));
+    this.track(this.pruning);
+  }
+}
+
+module.exports = ReplayStore;
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AbuseGuard = require('../src/network/AbuseGuard');
+const { metrics } = require('../src/monitoring');
+
+let nextSocketId = 0;
+
+/**
+ * Run a connection through the guard's middleware
+ * @param {AbuseGuard} guard - Guard under test
+ * @param {string} address - Address the socket arrived from
+ * @param {Object} [headers] - Handshake headers
+ * @returns {{socket: Object, error?: Error}} The socket and the middleware's refusal, if any
+ */
+function connect(guard, address, headers = {}) {
+  const socket = {
+    id: `socket-${++nextSocketId}`,
+    handshake: { address, headers },
+    data: {},
+    disconnected: false,
+    use() {},
+    on() {},
+    emit() {},
+    disconnect() {
+      this.disconnected = true;
+    }
+  };
+  let error;
+  guard.middleware(socket, (err) => {
+    error = err;
+  });
+  return { socket, error };
+}
+
+describe('AbuseGuard client addresses', () => {
+  const PROXY = '10.0.0.1';
+
+  it('uses the socket address and ignores forwarding headers by default', () => {
+    const guard = new AbuseGuard({ maxConnectionsPerIp: 2 });
+    const headers = { 'x-forwarded-for': '203.0.113.7', 'fly-client-ip': '203.0.113.7' };
+
+    assert.equal(connect(guard, PROXY, headers).error, undefined);
+    assert.equal(connect(guard, PROXY, { 'x-forwarded-for': '198.51.100.2' }).error, undefined);
+    const { socket, error } = connect(guard, PROXY, { 'x-forwarded-for': '192.0.2.9' });
+
+    assert.match(error.message, /Too many connections/);
+    assert.equal(guard.getAddress(socket), PROXY);
+  });
+
+  it('counts and bans clients behind a trusted proxy separately', () => {
+    const guard = new AbuseGuard({ maxConnectionsPerIp: 1, trustProxy: 1 });
+
+    const first = connect(guard, PROXY, { 'x-forwarded-for': '203.0.113.7' });
+    const second = connect(guard, PROXY, { 'x-forwarded-for': '198.51.100.2' });
+    assert.equal(first.error, undefined);
+    assert.equal(second.error, undefined);
+    assert.equal(guard.getAddress(first.socket), '203.0.113.7');
+    assert.equal(guard.getAddress(second.socket), '198.51.100.2');
+    assert.match(connect(guard, PROXY, { 'x-forwarded-for': '203.0.113.7' }).error.message, /Too many connections/);
+
+    guard.ban('203.0.113.7', 'testing');
+    assert.equal(first.socket.disconnected, true);
+    assert.equal(second.socket.disconnected, false);
+    assert.match(connect(guard, PROXY, { 'x-forwarded-for': '203.0.113.7' }).error.message, /Banned/);
+    assert.equal(connect(guard, PROXY, { 'x-forwarded-for': '192.0.2.9' }).error, undefined);
+    guard.shutdown();
+  });
+
+  it('skips only the configured number of proxies in X-Forwarded-For', () => {
+    const guard = new AbuseGuard({ trustProxy: 1 });
+
+    // The client prepended a forged entry; the proxy appended the address it saw
+    const { socket } = connect(guard, PROXY, { 'x-forwarded-for': '192.0.2.9, 203.0.113.7' });
+    assert.equal(guard.getAddress(socket), '203.0.113.7');
+    assert.equal(guard.getAddress(connect(guard, PROXY).socket), PROXY);
+    guard.shutdown();
+  });
+
+  it('ignores a forged Fly-Client-IP unless running on Fly', () => {
+    const counted = new AbuseGuard({ trustProxy: '1' });
+    const headers = { 'fly-client-ip': '1.2.3.4', 'x-forwarded-for': '203.0.113.7' };
+    assert.equal(counted.getAddress(connect(counted, PROXY, headers).socket), '203.0.113.7');
+    counted.shutdown();
+
+    const fly = new AbuseGuard({ trustProxy: 'fly' });
+    assert.equal(fly.getAddress(connect(fly, PROXY, headers).socket), '1.2.3.4');
+    assert.equal(fly.getAddress(connect(fly, PROXY, { 'x-forwarded-for': '203.0.113.7' }).socket), PROXY);
+    fly.shutdown();
+  });
+
+  it('does not treat trustProxy: true as trusting every hop', () => {
+    const guard = new AbuseGuard({ trustProxy: true });
+    const { socket } = connect(guard, PROXY, { 'x-forwarded-for': '9.9.9.9, 203.0.113.7' });
+
+    assert.equal(guard.getAddress(socket), PROXY);
+    assert.equal(guard.getStats().trustedProxies, 0);
+    guard.shutdown();
+  });
+});
+
+describe('AbuseGuard input drops', () => {
+  it('counts player inputs it throws away in the inputs metric', () => {
+    const guard = new AbuseGuard({ limits: { playerInput: { rate: 1, burst: 2, queue: 1, maxBytes: 64 } } });
+    const { socket } = connect(guard, '203.0.113.7');
+    const dropped = () => metrics.inputs.get({ result: 'dropped' });
+    const before = dropped();
+    let delivered = 0;
+
+    for (let i = 0; i < 5; i++) {
+      guard.handlePacket(socket, ['playerInput', { forward: true, seq: i }], () => delivered++);
+    }
+    // Two from the bucket, one queued, two over the queue
+    assert.equal(delivered, 2);
+    assert.equal(dropped() - before, 2);
+
+    guard.handlePacket(socket, ['playerInput', { padding: 'x'.repeat(100) }], () => delivered++);
+    assert.equal(dropped() - before, 3);
+
+    // The queued input goes with the socket
+    guard.detach(socket);
+    assert.equal(dropped() - before, 4);
+    guard.shutdown();
+  });
+});
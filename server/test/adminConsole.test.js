@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AbuseGuard = require('../src/network/AbuseGuard');
+const AdminConsole = require('../src/game/AdminConsole');
+
+const PROXY = '10.0.0.1';
+
+describe('AdminConsole bans behind a proxy', () => {
+  let guard;
+  let sockets;
+  let adminConsole;
+
+  /**
+   * Connect a player through the proxy
+   * @param {string} playerId - Player ID
+   * @param {string} clientIp - Address the proxy reports
+   * @returns {Object} The player's socket
+   */
+  function connect(playerId, clientIp) {
+    const socket = {
+      id: `socket-${playerId}`,
+      handshake: { address: PROXY, headers: { 'x-forwarded-for': clientIp } },
+      data: { playerId },
+      disconnected: false,
+      use() {},
+      on() {},
+      emit() {},
+      disconnect() {
+        this.disconnected = true;
+      }
+    };
+    guard.middleware(socket, (error) => assert.equal(error, undefined));
+    sockets.set(socket.id, socket);
+    return socket;
+  }
+
+  beforeEach(() => {
+    guard = new AbuseGuard({ trustProxy: 1 });
+    sockets = new Map();
+    const io = { sockets: { sockets } };
+    const roomManager = { rooms: new Map(), getRoom: () => undefined, listRooms: () => [] };
+    adminConsole = new AdminConsole(io, roomManager, guard);
+  });
+
+  afterEach(() => {
+    guard.shutdown();
+  });
+
+  it('bans the player\'s own address, not the proxy\'s', () => {
+    const target = connect('alice', '203.0.113.7');
+    const bystander = connect('bob', '198.51.100.2');
+
+    const result = adminConsole.execute({ action: 'ban', playerId: 'alice', reason: 'cheating' }, 'test');
+    assert.equal(result.banned, '203.0.113.7');
+    assert.equal(target.disconnected, true);
+    assert.equal(bystander.disconnected, false);
+
+    const { bans } = adminConsole.execute({ action: 'listBans' }, 'test');
+    assert.deepEqual(bans.map(ban => ban.ip), ['203.0.113.7']);
+    const listed = adminConsole.execute({ action: 'listPlayers' }, 'test').players;
+    assert.equal(listed.find(player => player.id === 'bob').address, '198.51.100.2');
+
+    assert.deepEqual(adminConsole.execute({ action: 'unban', ip: '203.0.113.7' }, 'test'), { unbanned: '203.0.113.7' });
+    assert.equal(guard.getBan('203.0.113.7'), undefined);
+  });
+});
+
+describe('AdminConsole positions', () => {
+  it('only accepts positions snapshots can carry', () => {
+    const guard = new AbuseGuard();
+    const adminConsole = new AdminConsole({ sockets: { sockets: new Map() } }, { rooms: new Map() }, guard);
+
+    assert.ok(adminConsole.MAX_COORDINATE * 100 <= 32767, `±${adminConsole.MAX_COORDINATE} m overflows q16 positions`);
+    assert.deepEqual(adminConsole.readPosition({ x: 300, y: 1, z: -300 }), { x: 300, y: 1, z: -300 });
+    assert.equal(adminConsole.readPosition({ x: 500, y: 1, z: 0 }), null);
+    guard.shutdown();
+  });
+});
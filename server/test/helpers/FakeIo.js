@@ -0,0 +1,34 @@
+/**
+ * Fake IO
+ * Stand-in for the Socket.io server a GameManager broadcasts through. Room broadcasts
+ * (io.to(room).emit()) are kept for assertions instead of being sent anywhere.
+ */
+class FakeIo {
+  constructor() {
+    this.emitted = []; // { room, event, args }
+  }
+
+  to(room) {
+    return {
+      emit: (event, ...args) => {
+        this.emitted.push({ room, event, args });
+        return true;
+      }
+    };
+  }
+
+  emit(event, ...args) {
+    this.emitted.push({ room: null, event, args });
+    return true;
+  }
+
+  /**
+   * @param {string} event - Event name
+   * @returns {Array[]} Arguments of every broadcast of that event, oldest first
+   */
+  received(event) {
+    return this.emitted.filter(entry => entry.event === event).map(entry => entry.args);
+  }
+}
+
+module.exports = FakeIo;
@@ -0,0 +1,31 @@
+/**
+ * Fake Socket
+ * The parts of a Socket.io server-side socket GameManager uses: an ID, socket.data and emit().
+ * Everything emitted is kept for assertions.
+ */
+class FakeSocket {
+  /**
+   * @param {string} id - Socket ID
+   * @param {Object} [data] - socket.data, e.g. { playerId }
+   */
+  constructor(id, data = {}) {
+    this.id = id;
+    this.data = data;
+    this.emitted = []; // { event, args }
+  }
+
+  emit(event, ...args) {
+    this.emitted.push({ event, args });
+    return true;
+  }
+
+  /**
+   * @param {string} event - Event name
+   * @returns {Array[]} Arguments of every emit of that event, oldest first
+   */
+  received(event) {
+    return this.emitted.filter(entry => entry.event === event).map(entry => entry.args);
+  }
+}
+
+module.exports = FakeSocket;
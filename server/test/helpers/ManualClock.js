@@ -0,0 +1,37 @@
+/**
+ * Manual Clock
+ * Stand-in for GameManager's clock that only moves when a test advances it, so game loop timing
+ * (catch-up, dropped ticks, tick timestamps) can be checked without waiting on real time.
+ */
+class ManualClock {
+  /**
+   * @param {number} [start] - Wall-clock time to start at (ms since epoch)
+   */
+  constructor(start = 1700000000000) {
+    this.start = start;
+    this.elapsed = 0;
+  }
+
+  /**
+   * @returns {number} Wall-clock time (ms since epoch)
+   */
+  now() {
+    return this.start + this.elapsed;
+  }
+
+  /**
+   * @returns {number} Ms since the clock was created
+   */
+  monotonic() {
+    return this.elapsed;
+  }
+
+  /**
+   * @param {number} ms - Time to move forward by
+   */
+  advance(ms) {
+    this.elapsed += ms;
+  }
+}
+
+module.exports = ManualClock;
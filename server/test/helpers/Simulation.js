@@ -0,0 +1,122 @@
+const PhysicsWorld = require('../../src/physics/World');
+const GameManager = require('../../src/game/GameManager');
+const Level = require('../../src/game/Level');
+const MovementConfig = require('../../src/game/MovementConfig');
+const { getMode } = require('../../src/game/modes');
+const FakeIo = require('./FakeIo');
+const ManualClock = require('./ManualClock');
+
+// Every key up, the baseline of each scripted input; clients always send every key
+const RELEASED = { left: false, right: false, forward: false, backward: false, jump: false, shove: false };
+
+/**
+ * Simulation
+ * A room's game without sockets or timers: a real physics world, level and GameManager wired to
+ * a FakeIo and a ManualClock. Tests add players, script their inputs and step ticks by hand.
+ */
+class Simulation {
+  /**
+   * Build a simulation; async because some physics engines load before their first world
+   * @param {Object} [options] - Simulation options
+   * @param {string} [options.engine] - Physics backend (default: cannon)
+   * @param {string} [options.level] - Level in server/levels (default: arena)
+   * @param {string} [options.mode] - Game mode (default: tag)
+   * @param {boolean} [options.props] - Spawn the level's props (default: false)
+   * @param {number} [options.interestRadius] - Distance clients are sent entities within (default:
+   *   GameManager's)
+   * @param {Object} [options.bots] - Bot fill, see BotManager (default: no bots)
+   * @returns {Promise<Simulation>} The simulation, at tick 0
+   */
+  static async create(options = {}) {
+    const engine = options.engine || 'cannon';
+    await PhysicsWorld.loadEngine(engine);
+
+    const level = Level.load(options.level || 'arena');
+    const defaults = MovementConfig.defaultValues();
+    const world = new PhysicsWorld({ engine, groundHeight: level.ground.height, config: defaults.physics });
+    world.initialize();
+    level.createBodies(world);
+
+    const io = new FakeIo();
+    const clock = new ManualClock();
+    const Mode = getMode(options.mode || 'tag');
+    const game = new GameManager(world, io, 'test', {
+      level,
+      movement: defaults.movement,
+      mode: new Mode({ level }),
+      clock,
+      interestRadius: options.interestRadius,
+      bots: options.bots
+    });
+    if (options.props) {
+      level.spawnProps(game);
+    }
+    return new Simulation(game, world, level, io, clock);
+  }
+
+  constructor(game, world, level, io, clock) {
+    this.game = game;
+    this.world = world;
+    this.level = level;
+    this.io = io;
+    this.clock = clock;
+    this.seqs = new Map(); // player ID -> last input sequence number sent
+  }
+
+  /**
+   * @param {string} id - Player ID
+   * @param {Object} [spawn] - Spawn position (default: the level's least crowded spawn point)
+   * @returns {Player} The created player
+   */
+  addPlayer(id, spawn) {
+    this.seqs.set(id, 0);
+    return this.game.addPlayer(id, { name: id }, spawn);
+  }
+
+  /**
+   * Queue an input for a player's next tick, complete and numbered like a client's
+   * @param {string} id - Player ID
+   * @param {Object} input - Held inputs, e.g. { forward: true }; keys left out are released
+   */
+  input(id, input) {
+    const seq = this.seqs.get(id) + 1;
+    this.seqs.set(id, seq);
+    this.game.getPlayer(id).queueInput({ ...RELEASED, ...input, seq });
+  }
+
+  /**
+   * Run ticks, queueing each player's scripted input before every one of them
+   * @param {number} [ticks] - Ticks to run
+   * @param {Object} [inputs] - Player ID -> input, or a function of the tick number returning one
+   */
+  step(ticks = 1, inputs = {}) {
+    for (let i = 0; i < ticks; i++) {
+      for (const [id, input] of Object.entries(inputs)) {
+        this.input(id, typeof input === 'function' ? input(this.game.tick + 1) : input);
+      }
+      this.game.runTick();
+    }
+  }
+
+  /**
+   * Run ticks until a condition holds
+   * @param {Function} condition - Checked after every tick
+   * @param {number} [maxTicks] - Ticks to give up after
+   * @param {Object} [inputs] - Scripted inputs, as for step()
+   * @returns {number} Ticks it took
+   */
+  stepUntil(condition, maxTicks = 600, inputs = {}) {
+    for (let ticks = 1; ticks <= maxTicks; ticks++) {
+      this.step(1, inputs);
+      if (condition()) return ticks;
+    }
+    throw new Error(`Condition not met within ${maxTicks} ticks`);
+  }
+
+  destroy() {
+    this.game.shutdown();
+    this.world.destroy();
+  }
+}
+
+module.exports = Simulation;
@@ -0,0 +1,146 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_ENTRY = path.join(__dirname, '../../index.js');
+
+/**
+ * Test Server
+ * The real server (index.js) in a child process on an ephemeral port, for socket-level tests.
+ * Replays go to a temporary directory that is removed again on stop().
+ */
+class TestServer {
+  /**
+   * @param {Object} [env] - Extra environment variables, e.g. { BOT_FILL: '2' }
+   */
+  constructor(env = {}) {
+    this.env = env;
+    this.process = null;
+    this.url = null;
+    this.output = ''; // everything the server logged, for failure messages
+    this.replayDir = null;
+    this.sockets = [];
+  }
+
+  /**
+   * Start the server and wait until it listens
+   * @param {number} [timeout] - Ms to wait before giving up
+   * @returns {Promise<void>}
+   */
+  start(timeout = 15000) {
+    this.replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    this.process = spawn(process.execPath, [SERVER_ENTRY], {
+      env: { ...process.env, PORT: '0', REPLAY_DIR: this.replayDir, LOG_FORMAT: 'json', ...this.env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${this.output}`)), timeout);
+      const onOutput = (chunk) => {
+        this.output += chunk;
+        const port = this.url ? null : findListeningPort(this.output);
+        if (port) {
+          clearTimeout(timer);
+          this.url = `http://localhost:${port}`;
+          resolve();
+        }
+      };
+      this.process.stdout.on('data', onOutput);
+      this.process.stderr.on('data', onOutput);
+      this.process.once('exit', (code) => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with code ${code}:\n${this.output}`));
+      });
+    });
+  }
+
+  /**
+   * Open a client socket the way the browser client does; closed again by stop()
+   * @param {Object} [auth] - Handshake auth: room, spectate, token, name, color
+   * @returns {Socket} The connecting socket
+   */
+  connect(auth = {}) {
+    const socket = io(this.url, { transports: ['websocket'], reconnection: false, auth });
+    this.sockets.push(socket);
+    return socket;
+  }
+
+  /**
+   * @param {string} route - Path, e.g. /health
+   * @returns {Promise<Object>} The parsed JSON response
+   */
+  async get(route) {
+    const response = await fetch(new URL(route, this.url));
+    return response.json();
+  }
+
+  /**
+   * @param {string} route - Path, e.g. /metrics
+   * @returns {Promise<{type: string, body: string}>} Content type and body of the response
+   */
+  async getText(route) {
+    const response = await fetch(new URL(route, this.url));
+    return { type: response.headers.get('content-type'), body: await response.text() };
+  }
+
+  /**
+   * Close every client socket, shut the server down and remove its replays
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const socket of this.sockets) {
+      socket.close();
+    }
+    if (this.process && this.process.exitCode === null) {
+      const exited = new Promise(resolve => this.process.once('exit', resolve));
+      this.process.kill('SIGTERM');
+      await exited;
+    }
+    if (this.replayDir) {
+      fs.rmSync(this.replayDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Find the port in the server's JSON log line announcing that it listens
+ * @param {string} output - Server output so far
+ * @returns {number|null} The port, or null if the server isn't listening yet
+ */
+function findListeningPort(output) {
+  for (const line of output.split('\n')) {
+    if (!line.startsWith('{')) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.msg === 'Multiplayer game server running') return entry.port;
+    } catch {
+      // a partial line; the rest arrives with the next chunk
+    }
+  }
+  return null;
+}
+
+/**
+ * Wait for a socket event
+ * @param {Socket} socket - Client socket
+ * @param {string} event - Event name
+ * @param {number} [timeout] - Ms to wait before failing
+ * @returns {Promise<Array>} The event's arguments
+ */
+function nextEvent(socket, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`No "${event}" within ${timeout} ms`));
+    }, timeout);
+    const listener = (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    };
+    socket.once(event, listener);
+  });
+}
+
+module.exports = { TestServer, nextEvent };
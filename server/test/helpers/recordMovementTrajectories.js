@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const Simulation = require('./Simulation');
+
+/**
+ * Record Movement Trajectories
+ * Runs scripted inputs through the real server simulation and writes where the player was after
+ * every tick to client/src/physics/serverTrajectories.ts, which the client's prediction tests
+ * replay stepPlayer() against. The client tests only read the recording, so they run without
+ * the server. Record again after changing server movement, physics or the arena level:
+ *
+ *   cd server && npm run record:trajectories
+ */
+
+const OUTPUT = path.join(__dirname, '../../../client/src/physics/serverTrajectories.ts');
+
+const repeat = (count, input) => Array.from({ length: count }, () => input);
+
+// Each scenario spawns the player, lets it settle, then records its scripted inputs tick by tick
+const SCENARIOS = [
+  {
+    name: 'platform',
+    description: 'walks and lands a jump on the arena platform',
+    spawn: { x: 12, y: 3, z: 0 },
+    settle: (sim, player) => {
+      sim.stepUntil(() => player.onGround, 120);
+      sim.step(30);
+    },
+    inputs: [...repeat(20, { right: true }), { right: true, jump: true }, ...repeat(40, { left: true }), ...repeat(80, {})]
+  },
+  {
+    name: 'ramp',
+    // Up to the lip, where Cannon's contacts with both the ramp and the platform edge take over
+    description: 'walks up the ramp to the platform',
+    spawn: { x: 12, y: 0.4, z: 14 },
+    settle: (sim) => sim.step(30),
+    inputs: repeat(65, { forward: true })
+  },
+  {
+    name: 'wall',
+    description: 'runs into the east arena wall',
+    spawn: { x: 44, y: 0.4, z: 0 },
+    settle: (sim) => sim.step(30),
+    inputs: repeat(90, { right: true })
+  }
+];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+const roundVector = ({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) });
+
+/**
+ * Run one scenario on a fresh simulation
+ * @param {Object} scenario - Entry of SCENARIOS
+ * @returns {Promise<Object>} The recorded trajectory
+ */
+async function record(scenario) {
+  const sim = await Simulation.create();
+  try {
+    const player = sim.addPlayer('player', scenario.spawn);
+    scenario.settle(sim, player);
+
+    const start = {
+      position: roundVector(player.position),
+      velocity: roundVector(player.velocity),
+      onGround: player.onGround,
+      facing: round(player.facing),
+      stagger: round(player.stagger)
+    };
+    const ticks = scenario.inputs.map(input => {
+      sim.step(1, { player: input });
+      return { input, position: roundVector(player.position), onGround: player.onGround };
+    });
+
+    return {
+      name: scenario.name,
+      description: scenario.description,
+      params: player.getMovementParams(),
+      start,
+      ticks,
+      level: sim.level.getState()
+    };
+  } finally {
+    sim.destroy();
+  }
+}
+
+async function main() {
+  const trajectories = [];
+  for (const scenario of SCENARIOS) {
+    trajectories.push(await record(scenario));
+  }
+
+  // One tick per line keeps diffs of a new recording readable
+  const body = trajectories.map(({ ticks, ...trajectory }) => {
+    const json = JSON.stringify(trajectory);
+    const lines = ticks.map(tick => `      ${JSON.stringify(tick)}`).join(',\n');
+    return `  ${json.slice(0, -1)},\n    "ticks": [\n${lines}\n    ]\n  }`;
+  }).join(',\n');
+
+  fs.writeFileSync(OUTPUT, `/**
+ * Server Trajectories
+ * Recorded by server/test/helpers/recordMovementTrajectories.js - do not edit by hand.
+ * Where the server's simulation put the player after each tick of a scripted input sequence.
+ */
+import type { InputState, LevelData, MovementParams, Vector3 } from '../types/game';
+import type { PredictedState } from './movementModel';
+
+export interface RecordedTrajectory {
+  name: string;
+  description: string;
+  params: MovementParams;
+  /** Player state once it settled, before the first input */
+  start: PredictedState;
+  level: LevelData;
+  /** Each tick's input (keys left out are released) and the player's state after it */
+  ticks: Array<{ input: Partial<InputState>; position: Vector3; onGround: boolean }>;
+}
+
+export const SERVER_TRAJECTORIES: RecordedTrajectory[] = [
+${body}
+];
+`);
+  console.log(`Recorded ${trajectories.length} trajectories to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const InputHandler = require('../src/input/InputHandler');
+
+describe('InputHandler', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = new InputHandler();
+  });
+
+  describe('validateInput', () => {
+    it('rejects anything that is not an object', () => {
+      for (const input of [null, undefined, 'forward', 42, true]) {
+        assert.equal(handler.validateInput(input), null);
+      }
+    });
+
+    it('keeps known keys as booleans and drops unknown ones', () => {
+      const input = handler.validateInput({ forward: 1, jump: '', fly: true });
+
+      assert.deepEqual(input, { forward: true, jump: false });
+    });
+
+    it('clamps the move vector onto the unit circle', () => {
+      assert.deepEqual(handler.validateInput({ moveX: 3, moveZ: 0 }), { moveX: 1, moveZ: 0 });
+
+      const { moveX, moveZ } = handler.validateInput({ moveX: 1, moveZ: -1 });
+      assert.ok(Math.abs(Math.hypot(moveX, moveZ) - 1) < 1e-9);
+      assert.ok(Math.abs(moveX + moveZ) < 1e-9);
+    });
+
+    it('wraps angles into [-PI, PI]', () => {
+      const { yaw, facing } = handler.validateInput({ yaw: 3 * Math.PI / 2, facing: -Math.PI / 4 });
+
+      assert.ok(Math.abs(yaw + Math.PI / 2) < 1e-9);
+      assert.ok(Math.abs(facing + Math.PI / 4) < 1e-9);
+    });
+
+    it('rejects non-finite numbers', () => {
+      for (const key of ['moveX', 'moveZ', 'yaw', 'facing', 'renderTime']) {
+        assert.equal(handler.validateInput({ [key]: Number.NaN }), null, key);
+        assert.equal(handler.validateInput({ [key]: '0.5' }), null, key);
+      }
+      assert.equal(handler.validateInput({ renderTime: -1 }), null);
+    });
+
+    it('only keeps positive integer sequence numbers', () => {
+      assert.equal(handler.validateInput({ seq: 7 }).seq, 7);
+      for (const seq of [0, -3, 1.5, '7', Number.MAX_SAFE_INTEGER + 1]) {
+        assert.equal('seq' in handler.validateInput({ seq }), false, String(seq));
+      }
+    });
+  });
+
+  describe('processInput', () => {
+    it('queues valid input on the player and counts it', () => {
+      const queued = [];
+      const player = {
+        queueInput: (input) => {
+          queued.push(input);
+          return 0;
+        }
+      };
+
+      assert.equal(handler.processInput('p1', { forward: true, seq: 1 }, player), true);
+      assert.deepEqual(queued, [{ forward: true, seq: 1 }]);
+      assert.deepEqual(handler.getStats(), { activeInputs: 1, processed: 1, rejected: 0, merged: 0 });
+    });
+
+    it('counts inputs the player queue merges on overflow', () => {
+      const player = { queueInput: () => 2 };
+
+      assert.equal(handler.processInput('p1', { jump: true }, player), true);
+      assert.equal(handler.getStats().merged, 2);
+    });
+
+    it('counts malformed input as rejected without queueing it', () => {
+      const player = { queueInput: () => assert.fail('malformed input was queued') };
+
+      assert.equal(handler.processInput('p1', { moveX: 'left' }, player), false);
+      assert.equal(handler.getStats().rejected, 1);
+    });
+
+    it('forgets a player on cleanup', () => {
+      handler.processInput('p1', { left: true }, { queueInput: () => 0 });
+      handler.cleanupPlayer('p1');
+
+      assert.equal(handler.getStats().activeInputs, 0);
+    });
+  });
+});
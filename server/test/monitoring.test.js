@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, MetricsRegistry } = require('../src/monitoring');
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  it('renders counters and gauges per label set, escaping label values', () => {
+    const inputs = registry.counter({ name: 'inputs_total', help: 'Inputs', labelNames: ['result'] });
+    const players = registry.gauge({ name: 'players', help: 'Players', labelNames: ['room'] });
+    inputs.inc({ result: 'accepted' }, 3);
+    inputs.inc({ result: 'rejected' });
+    players.set({ room: 'say "hi"\\' }, 2);
+
+    const text = registry.render();
+    assert.match(text, /^# TYPE inputs_total counter$/m);
+    assert.match(text, /^inputs_total\{result="accepted"\} 3$/m);
+    assert.match(text, /^inputs_total\{result="rejected"\} 1$/m);
+    assert.match(text, /^players\{room="say \\"hi\\"\\\\"\} 2$/m);
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const ticks = registry.histogram({ name: 'tick_seconds', help: 'Ticks', buckets: [0.01, 0.001] });
+    for (const value of [0.0005, 0.005, 0.005, 2]) {
+      ticks.observe({}, value);
+    }
+
+    const lines = registry.render().split('\n').filter(line => line.startsWith('tick_seconds'));
+    assert.deepEqual(lines, [
+      'tick_seconds_bucket{le="0.001"} 1',
+      'tick_seconds_bucket{le="0.01"} 3',
+      'tick_seconds_bucket{le="+Inf"} 4',
+      'tick_seconds_sum 2.0105',
+      'tick_seconds_count 4'
+    ]);
+  });
+
+  it('runs collectors before rendering and drops the series of a removed label value', () => {
+    const players = registry.gauge({ name: 'players', help: 'Players', labelNames: ['room'] });
+    registry.addCollector(() => players.set({ room: 'main' }, 5));
+    players.set({ room: 'arena' }, 1);
+
+    registry.removeSeries({ room: 'arena' });
+    const text = registry.render();
+    assert.match(text, /^players\{room="main"\} 5$/m);
+    assert.doesNotMatch(text, /arena/);
+  });
+
+  it('refuses a second metric with the same name', () => {
+    registry.counter({ name: 'inputs_total', help: 'Inputs' });
+    assert.throws(() => registry.gauge({ name: 'inputs_total', help: 'Inputs' }), /already registered/);
+  });
+});
+
+describe('Logger', () => {
+  let lines;
+  let originalWrites;
+
+  beforeEach(() => {
+    lines = [];
+    originalWrites = { stdout: process.stdout.write, stderr: process.stderr.write };
+    process.stdout.write = (line) => lines.push({ stream: 'stdout', line });
+    process.stderr.write = (line) => lines.push({ stream: 'stderr', line });
+  });
+
+  afterEach(() => {
+    process.stdout.write = originalWrites.stdout;
+    process.stderr.write = originalWrites.stderr;
+  });
+
+  it('writes JSON lines with the child context, warnings to stderr', () => {
+    const log = new Logger().child({ room: 'main' }).child({ playerId: 'p1' });
+    log.info('Player added', { name: 'Alice' });
+    log.warn('Kicked', { error: new Error('flooding') });
+
+    const [info, warn] = lines.map(({ stream, line }) => ({ stream, entry: JSON.parse(line) }));
+    assert.equal(info.stream, 'stdout');
+    assert.deepEqual({ ...info.entry, time: undefined }, { time: undefined, level: 'info', msg: 'Player added', room: 'main', playerId: 'p1', name: 'Alice' });
+    assert.equal(warn.stream, 'stderr');
+    assert.equal(warn.entry.error.message, 'flooding');
+  });
+
+  it('skips entries below the configured level, for children too', () => {
+    const root = new Logger();
+    const child = root.child({ room: 'main' });
+    assert.deepEqual(root.configure({ level: 'warn' }), {});
+
+    child.info('quiet');
+    child.error('loud');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0].line).msg, 'loud');
+  });
+
+  it('rejects unknown levels and formats', () => {
+    const log = new Logger();
+    assert.match(log.configure({ level: 'verbose' }).error, /Unknown log level/);
+    assert.match(log.configure({ format: 'xml' }).error, /Unknown log format/);
+    assert.equal(log.settings.level, 'info');
+  });
+});
@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MovementConfig = require('../src/game/MovementConfig');
+
+describe('MovementConfig validation', () => {
+  it('accepts known settings within range', () => {
+    const { movement } = MovementConfig.defaultValues();
+    assert.deepEqual(MovementConfig.validate({ movement }), []);
+  });
+
+  it('rejects keys that only exist on the schema\'s prototype', () => {
+    const data = JSON.parse('{ "movement": { "constructor": 5, "toString": 1, "__proto__": 2 } }');
+
+    assert.deepEqual(MovementConfig.validate(data), [
+      'movement.constructor is not a known setting',
+      'movement.toString is not a known setting',
+      'movement.__proto__ is not a known setting'
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Simulation = require('./helpers/Simulation');
+const ReplayRecorder = require('../src/replay/ReplayRecorder');
+const ReplayStore = require('../src/replay/ReplayStore');
+
+describe('replay recording', () => {
+  let sim;
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    sim = await Simulation.create();
+    sim.addPlayer('runner', { x: 0, y: 2, z: 0 });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    store = new ReplayStore({ directory, maxReplays: 2 });
+    await store.initialize();
+  });
+
+  afterEach(async () => {
+    sim.destroy();
+    await store.settle();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('writes off the tick and finishes the replay once its writes are done', async () => {
+    const recorder = new ReplayRecorder(store, 'test');
+    sim.game.startRecording(recorder);
+    const { id } = recorder.getStats();
+    sim.step(recorder.KEYFRAME_INTERVAL * 2 + 10, { runner: { forward: true } });
+    sim.game.stopRecording();
+
+    // Closing only queued the work; the replay counts as recording until it is on disk
+    assert.equal(store.recording.has(id), true);
+    await store.settle();
+    assert.equal(store.recording.has(id), false);
+
+    const [meta] = await store.list();
+    assert.equal(meta.id, id);
+    assert.equal(meta.recording, false);
+    assert.equal(meta.endTick - meta.startTick, recorder.KEYFRAME_INTERVAL * 2 + 10);
+    assert.equal(meta.bytes, fs.statSync(store.getFilePath(id)).size);
+    const { data, error } = await store.read(id);
+    assert.equal(error, undefined);
+    assert.ok(data.length > meta.bytes, 'replay data was not compressed');
+  });
+
+  it('prunes the oldest finished replays after a replay finishes', async () => {
+    for (const startedAt of [1000, 2000, 3000]) {
+      const old = { id: store.createId('old', startedAt), startedAt, endedAt: startedAt + 1 };
+      await store.writeMeta(old);
+      fs.writeFileSync(store.getFilePath(old.id), '');
+    }
+
+    const recorder = new ReplayRecorder(store, 'test');
+    sim.game.startRecording(recorder);
+    sim.step(30);
+    sim.game.stopRecording();
+    await store.settle();
+
+    const kept = (await store.list()).map(meta => meta.startedAt);
+    assert.equal(kept.length, 2);
+    assert.equal(kept[1], 3000);
+    assert.equal(fs.existsSync(store.getFilePath(store.createId('old', 1000))), false);
+  });
+});
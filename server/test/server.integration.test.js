@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestServer, nextEvent } = require('./helpers/TestServer');
+const SnapshotDecoder = require('../src/network/SnapshotDecoder');
+
+/**
+ * Join as a player and wait for the game state
+ * @returns {Promise<{socket, session: Object, state: Object}>}
+ */
+async function join(server, auth = {}) {
+  const socket = server.connect(auth);
+  const [[session], [state]] = await Promise.all([nextEvent(socket, 'session'), nextEvent(socket, 'gameState')]);
+  return { socket, session, state };
+}
+
+/**
+ * Decode and acknowledge snapshots, as the browser client does, until one satisfies a condition
+ * @returns {Promise<Object>} The decoded snapshot
+ */
+function waitForSnapshot(socket, decoder, condition, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off('gameUpdate', onUpdate);
+      reject(new Error(`No matching snapshot within ${timeout} ms`));
+    }, timeout);
+    function onUpdate(data) {
+      const snapshot = decoder.decode(data);
+      socket.emit('snapshotAck', snapshot ? snapshot.seq : 0);
+      if (snapshot && condition(snapshot)) {
+        clearTimeout(timer);
+        socket.off('gameUpdate', onUpdate);
+        resolve(snapshot);
+      }
+    }
+    socket.on('gameUpdate', onUpdate);
+  });
+}
+
+describe('server over Socket.io', () => {
+  const server = new TestServer({ MAX_CONNECTIONS_PER_IP: '32', RECONNECT_GRACE_PERIOD: '5000' });
+
+  before(async () => {
+    await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('reports health and lists the default room', async () => {
+    const health = await server.get('/health');
+    assert.equal(health.status, 'OK');
+    assert.ok(health.loops.main, 'no loop metrics for the default room');
+
+    const { rooms } = await server.get('/rooms');
+    assert.ok(rooms.some(room => room.id === 'main'));
+  });
+
+  it('exports Prometheus metrics', async () => {
+    await join(server);
+    const { type, body } = await server.getText('/metrics');
+
+    assert.match(type, /^text\/plain;/);
+    assert.match(type, /version=0\.0\.4/);
+    assert.match(body, /^# TYPE game_tick_duration_seconds histogram$/m);
+    assert.match(body, /^game_connected_sockets [1-9]\d*$/m);
+    assert.match(body, /^game_players\{room="main"\} [1-9]\d*$/m);
+    assert.match(body, /^game_tick_duration_seconds_count\{room="main"\} [1-9]\d*$/m);
+  });
+
+  it('issues a session and sends the game state with the snapshot schema', async () => {
+    const { session, state } = await join(server, { name: 'Alice' });
+
+    assert.equal(session.name, 'Alice');
+    assert.equal(typeof session.token, 'string');
+    assert.equal(state.playerId, session.playerId);
+    assert.equal(state.roomId, 'main');
+    assert.ok(state.players.some(player => player.id === session.playerId));
+    assert.equal(typeof state.snapshotSchema.version, 'number');
+  });
+
+  it('streams snapshots that decode and follow the player\'s input', async () => {
+    const { socket, session, state } = await join(server, { name: 'Runner' });
+    const decoder = new SnapshotDecoder(state.snapshotSchema);
+    const own = (snapshot) => snapshot.entities.player.find(player => player.id === session.playerId);
+
+    const settled = await waitForSnapshot(socket, decoder, snapshot => own(snapshot) && own(snapshot).onGround);
+    const start = own(settled).position;
+
+    let seq = 0;
+    const sender = setInterval(() => {
+      seq++;
+      socket.emit('playerInput', { left: false, right: false, forward: true, backward: false, jump: false, shove: false, seq });
+    }, 1000 / 60);
+    try {
+      const moved = await waitForSnapshot(socket, decoder, snapshot => own(snapshot).position.z < start.z - 2);
+      assert.ok(own(moved).lastProcessedInput > 0);
+      assert.ok(own(moved).lastProcessedInput <= seq);
+    } finally {
+      clearInterval(sender);
+    }
+  });
+
+  it('answers pings with the client timestamp and the server time', async () => {
+    const { socket } = await join(server);
+    const sentAt = Date.now();
+    socket.emit('ping', sentAt);
+
+    const [timestamp, serverTime, ack] = await nextEvent(socket, 'pong');
+    assert.equal(timestamp, sentAt);
+    assert.ok(Math.abs(serverTime - Date.now()) < 1000);
+    assert.equal(typeof ack, 'function');
+    ack();
+  });
+
+  it('lets spectators watch without a player', async () => {
+    const socket = server.connect({ spectate: true });
+    const [state] = await nextEvent(socket, 'gameState');
+
+    assert.equal(state.spectating, true);
+    assert.ok(!state.playerId);
+    const [update] = await nextEvent(socket, 'gameUpdate');
+    assert.ok(new SnapshotDecoder(state.snapshotSchema).decode(update));
+  });
+
+  it('gives a reconnecting client its player back', async () => {
+    const first = await join(server, { name: 'Comeback' });
+    first.socket.close();
+
+    const second = await join(server, { token: first.session.token });
+    assert.equal(second.session.playerId, first.session.playerId);
+    assert.equal(second.state.playerId, first.session.playerId);
+  });
+});
@@ -0,0 +1,364 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Simulation = require('./helpers/Simulation');
+const FakeSocket = require('./helpers/FakeSocket');
+const SnapshotDecoder = require('../src/network/SnapshotDecoder');
+const { getSchema } = require('../src/network/snapshotSchema');
+
+const horizontalSpeed = (player) => Math.hypot(player.velocity.x, player.velocity.z);
+
+for (const engine of ['cannon', 'rapier']) {
+  describe(`player simulation (${engine})`, () => {
+    let sim;
+    let player;
+    let standingHeight;
+
+    beforeEach(async () => {
+      sim = await Simulation.create({ engine });
+      player = sim.addPlayer('runner', { x: 0, y: 2, z: 0 });
+      standingHeight = sim.level.ground.height + player.HALF_HEIGHT;
+    });
+
+    afterEach(() => {
+      sim.destroy();
+    });
+
+    it('falls onto the ground and stays there', () => {
+      sim.stepUntil(() => player.onGround, 120);
+      sim.step(30);
+
+      assert.equal(player.onGround, true);
+      assert.ok(Math.abs(player.position.y - standingHeight) < 0.05, `standing at y=${player.position.y}`);
+      assert.ok(Math.abs(player.velocity.y) < 0.1);
+    });
+
+    it('runs toward -Z on forward and stops when the keys are released', () => {
+      sim.step(60);
+      sim.step(60, { runner: { forward: true } });
+
+      assert.ok(player.position.z < -5, `only reached z=${player.position.z}`);
+      assert.ok(Math.abs(player.position.x) < 0.5, `drifted to x=${player.position.x}`);
+      assert.ok(horizontalSpeed(player) <= player.MAX_HORIZONTAL_SPEED + 0.1);
+      assert.equal(player.lastProcessedInput, 60);
+
+      sim.step(60, { runner: {} });
+      assert.ok(horizontalSpeed(player) < 0.1, `still moving at ${horizontalSpeed(player)} m/s`);
+      assert.equal(player.onGround, true);
+    });
+
+    it('jumps once per press, peaks and lands back on the ground', () => {
+      sim.step(60);
+      const startY = player.position.y;
+
+      sim.step(1, { runner: { jump: true } });
+      sim.stepUntil(() => !player.onGround, 10, { runner: {} });
+      let apex = player.position.y;
+      const airTicks = sim.stepUntil(() => {
+        apex = Math.max(apex, player.position.y);
+        return player.onGround;
+      }, 240, { runner: {} });
+
+      assert.equal(player.stats.jumps, 1);
+      assert.ok(apex > startY + 1.2, `apex only ${apex - startY} m up`);
+      assert.ok(airTicks > 30, `back down after ${airTicks} ticks`);
+      sim.step(10, { runner: {} });
+      assert.ok(Math.abs(player.position.y - standingHeight) < 0.05);
+    });
+
+    for (const [zone, position] of [['outside the arena', { x: 60, y: 2, z: 0 }], ['the void', { x: 0, y: -20, z: 0 }]]) {
+      it(`respawns at a spawn point after entering ${zone}`, () => {
+        sim.step(60);
+        player.teleport(position);
+        sim.step(1);
+
+        const spawnPoint = sim.level.spawnPoints.find(point =>
+          Math.hypot(point.x - player.position.x, point.z - player.position.z) < 0.5);
+        assert.ok(spawnPoint, `respawned at ${JSON.stringify(player.position)}`);
+        assert.equal(player.stats.respawns, 1);
+      });
+    }
+
+    it('gives identical results for identical scripted inputs', async () => {
+      const script = (tick) => ({ forward: tick % 90 < 60, left: tick % 40 < 20, jump: tick % 70 === 0 });
+      const other = await Simulation.create({ engine });
+      try {
+        const twin = other.addPlayer('runner', { x: 0, y: 2, z: 0 });
+        sim.step(240, { runner: script });
+        other.step(240, { runner: script });
+
+        assert.deepEqual(twin.position, player.position);
+        assert.deepEqual(twin.velocity, player.velocity);
+        assert.equal(twin.stats.jumps, player.stats.jumps);
+      } finally {
+        other.destroy();
+      }
+    });
+  });
+}
+
+describe('game loop', () => {
+  let sim;
+
+  beforeEach(async () => {
+    sim = await Simulation.create();
+  });
+
+  afterEach(() => {
+    sim.destroy();
+  });
+
+  it('runs one tick per elapsed interval and keeps tick times on the clock', () => {
+    sim.clock.advance(51);
+    sim.game.gameLoop();
+
+    assert.equal(sim.game.tick, 3);
+    assert.equal(sim.game.getTickTime(), Math.round(sim.clock.now() - sim.game.accumulator));
+  });
+
+  it('drops time beyond MAX_CATCH_UP_TICKS after a stall', () => {
+    sim.clock.advance(1005);
+    sim.game.gameLoop();
+
+    assert.equal(sim.game.tick, sim.game.MAX_CATCH_UP_TICKS);
+    assert.equal(sim.game.loopMetrics.droppedTicks, 60 - sim.game.MAX_CATCH_UP_TICKS);
+    assert.equal(sim.game.loopMetrics.catchUpFrames, 1);
+    assert.ok(Math.abs(sim.game.getTickTime() - sim.clock.now()) <= sim.game.TICK_INTERVAL);
+  });
+});
+
+describe('input queue', () => {
+  let sim;
+  let player;
+
+  beforeEach(async () => {
+    sim = await Simulation.create();
+    player = sim.addPlayer('runner', { x: 0, y: 2, z: 0 });
+    sim.stepUntil(() => player.onGround, 120);
+    sim.step(30);
+  });
+
+  afterEach(() => {
+    sim.destroy();
+  });
+
+  it('keeps a key release at the front of a burst that overflows the queue', () => {
+    sim.step(30, { runner: { forward: true } });
+
+    // The release is the oldest input; the ones after it leave the direction keys out
+    let seq = sim.seqs.get('runner');
+    player.queueInput({ forward: false, seq: ++seq });
+    for (let i = 0; i < player.MAX_INPUT_QUEUE * 3; i++) {
+      player.queueInput({ jump: false, seq: ++seq });
+    }
+    assert.equal(player.inputQueue.length, player.MAX_INPUT_QUEUE);
+
+    sim.step(player.MAX_INPUT_QUEUE + 60);
+    assert.equal(player.input.forward, false);
+    assert.equal(player.lastProcessedInput, seq);
+    assert.ok(horizontalSpeed(player) < 0.1, `still moving at ${horizontalSpeed(player)} m/s`);
+  });
+
+  it('still jumps for a press at the front of a burst that overflows the queue', () => {
+    sim.input('runner', { jump: true });
+    for (let i = 0; i < player.MAX_INPUT_QUEUE * 3; i++) {
+      sim.input('runner', {});
+    }
+
+    sim.step(player.MAX_INPUT_QUEUE);
+    assert.equal(player.stats.jumps, 1);
+    assert.equal(player.input.jump, false);
+  });
+});
+
+describe('bot fill', () => {
+  let sim;
+
+  beforeEach(async () => {
+    sim = await Simulation.create({ bots: { fillTo: 6, maxPlayers: 4 } });
+  });
+
+  afterEach(() => {
+    sim.destroy();
+  });
+
+  it('never fills the game past the room\'s player cap', () => {
+    const bots = sim.game.bots;
+    sim.addPlayer('alice');
+    sim.addPlayer('bob');
+    sim.step(bots.BALANCE_INTERVAL);
+    assert.equal(bots.bots.size, 2);
+    assert.equal(sim.game.getActivePlayers().length, 4);
+
+    sim.addPlayer('carol');
+    sim.addPlayer('dave');
+    sim.step(bots.BALANCE_INTERVAL);
+    assert.equal(bots.bots.size, 0);
+    assert.equal(sim.game.getActivePlayers().length, 4);
+  });
+});
+
+describe('game broadcasts', () => {
+  let sim;
+
+  beforeEach(async () => {
+    sim = await Simulation.create();
+  });
+
+  afterEach(() => {
+    sim.destroy();
+  });
+
+  it('sends each client decodable snapshots at the send rate, as deltas once acknowledged', () => {
+    sim.addPlayer('watched', { x: 0, y: 2, z: 0 });
+    const socket = new FakeSocket('socket-1', { playerId: 'watched' });
+    sim.game.addClient(socket);
+    const decoder = new SnapshotDecoder(getSchema());
+
+    sim.step(sim.game.TICK_RATE, { watched: { forward: true } });
+    const updates = socket.received('gameUpdate').map(([buffer]) => buffer);
+    assert.equal(updates.length, sim.game.SEND_RATE);
+
+    const first = decoder.decode(updates[0]);
+    assert.deepEqual(first.entities.player.map(player => player.id), ['watched']);
+    const last = decoder.decode(updates[updates.length - 1]);
+    assert.ok(last.entities.player[0].position.z < first.entities.player[0].position.z);
+
+    sim.game.acknowledgeSnapshot(socket.id, last.seq);
+    const full = updates[updates.length - 1].length;
+    sim.step(sim.game.TICK_RATE / sim.game.SEND_RATE, { watched: { forward: true } });
+    const [delta] = socket.received('gameUpdate').pop();
+    assert.ok(delta.length < full, `delta of ${delta.length} bytes, full snapshot ${full}`);
+  });
+
+  it('counts a round down once enough players are in', () => {
+    sim.addPlayer('first');
+    sim.step(1);
+    assert.equal(sim.game.round.phase, 'waiting');
+
+    sim.addPlayer('second');
+    sim.step(1);
+    const [state] = sim.io.received('roundState').pop();
+    assert.equal(state.phase, 'countdown');
+  });
+});
+
+describe('interest management', () => {
+  let sim;
+  let decoders;
+
+  beforeEach(async () => {
+    sim = await Simulation.create({ interestRadius: 20, props: true });
+    decoders = new Map();
+  });
+
+  afterEach(() => {
+    sim.destroy();
+  });
+
+  /**
+   * Attach a client for a player; its updates are decoded and acknowledged by sendInterval()
+   */
+  function connect(playerId) {
+    const socket = new FakeSocket(`socket-${playerId}`, { playerId });
+    sim.game.addClient(socket);
+    decoders.set(socket, new SnapshotDecoder(getSchema()));
+    return socket;
+  }
+
+  /**
+   * Step to the next snapshot, then decode and acknowledge it like a client
+   * @returns {Map<FakeSocket, Object>} Each client's decoded snapshot
+   */
+  function sendInterval() {
+    sim.step(sim.game.TICK_RATE / sim.game.SEND_RATE);
+    const snapshots = new Map();
+    for (const [socket, decoder] of decoders) {
+      const [buffer] = socket.received('gameUpdate').pop();
+      const snapshot = decoder.decode(buffer);
+      assert.ok(snapshot, `${socket.id} couldn't decode its update`);
+      sim.game.acknowledgeSnapshot(socket.id, snapshot.seq);
+      snapshots.set(socket, snapshot);
+    }
+    return snapshots;
+  }
+
+  const ids = (snapshot, type) => snapshot.entities[type].map(entity => entity.id).sort();
+
+  // Two players start a round countdown, which respawns everyone; place them once that happened
+  function place(positions) {
+    const players = Object.keys(positions).map(id => sim.addPlayer(id));
+    sim.step(1);
+    for (const player of players) {
+      player.teleport(positions[player.id]);
+    }
+  }
+
+  it('sends each client the players near it, and props that are always relevant', () => {
+    place({ west: { x: -40, y: 1, z: 0 }, neighbour: { x: -30, y: 1, z: 0 }, east: { x: 40, y: 1, z: 0 } });
+    const west = connect('west');
+    const east = connect('east');
+
+    const snapshots = sendInterval();
+    assert.deepEqual(ids(snapshots.get(west), 'player'), ['neighbour', 'west']);
+    assert.deepEqual(ids(snapshots.get(east), 'player'), ['east']);
+
+    const balls = sim.game.entities.getStates().filter(prop => prop.type === 'ball').map(prop => prop.id).sort();
+    assert.deepEqual(ids(snapshots.get(east), 'prop'), balls);
+  });
+
+  it('tells a client when a player enters and leaves its view, and sends it in full on entering', () => {
+    place({ watcher: { x: -40, y: 1, z: 0 }, visitor: { x: 40, y: 1, z: 0 } });
+    const watcher = connect('watcher');
+    sendInterval();
+    sendInterval();
+
+    sim.game.getPlayer('visitor').teleport({ x: -30, y: 1, z: 0 });
+    let snapshot = sendInterval().get(watcher);
+    assert.deepEqual(watcher.received('relevanceChanged').pop(), [{ entered: ['visitor'], left: [] }]);
+    const visitor = snapshot.entities.player.find(player => player.id === 'visitor');
+    assert.ok(Math.abs(visitor.position.x + 30) < 0.5, `visitor decoded at x=${visitor.position.x}`);
+
+    sim.game.getPlayer('visitor').teleport({ x: 40, y: 1, z: 0 });
+    snapshot = sendInterval().get(watcher);
+    assert.deepEqual(watcher.received('relevanceChanged').pop(), [{ entered: [], left: ['visitor'] }]);
+    assert.deepEqual(ids(snapshot, 'player'), ['watcher']);
+  });
+
+  it('keeps a player relevant until it is past the hysteresis margin', () => {
+    place({ watcher: { x: -40, y: 1, z: 0 }, visitor: { x: -25, y: 1, z: 0 } });
+    const watcher = connect('watcher');
+    sendInterval();
+
+    sim.game.getPlayer('visitor').teleport({ x: -40 + sim.game.INTEREST_RADIUS + 2, y: 1, z: 0 });
+    const snapshot = sendInterval().get(watcher);
+    assert.deepEqual(ids(snapshot, 'player'), ['visitor', 'watcher']);
+    assert.equal(watcher.received('relevanceChanged').length, 0);
+  });
+
+  it('sends shoves, spawns and despawns only to clients in range of them', () => {
+    place({ watcher: { x: -40, y: 1, z: 0 }, neighbour: { x: -30, y: 1, z: 0 }, stranger: { x: 40, y: 1, z: 0 } });
+    const watcher = connect('watcher');
+    sendInterval();
+
+    sim.step(1, { neighbour: { shove: true }, stranger: { shove: true } });
+    assert.deepEqual(watcher.received('playerShove').map(([event]) => event.id), ['neighbour']);
+
+    const near = sim.game.spawnProp('crate', { x: -35, y: 1, z: 5 }).entity;
+    const far = sim.game.spawnProp('crate', { x: 40, y: 1, z: 5 }).entity;
+    assert.deepEqual(watcher.received('entitySpawned').map(([event]) => event.entity.id), [near.id]);
+    sendInterval();
+
+    sim.game.despawnEntity(far.id);
+    sim.game.despawnEntity(near.id);
+    assert.deepEqual(watcher.received('entityDespawned').map(([event]) => event.id), [near.id]);
+  });
+
+  it('sends spectators everything', () => {
+    place({ west: { x: -40, y: 1, z: 0 }, east: { x: 40, y: 1, z: 0 } });
+    const spectator = connect(undefined);
+
+    const snapshot = sendInterval().get(spectator);
+    assert.deepEqual(ids(snapshot, 'player'), ['east', 'west']);
+    assert.equal(snapshot.entities.prop.length, sim.game.entities.size);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SpatialGrid = require('../src/game/SpatialGrid');
+
+describe('SpatialGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = new SpatialGrid(10);
+  });
+
+  it('finds entities within a horizontal radius, ignoring height', () => {
+    grid.insert('near', { x: 3, y: 0, z: 4 });
+    grid.insert('above', { x: 0, y: 50, z: 1 });
+    grid.insert('edge', { x: 25, y: 0, z: 0 });
+    grid.insert('far', { x: 26, y: 0, z: 0 });
+
+    const found = grid.query({ x: 0, y: 0, z: 0 }, 25);
+    assert.deepEqual(Array.from(found.keys()).sort(), ['above', 'edge', 'near']);
+    assert.equal(found.get('near'), 5);
+  });
+
+  it('moves an entity that is inserted again, across cells and negative coordinates', () => {
+    grid.insert('mover', { x: 5, y: 0, z: 5 });
+    grid.insert('mover', { x: -95, y: 0, z: -95 });
+
+    assert.equal(grid.query({ x: 5, y: 0, z: 5 }, 20).size, 0);
+    assert.ok(grid.query({ x: -100, y: 0, z: -100 }, 10).has('mover'));
+    assert.equal(grid.cells.size, 1);
+  });
+
+  it('gives the same answer whether it scans cells or every entity', () => {
+    for (let i = 0; i < 200; i++) {
+      grid.insert(`e${i}`, { x: (i * 37) % 400 - 200, y: 0, z: (i * 91) % 400 - 200 });
+    }
+    const center = { x: 10, y: 0, z: -20 };
+    const expected = Array.from(grid.positions.entries())
+      .filter(([, position]) => Math.hypot(position.x - center.x, position.z - center.z) <= 60)
+      .map(([id]) => id)
+      .sort();
+
+    assert.deepEqual(Array.from(grid.query(center, 60).keys()).sort(), expected);
+    assert.equal(grid.query(center, 1000).size, 200);
+  });
+
+  it('forgets removed entities and everything on clear', () => {
+    grid.insert('a', { x: 0, y: 0, z: 0 });
+    grid.insert('b', { x: 1, y: 0, z: 0 });
+    grid.remove('a');
+    assert.deepEqual(Array.from(grid.query({ x: 0, y: 0, z: 0 }, 5).keys()), ['b']);
+
+    grid.clear();
+    assert.equal(grid.query({ x: 0, y: 0, z: 0 }, 5).size, 0);
+  });
+});